@@ -3,508 +3,1031 @@ require('dotenv').config();
 const logger = require('./src/utils/logger');
 const { retry } = require('./src/utils/retry');
 const ErrorHandler = require('./src/utils/errorHandler');
+const CheckpointJournal = require('./src/utils/checkpoint');
+const { CheckpointError } = require('./src/utils/checkpoint');
 const EnhancedProgressTracker = require('./src/utils/enhancedProgress');
+const colors = require('ansi-colors');
 const config = require('./src/config');
+const storeRegistry = require('./src/registry');
+const { RegistryError } = require('./src/registry');
 const { chromium } = require('@playwright/test');
-const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
-const { spawn } = require('child_process');
-
-// Store-specific configurations (for reference, though data comes from Electron)
-const storeConfigs = {
-  FTP: {
-    toStore: 'Ft Pierce Warehouse Hub',
-    drivers: { driver1: 'Ange', driver2: 'James Roberts' },
-    departureTime: '07:00 AM',
-    arrivalTime: '12:00 PM'
-  },
-  Ocala: {
-    toStore: 'Ocala Warehouse Hub',
-    drivers: { driver1: 'Sergio Hervis', driver2: 'Courtney Bruce' },
-    departureTime: '12:00 PM',
-    arrivalTime: '07:00 PM'
-  },
-  Homestead: {
-    toStore: 'Homestead Processing Hub'
-  },
-  'Mt. Dora': {
-    toStore: 'Mt. Dora Processing Hub'
-  }
-};
+const { formatDateForInput, planProductRow, buildTransferPlan, writeTransferPlan } = require('./src/utils/transferPlan');
+const { validateTransfer, writeValidationReport } = require('./src/validation');
+const { verifyDraft, scrapeDraftLines, diffDraft, getVerificationReportPath } = require('./src/verification');
+const { ProductMatcher, promptForMatch, writeReviewList } = require('./src/matching');
+const { EXIT_CODES, USAGE, UsageError, parseCommandLine, buildTransferConfig } = require('./src/cli');
+const { runStoresCommand } = require('./src/cli/stores');
+const { runSessionCommand } = require('./src/cli/session');
+const { SessionStore } = require('./src/session');
+const { loadCredentials, CredentialError } = require('./src/credentials');
+const { runCredentialsCommand } = require('./src/cli/credentials');
+const { runHistoryCommand } = require('./src/cli/history');
+const { writeRunReports } = require('./src/reports');
+const { readManifest, readAllManifests, applyRowEdits, ManifestReadError } = require('./src/manifest');
+const { Notifier } = require('./src/notifications');
+const { InboxWatcher } = require('./src/watch');
+const { WindowChannel } = require('./src/ipc');
+const runEvents = require('./src/utils/runEvents');
+const runControl = require('./src/utils/runControl');
+const { RunAbortedError } = require('./src/utils/runControl');
+const { RunRecorder, DuplicateSubmissionError, findDuplicateSubmissions } = require('./src/history');
+const { LoginPage, TransfersPage, TransferFormPage, ProductPickerPage, DraftPage, SelectorHealthCheck, writeHealthReport } = require('./src/pages');
 
-/* ===================== Utility: Select Excel File via Electron Dialog ===================== */
-async function selectExcelFile(rootDir) {
+/* ===================== Desktop App ===================== */
+// File selection, confirmation and the live run view share one Electron process (src/app). It
+// sends the approved settings over a channel created for this run (see src/ipc); the run's events
+// are then streamed back to it, and its Pause, Resume and Abort buttons drive runControl.
+function openDesktopApp(rootDir) {
   const electronBinary = require('electron');
-  const selectionModulePath = path.join(__dirname, 'src', 'selection', 'main.js');
-  await new Promise((resolve, reject) => {
-    const selectionProcess = spawn(electronBinary, [selectionModulePath, rootDir], {
-      stdio: 'inherit',
-      shell: true
-    });
-    selectionProcess.on('close', (code) => {
-      if (code === 0) resolve();
-      else reject(new Error('File selection cancelled or failed.'));
-    });
-    selectionProcess.on('error', (err) => reject(err));
-  });
-  const tempFile = path.join(rootDir, 'temp', 'selectedExcel.json');
-  try {
-    const rawData = await fsPromises.readFile(tempFile, 'utf-8');
-    const data = JSON.parse(rawData);
-    if (!data.filePath) throw new Error('No file path found in selection data.');
-    logger.info('User selected Excel file:', { filePath: data.filePath });
-    return data.filePath;
-  } catch (error) {
-    throw new Error('Failed to load selected Excel file: ' + error.message);
-  }
-}
-
-/* ===================== Date Formatting Helper ===================== */
-function formatDateForInput(dateInput, time) {
-  let date = dateInput instanceof Date ? dateInput : new Date(dateInput);
-  const pad = n => n.toString().padStart(2, '0');
-  const month = pad(date.getMonth() + 1);
-  const day = pad(date.getDate());
-  const year = date.getFullYear();
-  return `${month}-${day}-${year} ${time}`;
-}
-
-/* ===================== Extract Data from Excel ===================== */
-function extractTransferData(worksheet) {
-  const range = XLSX.utils.decode_range(worksheet['!ref']);
-  const data = [];
-  const headers = [];
-  
-  // Dynamically read headers from the first row
-  for (let col = range.s.c; col <= range.e.c; col++) {
-    const cellAddress = XLSX.utils.encode_cell({ r: range.s.r, c: col });
-    const cell = worksheet[cellAddress];
-    headers.push(cell && cell.v ? cell.v.toString().trim() : '');
-  }
-
-  // Extract store names from headers (assuming D-G are [Store] Units and [Store] Cases)
-  const store1 = headers[3].replace(' Units', ''); // e.g., "FTP Units" -> "FTP"
-  const store2 = headers[5].replace(' Units', ''); // e.g., "Ocala Units" -> "Ocala"
-
-  // Extract data rows
-  for (let row = range.s.r + 1; row <= range.e.r; row++) {
-    const rowData = {};
-    headers.forEach((header, col) => {
-      const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-      const cell = worksheet[cellAddress];
-      rowData[header] = cell && cell.v != null ? cell.v.toString().trim() : '';
-    });
-    if (rowData['#']) data.push(rowData);
-  }
-
-  return { data, stores: [store1, store2], headers };
+  return WindowChannel.open(electronBinary, [path.join(__dirname, 'src', 'app', 'main.js')], { input: { rootDir } });
 }
 
-/* ===================== Electron Confirmation Window ===================== */
-async function openConfirmationWindow(rootDir) {
-  return new Promise((resolve, reject) => {
-    const electronBinary = require('electron');
-    const electronMainPath = path.join(__dirname, 'src', 'confirmation', 'main.js');
-    const electronProcess = spawn(electronBinary, [electronMainPath, rootDir], {
-      stdio: 'inherit',
-      shell: true
-    });
-    electronProcess.on('close', (code) => {
-      if (code === 0) {
-        fs.readFile(path.join(rootDir, 'temp', 'transferConfig.json'), 'utf-8', (err, data) => {
-          if (err) reject(err);
-          else resolve(JSON.parse(data));
-        });
-      } else {
-        // Check for cancellation flag
-        const cancelFlagPath = path.join(rootDir, 'temp', 'cancelFlag.json');
-        if (fs.existsSync(cancelFlagPath)) {
-          const cancelData = JSON.parse(fs.readFileSync(cancelFlagPath, 'utf-8'));
-          if (cancelData.canceled) {
-            resolve(null); // Indicate cancellation
-          } else {
-            resolve(null); // Non-zero exit without explicit cancel
-          }
-        } else {
-          resolve(null); // Non-zero exit without cancel flag
-        }
-      }
-    });
-    electronProcess.on('error', (err) => reject(err));
-  });
+const APP_COMMANDS = {
+  pause: () => runControl.pause(),
+  resume: () => runControl.resume(),
+  abort: () => runControl.abort()
+};
+
+// Forwards run events to the app and its commands to runControl; returns a function that stops both.
+function connectRunView(app) {
+  const forward = event => app.send('run-event', { event });
+  const onMessage = message => APP_COMMANDS[message.type]?.();
+  // Closing the app mid-run stops the run at the next product, as Abort would
+  const onExit = () => runControl.abort();
+  runEvents.on('event', forward);
+  app.on('message', onMessage);
+  app.once('exit', onExit);
+  return () => {
+    runEvents.off('event', forward);
+    app.off('message', onMessage);
+    app.off('exit', onExit);
+  };
 }
 
 /* ===================== Write Temporary Data ===================== */
-async function writeTempData(data) {
-  const tempDir = path.join(__dirname, 'temp');
+// Each run writes its own copy, so concurrent runs (e.g. watch mode) never read each other's data.
+async function writeTempData(data, runId) {
+  const tempDir = path.join(__dirname, 'temp', 'runs', runId);
   if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
   const filePath = path.join(tempDir, 'transferData.json');
   await fsPromises.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
   return filePath;
 }
 
-/* ===================== Main Automation Process ===================== */
-async function createTransferProcess(transferData) {
-  const progress = new EnhancedProgressTracker(8, 'Transfer Creation');
+/* ===================== Browser Session ===================== */
+// With a session store, the saved storage state (if any) is loaded into the new context.
+async function launchBrowser({ sessionStore } = {}) {
   const browser = await chromium.launch({
-    channel: config.get('browser.channel'),
+    channel: config.get('browser.channel') || undefined,
+    executablePath: config.get('browser.executablePath') || undefined,
     headless: config.get('browser.headless')
   });
-  const context = await browser.newContext();
+  const storageState = sessionStore ? sessionStore.load() : null;
+  const context = await browser.newContext(storageState ? { storageState } : {});
   const page = await context.newPage();
+  return { browser, context, page, sessionRestored: Boolean(storageState) };
+}
+
+async function closeBrowser(browser, progress) {
   try {
-    // LOGIN PROCESS
-    progress.addStep('Login Process');
-    await retry(async () => {
-      await ErrorHandler.withErrorHandler(page, 'login', async () => {
-        logger.info('Starting login process');
-        progress.updateStepProgress(10, 'Navigating to login page');
-        await page.goto(config.get('urls.login'));
-        await page.click('text=Log in with Microsoft');
-        progress.updateStepProgress(30, 'Entering SweedPos credentials');
-        await page.waitForSelector('input[placeholder="Email"]', { timeout: config.get('browser.timeout.element') });
-        await page.fill('input[placeholder="Email"]', process.env.MS_USERNAME);
-        await page.click('text=Verify');
-        progress.updateStepProgress(60, 'Completing Microsoft login');
-        await page.waitForURL(/login\.microsoftonline\.com/, { timeout: config.get('browser.timeout.navigation') });
-        await page.waitForSelector('input[name="loginfmt"]');
-        await page.fill('input[name="loginfmt"]', process.env.MS_USERNAME);
-        await page.click('#idSIButton9');
-        progress.updateStepProgress(80, 'Entering password');
-        await page.waitForSelector('input[type="password"]');
-        await page.fill('input[type="password"]', process.env.MS_PASSWORD);
-        await page.click('#idSIButton9');
-        progress.updateStepProgress(100, 'Login completed');
+    progress.addStep('Cleanup');
+    await browser.close();
+    progress.updateStepProgress(100, 'Browser closed');
+    progress.completeStep('Cleanup');
+    progress.finish();
+  } catch (error) {
+    logger.error('Error closing browser:', error);
+    progress.addError('Cleanup', error);
+  }
+}
+
+/* ===================== Login and Session Setup ===================== */
+const LOGIN_SCREEN_STATUS = {
+  pickAccount: 'Picking the account',
+  username: 'Entering username',
+  password: 'Entering password',
+  totp: 'Entering authenticator code'
+};
+
+// Shows progress for each Microsoft sign-in screen; a push approval needs someone at the phone,
+// so it is also printed where it cannot be missed.
+function reportLoginScreen(progress, screen, details = {}) {
+  if (screen !== 'pushApproval') {
+    progress.updateStepProgress(70, LOGIN_SCREEN_STATUS[screen] || screen);
+    return;
+  }
+  const seconds = Math.round(details.timeout / 1000);
+  const number = details.number ? ` and enter ${details.number}` : '';
+  progress.updateStepProgress(80, colors.yellow('Waiting for sign-in approval'));
+  console.log('\n' + colors.bold.yellow(`>>> Approve the sign-in request in Microsoft Authenticator${number} (waiting up to ${seconds}s) <<<`) + '\n');
+  logger.warn(`Waiting up to ${seconds}s for the sign-in request to be approved`, { number: details.number });
+}
+
+// Reuses a restored session when the dashboard still shows the user avatar; otherwise runs the
+// full Microsoft login and, with a session store, saves the new session for the next run.
+async function loginToSweedPos(page, progress, { sessionStore, sessionRestored = false } = {}) {
+  const loginPage = new LoginPage(page);
+  const transfersPage = new TransfersPage(page);
+  let loginScreen = null;
+  // LOGIN PROCESS
+  progress.addStep('Login Process');
+  if (sessionRestored) {
+    progress.updateStepProgress(20, 'Checking saved session');
+    if (await transfersPage.hasSession()) {
+      logger.info('Saved session is still valid, skipping the Microsoft login');
+      progress.updateStepProgress(100, 'Reused saved session');
+      progress.completeStep('Login Process');
+      progress.addStep('Session Setup');
+      progress.updateStepProgress(100, 'Saved session reused');
+      progress.completeStep('Session Setup');
+      return;
+    }
+    logger.info('Saved session has expired, logging in again');
+    await page.context().clearCookies();
+  }
+  progress.updateStepProgress(5, 'Loading credentials');
+  const credentials = await loadCredentials();
+  await retry(async (attempt) => {
+    await ErrorHandler.withErrorHandler(page, 'login', async () => {
+      logger.info('Starting login process');
+      progress.updateStepProgress(10, 'Navigating to login page');
+      await loginPage.open();
+      await loginPage.startMicrosoftLogin();
+      progress.updateStepProgress(30, 'Entering SweedPos credentials');
+      await loginPage.submitEmail(credentials.username);
+      progress.updateStepProgress(60, 'Completing Microsoft login');
+      await loginPage.waitForMicrosoft();
+      loginScreen = await loginPage.completeMicrosoftLogin({
+        ...credentials,
+        onScreen: (screen, details) => reportLoginScreen(progress, screen, details)
       });
-    }, {
-      retries: config.get('retry.attempts'),
-      delay: config.get('retry.delay'),
-      name: 'login process',
-      onRetry: async (error) => {
-        progress.addWarning('Login', 'Retrying login process');
-        await ErrorHandler.handleError(page, error, 'login-retry');
-      }
-    });
-    progress.completeStep('Login Process');
+      progress.updateStepProgress(100, 'Login completed');
+    }, { attempt });
+  }, {
+    retries: config.get('retry.attempts'),
+    delay: config.get('retry.delay'),
+    name: 'login process',
+    shouldRetry: ErrorHandler.shouldRetry,
+    onRetry: async (error) => {
+      progress.addWarning('Login', `Retrying login process: ${error.message}`);
+    }
+  });
+  progress.completeStep('Login Process');
 
-    // SESSION SETUP
-    progress.addStep('Session Setup');
+  // SESSION SETUP
+  progress.addStep('Session Setup');
+  if (loginScreen === 'staySignedIn') {
     await ErrorHandler.withErrorHandler(page, 'stay-signed-in', async () => {
-      try {
-        await page.waitForSelector('#idSIButton9', { timeout: config.get('browser.timeout.element') });
-        await page.click('#idSIButton9');
-        progress.updateStepProgress(100, 'Session setup completed');
-      } catch {
-        logger.info('Stay signed in prompt not shown');
-        progress.updateStepProgress(100, 'No session prompt needed');
+      await loginPage.confirmStaySignedIn();
+      progress.updateStepProgress(100, 'Session setup completed');
+    }, { optional: true });
+  } else {
+    logger.info('Stay signed in prompt not shown');
+    progress.updateStepProgress(100, 'No session prompt needed');
+  }
+  if (sessionStore && sessionStore.isEnabled()) {
+    try {
+      await transfersPage.waitFor('userAvatar', config.get('browser.timeout.navigation'));
+      sessionStore.save(await page.context().storageState());
+    } catch (error) {
+      logger.warn(`Login session not saved: ${error.message}`);
+    }
+  }
+  progress.completeStep('Session Setup');
+}
+
+/* ===================== Navigate to Transfers ===================== */
+async function navigateToTransfers(page, progress) {
+  const transfersPage = new TransfersPage(page);
+  // NAVIGATION
+  progress.addStep('Navigation');
+  await retry(async (attempt) => {
+    await ErrorHandler.withErrorHandler(page, 'navigation', async () => {
+      progress.updateStepProgress(20, 'Waiting for dashboard');
+      await transfersPage.waitForDashboard();
+      progress.updateStepProgress(50, 'Accessing inventory menu');
+      await transfersPage.openInventoryMenu();
+      progress.updateStepProgress(80, 'Navigating to transfers');
+      await transfersPage.openTransfers();
+      progress.updateStepProgress(100, 'Navigation completed');
+    }, { attempt });
+  }, {
+    retries: config.get('retry.attempts'),
+    delay: config.get('retry.delay'),
+    name: 'navigation',
+    shouldRetry: ErrorHandler.shouldRetry,
+    onRetry: async (error) => {
+      progress.addWarning('Navigation', `Retrying navigation: ${error.message}`);
+    }
+  });
+  progress.completeStep('Navigation');
+}
+
+/* ===================== Start a New Transfer ===================== */
+async function startNewTransfer(page, transferData, progress) {
+  const transfersPage = new TransfersPage(page);
+  const formPage = new TransferFormPage(page);
+
+  // TRANSFER CREATION
+  progress.addStep('Transfer Creation');
+  await ErrorHandler.withErrorHandler(page, 'create-transfer', async () => {
+    progress.updateStepProgress(30, 'Creating new transfer');
+    await transfersPage.startNewTransfer();
+    progress.updateStepProgress(70, 'Selecting BioTrack');
+    await formPage.enableBioTrack();
+    progress.updateStepProgress(100, 'Transfer initialized');
+  });
+  progress.completeStep('Transfer Creation');
+
+  // DETAILS ENTRY
+  progress.addStep('Details Entry');
+  await retry(async (attempt) => {
+    await ErrorHandler.withErrorHandler(page, 'fill-details', async () => {
+      // Validate transferData before proceeding
+      if (!transferData.toStore || !transferData.driver1 || !transferData.departureDate || !transferData.departureTime || !transferData.arrivalTime) {
+        logger.error('Missing required fields in transferData:', transferData);
+        throw new Error('Missing required fields in transferData');
       }
-    });
-    progress.completeStep('Session Setup');
-
-    // NAVIGATION
-    progress.addStep('Navigation');
-    await retry(async () => {
-      await ErrorHandler.withErrorHandler(page, 'navigation', async () => {
-        progress.updateStepProgress(20, 'Waiting for dashboard');
-        await page.waitForSelector('.rac-header__user-avatar', { timeout: config.get('browser.timeout.navigation') });
-        await page.waitForLoadState('networkidle');
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        progress.updateStepProgress(50, 'Accessing inventory menu');
-        try {
-          await page.waitForSelector('div[title="Inventory"]', { timeout: config.get('browser.timeout.element') });
-          await page.click('div[title="Inventory"]');
-        } catch {
-          logger.info('Inventory menu might already be expanded');
-        }
-        progress.updateStepProgress(80, 'Navigating to transfers');
-        await page.waitForSelector('a[data-id="portal:dashboards:main_link_inventory-transfers"]');
-        await page.click('a[data-id="portal:dashboards:main_link_inventory-transfers"]');
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        progress.updateStepProgress(100, 'Navigation completed');
-      });
-    }, {
-      retries: config.get('retry.attempts'),
-      delay: config.get('retry.delay'),
-      name: 'navigation',
-      onRetry: async (error) => {
-        progress.addWarning('Navigation', 'Retrying navigation');
-        await ErrorHandler.handleError(page, error, 'navigation-retry');
+
+      await formPage.selectStore(transferData.toStore);
+      await formPage.selectDriver('driver1', transferData.driver1);
+      if (transferData.driver2) {
+        await formPage.selectDriver('driver2', transferData.driver2);
       }
-    });
-    progress.completeStep('Navigation');
+      await formPage.selectVehicle(transferData.vehicle);
 
-    // TRANSFER CREATION
-    progress.addStep('Transfer Creation');
-    await ErrorHandler.withErrorHandler(page, 'create-transfer', async () => {
-      progress.updateStepProgress(30, 'Creating new transfer');
-      await page.getByRole('button', { name: 'New transfer' }).click();
-      await page.waitForTimeout(config.get('browser.timeout.animation'));
-      progress.updateStepProgress(70, 'Selecting BioTrack');
-      await page.waitForSelector('div.rac-field__self');
-      await page.evaluate(() => {
-        const radios = document.querySelectorAll('input[type="checkbox"]');
-        for (const radio of radios) {
-          if (!radio.checked) radio.click();
-        }
-      });
-      await page.waitForTimeout(config.get('browser.timeout.animation'));
-      progress.updateStepProgress(100, 'Transfer initialized');
-    });
-    progress.completeStep('Transfer Creation');
+      // Departure and Arrival Dates/Times
+      await formPage.setDate('departureDate', formatDateForInput(transferData.departureDate, transferData.departureTime));
+      await formPage.setDate('arrivalDate', formatDateForInput(transferData.departureDate, transferData.arrivalTime));
 
-    // DETAILS ENTRY
-    progress.addStep('Details Entry');
-    await retry(async () => {
-      await ErrorHandler.withErrorHandler(page, 'fill-details', async () => {
-        // Validate transferData before proceeding
-        if (!transferData.toStore || !transferData.driver1 || !transferData.departureDate || !transferData.departureTime || !transferData.arrivalTime) {
-          logger.error('Missing required fields in transferData:', transferData);
-          throw new Error('Missing required fields in transferData');
-        }
+      await formPage.setRoute(transferData.route || 'Default Route');
 
-        // Click the "To store*" dropdown
-        await page.locator('div').filter({ hasText: /^To store\*$/ }).locator('div').nth(1).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await page.locator('li').filter({ hasText: transferData.toStore }).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-
-        // Driver 1
-        await page.locator('input[name="\\$\\$biotrackFl\\$biotrackDriver1"]').click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        const driver1Options = await page.locator('li').allTextContents();
-        const driver1Option = page.locator('li').filter({ hasText: transferData.driver1 });
-        if (await driver1Option.count() === 0) {
-          logger.error(`Driver 1 "${transferData.driver1}" not found in options:`, driver1Options);
-          throw new Error(`Driver 1 "${transferData.driver1}" not found`);
-        }
-        await driver1Option.first().click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-
-        // Driver 2
-        if (transferData.driver2) {
-          await page.locator('input[name="\\$\\$biotrackFl\\$biotrackDriver2"]').click();
-          await page.waitForTimeout(config.get('browser.timeout.animation'));
-          const driver2Options = await page.locator('li').allTextContents();
-          const driver2Option = page.locator('li').filter({ hasText: transferData.driver2 });
-          if (await driver2Option.count() === 0) {
-            logger.error(`Driver 2 "${transferData.driver2}" not found in options:`, driver2Options);
-            throw new Error(`Driver 2 "${transferData.driver2}" not found`);
-          }
-          await driver2Option.first().click();
-          await page.waitForTimeout(config.get('browser.timeout.animation'));
-        }
+      progress.updateStepProgress(100, 'Details completed');
+    }, { attempt });
+  }, {
+    retries: config.get('retry.attempts'),
+    delay: config.get('retry.delay'),
+    name: 'fill-details',
+    shouldRetry: ErrorHandler.shouldRetry,
+    onRetry: async (error) => {
+      progress.addWarning('Details', `Retrying details entry: ${error.message}`);
+    }
+  });
+  progress.completeStep('Details Entry');
+}
 
-        // Vehicle
-        await page.locator('input[name="\\$\\$biotrackFl\\$biotrackVehicle"]').click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        if (transferData.vehicle) {
-          const vehicleOptions = await page.locator('li').allTextContents();
-          const vehicleOption = page.locator('li').filter({ hasText: transferData.vehicle });
-          if (await vehicleOption.count() === 0) {
-            logger.error(`Vehicle "${transferData.vehicle}" not found in options:`, vehicleOptions);
-            throw new Error(`Vehicle "${transferData.vehicle}" not found`);
-          }
-          await vehicleOption.first().click();
-        } else {
-          logger.info('No vehicle specified, skipping vehicle selection');
-        }
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-
-        // Departure and Arrival Dates/Times
-        const departureDateFormatted = formatDateForInput(transferData.departureDate, transferData.departureTime);
-        const arrivalDateFormatted = formatDateForInput(transferData.departureDate, transferData.arrivalTime);
-
-        await page.locator('div').filter({ hasText: /^Approximate departure date\*$/ }).locator('div').nth(1).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await page.getByPlaceholder('MM-DD-YYYY hh:mm A').fill(departureDateFormatted);
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await page.locator('button').filter({ hasText: 'Ok' }).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-
-        await page.locator('div').filter({ hasText: /^Approximate arrival date\*$/ }).locator('div').nth(1).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await page.getByPlaceholder('MM-DD-YYYY hh:mm A').fill(arrivalDateFormatted);
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await page.locator('button').filter({ hasText: 'Ok' }).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-
-        // Route
-        await page.locator('textarea[name="\\$\\$biotrackFl\\$plannedRoad"]').click();
-        await page.locator('textarea[name="\\$\\$biotrackFl\\$plannedRoad"]').fill(transferData.route || 'Default Route');
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-
-        progress.updateStepProgress(100, 'Details completed');
-      });
-    }, {
-      retries: config.get('retry.attempts'),
-      delay: config.get('retry.delay'),
-      name: 'fill-details',
-      onRetry: async (error) => {
-        progress.addWarning('Details', 'Retrying details entry');
-        await ErrorHandler.handleError(page, error, 'fill-details-retry');
-      }
+/* ===================== Existing Draft Check ===================== */
+// Looks on the SweedPos transfers list for a draft to the same destination departing the same day.
+async function checkExistingDrafts(page, transferData) {
+  const drafts = await new TransfersPage(page).findDrafts(transferData.toStore, transferData.departureDate);
+  if (drafts.length > 0) {
+    throw new DuplicateSubmissionError(
+      `SweedPos already has a draft to ${transferData.toStore} departing that day (${drafts.join('; ')}). Use --allow-duplicate to create another one.`,
+      drafts.map(row => ({ sweedPos: row }))
+    );
+  }
+}
+
+/* ===================== Resume ===================== */
+// The journal confirms a row as soon as its quantity is entered, but the draft only keeps the lines
+// saved by "Update draft". Compares the journal with the lines the reopened draft holds: confirmed
+// rows without a line are marked missing so the loop adds them again, and a line for the row that
+// was in flight gets its quantity.
+async function reconcileDraft(page, journal, transferData, storeRun = null) {
+  const planned = buildTransferPlan(transferData).products.filter(product => product.action === 'add');
+  const pendingRow = journal.getPendingRow();
+  const expected = planned.filter(product => journal.isProductConfirmed(product.row) || product.row === pendingRow);
+  if (expected.length === 0) return;
+
+  const lines = await scrapeDraftLines(page);
+  const { missing } = diffDraft(expected, lines);
+  const missingRows = new Set(missing.map(row => row.row));
+  const dropped = missing.filter(row => row.row !== pendingRow);
+  dropped.forEach(row => journal.recordProductMissing(row.row, { barcode: row.barcode, qty: row.qty }));
+  if (dropped.length > 0) {
+    logger.warn(`${dropped.length} row(s) confirmed by the previous run are not on the draft and will be added again`, {
+      rows: dropped.map(row => row.row),
+      linesOnDraft: lines.length
     });
-    progress.completeStep('Details Entry');
-
-    // -------------------- PRODUCT PROCESSING --------------------
-    progress.addStep('Product Processing');
-    await ErrorHandler.withErrorHandler(page, 'process-products', async () => {
-      await page.waitForSelector('button:has-text("Create transfer")', { timeout: config.get('browser.timeout.element') });
-      await page.getByRole('button', { name: 'Create transfer' }).click();
-      await page.waitForTimeout(config.get('browser.timeout.animation'));
-      await page.waitForTimeout(config.get('browser.timeout.navigation'));
-
-      const maxProducts = config.get('processing.maxProducts') || transferData.transferData.length;
-      const selectedStore = transferData.store;
-      const unitColumn = `${selectedStore} Units`;
-      const caseColumn = `${selectedStore} Cases`;
-
-      // Check if the selected store has data in the Excel sheet
-      if (!transferData.headers.includes(unitColumn) && !transferData.headers.includes(caseColumn)) {
-        logger.info(`No data found for store ${selectedStore} in Excel sheet. Skipping product processing.`);
-        progress.updateStepProgress(100, 'No products to process for this store');
-        return;
-      }
+  }
 
-      for (let i = 0; i < Math.min(maxProducts, transferData.transferData.length); i++) {
-        const row = transferData.transferData[i];
-        logger.info(`Processing row ${i + 1} of ${maxProducts}:`, { row });
+  // Only the last line can be the one in flight; its quantity may not have been entered
+  const pending = pendingRow && !missingRows.has(pendingRow) ? planned.find(product => product.row === pendingRow) : null;
+  if (pending) {
+    logger.info(`Completing product line for row ${pendingRow} left unconfirmed by the previous run`);
+    await new DraftPage(page).setLastQuantity(pending.qty);
+    journal.recordProductConfirmed(pendingRow, { barcode: pending.barcode, qty: pending.qty });
+    storeRun?.recordRow(pendingRow, 'added', { barcode: pending.barcode, qty: pending.qty });
+  }
+}
 
-        const qty = row[unitColumn] || row[caseColumn] || '0'; // Default to 0 if no units or cases
+/* ===================== Create a Single Store Transfer ===================== */
+// storeRun (a StoreRun of the run history) receives the draft, every row's outcome and the files written.
+async function createStoreTransfer(page, transferData, progress, storeRun = null) {
+  const formPage = new TransferFormPage(page);
+  const pickerPage = new ProductPickerPage(page);
+  const draftPage = new DraftPage(page);
+  const productStats = { added: 0, skipped: 0, resumed: 0, needsReview: 0 };
+  const reviewList = [];
+  const journal = CheckpointJournal.forTransfer(transferData, { resume: transferData.resume });
+  const resumeUrl = transferData.resume ? journal.getDraftUrl() : null;
+  journal.recordPhase('login');
+  storeRun?.addArtifact('checkpoint', journal.filePath);
+  if (resumeUrl) storeRun?.recordDraft(resumeUrl);
 
-        if (!row['Last 4 of Barcode'] || row['Last 4 of Barcode'] === 'N/A' || qty === '0') {
-          logger.warn(`Skipping row ${i + 1}: Barcode not found or no quantity`);
-          continue;
-        }
+  if (resumeUrl && journal.hasPhase('finalized')) {
+    logger.info(`Draft transfer for ${transferData.store} was already finalized by the previous run, nothing to resume`, { url: resumeUrl });
+    return { ...productStats, resumed: journal.getConfirmedCount() };
+  }
+  if (resumeUrl) {
+    logger.info(`Resuming draft transfer for ${transferData.store}`, { url: resumeUrl, confirmed: journal.getConfirmedCount() });
+  } else {
+    if (config.get('duplicates.checkSweedPos') && !transferData.allowDuplicate) {
+      await checkExistingDrafts(page, transferData);
+    }
+    await startNewTransfer(page, transferData, progress);
+    journal.recordPhase('details');
+  }
 
-        const searchQuery = row['Last 4 of Barcode'];
+  // -------------------- PRODUCT PROCESSING --------------------
+  progress.addStep('Product Processing');
+  await ErrorHandler.withErrorHandler(page, 'process-products', async () => {
+    if (resumeUrl) {
+      progress.updateStepProgress(5, 'Reopening draft transfer');
+      await page.goto(resumeUrl);
+      await pickerPage.waitForDraft();
+      await reconcileDraft(page, journal, transferData, storeRun);
+    } else {
+      await formPage.createTransfer();
+      journal.recordPhase('draft-created', { url: page.url() });
+      storeRun?.recordDraft(page.url());
+    }
 
-        await page.waitForSelector('button:has-text("Add product manually")', { timeout: config.get('browser.timeout.element') });
-        await page.getByRole('button', { name: 'Add product manually' }).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
+    const maxProducts = config.get('processing.maxProducts') || transferData.transferData.length;
+    const selectedStore = transferData.store;
+    const unitColumn = `${selectedStore} Units`;
+    const caseColumn = `${selectedStore} Cases`;
 
-        const searchBox = await page.getByRole('textbox', { name: 'Search' });
-        await searchBox.click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await searchBox.fill(searchQuery);
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
+    // Check if the selected store has data in the Excel sheet
+    if (!transferData.headers.includes(unitColumn) && !transferData.headers.includes(caseColumn)) {
+      logger.info(`No data found for store ${selectedStore} in Excel sheet. Skipping product processing.`);
+      progress.updateStepProgress(100, 'No products to process for this store');
+      return;
+    }
 
-        if (await page.getByText('No items found').isVisible()) {
-          await searchBox.fill('');
-          await page.waitForTimeout(config.get('browser.timeout.animation'));
-          await searchBox.fill(row['Last 4 of Barcode']);
-          await page.waitForTimeout(config.get('browser.timeout.animation'));
-        }
+    const matcher = new ProductMatcher();
+    const interactiveMatch = (transferData.interactiveMatch || config.get('productMatching.interactive')) && process.stdin.isTTY;
 
-        await page.getByRole('listitem').first().click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await page.getByRole('button', { name: 'Apply' }).click();
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        await page.mouse.click(1200, 600);
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
-        const qtyInput = page.locator('input[name="qty"]').last();
-        await qtyInput.click();
-        await qtyInput.fill(qty);
-        await page.waitForTimeout(config.get('browser.timeout.animation'));
+    const rowCount = Math.min(maxProducts, transferData.transferData.length);
+    for (let i = 0; i < rowCount; i++) {
+      // Pause and Abort in the desktop app take effect here, between two products
+      if (!(await runControl.proceed())) break;
+      const row = transferData.transferData[i];
+      const rowKey = row['#'] || String(i + 1);
+      logger.info(`Processing row ${i + 1} of ${maxProducts}:`, { row });
+      progress.updateStepProgress(Math.round((i / rowCount) * 100), `Row ${i + 1} of ${rowCount}`);
+
+      const { qty, skipReason } = planProductRow(row, selectedStore);
+
+      if (skipReason) {
+        logger.warn(`Skipping row ${i + 1}: ${skipReason}`);
+        storeRun?.recordRow(rowKey, 'skipped', { barcode: row['Last 4 of Barcode'], reason: skipReason });
+        productStats.skipped++;
+        continue;
       }
-      progress.updateStepProgress(100, 'Products processed');
-    });
-    progress.completeStep('Product Processing');
 
-    // FINALIZATION
-    progress.addStep('Finalization');
-    await retry(async () => {
+      if (journal.isProductConfirmed(rowKey)) {
+        logger.info(`Row ${i + 1} already added by the previous run, skipping`);
+        storeRun?.recordRow(rowKey, 'resumed', { barcode: row['Last 4 of Barcode'], qty });
+        productStats.resumed++;
+        continue;
+      }
+
+      const searchQuery = row['Last 4 of Barcode'];
+
+      await pickerPage.open();
+      // Score every search result against the row instead of trusting the first hit
+      const results = await pickerPage.search(searchQuery);
+      const decision = matcher.match(row, results);
+      let resultIndex = decision.index;
+      if (decision.status !== 'matched' && interactiveMatch && results.length > 0) {
+        resultIndex = await promptForMatch(row, decision);
+      }
+      if (resultIndex === null) {
+        logger.warn(`Row ${i + 1}: ${decision.reason}, adding it to the review list`);
+        reviewList.push({ row: rowKey, barcode: searchQuery, status: decision.status, reason: decision.reason, candidates: decision.candidates });
+        storeRun?.recordRow(rowKey, 'needs-review', { barcode: searchQuery, qty, reason: decision.reason });
+        productStats.needsReview++;
+        await pickerPage.cancel();
+        continue;
+      }
+
+      journal.recordProductStarted(rowKey);
+      await pickerPage.pick(resultIndex);
+      await draftPage.setLastQuantity(qty);
+      journal.recordProductConfirmed(rowKey, { barcode: searchQuery, qty });
+      storeRun?.recordRow(rowKey, 'added', { barcode: searchQuery, qty, product: results[resultIndex] });
+      productStats.added++;
+    }
+    progress.updateStepProgress(100, 'Products processed');
+  });
+  storeRun?.addArtifact('review', await writeReviewList(transferData.store, reviewList));
+  runControl.throwIfAborted();
+  progress.completeStep('Product Processing');
+
+  // FINALIZATION
+  progress.addStep('Finalization');
+  await retry(async (attempt) => {
+    await ErrorHandler.withErrorHandler(page, 'finalization', async () => {
       progress.updateStepProgress(50, 'Applying changes');
-      await page.getByRole('button', { name: 'Apply' }).click();
-      await page.waitForTimeout(config.get('browser.timeout.animation'));
+      await draftPage.apply();
 
       // Check if split is requested and handle the Split All action
       if (transferData.split) {
         logger.info('Split option selected, clicking "Split All" button');
-        await page.getByRole('button', { name: 'Split All' }).click(); // Left-click (default)
-        logger.info('Waiting 30 seconds after Split All action');
-        await page.waitForTimeout(30000); // Wait 30 seconds as required
+        await draftPage.splitAll();
+        logger.info('Split All finished');
       } else {
         logger.info('Split option not selected, skipping Split All');
       }
 
       progress.updateStepProgress(90, 'Updating draft');
-      await page.getByRole('button', { name: 'Update draft' }).click(); // Left-click (default)
-      await page.waitForTimeout(config.get('browser.timeout.animation'));
+      await draftPage.updateDraft();
       progress.updateStepProgress(100, 'Transfer finalized');
-    }, {
-      retries: config.get('retry.attempts'),
-      delay: config.get('retry.delay'),
-      name: 'finalization',
-      onRetry: async (error) => {
-        progress.addWarning('Finalization', 'Retrying finalization');
-        await ErrorHandler.handleError(page, error, 'finalization-retry');
-      }
-    });
-    progress.completeStep('Finalization');
+    }, { attempt });
+  }, {
+    retries: config.get('retry.attempts'),
+    delay: config.get('retry.delay'),
+    name: 'finalization',
+    shouldRetry: ErrorHandler.shouldRetry,
+    onRetry: async (error) => {
+      progress.addWarning('Finalization', `Retrying finalization: ${error.message}`);
+    }
+  });
+  progress.completeStep('Finalization');
+  journal.recordPhase('finalized');
+
+  // VERIFICATION
+  if (config.get('verification.enabled')) {
+    progress.addStep('Verification');
+    // Rows sent to the review list were never added, so only confirmed rows are expected on the draft
+    const expected = buildTransferPlan(transferData).products
+      .filter(product => product.action === 'add' && journal.isProductConfirmed(product.row));
+    progress.updateStepProgress(30, 'Reading draft back');
+    // verifyDraft writes the report whether or not the draft matches
+    storeRun?.addArtifact('verification', getVerificationReportPath(transferData.store));
+    const report = await verifyDraft(page, expected, transferData.store);
+    productStats.verified = report.matched;
+    progress.updateStepProgress(100, 'Draft matches manifest');
+    progress.completeStep('Verification');
+  }
+
+  return productStats;
+}
+
+/* ===================== Main Automation Process ===================== */
+// run (a RunRecorder) is optional; without it nothing is written to the run history.
+async function createTransferProcess(transferData, run = null) {
+  await runControl.checkpoint();
+  const progress = new EnhancedProgressTracker(9, 'Transfer Creation');
+  run?.attachProgress(progress);
+  const storeRun = run?.startStore(transferData);
+  const sessionStore = new SessionStore();
+  const { browser, page, sessionRestored } = await launchBrowser({ sessionStore });
+  try {
+    await loginToSweedPos(page, progress, { sessionStore, sessionRestored });
+    await navigateToTransfers(page, progress);
+    const stats = await createStoreTransfer(page, transferData, progress, storeRun);
+    storeRun?.complete(stats);
+    return stats;
   } catch (error) {
+    if (error instanceof RunAbortedError) {
+      storeRun?.abort(error);
+      throw error;
+    }
     progress.addError(progress.steps[progress.currentStep]?.name || 'Unknown Step', error);
-    await ErrorHandler.handleError(page, error, 'transfer-creation');
+    const handled = ErrorHandler.getStepError(error) ? null : await ErrorHandler.handleError(page, error, 'transfer-creation');
+    storeRun?.fail(error, handled?.state);
     throw error;
   } finally {
+    await closeBrowser(browser, progress);
+  }
+}
+
+/* ===================== Multi-Store Helpers ===================== */
+// Finds every "<Store> Units" / "<Store> Cases" column pair in the sheet headers.
+function discoverStoreColumns(headers) {
+  const stores = new Map();
+  headers.forEach(header => {
+    const match = /^(.+) (Units|Cases)$/.exec(header);
+    if (!match || match[1] === 'Total') return;
+    const store = match[1];
+    if (!stores.has(store)) stores.set(store, { store, unitColumn: null, caseColumn: null });
+    if (match[2] === 'Units') stores.get(store).unitColumn = header;
+    else stores.get(store).caseColumn = header;
+  });
+  return Array.from(stores.values());
+}
+
+// Builds the createStoreTransfer input for one store from the shared confirmation values and store defaults.
+function buildStoreTransferData(store, baseConfig, transferData) {
+  const storeConfig = storeRegistry.get(store) || {};
+  return {
+    ...baseConfig,
+    ...transferData,
+    store,
+    toStore: storeConfig.toStore,
+    vehicle: baseConfig.vehicle || storeConfig.vehicles?.[0] || '',
+    route: baseConfig.route || storeConfig.route || '',
+    driver1: storeConfig.drivers?.driver1 || '',
+    driver2: storeConfig.drivers?.driver2 || '',
+    departureTime: storeConfig.departureTime || baseConfig.departureTime,
+    arrivalTime: storeConfig.arrivalTime || baseConfig.arrivalTime,
+    ...baseConfig.overrides
+  };
+}
+
+// Returns the reason a store cannot be processed, or null when it is ready.
+function getStoreSkipReason(storeColumns, storeData) {
+  if (!storeRegistry.has(storeColumns.store)) return 'No store registry entry found';
+  if (!storeData.driver1 || !storeData.departureTime || !storeData.arrivalTime) {
+    return 'Store registry entry has no default driver or departure/arrival times';
+  }
+  const hasProducts = storeData.transferData.some(row => !planProductRow(row, storeColumns.store).skipReason);
+  if (!hasProducts) return 'No products with a quantity for this store';
+  return null;
+}
+
+function logStoreSummary(results) {
+  console.log('\n' + colors.bold('=== Store Transfer Summary ==='));
+  results.forEach(result => {
+    const line = `• ${result.store}: ${result.status}`;
+    if (result.status === 'created') {
+      const verified = result.verified !== undefined ? ` | Verified on draft: ${result.verified}` : '';
+      const review = result.needsReview ? ` | Needs review: ${result.needsReview}` : '';
+      console.log(colors.green(`${line} | Products added: ${result.added} | Rows skipped: ${result.skipped}${verified}${review}`));
+    } else if (result.status === 'skipped' || result.status === 'aborted') {
+      console.log(colors.yellow(`${line} | ${result.reason}`));
+    } else {
+      console.log(colors.red(`${line} | ${result.reason}`));
+    }
+  });
+  logger.info('Store transfer summary', { results });
+}
+
+/* ===================== Multi-Store Automation Process ===================== */
+async function createMultiStoreTransferProcess(baseConfig, transferData, run = null) {
+  const storeColumns = discoverStoreColumns(transferData.headers);
+  const progress = new EnhancedProgressTracker(3 + storeColumns.length * 6, 'Multi-Store Transfer Creation');
+  run?.attachProgress(progress);
+  const results = [];
+  const sessionStore = new SessionStore();
+  const { browser, page, sessionRestored } = await launchBrowser({ sessionStore });
+  try {
+    await loginToSweedPos(page, progress, { sessionStore, sessionRestored });
+
+    for (const columns of storeColumns) {
+      await runControl.checkpoint();
+      const storeData = buildStoreTransferData(columns.store, baseConfig, transferData);
+      const storeRun = run?.startStore(storeData);
+      const skipReason = getStoreSkipReason(columns, storeData);
+      if (skipReason) {
+        logger.warn(`Skipping store ${columns.store}: ${skipReason}`);
+        progress.addWarning(columns.store, skipReason);
+        storeRun?.skip(skipReason);
+        results.push({ store: columns.store, status: 'skipped', reason: skipReason });
+        continue;
+      }
+
+      try {
+        await navigateToTransfers(page, progress);
+        logger.info(`Creating transfer for store ${columns.store}`);
+        const stats = await createStoreTransfer(page, storeData, progress, storeRun);
+        storeRun?.complete(stats);
+        results.push({ store: columns.store, status: 'created', ...stats });
+      } catch (error) {
+        if (error instanceof RunAbortedError) {
+          storeRun?.abort(error);
+          results.push({ store: columns.store, status: 'aborted', reason: error.message });
+          throw error;
+        }
+        progress.addError(columns.store, error);
+        const handled = ErrorHandler.getStepError(error) ? null : await ErrorHandler.handleError(page, error, `transfer-creation-${columns.store}`);
+        storeRun?.fail(error, handled?.state);
+        results.push({ store: columns.store, status: 'failed', reason: error.message });
+      }
+    }
+  } catch (error) {
+    if (!(error instanceof RunAbortedError)) {
+      progress.addError(progress.steps[progress.currentStep]?.name || 'Unknown Step', error);
+      if (!ErrorHandler.getStepError(error)) await ErrorHandler.handleError(page, error, 'multi-store-transfer-creation');
+    }
+    throw error;
+  } finally {
+    await closeBrowser(browser, progress);
+    logStoreSummary(results);
+  }
+  return results;
+}
+
+/* ===================== Read Manifest ===================== */
+function checkManifest({ transferData, stores, headers, confidence, source, layout }) {
+  confidence.warnings.forEach(warning => logger.warn(`Manifest${source.sheet ? ` [${source.sheet}]` : ''}: ${warning}`));
+  storeRegistry.requireStores(stores);
+  return { transferData, stores, headers, source, layout };
+}
+
+// Reads one sheet (the first unless options.sheet names or numbers another) of a workbook, CSV/TSV or JSON manifest.
+function readTransferData(manifestPath, { sheet } = {}) {
+  return checkManifest(readManifest(manifestPath, { sheet }));
+}
+
+// Reads every sheet holding a product table as a manifest of its own, e.g. one sheet per day.
+function readAllTransferData(manifestPath) {
+  return readAllManifests(manifestPath).map(checkManifest);
+}
+
+/* ===================== Planned Stores ===================== */
+// Returns the createStoreTransfer input for every store the run would process.
+function getPlannedStores(userConfig, transferData) {
+  if (!userConfig.multiStore) return [{ ...userConfig, ...transferData }];
+  const planned = [];
+  discoverStoreColumns(transferData.headers).forEach(columns => {
+    const storeData = buildStoreTransferData(columns.store, userConfig, transferData);
+    const skipReason = getStoreSkipReason(columns, storeData);
+    if (skipReason) {
+      logger.warn(`Store ${columns.store} will be skipped: ${skipReason}`);
+      return;
+    }
+    planned.push(storeData);
+  });
+  return planned;
+}
+
+/* ===================== Dry Run ===================== */
+// Writes the plan of what the automation would do without launching a browser. The plan is written
+// even when validation fails, but the run then ends as the real run would, with VALIDATION_FAILED.
+async function runDryRun(plannedStores, reports, run) {
+  const plans = plannedStores.map((storeData, index) => ({
+    ...buildTransferPlan(storeData),
+    validation: reports[index]
+  }));
+  run.addArtifact('plan', await writeTransferPlan(plans));
+  if (reports.some(report => !report.valid)) {
+    logger.error('Manifest validation failed, the real run would create no transfer. See temp/validation-report.json');
+    reports.forEach(report => report.errors.forEach(error => run.addError(`${report.store}: ${error.message}`)));
+    run.finish('validation-failed', EXIT_CODES.VALIDATION_FAILED);
+    return EXIT_CODES.VALIDATION_FAILED;
+  }
+  run.finish('dry-run', EXIT_CODES.SUCCESS);
+  return EXIT_CODES.SUCCESS;
+}
+
+/* ===================== Duplicate Submissions ===================== */
+function logDuplicateSubmissions(duplicates) {
+  console.log('\n' + colors.bold(colors.yellow('=== Already Submitted ===')));
+  duplicates.forEach(duplicate => {
+    console.log(colors.yellow(`⚠ ${duplicate.store}: same products and departure day as ${duplicate.submissions.length} earlier submission(s)`));
+    duplicate.submissions.forEach(submission => {
+      const draft = submission.draftUrl ? ` | ${submission.draftUrl}` : '';
+      console.log(colors.yellow(`    Run ${submission.runId.slice(0, 8)} on ${new Date(submission.startedAt).toLocaleString('en-US')} by ${submission.operator} (${submission.status})${draft}`));
+    });
+  });
+  logger.warn('Transfer matches earlier submissions', { duplicates });
+}
+
+/* ===================== Finish Run ===================== */
+// Records how the run ended, writes the run reports when it got as far as a store transfer,
+// and sends the notifications.
+async function finishRun({ run, notifier, transferData, reportsDir }, status, exitCode, error = null) {
+  run.end(status, exitCode, error);
+  if (run.record.stores.length > 0 && config.get('reports.enabled') !== false) {
     try {
-      progress.addStep('Cleanup');
-      await browser.close();
-      progress.updateStepProgress(100, 'Browser closed');
-      progress.completeStep('Cleanup');
-      progress.finish();
-    } catch (error) {
-      logger.error('Error closing browser:', error);
-      progress.addError('Cleanup', error);
+      const reports = await writeRunReports(run.record, transferData, process.cwd(), reportsDir);
+      Object.entries(reports).forEach(([name, filePath]) => run.addArtifact(`${name}Report`, filePath));
+    } catch (reportError) {
+      logger.error('Could not write the run reports:', reportError);
     }
   }
+  run.write();
+  runEvents.publish('run-finished', { runId: run.record.runId, status, exitCode, error: error ? error.message : null, report: run.record.artifacts.htmlReport || null });
+  await notifier.notifyFinished(run.record);
 }
 
-/* ===================== Main Execution Block ===================== */
-(async () => {
-  const progress = new EnhancedProgressTracker(4, 'Overall Process');
+/* ===================== Run Transfer ===================== */
+// Runs the automation for a confirmed config and returns the process exit code. Every run is
+// recorded in the run history (see src/history), including dry runs and failed validations.
+// options.reportsDir replaces paths.reports, e.g. to keep the reports next to a watched manifest.
+async function runTransfer(userConfig, transferData, { reportsDir } = {}) {
+  const run = RunRecorder.start({ userConfig, transferData });
+  const notifier = new Notifier();
+  const context = { run, notifier, transferData, reportsDir };
   try {
-    const rootDir = process.cwd();
-    progress.addStep('File Detection');
-    const excelPath = await selectExcelFile(rootDir);
-    progress.completeStep('File Detection');
+    if (!userConfig.dryRun) await notifier.notify('start', run.record);
+    const plannedStores = getPlannedStores(userConfig, transferData);
+    const reports = plannedStores.map(storeData => validateTransfer(storeData));
+    run.addArtifact('validation', await writeValidationReport(reports));
+    // A resumed run continues its own draft, so matching the earlier attempt is expected
+    const duplicates = userConfig.resume || config.get('duplicates.enabled') === false ? [] : findDuplicateSubmissions(plannedStores);
+    if (duplicates.length > 0) logDuplicateSubmissions(duplicates);
+
+    if (userConfig.dryRun) {
+      logger.info('Dry run requested, no browser will be launched');
+      return await runDryRun(plannedStores, reports, run);
+    }
+    if (reports.some(report => !report.valid)) {
+      logger.error('Manifest validation failed, no transfer was created. See temp/validation-report.json');
+      reports.forEach(report => report.errors.forEach(error => run.addError(`${report.store}: ${error.message}`)));
+      await finishRun(context, 'validation-failed', EXIT_CODES.VALIDATION_FAILED);
+      return EXIT_CODES.VALIDATION_FAILED;
+    }
+    if (duplicates.length > 0 && !userConfig.allowDuplicate) {
+      logger.error('This manifest was already submitted, no transfer was created. Use --allow-duplicate (or "Submit again anyway") to submit it again.');
+      duplicates.forEach(duplicate => run.addError(`${duplicate.store}: already submitted by run ${duplicate.submissions[0].runId}`));
+      await finishRun(context, 'duplicate', EXIT_CODES.DUPLICATE_SUBMISSION);
+      return EXIT_CODES.DUPLICATE_SUBMISSION;
+    }
+    if (duplicates.length > 0) logger.warn('Submitting again, the duplicate check was overridden');
 
+    run.addArtifact('transferData', await writeTempData({ ...userConfig, ...transferData }, run.runId));
+    logger.info('Starting transfer process with data:', userConfig);
+    if (userConfig.multiStore) {
+      const results = await createMultiStoreTransferProcess(userConfig, transferData, run);
+      const failed = results.filter(result => result.status === 'failed');
+      if (failed.length > 0) {
+        logger.error(`Transfer creation failed for: ${failed.map(result => result.store).join(', ')}`);
+        await finishRun(context, 'partial', EXIT_CODES.PARTIAL_FAILURE);
+        return EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } else {
+      await createTransferProcess({ ...userConfig, ...transferData }, run);
+    }
+    logger.info('Transfer process completed successfully');
+    await finishRun(context, 'succeeded', EXIT_CODES.SUCCESS);
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    if (error instanceof DuplicateSubmissionError) await finishRun(context, 'duplicate', EXIT_CODES.DUPLICATE_SUBMISSION, error);
+    else if (error instanceof RunAbortedError) await finishRun(context, 'aborted', EXIT_CODES.ABORTED, error);
+    else await finishRun(context, 'failed', EXIT_CODES.TRANSFER_FAILED, error);
+    throw error;
+  }
+}
+
+/* ===================== Sheet Runs ===================== */
+// Runs each sheet as a transfer of its own, e.g. one sheet per day; a failing sheet does not stop the others.
+async function runSheets(manifests, buildConfig, runOptions = {}) {
+  const results = [];
+  for (const transferData of manifests) {
+    const sheet = transferData.source.sheet;
+    console.log('\n' + colors.bold(`=== Sheet ${sheet} ===`));
+    try {
+      results.push({ sheet, exitCode: await runTransfer(buildConfig(transferData), transferData, runOptions) });
+    } catch (error) {
+      logger.error(`Sheet "${sheet}" failed:`, error);
+      results.push({ sheet, exitCode: getExitCode(error) });
+      // The remaining sheets are not started after an abort
+      if (error instanceof RunAbortedError) break;
+    }
+  }
+
+  console.log('\n' + colors.bold('=== Sheet Summary ==='));
+  results.forEach(({ sheet, exitCode }) => {
+    console.log(exitCode === EXIT_CODES.SUCCESS ? colors.green(`✔ ${sheet}`) : colors.red(`✘ ${sheet} (exit code ${exitCode})`));
+  });
+  const exitCodes = [...new Set(results.map(result => result.exitCode))];
+  return exitCodes.length === 1 ? exitCodes[0] : EXIT_CODES.PARTIAL_FAILURE;
+}
+
+/* ===================== Interactive Run (Desktop App) ===================== */
+async function runInteractive(progress) {
+  const rootDir = process.cwd();
+  progress.addStep('User Confirmation');
+  const app = await openDesktopApp(rootDir);
+  const approval = await app.waitForResult(['approved', 'cancelled']);
+  progress.completeStep('User Confirmation');
+  if (approval.type === 'cancelled') {
+    logger.info('Transfer cancelled by user from the desktop app.');
+    await app.exited;
+    return EXIT_CODES.SUCCESS;
+  }
+  // rows: the grid as edited in the confirmation window, when anything was changed there
+  const { filePath: excelPath, config: { rows, ...userConfig } } = approval;
+  logger.info('User selected Excel file:', { filePath: excelPath });
+
+  const disconnect = connectRunView(app);
+  try {
     progress.addStep('Data Reading');
-    const workbook = XLSX.readFile(excelPath, { cellDates: true, cellNF: true });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const { data, stores, headers } = extractTransferData(worksheet);
-    const transferData = { transferData: data, stores, headers };
+    let manifests = userConfig.allSheets ? readAllTransferData(excelPath) : [readTransferData(excelPath, { sheet: userConfig.sheet })];
+    if (rows && !userConfig.allSheets) {
+      logger.info('Using the rows edited in the confirmation window', { edits: userConfig.rowEdits });
+      manifests = [applyRowEdits(manifests[0], rows)];
+    }
     progress.completeStep('Data Reading');
 
-    progress.addStep('User Confirmation');
-    const userConfig = await openConfirmationWindow(rootDir);
-    if (!userConfig) {
-      logger.info('Transfer cancelled by user from confirmation window.');
-      progress.completeStep('User Confirmation');
-      progress.finish();
-      // Clean up temp files
-      const tempDir = path.join(rootDir, 'temp');
-      if (fs.existsSync(tempDir)) {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      }
-      process.exit(0);
+    progress.addStep('Transfer Creation');
+    const exitCode = userConfig.allSheets
+      ? await runSheets(manifests, sheetData => ({ ...userConfig, headers: sheetData.headers }))
+      : await runTransfer(userConfig, manifests[0]);
+    progress.completeStep('Transfer Creation');
+    app.send('finished', { exitCode });
+    return exitCode;
+  } catch (error) {
+    app.send('finished', { exitCode: getExitCode(error), error: error.message });
+    throw error;
+  } finally {
+    disconnect();
+    if (!app.settled) {
+      console.log(colors.cyan('\nClose the Auto Manifest window to exit.'));
+      await app.exited;
     }
-    await writeTempData({ ...userConfig, ...transferData });
-    progress.completeStep('User Confirmation');
+  }
+}
+
+/* ===================== Batch Run (Command Line) ===================== */
+async function runBatch(options, progress) {
+  progress.addStep('File Detection');
+  const excelPath = path.resolve(options.excel);
+  if (!fs.existsSync(excelPath)) {
+    throw new UsageError(`Excel file not found: ${excelPath}`, EXIT_CODES.INPUT_ERROR);
+  }
+  progress.completeStep('File Detection');
 
+  progress.addStep('Data Reading');
+  let manifests;
+  try {
+    manifests = options.allSheets ? readAllTransferData(excelPath) : [readTransferData(excelPath, { sheet: options.sheet })];
+  } catch (error) {
+    if (error instanceof RegistryError || error instanceof ManifestReadError) throw new UsageError(error.message, EXIT_CODES.INPUT_ERROR);
+    throw new UsageError(`Failed to read manifest ${excelPath}: ${error.message}`, EXIT_CODES.INPUT_ERROR);
+  }
+  progress.completeStep('Data Reading');
+
+  if (options.headless) config.set('browser.headless', true);
+  if (options.allSheets) {
     progress.addStep('Transfer Creation');
-    logger.info('Starting transfer process with data:', userConfig);
-    await createTransferProcess({ ...userConfig, ...transferData });
+    const exitCode = await runSheets(manifests, sheetData => buildTransferConfig(options, storeRegistry.getAll(), sheetData.headers));
     progress.completeStep('Transfer Creation');
-    logger.info('Transfer process completed successfully');
+    return exitCode;
+  }
+
+  const [transferData] = manifests;
+  progress.addStep('Batch Configuration');
+  const userConfig = buildTransferConfig(options, storeRegistry.getAll(), transferData.headers);
+  progress.completeStep('Batch Configuration');
+
+  progress.addStep('Transfer Creation');
+  const exitCode = await runTransfer(userConfig, transferData);
+  progress.completeStep('Transfer Creation');
+  return exitCode;
+}
+
+/* ===================== Watch Folder ===================== */
+// Runs one manifest picked up from the inbox, with its reports kept in the job folder.
+async function runInboxJob({ data: manifests, jobDir }, options) {
+  const buildConfig = sheetData => buildTransferConfig(options, storeRegistry.getAll(), sheetData.headers);
+  const runOptions = { reportsDir: jobDir };
+  try {
+    if (options.allSheets) return await runSheets(manifests, buildConfig, runOptions);
+    return await runTransfer(buildConfig(manifests[0]), manifests[0], runOptions);
   } catch (error) {
-    logger.error('Failed to process transfer:', error);
+    error.exitCode = getExitCode(error);
+    throw error;
+  }
+}
+
+// Processes every manifest dropped into the inbox with the options given to "watch", one at a time,
+// until stopped with Ctrl+C (or, with --once, until the inbox is empty).
+async function runWatch(options) {
+  if (options.headless) config.set('browser.headless', true);
+  const watcher = new InboxWatcher({
+    inbox: options.inbox,
+    parseFile: filePath => {
+      try {
+        return options.allSheets ? readAllTransferData(filePath) : [readTransferData(filePath)];
+      } catch (error) {
+        // Same as an unreadable --excel file in a batch run
+        error.exitCode = EXIT_CODES.INPUT_ERROR;
+        throw error;
+      }
+    },
+    processFile: job => runInboxJob(job, options)
+  });
+  const stop = () => {
+    logger.info('Stopping after the manifest being processed');
+    watcher.stop();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  const results = await watcher.start({ once: options.once });
+  console.log('\n' + colors.bold('=== Watch Summary ==='));
+  if (results.length === 0) console.log(colors.yellow('No manifests processed'));
+  results.forEach(({ file, status, exitCode, folder }) => {
+    console.log(status === 'done' ? colors.green(`✔ ${file} → ${folder}`) : colors.red(`✘ ${file} (exit code ${exitCode ?? '-'}) → ${folder}`));
+  });
+  return results.every(result => result.status === 'done') ? EXIT_CODES.SUCCESS : EXIT_CODES.TRANSFER_FAILED;
+}
+
+/* ===================== Selector Health Check ===================== */
+// Logs in and reports which selectors of the selector map no longer resolve on their page.
+async function runSelectorCheck(options) {
+  if (options.headless) config.set('browser.headless', true);
+  const { username, password } = await loadCredentials();
+  const { browser, page } = await launchBrowser();
+  try {
+    const report = await new SelectorHealthCheck(page).run({ username, password, draftUrl: options.draftUrl });
+    await writeHealthReport(report);
+    return report.healthy ? EXIT_CODES.SUCCESS : EXIT_CODES.SELECTOR_CHECK_FAILED;
+  } finally {
+    await browser.close();
+  }
+}
+
+/* ===================== Main Execution Block ===================== */
+function getExitCode(error) {
+  if (error instanceof UsageError || error instanceof RegistryError || error instanceof ManifestReadError || error instanceof CheckpointError) {
+    return error.exitCode || EXIT_CODES.INPUT_ERROR;
+  }
+  if (error instanceof CredentialError) return EXIT_CODES.CREDENTIALS_ERROR;
+  if (error instanceof DuplicateSubmissionError) return EXIT_CODES.DUPLICATE_SUBMISSION;
+  if (error instanceof RunAbortedError) return EXIT_CODES.ABORTED;
+  return EXIT_CODES.TRANSFER_FAILED;
+}
+
+async function main() {
+  let command;
+  try {
+    command = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(error.exitCode || EXIT_CODES.USAGE_ERROR);
+  }
+  if (command.command === 'help') {
+    console.log(USAGE);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  if (command.command === 'stores') {
+    process.exit(runStoresCommand(command.options));
+  }
+  if (command.command === 'credentials') {
+    process.exit(await runCredentialsCommand(command.options));
+  }
+  if (command.command === 'session') {
+    process.exit(runSessionCommand(command.options));
+  }
+  if (command.command === 'history') {
+    process.exit(runHistoryCommand(command.options));
+  }
+  if (command.command === 'watch') {
+    process.exit(await runWatch(command.options));
+  }
+  if (command.command === 'selectors') {
+    try {
+      process.exit(await runSelectorCheck(command.options));
+    } catch (error) {
+      logger.error('Selector health check failed:', error);
+      process.exit(error instanceof CredentialError ? EXIT_CODES.CREDENTIALS_ERROR : EXIT_CODES.TRANSFER_FAILED);
+    }
+  }
+
+  const progress = new EnhancedProgressTracker(command.command === 'run' ? 4 : 3, 'Overall Process');
+  let exitCode;
+  try {
+    exitCode = command.command === 'run'
+      ? await runBatch(command.options, progress)
+      : await runInteractive(progress);
+  } catch (error) {
+    if (error instanceof CredentialError) logger.error(`Credentials could not be loaded: ${error.message}`);
+    else if (getExitCode(error) === EXIT_CODES.TRANSFER_FAILED) logger.error('Failed to process transfer:', error);
+    else logger.error(error.message);
+    exitCode = getExitCode(error);
     progress.addError('Process', error);
-    process.exit(1);
   } finally {
     progress.finish();
   }
-})();
\ No newline at end of file
+  process.exit(exitCode);
+}
+
+// Run from the command line; when required (e.g. by the end-to-end tests) only export the automation steps.
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  launchBrowser,
+  closeBrowser,
+  loginToSweedPos,
+  navigateToTransfers,
+  createStoreTransfer,
+  createTransferProcess,
+  createMultiStoreTransferProcess,
+  readTransferData,
+  readAllTransferData,
+  runTransfer,
+  runWatch,
+  runSelectorCheck
+};
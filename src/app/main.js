@@ -0,0 +1,232 @@
+// src/app/main.js
+const { app, BrowserWindow, dialog, ipcMain, shell } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { getSupportedExtensions, readManifest, listSheets } = require('../manifest');
+const storeRegistry = require('../registry');
+const { findDuplicateSubmissions } = require('../history');
+const { validateRows } = require('../validation');
+const { connectToParent } = require('../ipc');
+
+// The channel back to auto.js: the approval goes out, run events and the run's end come in
+let channel;
+let mainWindow;
+let filePath;
+// Rows, stores and headers of the selected sheet, kept for the duplicate check and row validation
+let manifest = { transferData: [], stores: [], headers: [] };
+// "selecting", "confirming", "running" or "finished"
+let stage = 'selecting';
+// Run events that arrived before the run view finished loading
+let pendingEvents = [];
+// The report and screenshots of this run, the only files the run view may open
+const runFiles = new Set();
+
+// Reads one sheet of the selected file into what the confirmation page shows
+function loadSheet(sheet) {
+  const { transferData, stores, headers, confidence, source } = readManifest(filePath, { sheet });
+  manifest = { transferData, stores, headers };
+  return { transferData, stores, headers, confidence, sheet: source.sheet };
+}
+
+async function selectFile(rootDir) {
+  // Open the file dialog with filters for every manifest format that has a reader.
+  const extensions = getSupportedExtensions().map(extension => extension.slice(1));
+  const result = await dialog.showOpenDialog({
+    title: 'Select a Manifest',
+    defaultPath: rootDir,
+    properties: ['openFile'],
+    filters: [
+      { name: 'Manifests', extensions },
+      { name: 'Excel Files', extensions: extensions.filter(extension => extension.startsWith('xl')) }
+    ]
+  });
+  return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+}
+
+// Screenshots are shown inline, so the page needs no access to the screenshots folder
+function withScreenshot(event) {
+  if (event.type !== 'screenshot' || !event.screenshot) return event;
+  try {
+    return { ...event, image: `data:image/png;base64,${fs.readFileSync(event.screenshot).toString('base64')}` };
+  } catch {
+    return event;
+  }
+}
+
+// Remembers the files auto.js reported for this run
+function collectRunFiles(event) {
+  if (event.type === 'screenshot' && event.screenshot) runFiles.add(path.resolve(event.screenshot));
+  if (event.type === 'run-finished' && event.report) runFiles.add(path.resolve(event.report));
+}
+
+function showRunEvent(event) {
+  if (pendingEvents) pendingEvents.push(event);
+  else mainWindow?.webContents.send('run-event', withScreenshot(event));
+}
+
+function startRunView(config) {
+  stage = 'running';
+  mainWindow.setTitle('Transfer Run');
+  mainWindow.loadFile(path.join(__dirname, 'run.html'));
+  mainWindow.webContents.once('did-finish-load', () => {
+    mainWindow.webContents.send('run-started', { file: path.basename(filePath), store: config.multiStore ? 'All stores' : config.store, dryRun: config.dryRun });
+    const events = pendingEvents;
+    pendingEvents = null;
+    events.forEach(showRunEvent);
+  });
+}
+
+function finishRun(result) {
+  if (stage === 'finished') return;
+  stage = 'finished';
+  if (pendingEvents) {
+    mainWindow?.webContents.once('did-finish-load', () => mainWindow?.webContents.send('run-finished', result));
+  } else {
+    mainWindow?.webContents.send('run-finished', result);
+  }
+}
+
+function createWindow() {
+  mainWindow = new BrowserWindow({
+    width: 1000,
+    height: 800,
+    resizable: false,
+    title: 'Transfer Confirmation',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    }
+  });
+
+  mainWindow.loadFile(path.join(__dirname, '..', 'confirmation', 'index.html'));
+  mainWindow.webContents.once('did-finish-load', () => {
+    let sheets;
+    let sheetData;
+    try {
+      sheets = listSheets(filePath);
+      sheetData = loadSheet();
+    } catch (error) {
+      channel.send('error', { message: `Failed to read ${path.basename(filePath)}: ${error.message}` }).then(() => mainWindow.close());
+      return;
+    }
+    const currentDate = new Date().toLocaleDateString('en-US');
+    mainWindow.webContents.send('initial-data', { ...sheetData, sheets, currentDate, storeConfigs: storeRegistry.getAll() });
+  });
+
+  // A run that is still going is aborted (after the current product) before the window closes
+  mainWindow.on('close', event => {
+    if (stage !== 'running') return;
+    const choice = dialog.showMessageBoxSync(mainWindow, {
+      type: 'warning',
+      buttons: ['Keep running', 'Abort and close'],
+      defaultId: 0,
+      cancelId: 0,
+      message: 'A transfer is still running.',
+      detail: 'Closing the window aborts the run after the current product. The draft keeps the products added so far and can be resumed.'
+    });
+    if (choice === 0) event.preventDefault();
+    else channel.send('abort');
+  });
+
+  mainWindow.on('closed', () => {
+    mainWindow = null;
+  });
+}
+
+// Another sheet of the same file, chosen in the confirmation page
+ipcMain.handle('load-sheet', (event, sheet) => {
+  try {
+    return loadSheet(sheet);
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// The stores a confirmation would create transfers for
+function getConfirmedStores(store, multiStore) {
+  return multiStore ? manifest.stores.filter(name => storeRegistry.has(name)) : [store];
+}
+
+// Earlier runs that submitted the same products to the same store(s) on the same departure day;
+// rows are the grid's rows when they were edited
+ipcMain.handle('check-duplicates', (event, { store, multiStore, departureDate, rows }) => {
+  const transferData = rows || manifest.transferData;
+  return findDuplicateSubmissions(getConfirmedStores(store, multiStore).map(name => ({ store: name, departureDate, transferData })));
+});
+
+// The per-row rules of the validation, for the rows as edited in the grid. An issue shared by
+// several stores (e.g. the total unit count) is listed once.
+ipcMain.handle('validate-rows', (event, { store, multiStore, rows }) => {
+  const issues = new Map();
+  getConfirmedStores(store, multiStore).forEach(name => {
+    const { errors, warnings } = validateRows({ store: name, headers: manifest.headers, transferData: rows });
+    errors.forEach(issue => issues.set(issue.message, { ...issue, level: 'error' }));
+    warnings.forEach(issue => {
+      if (!issues.has(issue.message)) issues.set(issue.message, { ...issue, level: 'warning' });
+    });
+  });
+  return [...issues.values()];
+});
+
+ipcMain.on('approve-transfer', (event, config) => {
+  if (stage !== 'confirming') return;
+  channel.send('approved', { filePath, config });
+  startRunView(config);
+});
+
+ipcMain.on('cancel-transfer', () => {
+  channel.send('cancelled').then(() => mainWindow?.close());
+});
+
+// Pause, Resume and Abort from the run view
+ipcMain.on('run-command', (event, command) => {
+  if (stage === 'running' && ['pause', 'resume', 'abort'].includes(command)) channel.send(command);
+});
+
+// Only files this run produced, never a path of the renderer's choosing
+ipcMain.on('open-file', (event, file) => {
+  if (typeof file === 'string' && runFiles.has(path.resolve(file))) shell.openPath(file);
+});
+
+app.whenReady().then(async () => {
+  try {
+    channel = await connectToParent();
+  } catch (error) {
+    console.error(error.message);
+    app.exit(1);
+    return;
+  }
+  channel.on('message', message => {
+    if (message.type === 'run-event') {
+      collectRunFiles(message.event);
+      showRunEvent(message.event);
+    }
+    else if (message.type === 'finished') finishRun({ exitCode: message.exitCode, error: message.error || null });
+  });
+  channel.on('close', () => {
+    if (stage === 'running') finishRun({ exitCode: null, error: 'The automation process ended unexpectedly' });
+  });
+
+  try {
+    filePath = await selectFile(channel.input.rootDir || process.cwd());
+  } catch (error) {
+    await channel.send('error', { message: error.message });
+    app.exit(1);
+    return;
+  }
+  if (!filePath) {
+    await channel.send('cancelled');
+    app.exit(0);
+    return;
+  }
+  stage = 'confirming';
+  createWindow();
+});
+
+// One window per process: closing it sends "cancelled" if nothing was approved, and quits, on macOS too.
+app.on('window-all-closed', async () => {
+  await channel.send('cancelled');
+  await channel.close();
+  app.quit();
+});
@@ -0,0 +1,18 @@
+// src/app/preload.js
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('api', {
+  // Confirmation (src/confirmation/index.html)
+  sendApproval: (data) => ipcRenderer.send('approve-transfer', data),
+  sendCancel: () => ipcRenderer.send('cancel-transfer'),
+  checkDuplicates: (data) => ipcRenderer.invoke('check-duplicates', data),
+  validateRows: (data) => ipcRenderer.invoke('validate-rows', data),
+  loadSheet: (sheet) => ipcRenderer.invoke('load-sheet', sheet),
+  onInitialData: (callback) => ipcRenderer.on('initial-data', (event, data) => callback(data)),
+  // Run view (run.html)
+  onRunStarted: (callback) => ipcRenderer.on('run-started', (event, data) => callback(data)),
+  onRunEvent: (callback) => ipcRenderer.on('run-event', (event, data) => callback(data)),
+  onRunFinished: (callback) => ipcRenderer.on('run-finished', (event, data) => callback(data)),
+  sendCommand: (command) => ipcRenderer.send('run-command', command),
+  openFile: (filePath) => ipcRenderer.send('open-file', filePath)
+});
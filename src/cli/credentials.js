@@ -0,0 +1,67 @@
+// src/cli/credentials.js
+const colors = require('ansi-colors');
+const { EncryptedFileCredentialProvider, CredentialError, loadCredentials } = require('../credentials');
+const config = require('../config');
+const { EXIT_CODES } = require('./index');
+
+// Shows enough of the username to recognize the account: "t•••••••s@example.com".
+function maskUsername(username) {
+    const [name, domain] = String(username).split('@');
+    const masked = name.length <= 2 ? '•'.repeat(name.length) : `${name[0]}${'•'.repeat(name.length - 2)}${name[name.length - 1]}`;
+    return domain ? `${masked}@${domain}` : masked;
+}
+
+async function saveCredentials() {
+    if (!process.stdin.isTTY) {
+        console.error(colors.red('credentials save asks for the account interactively; run it at a terminal'));
+        return EXIT_CODES.USAGE_ERROR;
+    }
+    const inquirer = require('inquirer').default;
+    const answers = await inquirer.prompt([
+        { type: 'input', name: 'username', message: 'Microsoft account (email)', validate: value => Boolean(value.trim()) || 'Required' },
+        { type: 'password', name: 'password', message: 'Password', mask: '*', validate: value => Boolean(value) || 'Required' },
+        { type: 'password', name: 'totpSecret', message: 'Authenticator TOTP secret (leave empty if not used)', mask: '*' },
+        { type: 'password', name: 'passphrase', message: 'Passphrase to protect the file', mask: '*', validate: value => value.length >= 8 || 'Use at least 8 characters' }
+    ]);
+    const { confirm } = await inquirer.prompt([{ type: 'password', name: 'confirm', message: 'Repeat the passphrase', mask: '*' }]);
+    if (confirm !== answers.passphrase) {
+        console.error(colors.red('The passphrases do not match, nothing was saved'));
+        return EXIT_CODES.USAGE_ERROR;
+    }
+
+    const provider = new EncryptedFileCredentialProvider({ passphrase: answers.passphrase });
+    await provider.save({
+        username: answers.username.trim(),
+        password: answers.password,
+        totpSecret: answers.totpSecret.trim() || undefined
+    });
+    console.log(colors.green(`Saved credentials for ${maskUsername(answers.username.trim())} to ${provider.filePath}`));
+    if (config.get('credentials.provider') !== 'file') {
+        console.log(colors.yellow('Set credentials.provider to "file" in src/config/local.json to use them'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Runs a "credentials" action and returns the process exit code.
+ *
+ * @param {{action: string}} options - Parsed by parseCredentialsArgs.
+ * @returns {Promise<number>} The exit code.
+ */
+async function runCredentialsCommand({ action }) {
+    try {
+        if (action === 'save') return await saveCredentials();
+        if (action === 'check') {
+            const { username, totpSecret } = await loadCredentials();
+            console.log(colors.green(`Credentials for ${maskUsername(username)} loaded from the ${config.get('credentials.provider') || 'env'} provider${totpSecret ? ' (with TOTP secret)' : ''}`));
+            return EXIT_CODES.SUCCESS;
+        }
+        return EXIT_CODES.USAGE_ERROR;
+    } catch (error) {
+        if (!(error instanceof CredentialError)) throw error;
+        console.error(colors.red(error.message));
+        return EXIT_CODES.CREDENTIALS_ERROR;
+    }
+}
+
+module.exports = { runCredentialsCommand };
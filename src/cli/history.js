@@ -0,0 +1,135 @@
+// src/cli/history.js
+const path = require('path');
+const colors = require('ansi-colors');
+const { RunHistory } = require('../history');
+const { EXIT_CODES } = require('./index');
+
+const STATUS_COLORS = {
+    succeeded: colors.green,
+    created: colors.green,
+    'dry-run': colors.cyan,
+    running: colors.yellow,
+    partial: colors.yellow,
+    aborted: colors.yellow,
+    skipped: colors.yellow,
+    failed: colors.red,
+    duplicate: colors.red,
+    'validation-failed': colors.red
+};
+
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString('en-US', { dateStyle: 'short', timeStyle: 'short' }) : '-';
+}
+
+function formatStatus(status) {
+    return (STATUS_COLORS[status] || colors.white)(status);
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function formatRunLine(run) {
+    const stores = run.stores.length > 0
+        ? run.stores.map(entry => entry.status === 'created' ? `${entry.store} (${entry.stats?.added ?? 0} added)` : `${entry.store} (${entry.status})`).join(', ')
+        : run.config.store || (run.config.multiStore ? 'all stores' : '-');
+    const file = run.source ? path.basename(run.source.path) : '-';
+    return `${colors.bold(run.runId.slice(0, 8))}  ${formatTime(run.startedAt)}  ${formatStatus(run.status)}  ${stores}  ${file}  by ${run.operator}`;
+}
+
+function formatRow(row) {
+    const details = [row.barcode, row.qty !== undefined ? `qty ${row.qty}` : null, row.product, row.reason].filter(Boolean).join(' | ');
+    return `#${row.row} ${row.outcome}: ${details}`;
+}
+
+function formatRun(run) {
+    const lines = [
+        colors.bold(`Run ${run.runId}`),
+        `  Status:     ${formatStatus(run.status)}${run.exitCode !== null ? ` (exit code ${run.exitCode})` : ''}`,
+        `  Started:    ${formatTime(run.startedAt)} by ${run.operator} on ${run.host}`,
+        `  Finished:   ${formatTime(run.finishedAt)} (${formatDuration(run.durationMs)})`,
+        `  Manifest:   ${run.source ? `${run.source.path} [${run.source.sheet}]` : '-'}`,
+        `  SHA-256:    ${run.source?.sha256 || '-'}`,
+        `  Settings:   ${Object.entries(run.config).filter(([, value]) => value !== undefined && value !== '' && typeof value !== 'object').map(([key, value]) => `${key}=${value}`).join(', ')}`
+    ];
+    if (run.error) lines.push(colors.red(`  Error:      ${run.error}`));
+
+    run.stores.forEach(entry => {
+        lines.push('', colors.bold(`  ${entry.store}`) + ` → ${entry.toStore || '-'}: ${formatStatus(entry.status)} (${formatDuration(entry.durationMs)})`);
+        if (entry.draftUrl) lines.push(`    Draft:    ${entry.draftUrl}`);
+        if (entry.stats) lines.push(`    Products: ${entry.stats.added} added, ${entry.stats.skipped} skipped, ${entry.stats.resumed} resumed, ${entry.stats.needsReview} need review${entry.stats.verified !== undefined ? `, ${entry.stats.verified} verified` : ''}`);
+        if (entry.reason) lines.push(colors.red(`    Reason:   ${entry.reason}`));
+        entry.rows.forEach(row => lines.push(`    ${formatRow(row)}`));
+        Object.entries(entry.artifacts).forEach(([name, filePath]) => lines.push(colors.gray(`    ${name}: ${filePath}`)));
+    });
+
+    if (run.timings.length > 0) {
+        lines.push('', colors.bold('  Timings'));
+        run.timings.forEach(timing => lines.push(`    ${timing.step}: ${formatDuration(timing.durationMs)} (${timing.status})`));
+    }
+    if (run.warnings.length > 0) {
+        lines.push('', colors.bold('  Warnings'));
+        run.warnings.forEach(warning => lines.push(colors.yellow(`    ⚠ ${warning.step}: ${warning.message}`)));
+    }
+    if (run.errors.length > 0) {
+        lines.push('', colors.bold('  Errors'));
+        run.errors.forEach(error => lines.push(colors.red(`    ✘ ${error.step}: ${error.error}`)));
+    }
+    if (Object.keys(run.artifacts).length > 0) {
+        lines.push('', colors.bold('  Files'));
+        Object.entries(run.artifacts).forEach(([name, filePath]) => lines.push(colors.gray(`    ${name}: ${filePath}`)));
+    }
+    return lines.join('\n');
+}
+
+// The products a run sent, limited to the searched store and, when the text names a row, to those rows.
+function formatSentProducts(run, { store, text }) {
+    const needle = text && text.toLowerCase();
+    const lines = [];
+    run.stores
+        .filter(entry => !store || [entry.store, entry.toStore].some(name => name && name.toLowerCase() === store.toLowerCase()))
+        .forEach(entry => {
+            const added = entry.rows.filter(row => row.outcome === 'added' || row.outcome === 'resumed');
+            const matching = needle ? added.filter(row => [row.barcode, row.product].some(value => value && String(value).toLowerCase().includes(needle))) : [];
+            const rows = matching.length > 0 ? matching : added;
+            lines.push(`    ${entry.store} → ${entry.toStore || '-'}${entry.draftId ? ` (draft ${entry.draftId})` : ''}: ${added.length} products`);
+            rows.forEach(row => lines.push(colors.gray(`      #${row.row} ${row.barcode} x ${row.qty}${row.product ? ` ${row.product}` : ''}`)));
+        });
+    return lines.join('\n');
+}
+
+/**
+ * Runs a "history" action and returns the process exit code.
+ *
+ * @param {{action: string, runId: string, filters: object, limit: number}} options - Parsed by parseHistoryArgs.
+ * @param {RunHistory} [history] - Defaults to the configured history file.
+ * @returns {number} The exit code.
+ */
+function runHistoryCommand({ action, runId, filters, limit }, history = new RunHistory()) {
+    if (action === 'show') {
+        const run = history.find(runId);
+        if (!run) {
+            console.error(colors.red(`No single run matches "${runId}" in ${history.filePath}`));
+            return EXIT_CODES.INPUT_ERROR;
+        }
+        console.log(formatRun(run));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const runs = history.search(filters);
+    if (runs.length === 0) {
+        console.log(colors.yellow('No runs found'));
+        return EXIT_CODES.SUCCESS;
+    }
+    runs.slice(0, limit).forEach(run => {
+        console.log(formatRunLine(run));
+        const sent = action === 'search' ? formatSentProducts(run, filters) : '';
+        if (sent) console.log(sent);
+    });
+    if (runs.length > limit) console.log(colors.gray(`... ${runs.length - limit} older runs not shown, use --limit`));
+    return EXIT_CODES.SUCCESS;
+}
+
+module.exports = { runHistoryCommand };
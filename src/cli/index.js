@@ -0,0 +1,581 @@
+// src/cli/index.js
+const { parseArgs } = require('util');
+const { parseDay } = require('../history');
+
+const EXIT_CODES = {
+    SUCCESS: 0,
+    TRANSFER_FAILED: 1,
+    USAGE_ERROR: 2,
+    INPUT_ERROR: 3,
+    PARTIAL_FAILURE: 4,
+    VALIDATION_FAILED: 5,
+    SELECTOR_CHECK_FAILED: 6,
+    CREDENTIALS_ERROR: 7,
+    DUPLICATE_SUBMISSION: 8,
+    ABORTED: 9
+};
+
+class UsageError extends Error {
+    constructor(message, exitCode = EXIT_CODES.USAGE_ERROR) {
+        super(message);
+        this.name = 'UsageError';
+        this.exitCode = exitCode;
+    }
+}
+
+const RUN_OPTIONS = {
+    excel: { type: 'string', short: 'f' },
+    sheet: { type: 'string' },
+    'all-sheets': { type: 'boolean', default: false },
+    store: { type: 'string', short: 's' },
+    'all-stores': { type: 'boolean', default: false },
+    driver1: { type: 'string' },
+    driver2: { type: 'string' },
+    vehicle: { type: 'string' },
+    route: { type: 'string' },
+    date: { type: 'string' },
+    'departure-time': { type: 'string' },
+    'arrival-time': { type: 'string' },
+    split: { type: 'boolean', default: false },
+    headless: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    resume: { type: 'boolean', default: false },
+    'interactive-match': { type: 'boolean', default: false },
+    'allow-duplicate': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// A daemon runs every dropped file alike, so options tied to one file or one day are left out.
+const WATCH_OPTIONS = {
+    ...Object.fromEntries(Object.entries(RUN_OPTIONS).filter(([name]) => !['excel', 'sheet', 'date', 'resume', 'interactive-match', 'help'].includes(name))),
+    inbox: { type: 'string' },
+    once: { type: 'boolean', default: false }
+};
+
+const STORE_OPTIONS = {
+    label: { type: 'string' },
+    'to-store': { type: 'string' },
+    driver1: { type: 'string' },
+    driver2: { type: 'string' },
+    vehicle: { type: 'string', multiple: true },
+    route: { type: 'string' },
+    'departure-time': { type: 'string' },
+    'arrival-time': { type: 'string' }
+};
+
+const STORE_ACTIONS = ['list', 'show', 'add', 'update', 'validate'];
+
+const SESSION_ACTIONS = ['clear'];
+
+const CREDENTIAL_ACTIONS = ['save', 'check'];
+
+const HISTORY_ACTIONS = ['list', 'show', 'search'];
+
+const HISTORY_OPTIONS = {
+    store: { type: 'string', short: 's' },
+    on: { type: 'string' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    status: { type: 'string' },
+    limit: { type: 'string' }
+};
+
+const SELECTOR_OPTIONS = {
+    'draft-url': { type: 'string' },
+    headless: { type: 'boolean', default: false }
+};
+
+const USAGE = `Usage:
+  node auto.js                      Interactive run with the Electron file picker and confirmation window
+  node auto.js run [options]        Headless batch run without any Electron dialogs
+  node auto.js stores <action>      Manage the store registry (src/config/stores.json)
+  node auto.js selectors check      Log in and report which SweedPos selectors no longer resolve
+  node auto.js session clear        Delete the saved login session so the next run logs in again
+  node auto.js credentials save     Save the Microsoft account to the passphrase-encrypted credentials file
+  node auto.js credentials check    Load the credentials from the configured provider without logging in
+  node auto.js history <action>     List, show and search past runs
+  node auto.js watch [options]      Process every manifest dropped into the inbox folder (paths.data)
+  node auto.js help                 Show this message
+
+Run options:
+  -f, --excel <path>                Manifest to process: .xlsx, .xlsm, .xls, .csv, .tsv or .json (required)
+      --sheet <name|number>         Workbook sheet to read (defaults to the first sheet)
+      --all-sheets                  Process every sheet with a product table as a separate run
+  -s, --store <name>                Store column to transfer, e.g. "FTP" or "Ocala"
+      --all-stores                  Create one transfer per store column in the sheet
+      --driver1 <name>              Driver 1 (defaults to the store's default driver)
+      --driver2 <name>              Driver 2 (defaults to the store's default driver)
+      --vehicle <name>              Vehicle to select
+      --route <text>                Planned route
+      --date <MM/DD/YYYY>           Departure date (defaults to today)
+      --departure-time <hh:mm AM>   Departure time (defaults to the store's departure time)
+      --arrival-time <hh:mm PM>     Arrival time (defaults to the store's arrival time)
+      --split                       Click "Split All" before updating the draft
+      --headless                    Run the browser without a visible window
+      --dry-run                     Write the transfer plan to temp/ without launching a browser
+      --resume                      Reopen the draft of an interrupted run and continue after the last added product
+      --interactive-match           Ask which product to add when a barcode search is ambiguous
+      --allow-duplicate             Submit even if the same products, store and departure day were submitted before
+
+Store registry actions:
+  stores list                       List every store with its destination and defaults
+  stores show <name>                Show one store entry
+  stores add <name> [fields]        Add a store; --to-store is required
+  stores update <name> [fields]     Change fields of an existing store
+  stores validate                   Check every entry in the registry
+
+Store fields:
+      --label <text>                Name shown in the confirmation window
+      --to-store <name>             SweedPos destination name
+      --driver1 <name>              Default driver 1
+      --driver2 <name>              Default driver 2
+      --vehicle <name>              Vehicle, repeat for several (the first is the default)
+      --route <text>                Default route text
+      --departure-time <hh:mm AM>   Default departure time
+      --arrival-time <hh:mm PM>     Default arrival time
+
+History actions:
+  history list [filters]            List past runs, newest first
+  history show <run id>             Show a run's settings, drafts, row outcomes, timings and files
+  history search [text] [filters]   Find runs by manifest file, hash, barcode, product, draft id or operator
+                                    and list the products they sent
+
+History filters:
+  -s, --store <name>                Only runs for this store (manifest name or SweedPos destination)
+      --on <day>                    Runs started on a day: MM/DD/YYYY, YYYY-MM-DD, today, yesterday, "last tuesday"
+      --since <day>                 Runs started on or after a day
+      --until <day>                 Runs started on or before a day
+      --status <status>             running, succeeded, partial, aborted, failed, duplicate, validation-failed or dry-run
+      --limit <n>                   Show at most n runs (default 20)
+
+Selector health check options:
+      --draft-url <url>             Also check the product dialog and draft buttons on an existing draft
+      --headless                    Run the browser without a visible window
+
+Watch options (plus the run options except --excel, --sheet, --date, --resume and --interactive-match):
+      --inbox <dir>                 Folder to watch (defaults to paths.data)
+      --once                        Process the manifests already in the inbox, then exit
+
+Exit codes:
+  0 success, 1 transfer failed, 2 invalid arguments, 3 unreadable manifest or store not in sheet,
+  4 some stores failed in --all-stores mode or sheets ended differently with --all-sheets,
+  5 manifest validation failed, 6 selectors missing in the selector health check,
+  7 credentials could not be loaded, 8 the transfer was already submitted (see --allow-duplicate),
+  9 the run was aborted from the desktop app`;
+
+const TIME_PATTERN = /^(0?[1-9]|1[0-2]):[0-5]\d (AM|PM)$/i;
+const DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+/**
+ * Parses a --date value (MM/DD/YYYY) into midnight of that day in local time. new Date() would
+ * read "2026-03-16" as UTC midnight, which is the day before west of Greenwich.
+ *
+ * @param {string} value - The option value.
+ * @returns {Date|null} The day, or null if the value is not a real MM/DD/YYYY date.
+ */
+function parseDateOption(value) {
+    const match = DATE_PATTERN.exec(String(value).trim());
+    if (!match) return null;
+    const [month, day, year] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Parses the command line into a command name and its options.
+ * Running without arguments keeps the interactive Electron flow.
+ *
+ * @param {string[]} argv - Arguments after the script name (process.argv.slice(2)).
+ * @returns {{command: string, options: object}} The command to run and its parsed options.
+ * @throws {UsageError} If the command or one of its options is unknown.
+ */
+function parseCommandLine(argv) {
+    if (argv.length === 0) {
+        return { command: 'interactive', options: {} };
+    }
+
+    const [command, ...rest] = argv;
+    if (command === 'help' || command === '--help' || command === '-h') {
+        return { command: 'help', options: {} };
+    }
+    if (command === 'stores') {
+        return { command: 'stores', options: parseStoresArgs(rest) };
+    }
+    if (command === 'session') {
+        return { command: 'session', options: parseSessionArgs(rest) };
+    }
+    if (command === 'credentials') {
+        return { command: 'credentials', options: parseCredentialsArgs(rest) };
+    }
+    if (command === 'history') {
+        return { command: 'history', options: parseHistoryArgs(rest) };
+    }
+    if (command === 'selectors') {
+        return { command: 'selectors', options: parseSelectorsArgs(rest) };
+    }
+    if (command === 'watch') {
+        return { command: 'watch', options: parseWatchArgs(rest) };
+    }
+    if (command !== 'run') {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options: RUN_OPTIONS, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values } = parsed;
+    if (values.help) {
+        return { command: 'help', options: {} };
+    }
+
+    if (!values.excel) {
+        throw new UsageError('Missing required option --excel');
+    }
+    checkTransferOptions(values);
+    return { command: 'run', options: toTransferOptions(values) };
+}
+
+/**
+ * Checks the store, sheet, time and date options shared by "run" and "watch".
+ *
+ * @param {object} values - Values from parseArgs.
+ * @throws {UsageError} If an option is missing, invalid or combined with one it excludes.
+ */
+function checkTransferOptions(values) {
+    if (!values.store && !values['all-stores']) {
+        throw new UsageError('Specify a store with --store or use --all-stores');
+    }
+    if (values.store && values['all-stores']) {
+        throw new UsageError('--store and --all-stores cannot be combined');
+    }
+    if (values.sheet && values['all-sheets']) {
+        throw new UsageError('--sheet and --all-sheets cannot be combined');
+    }
+    for (const name of ['departure-time', 'arrival-time']) {
+        if (values[name] && !TIME_PATTERN.test(values[name])) {
+            throw new UsageError(`Invalid --${name} "${values[name]}", expected a time like "07:00 AM"`);
+        }
+    }
+    if (values.date && !parseDateOption(values.date)) {
+        throw new UsageError(`Invalid --date "${values.date}", expected MM/DD/YYYY`);
+    }
+}
+
+function toTransferOptions(values) {
+    return {
+        excel: values.excel,
+        sheet: values.sheet,
+        allSheets: values['all-sheets'],
+        store: values.store,
+        allStores: values['all-stores'],
+        driver1: values.driver1,
+        driver2: values.driver2,
+        vehicle: values.vehicle,
+        route: values.route,
+        date: values.date,
+        departureTime: values['departure-time'],
+        arrivalTime: values['arrival-time'],
+        split: values.split,
+        headless: values.headless,
+        dryRun: values['dry-run'],
+        resume: values.resume,
+        interactiveMatch: values['interactive-match'],
+        allowDuplicate: values['allow-duplicate']
+    };
+}
+
+/**
+ * Parses the arguments of the "watch" command: the run options that apply to every dropped
+ * manifest, plus the inbox to watch.
+ *
+ * @param {string[]} args - Arguments after "watch".
+ * @returns {object} The run options (without excel, sheet, date, resume and interactiveMatch), inbox and once.
+ * @throws {UsageError} If an option is unknown or invalid.
+ */
+function parseWatchArgs(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: WATCH_OPTIONS, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values } = parsed;
+    checkTransferOptions(values);
+    return { ...toTransferOptions(values), inbox: values.inbox, once: values.once };
+}
+
+/**
+ * Parses the arguments of the "stores" command.
+ *
+ * @param {string[]} args - Arguments after "stores".
+ * @returns {{action: string, name: string|undefined, fields: object}} The registry action to run.
+ * @throws {UsageError} If the action, name or a field is missing or invalid.
+ */
+function parseStoresArgs(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: STORE_OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const [action = 'list', name] = parsed.positionals;
+    if (!STORE_ACTIONS.includes(action)) {
+        throw new UsageError(`Unknown stores action "${action}", expected one of: ${STORE_ACTIONS.join(', ')}`);
+    }
+    if (['show', 'add', 'update'].includes(action) && !name) {
+        throw new UsageError(`stores ${action} needs a store name`);
+    }
+
+    const { values } = parsed;
+    const fields = {};
+    if (values.label) fields.label = values.label;
+    if (values['to-store']) fields.toStore = values['to-store'];
+    if (values.driver1 || values.driver2) {
+        fields.drivers = {};
+        if (values.driver1) fields.drivers.driver1 = values.driver1;
+        if (values.driver2) fields.drivers.driver2 = values.driver2;
+    }
+    if (values.vehicle) fields.vehicles = values.vehicle;
+    if (values.route) fields.route = values.route;
+    if (values['departure-time']) fields.departureTime = values['departure-time'];
+    if (values['arrival-time']) fields.arrivalTime = values['arrival-time'];
+
+    if (action === 'add' && !fields.toStore) {
+        throw new UsageError('stores add needs --to-store with the SweedPos destination name');
+    }
+    if (action === 'update' && Object.keys(fields).length === 0) {
+        throw new UsageError('stores update needs at least one field to change');
+    }
+    return { action, name, fields };
+}
+
+/**
+ * Parses the arguments of the "session" command.
+ *
+ * @param {string[]} args - Arguments after "session".
+ * @returns {{action: string}} The session action to run.
+ * @throws {UsageError} If the action is missing or unknown.
+ */
+function parseSessionArgs(args) {
+    const [action, ...extra] = args;
+    if (!SESSION_ACTIONS.includes(action)) {
+        throw new UsageError(`Unknown session action "${action || ''}", expected one of: ${SESSION_ACTIONS.join(', ')}`);
+    }
+    if (extra.length > 0) {
+        throw new UsageError(`Unexpected argument "${extra[0]}" for session ${action}`);
+    }
+    return { action };
+}
+
+/**
+ * Parses the arguments of the "credentials" command.
+ *
+ * @param {string[]} args - Arguments after "credentials".
+ * @returns {{action: string}} The credentials action to run.
+ * @throws {UsageError} If the action is missing or unknown.
+ */
+function parseCredentialsArgs(args) {
+    const [action, ...extra] = args;
+    if (!CREDENTIAL_ACTIONS.includes(action)) {
+        throw new UsageError(`Unknown credentials action "${action || ''}", expected one of: ${CREDENTIAL_ACTIONS.join(', ')}`);
+    }
+    if (extra.length > 0) {
+        throw new UsageError(`Unexpected argument "${extra[0]}" for credentials ${action}`);
+    }
+    return { action };
+}
+
+/**
+ * Parses the arguments of the "history" command, turning the day filters into a time range.
+ *
+ * @param {string[]} args - Arguments after "history".
+ * @param {Date} [now=new Date()] - Reference time for relative days such as "yesterday".
+ * @returns {{action: string, runId: string|undefined, filters: object, limit: number}} The history query to run.
+ * @throws {UsageError} If the action, a day or the limit is invalid.
+ */
+function parseHistoryArgs(args, now = new Date()) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: HISTORY_OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const [action = 'list', argument, ...extra] = parsed.positionals;
+    if (!HISTORY_ACTIONS.includes(action)) {
+        throw new UsageError(`Unknown history action "${action}", expected one of: ${HISTORY_ACTIONS.join(', ')}`);
+    }
+    if (action === 'show' && !argument) {
+        throw new UsageError('history show needs a run id');
+    }
+    if ((action === 'list' && argument) || extra.length > 0) {
+        throw new UsageError(`Unexpected argument "${action === 'list' ? argument : extra[0]}" for history ${action}`);
+    }
+
+    const { values } = parsed;
+    const day = name => {
+        if (!values[name]) return null;
+        const range = parseDay(values[name], now);
+        if (!range) throw new UsageError(`Invalid --${name} "${values[name]}", expected MM/DD/YYYY, YYYY-MM-DD, today, yesterday or a weekday`);
+        return range;
+    };
+    if (values.on && (values.since || values.until)) {
+        throw new UsageError('--on cannot be combined with --since or --until');
+    }
+    const on = day('on');
+    const since = on ? on.start : day('since')?.start;
+    const until = on ? on.end : day('until')?.end;
+
+    const limit = values.limit === undefined ? 20 : Number(values.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError(`Invalid --limit "${values.limit}", expected a positive whole number`);
+    }
+    return {
+        action,
+        runId: action === 'show' ? argument : undefined,
+        filters: { store: values.store, since, until, status: values.status, text: action === 'search' ? argument : undefined },
+        limit
+    };
+}
+
+/**
+ * Parses the arguments of the "selectors" command.
+ *
+ * @param {string[]} args - Arguments after "selectors".
+ * @returns {{action: string, draftUrl: string|undefined, headless: boolean}} The health check to run.
+ * @throws {UsageError} If the action or an option is invalid.
+ */
+function parseSelectorsArgs(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: SELECTOR_OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const [action = 'check'] = parsed.positionals;
+    if (action !== 'check') {
+        throw new UsageError(`Unknown selectors action "${action}", expected: check`);
+    }
+    const draftUrl = parsed.values['draft-url'];
+    if (draftUrl && !/^https?:\/\//.test(draftUrl)) {
+        throw new UsageError(`Invalid --draft-url "${draftUrl}", expected an http(s) URL`);
+    }
+    return { action, draftUrl, headless: parsed.values.headless };
+}
+
+// The defaults a store registry entry gives a transfer.
+function getStoreDefaults(storeConfig) {
+    return {
+        vehicle: storeConfig.vehicles?.[0] || '',
+        route: storeConfig.route || '',
+        driver1: storeConfig.drivers?.driver1 || '',
+        driver2: storeConfig.drivers?.driver2 || '',
+        departureTime: storeConfig.departureTime || '',
+        arrivalTime: storeConfig.arrivalTime || ''
+    };
+}
+
+// Store names from the "<Store> Units"/"<Store> Cases" columns.
+function getHeaderStores(headers) {
+    const stores = headers
+        .map(header => /^(.+) (Units|Cases)$/.exec(header))
+        .filter(match => match && match[1] !== 'Total')
+        .map(match => match[1]);
+    return [...new Set(stores)];
+}
+
+/**
+ * Builds the same transfer config object the confirmation window produces,
+ * filling anything not given on the command line from the store defaults.
+ *
+ * @param {object} options - Parsed run options from parseCommandLine.
+ * @param {object} storeConfigs - Store registry entries keyed by store name.
+ * @param {string[]} headers - Column headers read from the manifest.
+ * @returns {object} The transfer config passed to createTransferProcess.
+ * @throws {UsageError} If the store is unknown or required values have no default.
+ */
+function buildTransferConfig(options, storeConfigs, headers) {
+    const departureDate = (options.date ? parseDateOption(options.date) : new Date()).toLocaleDateString('en-US');
+    const shared = {
+        vehicle: options.vehicle || '',
+        route: options.route || '',
+        departureDate,
+        split: options.split,
+        dryRun: options.dryRun,
+        resume: options.resume,
+        interactiveMatch: options.interactiveMatch,
+        allowDuplicate: options.allowDuplicate,
+        headers
+    };
+
+    if (options.allStores) {
+        // Values given on the command line apply to every store; the rest come from each store's defaults.
+        const overrides = {};
+        ['driver1', 'driver2', 'departureTime', 'arrivalTime'].forEach(field => {
+            if (options[field]) overrides[field] = options[field];
+        });
+        if (!shared.vehicle) {
+            // Stores without a driver or times are skipped by the run, so only the others need a vehicle
+            const withoutVehicle = getHeaderStores(headers).filter(store => {
+                if (!storeConfigs[store]) return false;
+                const defaults = { ...getStoreDefaults(storeConfigs[store]), ...overrides };
+                return defaults.driver1 && defaults.departureTime && defaults.arrivalTime && !defaults.vehicle;
+            });
+            if (withoutVehicle.length > 0) {
+                throw new UsageError(
+                    `The store registry entries for ${withoutVehicle.map(store => `"${store}"`).join(', ')} have no vehicle. ` +
+                    'Pass --vehicle or add one with: node auto.js stores update "<name>" --vehicle "<vehicle>"'
+                );
+            }
+        }
+        return { ...shared, multiStore: true, overrides };
+    }
+
+    const storeConfig = storeConfigs[options.store];
+    if (!storeConfig) {
+        throw new UsageError(`Store "${options.store}" is not in the store registry. Known stores: ${Object.keys(storeConfigs).join(', ')}`);
+    }
+    if (!headers.includes(`${options.store} Units`) && !headers.includes(`${options.store} Cases`)) {
+        throw new UsageError(`The manifest has no "${options.store} Units" or "${options.store} Cases" column`, EXIT_CODES.INPUT_ERROR);
+    }
+
+    const defaults = getStoreDefaults(storeConfig);
+    const transferConfig = {
+        ...shared,
+        vehicle: shared.vehicle || defaults.vehicle,
+        route: shared.route || defaults.route,
+        store: options.store,
+        toStore: storeConfig.toStore,
+        driver1: options.driver1 || defaults.driver1,
+        driver2: options.driver2 || defaults.driver2,
+        departureTime: options.departureTime || defaults.departureTime,
+        arrivalTime: options.arrivalTime || defaults.arrivalTime
+    };
+
+    const missing = ['driver1', 'vehicle', 'departureTime', 'arrivalTime'].filter(field => !transferConfig[field]);
+    if (missing.length > 0) {
+        throw new UsageError(
+            `The store registry entry for "${options.store}" has no default for: ${missing.join(', ')}. ` +
+            `Pass them on the command line or set them with: node auto.js stores update "${options.store}"`
+        );
+    }
+    return transferConfig;
+}
+
+module.exports = {
+    EXIT_CODES,
+    USAGE,
+    UsageError,
+    parseCommandLine,
+    parseStoresArgs,
+    parseSessionArgs,
+    parseCredentialsArgs,
+    parseHistoryArgs,
+    parseSelectorsArgs,
+    parseWatchArgs,
+    parseDateOption,
+    checkTransferOptions,
+    buildTransferConfig
+};
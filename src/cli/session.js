@@ -0,0 +1,23 @@
+// src/cli/session.js
+const colors = require('ansi-colors');
+const { SessionStore } = require('../session');
+const { EXIT_CODES } = require('./index');
+
+/**
+ * Runs a "session" action and returns the process exit code.
+ *
+ * @param {{action: string}} options - Parsed by parseSessionArgs.
+ * @returns {number} The exit code.
+ */
+function runSessionCommand({ action }) {
+    if (action !== 'clear') return EXIT_CODES.USAGE_ERROR;
+    const sessionStore = new SessionStore();
+    if (sessionStore.clear()) {
+        console.log(colors.green(`Cleared the saved session (${sessionStore.filePath})`));
+    } else {
+        console.log(colors.yellow('No saved session to clear'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+module.exports = { runSessionCommand };
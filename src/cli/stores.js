@@ -0,0 +1,70 @@
+// src/cli/stores.js
+const colors = require('ansi-colors');
+const storeRegistry = require('../registry');
+const { RegistryError } = require('../registry');
+const { EXIT_CODES } = require('./index');
+
+function formatStore(name, entry) {
+    const drivers = [entry.drivers?.driver1, entry.drivers?.driver2].filter(Boolean).join(', ') || '(none)';
+    const window = entry.departureTime ? `${entry.departureTime} - ${entry.arrivalTime}` : '(not set)';
+    return [
+        colors.bold(name) + (entry.label && entry.label !== name ? ` (${entry.label})` : ''),
+        `  Destination: ${entry.toStore}`,
+        `  Drivers:     ${drivers}`,
+        `  Vehicles:    ${(entry.vehicles || []).join(', ') || '(none)'}`,
+        `  Route:       ${entry.route || '(none)'}`,
+        `  Window:      ${window}`
+    ].join('\n');
+}
+
+/**
+ * Runs a "stores" registry action and returns the process exit code.
+ *
+ * @param {{action: string, name: string, fields: object}} options - Parsed by parseStoresArgs.
+ * @returns {number} The exit code.
+ */
+function runStoresCommand({ action, name, fields }) {
+    try {
+        switch (action) {
+            case 'list':
+                storeRegistry.list().forEach(store => console.log(formatStore(store, storeRegistry.get(store)) + '\n'));
+                return EXIT_CODES.SUCCESS;
+            case 'show': {
+                const entry = storeRegistry.get(name);
+                if (!entry) {
+                    console.error(colors.red(`Store "${name}" is not in the registry`));
+                    return EXIT_CODES.INPUT_ERROR;
+                }
+                console.log(formatStore(name, entry));
+                return EXIT_CODES.SUCCESS;
+            }
+            case 'add':
+                storeRegistry.add(name, fields);
+                console.log(colors.green(`Added store "${name}"`));
+                return EXIT_CODES.SUCCESS;
+            case 'update':
+                storeRegistry.update(name, fields);
+                console.log(colors.green(`Updated store "${name}"`));
+                return EXIT_CODES.SUCCESS;
+            case 'validate': {
+                const problems = storeRegistry.validate();
+                if (problems.length === 0) {
+                    console.log(colors.green(`Store registry is valid (${storeRegistry.list().length} stores)`));
+                    return EXIT_CODES.SUCCESS;
+                }
+                problems.forEach(problem => console.error(colors.red(`✘ ${problem}`)));
+                return EXIT_CODES.VALIDATION_FAILED;
+            }
+            default:
+                return EXIT_CODES.USAGE_ERROR;
+        }
+    } catch (error) {
+        if (error instanceof RegistryError) {
+            console.error(colors.red(error.message));
+            return EXIT_CODES.INPUT_ERROR;
+        }
+        throw error;
+    }
+}
+
+module.exports = { runStoresCommand };
@@ -52,7 +52,18 @@ class ConfigManager {
             excel: { ...base.excel, ...override.excel },
             validation: { ...base.validation, ...override.validation },
             urls: { ...base.urls, ...override.urls },
-            search: { ...base.search, ...override.search }
+            search: { ...base.search, ...override.search },
+            productMatching: { ...base.productMatching, ...override.productMatching },
+            verification: { ...base.verification, ...override.verification },
+            waits: { ...base.waits, ...override.waits },
+            credentials: { ...base.credentials, ...override.credentials },
+            login: { ...base.login, ...override.login },
+            session: { ...base.session, ...override.session },
+            history: { ...base.history, ...override.history },
+            duplicates: { ...base.duplicates, ...override.duplicates },
+            reports: { ...base.reports, ...override.reports },
+            notifications: { ...base.notifications, ...override.notifications },
+            watch: { ...base.watch, ...override.watch }
         };
     }
 
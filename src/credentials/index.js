@@ -0,0 +1,184 @@
+// src/credentials/index.js
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { exec } = require('child_process');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { encryptJson, decryptJson } = require('../utils/encryption');
+const { registerSecret } = require('../utils/redact');
+
+class CredentialError extends Error {
+    constructor(message, provider) {
+        super(message);
+        this.name = 'CredentialError';
+        this.provider = provider;
+    }
+}
+
+/**
+ * Reads the Microsoft account from environment variables (MS_USERNAME, MS_PASSWORD and the
+ * optional MS_TOTP_SECRET), e.g. from .env.
+ */
+class EnvCredentialProvider {
+    get name() {
+        return 'env';
+    }
+
+    async getCredentials() {
+        return {
+            username: process.env.MS_USERNAME,
+            password: process.env.MS_PASSWORD,
+            totpSecret: process.env.MS_TOTP_SECRET
+        };
+    }
+}
+
+/**
+ * Reads the Microsoft account from a local file encrypted with a passphrase (AES-256-GCM, see
+ * src/utils/encryption.js), like an OS keychain entry. The passphrase comes from
+ * CREDENTIALS_PASSPHRASE or, at a terminal, is asked for.
+ */
+class EncryptedFileCredentialProvider {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.filePath] - Defaults to credentials.file, or ~/.auto-manifest/credentials.enc.
+     * @param {string} [options.passphrase] - Defaults to process.env.CREDENTIALS_PASSPHRASE.
+     */
+    constructor({ filePath = config.get('credentials.file'), passphrase = process.env.CREDENTIALS_PASSPHRASE } = {}) {
+        this.filePath = filePath ? path.resolve(filePath) : path.join(os.homedir(), '.auto-manifest', 'credentials.enc');
+        this.passphrase = passphrase;
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    async getPassphrase(message = 'Passphrase for the saved credentials') {
+        if (this.passphrase) return this.passphrase;
+        if (!process.stdin.isTTY) {
+            throw new CredentialError('Set CREDENTIALS_PASSPHRASE to unlock the credentials file when not running at a terminal', this.name);
+        }
+        const inquirer = require('inquirer').default;
+        const { passphrase } = await inquirer.prompt([{ type: 'password', name: 'passphrase', message, mask: '*' }]);
+        this.passphrase = passphrase;
+        return passphrase;
+    }
+
+    async getCredentials() {
+        if (!fs.existsSync(this.filePath)) {
+            throw new CredentialError(`No credentials file at ${this.filePath}. Create it with "node auto.js credentials save".`, this.name);
+        }
+        const passphrase = await this.getPassphrase();
+        registerSecret(passphrase);
+        try {
+            return decryptJson(JSON.parse(fs.readFileSync(this.filePath, 'utf-8')), passphrase);
+        } catch (error) {
+            throw new CredentialError(`Could not unlock ${this.filePath}: wrong passphrase or damaged file (${error.message})`, this.name);
+        }
+    }
+
+    /**
+     * Encrypts and writes the credentials, readable by the current user only.
+     *
+     * @param {{username: string, password: string, totpSecret: string}} credentials - The account to save.
+     */
+    async save(credentials) {
+        const passphrase = await this.getPassphrase('Passphrase to protect the credentials');
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(encryptJson(credentials, passphrase)), { encoding: 'utf-8', mode: 0o600 });
+        logger.info('Saved credentials file', { filePath: this.filePath });
+    }
+}
+
+/**
+ * Runs an external program (a password manager CLI, a vault client, ...) that prints the
+ * credentials on stdout, either as JSON ({ "username", "password", "totpSecret" }) or as the
+ * username on the first line and the password on the second.
+ */
+class CommandCredentialProvider {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.command] - Defaults to credentials.command.
+     * @param {number} [options.timeout] - Defaults to credentials.commandTimeout.
+     */
+    constructor({ command = config.get('credentials.command'), timeout = config.get('credentials.commandTimeout') } = {}) {
+        this.command = command;
+        this.timeout = timeout;
+    }
+
+    get name() {
+        return 'command';
+    }
+
+    async getCredentials() {
+        if (!this.command) throw new CredentialError('credentials.command is not set', this.name);
+        const stdout = await new Promise((resolve, reject) => {
+            exec(this.command, { timeout: this.timeout, windowsHide: true }, (error, output) => {
+                // stderr is not passed on: a failing helper may print what it was asked for.
+                if (error) reject(new CredentialError(`Credentials command failed (exit code ${error.code ?? error.signal})`, this.name));
+                else resolve(output);
+            });
+        });
+
+        const text = stdout.trim();
+        if (text.startsWith('{')) {
+            try {
+                return JSON.parse(text);
+            } catch {
+                throw new CredentialError('Credentials command printed invalid JSON', this.name);
+            }
+        }
+        const [username, password, totpSecret] = text.split(/\r?\n/).map(line => line.trim());
+        return { username, password, totpSecret };
+    }
+}
+
+const PROVIDERS = {
+    env: EnvCredentialProvider,
+    file: EncryptedFileCredentialProvider,
+    command: CommandCredentialProvider
+};
+
+/**
+ * Creates the provider named by credentials.provider.
+ *
+ * @param {string} [name] - "env", "file" or "command"; defaults to credentials.provider.
+ * @returns {object} A provider with getCredentials().
+ * @throws {CredentialError} If the provider is unknown.
+ */
+function createCredentialProvider(name = config.get('credentials.provider') || 'env') {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new CredentialError(`Unknown credentials provider "${name}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`, name);
+    }
+    return new Provider();
+}
+
+/**
+ * Gets the Microsoft account from the configured provider and registers every value for
+ * redaction, so it never reaches the logs or captured page snapshots.
+ *
+ * @param {object} [provider] - Defaults to the configured provider.
+ * @returns {Promise<{username: string, password: string, totpSecret: string|undefined}>} The credentials.
+ * @throws {CredentialError} If the provider fails or gives no username or password.
+ */
+async function loadCredentials(provider = createCredentialProvider()) {
+    const credentials = await provider.getCredentials();
+    const { username, password, totpSecret } = credentials || {};
+    [username, password, totpSecret].forEach(registerSecret);
+    if (!username || !password) {
+        throw new CredentialError(`The ${provider.name} credentials provider gave no username or password`, provider.name);
+    }
+    logger.info(`Credentials loaded from the ${provider.name} provider`);
+    return { username, password, totpSecret: totpSecret || undefined };
+}
+
+module.exports = {
+    CredentialError,
+    EnvCredentialProvider,
+    EncryptedFileCredentialProvider,
+    CommandCredentialProvider,
+    createCredentialProvider,
+    loadCredentials
+};
@@ -0,0 +1,433 @@
+// src/history/index.js
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { redact } = require('../utils/redact');
+const ErrorHandler = require('../utils/errorHandler');
+const runEvents = require('../utils/runEvents');
+const { planProductRow } = require('../utils/transferPlan');
+
+// Draft pages live at /transfers/<id>/draft; the id is kept so a run can be found by it.
+const DRAFT_ID_PATTERN = /\/transfers\/([^/?#]+)/;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function getOperator() {
+    try {
+        return os.userInfo().username;
+    } catch {
+        return process.env.USER || process.env.USERNAME || 'unknown';
+    }
+}
+
+/**
+ * Returns the SHA-256 of a file, so a run can be traced back to the exact manifest it read.
+ *
+ * @param {string} filePath - The file to hash.
+ * @returns {string} The hex digest.
+ */
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Raised when a transfer was already submitted, by an earlier run or as a draft on SweedPos.
+ * Carries the earlier submissions so they can be shown to the operator.
+ */
+class DuplicateSubmissionError extends Error {
+    constructor(message, submissions = []) {
+        super(message);
+        this.name = 'DuplicateSubmissionError';
+        this.submissions = submissions;
+        this.transient = false;
+    }
+}
+
+function formatDay(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return '';
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fingerprints what a store transfer would send: the store, the departure day and the barcode and
+ * quantity of every row that would be added. Row order, row numbers, skipped rows and the other
+ * confirmation settings do not change it, so the same sheet confirmed twice gives the same fingerprint.
+ *
+ * @param {object} storeData - The createStoreTransfer input: store, departureDate and the manifest rows.
+ * @returns {string} The SHA-256 fingerprint.
+ */
+function fingerprintTransfer(storeData) {
+    const products = (storeData.transferData || [])
+        .map(row => planProductRow(row, storeData.store))
+        .filter(product => !product.skipReason)
+        .map(product => `${String(product.barcode).trim().toUpperCase()}=${Number(product.qty)}`)
+        .sort();
+    const content = JSON.stringify({ store: String(storeData.store).toLowerCase(), departureDate: formatDay(storeData.departureDate), products });
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * The history file: one JSON line per run, appended when the run starts and again when it ends.
+ * The last line written for a run id is its current state, so a run that died part-way through
+ * stays listed as "running".
+ */
+class RunHistory {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.filePath] - Defaults to history.file, relative to the working directory.
+     */
+    constructor({ filePath = config.get('history.file') } = {}) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    append(record) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', 'utf-8');
+    }
+
+    /**
+     * Reads every run, oldest first. Lines that cannot be parsed (e.g. cut off by a crash) are skipped.
+     *
+     * @returns {object[]} The latest record of each run.
+     */
+    readAll() {
+        if (!fs.existsSync(this.filePath)) return [];
+        const runs = new Map();
+        fs.readFileSync(this.filePath, 'utf-8').split('\n').filter(Boolean).forEach((line, index) => {
+            try {
+                const record = JSON.parse(line);
+                runs.set(record.runId, record);
+            } catch {
+                logger.warn(`Skipping unreadable line ${index + 1} of ${this.filePath}`);
+            }
+        });
+        return Array.from(runs.values()).sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    }
+
+    /**
+     * Finds a run by its id or the start of it, as printed by "history list".
+     *
+     * @param {string} id - The run id or a unique prefix.
+     * @returns {object|null} The run, or null when no run or several runs match.
+     */
+    find(id) {
+        const matches = this.readAll().filter(run => run.runId.startsWith(id));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Returns the earlier submissions of a transfer: store entries with the same fingerprint that
+     * got as far as creating a draft.
+     *
+     * @param {string} fingerprint - Result of fingerprintTransfer.
+     * @returns {object[]} runId, startedAt, operator, store, status and draftUrl of each submission, newest first.
+     */
+    findSubmissions(fingerprint) {
+        const submissions = [];
+        this.readAll().forEach(run => run.stores
+            .filter(entry => entry.fingerprint === fingerprint && (entry.draftUrl || entry.status === 'created'))
+            .forEach(entry => submissions.push({
+                runId: run.runId,
+                startedAt: run.startedAt,
+                operator: run.operator,
+                store: entry.store,
+                status: entry.status,
+                draftUrl: entry.draftUrl
+            })));
+        return submissions.reverse();
+    }
+
+    /**
+     * Returns the runs matching every given filter, newest first.
+     *
+     * @param {object} [filters]
+     * @param {string} [filters.store] - Manifest store name or SweedPos destination, case-insensitive.
+     * @param {Date} [filters.since] - Runs started at or after this time.
+     * @param {Date} [filters.until] - Runs started before this time.
+     * @param {string} [filters.status] - Run status, e.g. "succeeded" or "failed".
+     * @param {string} [filters.text] - Matched against the manifest file, its hash, barcodes, products, draft ids and the operator.
+     * @returns {object[]} The matching runs.
+     */
+    search({ store, since, until, status, text } = {}) {
+        const storeName = store && store.toLowerCase();
+        const needle = text && text.toLowerCase();
+        return this.readAll()
+            .filter(run => !since || new Date(run.startedAt) >= since)
+            .filter(run => !until || new Date(run.startedAt) < until)
+            .filter(run => !status || run.status === status)
+            .filter(run => !storeName || [run.config, ...run.stores].some(entry =>
+                [entry.store, entry.toStore].some(name => name && name.toLowerCase() === storeName)))
+            .filter(run => !needle || runText(run).includes(needle))
+            .reverse();
+    }
+}
+
+function runText(run) {
+    const values = [run.runId, run.operator, run.source?.path, run.source?.sha256, run.config.store, run.config.toStore];
+    run.stores.forEach(entry => {
+        values.push(entry.store, entry.toStore, entry.draftId, entry.draftUrl);
+        entry.rows.forEach(row => values.push(row.barcode, row.product));
+    });
+    return values.filter(Boolean).join('\n').toLowerCase();
+}
+
+/**
+ * What happened to one store's transfer within a run: the draft, every manifest row and the files written.
+ */
+class StoreRun {
+    constructor(storeData) {
+        this.store = storeData.store;
+        this.toStore = storeData.toStore;
+        this.fingerprint = fingerprintTransfer(storeData);
+        this.startedAt = new Date().toISOString();
+        this.status = 'running';
+        this.draftUrl = null;
+        this.draftId = null;
+        this.rows = [];
+        this.stats = null;
+        this.reason = null;
+        this.artifacts = {};
+        runEvents.publish('store-started', { store: this.store, toStore: this.toStore });
+    }
+
+    recordDraft(url) {
+        this.draftUrl = url;
+        this.draftId = DRAFT_ID_PATTERN.exec(url)?.[1] || null;
+    }
+
+    /**
+     * @param {string} row - The manifest row number.
+     * @param {string} outcome - "added", "skipped", "resumed" or "needs-review".
+     * @param {object} [details] - barcode, qty, product or reason.
+     */
+    recordRow(row, outcome, details = {}) {
+        this.rows.push({ row: String(row), outcome, ...details });
+        runEvents.publish('row', { store: this.store, row: String(row), outcome, ...details });
+    }
+
+    addArtifact(name, filePath) {
+        if (filePath) this.artifacts[name] = filePath;
+    }
+
+    complete(stats) {
+        this.status = 'created';
+        this.stats = stats;
+        this.finish();
+    }
+
+    skip(reason) {
+        this.status = 'skipped';
+        this.reason = reason;
+        this.finish();
+    }
+
+    // Stopped between two products; the rows not reached are left unprocessed, not failed.
+    abort(error) {
+        this.status = 'aborted';
+        this.reason = error.message;
+        this.finish();
+    }
+
+    /**
+     * @param {Error} error - Why the transfer failed.
+     * @param {object} [captured] - Screenshot, HTML and console paths when the caller captured the page itself.
+     */
+    fail(error, captured = null) {
+        this.status = 'failed';
+        this.reason = error.message;
+        const screenshots = ErrorHandler.getStepError(error)?.screenshots || captured;
+        Object.entries(screenshots || {}).forEach(([name, filePath]) => this.addArtifact(name, filePath));
+        this.finish();
+    }
+
+    finish() {
+        this.finishedAt = new Date().toISOString();
+        this.durationMs = new Date(this.finishedAt) - new Date(this.startedAt);
+        runEvents.publish('store-finished', { store: this.store, status: this.status, reason: this.reason, draftUrl: this.draftUrl });
+    }
+}
+
+/**
+ * Records one run of the automation in the run history: who started it, the manifest and
+ * confirmed settings it ran with, each store's draft and row outcomes, the step timings,
+ * warnings and errors, and the reports and screenshots it left behind.
+ */
+class RunRecorder {
+    /**
+     * @param {object} options
+     * @param {object} options.userConfig - The confirmed transfer config.
+     * @param {object} options.transferData - Result of readTransferData, with the manifest's source.
+     * @param {RunHistory} [options.history] - Defaults to the configured history file.
+     */
+    constructor({ userConfig, transferData, history = new RunHistory() }) {
+        this.history = history;
+        this.progress = [];
+        // The rows are recorded per store with their outcome; the headers add nothing.
+        const settings = { ...userConfig };
+        delete settings.headers;
+        delete settings.transferData;
+        this.record = {
+            runId: uuidv4(),
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            status: 'running',
+            exitCode: null,
+            error: null,
+            operator: getOperator(),
+            host: os.hostname(),
+            source: transferData.source || null,
+            config: redact(settings),
+            stores: [],
+            timings: [],
+            warnings: [],
+            errors: [],
+            artifacts: {}
+        };
+    }
+
+    get runId() {
+        return this.record.runId;
+    }
+
+    /**
+     * Creates the recorder and writes the "running" entry. With history.enabled set to false the
+     * run is still collected (e.g. for the run reports) but nothing is written to the history.
+     *
+     * @param {object} options - See the constructor.
+     * @returns {RunRecorder} The recorder.
+     */
+    static start(options) {
+        const recorder = new RunRecorder(options);
+        recorder.enabled = config.get('history.enabled') !== false;
+        recorder.write();
+        if (recorder.enabled) logger.info(`Recording run ${recorder.runId} in the run history`, { filePath: recorder.history.filePath });
+        return recorder;
+    }
+
+    startStore(storeData) {
+        const storeRun = new StoreRun(storeData);
+        this.record.stores.push(storeRun);
+        return storeRun;
+    }
+
+    /**
+     * Includes the step timings, warnings and errors of a progress tracker when the run is written.
+     */
+    attachProgress(progress) {
+        this.progress.push(progress);
+    }
+
+    addArtifact(name, filePath) {
+        if (filePath) this.record.artifacts[name] = filePath;
+    }
+
+    addError(message) {
+        this.record.errors.push({ step: 'Run', error: message, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * Completes the record with how the run ended and writes the final entry.
+     *
+     * @param {string} status - "succeeded", "partial", "aborted", "failed", "duplicate", "validation-failed" or "dry-run".
+     * @param {number} exitCode - The process exit code the run ends with.
+     * @param {Error} [error] - The error that ended the run, if any.
+     */
+    finish(status, exitCode, error = null) {
+        this.end(status, exitCode, error);
+        this.write();
+    }
+
+    /**
+     * Completes the record without writing it, for callers that add artifacts (such as the run
+     * reports, which need the final record) before calling write().
+     */
+    end(status, exitCode, error = null) {
+        this.record.status = status;
+        this.record.exitCode = exitCode;
+        this.record.error = error ? error.message : null;
+        this.record.finishedAt = new Date().toISOString();
+        this.record.durationMs = new Date(this.record.finishedAt) - new Date(this.record.startedAt);
+        this.progress.forEach(progress => {
+            progress.steps.forEach(step => this.record.timings.push({ step: step.name, status: step.status, durationMs: step.duration ?? null }));
+            this.record.warnings.push(...progress.warnings);
+            this.record.errors.push(...progress.errors);
+        });
+        this.progress = [];
+    }
+
+    write() {
+        if (this.enabled === false) return;
+        try {
+            this.history.append(redact(JSON.parse(JSON.stringify(this.record))));
+            if (this.record.finishedAt) logger.info(`Run ${this.runId} recorded as ${this.record.status}`);
+        } catch (error) {
+            // The history is an audit trail, losing an entry must not fail the transfer itself.
+            logger.error(`Could not write run ${this.runId} to ${this.history.filePath}:`, error);
+        }
+    }
+}
+
+/**
+ * Checks every store a run is about to submit against the run history.
+ *
+ * @param {object[]} plannedStores - createStoreTransfer inputs, one per store.
+ * @param {RunHistory} [history] - Defaults to the configured history file.
+ * @returns {Array<{store: string, fingerprint: string, submissions: object[]}>} The stores submitted before.
+ */
+function findDuplicateSubmissions(plannedStores, history = new RunHistory()) {
+    return plannedStores
+        .map(storeData => {
+            const fingerprint = fingerprintTransfer(storeData);
+            return { store: storeData.store, fingerprint, submissions: history.findSubmissions(fingerprint) };
+        })
+        .filter(duplicate => duplicate.submissions.length > 0);
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Turns a day as typed on the command line into the time range it covers: "today", "yesterday",
+ * a weekday ("tuesday" or "last tuesday", the most recent one before today), MM/DD/YYYY or YYYY-MM-DD.
+ *
+ * @param {string} text - The day to parse.
+ * @param {Date} [now=new Date()] - Reference time for relative days.
+ * @returns {{start: Date, end: Date}|null} Local midnight of the day and of the day after, or null if not understood.
+ */
+function parseDay(text, now = new Date()) {
+    const value = String(text).trim().toLowerCase();
+    const today = startOfDay(now);
+    let start = null;
+    if (value === 'today') {
+        start = today;
+    } else if (value === 'yesterday') {
+        start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    } else if (WEEKDAYS.includes(value.replace(/^last /, ''))) {
+        const back = (today.getDay() - WEEKDAYS.indexOf(value.replace(/^last /, '')) + 7) % 7 || 7;
+        start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - back);
+    } else {
+        const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+        const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+        if (iso) start = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+        if (us) start = new Date(Number(us[3]), Number(us[1]) - 1, Number(us[2]));
+    }
+    if (!start || isNaN(start.getTime())) return null;
+    return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1) };
+}
+
+module.exports = {
+    DuplicateSubmissionError,
+    RunHistory,
+    RunRecorder,
+    StoreRun,
+    hashFile,
+    fingerprintTransfer,
+    findDuplicateSubmissions,
+    parseDay
+};
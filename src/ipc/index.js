@@ -0,0 +1,283 @@
+// src/ipc/index.js
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+// What a window can report back; one result is sent per process.
+const RESULT_TYPES = ['approved', 'cancelled', 'error'];
+
+// How the child finds the channel of the run that started it.
+const ENV = {
+    address: 'AUTO_MANIFEST_IPC',
+    token: 'AUTO_MANIFEST_IPC_TOKEN'
+};
+
+class ChannelError extends Error {
+    constructor(message, exitCode = null) {
+        super(message);
+        this.name = 'ChannelError';
+        this.exitCode = exitCode;
+    }
+}
+
+// A socket file on Unix, a named pipe on Windows; the id makes it private to one call.
+function channelAddress(id) {
+    return process.platform === 'win32'
+        ? `\\\\.\\pipe\\auto-manifest-${id}`
+        : path.join(os.tmpdir(), `auto-manifest-${id}.sock`);
+}
+
+// Messages are JSON objects, one per line.
+function onMessages(socket, callback) {
+    let buffer = '';
+    socket.setEncoding('utf-8');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (!line.trim()) continue;
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch {
+                logger.warn('Ignoring a malformed message from the window process');
+                continue;
+            }
+            callback(message);
+        }
+    });
+}
+
+function encode(message) {
+    return JSON.stringify(message) + '\n';
+}
+
+/**
+ * The parent's end of the channel to a child process (an Electron window). The child is
+ * started with the address of a socket created for it only, and a token, in AUTO_MANIFEST_IPC
+ * and AUTO_MANIFEST_IPC_TOKEN. It receives the input once it connects (see connectToParent),
+ * then sends one result ("approved", "cancelled" or "error"). Both ends can keep
+ * sending other messages until the child exits: send() here, and a "message" event for the
+ * child's. Nothing is read from or written to disk, so messages can only come from the process
+ * that was just started.
+ */
+class WindowChannel extends EventEmitter {
+    constructor(command, args, input) {
+        super();
+        this.name = path.basename(args[0] || command);
+        this.input = input;
+        this.token = crypto.randomBytes(16).toString('hex');
+        this.server = net.createServer(socket => this.accept(socket));
+        this.sockets = new Set();
+        this.socket = null;
+        this.result = null;
+        this.exit = null;
+        this.settled = false;
+        this.exited = new Promise(resolve => {
+            this.resolveExited = resolve;
+        });
+    }
+
+    /**
+     * Starts the child process with a channel of its own.
+     *
+     * @param {string} command - The executable, e.g. the Electron binary.
+     * @param {string[]} args - Its arguments.
+     * @param {object} [options]
+     * @param {object} [options.input={}] - Sent to the child when it connects.
+     * @returns {Promise<WindowChannel>} The channel, once the child has been started.
+     */
+    static open(command, args, { input = {} } = {}) {
+        const channel = new WindowChannel(command, args, input);
+        const address = channelAddress(crypto.randomUUID());
+        return new Promise((resolve, reject) => {
+            channel.server.once('error', reject);
+            channel.server.listen(address, () => {
+                const child = spawn(command, args, {
+                    stdio: 'inherit',
+                    env: { ...process.env, [ENV.address]: address, [ENV.token]: channel.token }
+                });
+                child.on('error', error => channel.closed({ error }));
+                child.on('close', code => channel.closed({ code }));
+                resolve(channel);
+            });
+        });
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+        let trusted = false;
+        onMessages(socket, ({ token, ...message }) => {
+            if (!trusted && (message.type !== 'hello' || token !== this.token)) {
+                logger.warn('Rejecting a connection without the run token');
+                socket.destroy();
+                return;
+            }
+            trusted = true;
+            if (message.type === 'hello') {
+                this.socket = socket;
+                socket.write(encode({ type: 'input', input: this.input }));
+            } else if (!RESULT_TYPES.includes(message.type)) {
+                this.emit('message', message);
+            } else if (this.result) {
+                logger.warn(`Ignoring a second result ("${message.type}") from ${this.name}`);
+            } else {
+                this.result = message;
+                this.emit('result', message);
+            }
+        });
+        socket.on('error', error => logger.debug(`Window channel: ${error.message}`));
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            if (this.socket === socket) this.socket = null;
+            this.settle();
+        });
+    }
+
+    closed(exit) {
+        this.exit = this.exit || exit;
+        // A socket the child left open is closed by its exit; don't wait on it.
+        this.sockets.forEach(socket => socket.end());
+        this.settle();
+    }
+
+    // Done once the child has exited and everything it sent has been read.
+    settle() {
+        if (!this.exit || this.sockets.size > 0 || !this.server.listening) return;
+        this.server.close();
+        this.settled = true;
+        this.emit('exit', this.exit);
+        this.resolveExited(this.exit.code ?? null);
+    }
+
+    /**
+     * Sends a message to the child; dropped when the child is not connected (any more).
+     *
+     * @param {string} type - The message type.
+     * @param {object} [payload] - Its fields.
+     */
+    send(type, payload = {}) {
+        if (this.socket && !this.socket.destroyed) this.socket.write(encode({ ...payload, type }));
+    }
+
+    /**
+     * Waits for the child's result.
+     *
+     * @param {string[]} [expect] - The result types the caller handles; "error" is always accepted.
+     * @returns {Promise<object>} The result message: its type and payload.
+     * @throws {ChannelError} If the child reports an error, sends an unexpected result or exits without one.
+     */
+    waitForResult(expect = RESULT_TYPES) {
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const { result, name } = this;
+                // A result can still be in flight until the exit is settled.
+                const exit = this.settled ? this.exit : null;
+                if (!result && !exit) return false;
+                if (!result && exit.error) reject(exit.error);
+                else if (!result) reject(new ChannelError(`${name} exited with code ${exit.code} without a result`, exit.code));
+                else if (result.type === 'error') reject(new ChannelError(`${name} failed: ${result.message}`, exit?.code ?? null));
+                else if (!expect.includes(result.type)) reject(new ChannelError(`${name} sent an unexpected "${result.type}" result`, exit?.code ?? null));
+                else resolve(result);
+                return true;
+            };
+            if (check()) return;
+            const listener = () => {
+                if (!check()) return;
+                this.off('result', listener);
+                this.off('exit', listener);
+            };
+            this.on('result', listener);
+            this.on('exit', listener);
+        });
+    }
+}
+
+/**
+ * The child's end of the channel: the input sent by the parent, send() for the result and any
+ * later messages, and a "message" event for the parent's messages.
+ */
+class ParentChannel extends EventEmitter {
+    constructor(socket, input) {
+        super();
+        this.socket = socket;
+        this.input = input;
+        this.sent = false;
+    }
+
+    /**
+     * Sends a message to the parent. Of the results ("approved", "cancelled" or "error"),
+     * only the first is sent.
+     *
+     * @param {string} type - The message type.
+     * @param {object} [payload] - E.g. { filePath, config } for "approved", { message } for "error".
+     * @returns {Promise<void>} Resolves once the message has been handed to the socket.
+     */
+    send(type, payload = {}) {
+        if (RESULT_TYPES.includes(type)) {
+            if (this.sent) return Promise.resolve();
+            this.sent = true;
+        }
+        if (this.socket.destroyed || this.socket.writableEnded) return Promise.resolve();
+        return new Promise(resolve => this.socket.write(encode({ ...payload, type }), () => resolve()));
+    }
+
+    /**
+     * Closes the channel, once everything sent has been handed to the socket.
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (this.socket.writableEnded) return Promise.resolve();
+        return new Promise(resolve => this.socket.end(resolve));
+    }
+}
+
+/**
+ * Connects a child process to the channel of the parent that started it (see WindowChannel).
+ *
+ * @param {object} [options]
+ * @param {string} [options.address] - Defaults to AUTO_MANIFEST_IPC.
+ * @param {string} [options.token] - Defaults to AUTO_MANIFEST_IPC_TOKEN.
+ * @returns {Promise<ParentChannel>} The channel, with the parent's input.
+ * @throws {ChannelError} If the process was not started with a channel or cannot reach it.
+ */
+function connectToParent({ address = process.env[ENV.address], token = process.env[ENV.token] } = {}) {
+    if (!address || !token) {
+        return Promise.reject(new ChannelError(`${ENV.address} is not set; this window is opened by auto.js`));
+    }
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(address);
+        let channel = null;
+        socket.on('error', error => {
+            if (!channel) reject(new ChannelError(`Cannot reach the parent process: ${error.message}`));
+        });
+        socket.on('connect', () => socket.write(encode({ type: 'hello', token })));
+        onMessages(socket, message => {
+            if (!channel && message.type === 'input') {
+                channel = new ParentChannel(socket, message.input || {});
+                resolve(channel);
+            } else if (channel) {
+                channel.emit('message', message);
+            }
+        });
+        socket.on('close', () => {
+            if (channel) channel.emit('close');
+            else reject(new ChannelError('The parent process closed the channel'));
+        });
+    });
+}
+
+module.exports = {
+    RESULT_TYPES,
+    ChannelError,
+    WindowChannel,
+    ParentChannel,
+    connectToParent
+};
@@ -0,0 +1,255 @@
+// src/manifest/index.js
+const path = require('path');
+const fs = require('fs');
+const XLSX = require('xlsx');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { extractTransferData } = require('../utils/manifestExtractor');
+const { hashFile } = require('../history');
+
+// Excel limits sheet names to 31 characters.
+const MAX_SHEET_NAME = 31;
+
+class ManifestReadError extends Error {
+    constructor(message, filePath) {
+        super(message);
+        this.name = 'ManifestReadError';
+        this.filePath = filePath;
+    }
+}
+
+function sheetNameFor(filePath) {
+    return path.parse(filePath).name.slice(0, MAX_SHEET_NAME) || 'Manifest';
+}
+
+/**
+ * Reads Excel workbooks (.xlsx, .xlsm, .xls), one manifest per sheet.
+ */
+class WorkbookReader {
+    get name() {
+        return 'workbook';
+    }
+
+    get extensions() {
+        return ['.xlsx', '.xlsm', '.xls'];
+    }
+
+    read(filePath) {
+        return XLSX.readFile(filePath, { cellDates: true, cellNF: true });
+    }
+}
+
+/**
+ * Reads CSV and TSV exports as a workbook with a single sheet named after the file. Cells are
+ * kept as text, so barcodes keep their leading zeros. A CSV whose header line has more
+ * semicolons than commas is read as semicolon-separated.
+ */
+class DelimitedReader {
+    get name() {
+        return 'delimited';
+    }
+
+    get extensions() {
+        return ['.csv', '.tsv'];
+    }
+
+    read(filePath) {
+        const text = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const separator = path.extname(filePath).toLowerCase() === '.tsv' ? '\t'
+            : (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        const parsed = XLSX.read(text, { type: 'string', raw: true, FS: separator });
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, parsed.Sheets[parsed.SheetNames[0]], sheetNameFor(filePath));
+        return workbook;
+    }
+}
+
+/**
+ * Reads JSON manifests: an array of row objects (or of arrays, the first being the header), an
+ * object with such an array under "rows", or an object with one array per sheet under "sheets".
+ */
+class JsonReader {
+    get name() {
+        return 'json';
+    }
+
+    get extensions() {
+        return ['.json'];
+    }
+
+    read(filePath) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new ManifestReadError(`${path.basename(filePath)} is not valid JSON: ${error.message}`, filePath);
+        }
+        const sheets = Array.isArray(content) ? { [sheetNameFor(filePath)]: content }
+            : Array.isArray(content?.rows) ? { [sheetNameFor(filePath)]: content.rows }
+            : content?.sheets && typeof content.sheets === 'object' ? content.sheets
+            : null;
+        if (!sheets) {
+            throw new ManifestReadError(`${path.basename(filePath)} holds no rows: expected an array, "rows" or "sheets"`, filePath);
+        }
+
+        const workbook = XLSX.utils.book_new();
+        Object.entries(sheets).forEach(([name, rows]) => {
+            if (!Array.isArray(rows)) throw new ManifestReadError(`Sheet "${name}" in ${path.basename(filePath)} is not an array of rows`, filePath);
+            const worksheet = Array.isArray(rows[0]) ? XLSX.utils.aoa_to_sheet(rows) : XLSX.utils.json_to_sheet(rows);
+            XLSX.utils.book_append_sheet(workbook, worksheet, String(name).slice(0, MAX_SHEET_NAME));
+        });
+        return workbook;
+    }
+}
+
+const READERS = [new WorkbookReader(), new DelimitedReader(), new JsonReader()];
+
+/**
+ * Adds a reader for another file format. A reader has a name, the extensions it handles and
+ * read(filePath), which returns an XLSX workbook; the extensions must also be listed in
+ * excel.supportedFormats.
+ *
+ * @param {{name: string, extensions: string[], read: Function}} reader - The reader.
+ */
+function registerReader(reader) {
+    READERS.unshift(reader);
+}
+
+/**
+ * @returns {string[]} The extensions that have a reader and are listed in excel.supportedFormats.
+ */
+function getSupportedExtensions() {
+    const allowed = (config.get('excel.supportedFormats') || []).map(extension => extension.toLowerCase());
+    return [...new Set(READERS.flatMap(reader => reader.extensions))].filter(extension => allowed.includes(extension));
+}
+
+function getReader(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const reader = getSupportedExtensions().includes(extension) && READERS.find(candidate => candidate.extensions.includes(extension));
+    if (!reader) {
+        throw new ManifestReadError(`Unsupported manifest format "${extension || path.basename(filePath)}", expected one of: ${getSupportedExtensions().join(', ')}`, filePath);
+    }
+    return reader;
+}
+
+/**
+ * Loads a manifest file as an XLSX workbook, whatever its format.
+ *
+ * @param {string} filePath - The manifest file.
+ * @returns {object} The workbook.
+ * @throws {ManifestReadError} If the format is not supported or the file cannot be parsed.
+ */
+function loadWorkbook(filePath) {
+    return getReader(filePath).read(filePath);
+}
+
+/**
+ * @param {string} filePath - The manifest file.
+ * @returns {string[]} Its sheet names, in workbook order.
+ */
+function listSheets(filePath) {
+    return loadWorkbook(filePath).SheetNames;
+}
+
+function resolveSheet(workbook, sheet, filePath) {
+    if (sheet === undefined || sheet === null || sheet === '') return workbook.SheetNames[0];
+    if (workbook.SheetNames.includes(sheet)) return sheet;
+    const byName = workbook.SheetNames.find(name => name.toLowerCase() === String(sheet).toLowerCase());
+    if (byName) return byName;
+    const number = Number(sheet);
+    if (Number.isInteger(number) && number >= 1 && number <= workbook.SheetNames.length) return workbook.SheetNames[number - 1];
+    throw new ManifestReadError(`No sheet "${sheet}" in ${path.basename(filePath)}, it has: ${workbook.SheetNames.join(', ')}`, filePath);
+}
+
+function toManifest(workbook, sheetName, source) {
+    const { data, stores, headers, confidence, sheetRows } = extractTransferData(workbook.Sheets[sheetName]);
+    return {
+        transferData: data,
+        stores,
+        headers,
+        confidence,
+        source: { ...source, sheet: sheetName },
+        // Where each row sits in the sheet, so the run report can annotate a copy of the workbook
+        layout: { headerRow: confidence.headerRow - 1, sheetRows }
+    };
+}
+
+/**
+ * Reads one sheet of a manifest into the normalized form every format shares: canonical rows,
+ * stores, headers, the extraction confidence, the source file and the rows' place in the sheet.
+ *
+ * @param {string} filePath - A workbook, CSV/TSV or JSON manifest.
+ * @param {object} [options]
+ * @param {string|number} [options.sheet] - Sheet name or 1-based number; defaults to the first sheet.
+ * @returns {{transferData: object[], stores: string[], headers: string[], confidence: object, source: object, layout: object}}
+ * @throws {ManifestReadError} If the format or sheet is unknown.
+ */
+function readManifest(filePath, { sheet } = {}) {
+    const reader = getReader(filePath);
+    const workbook = reader.read(filePath);
+    const sheetName = resolveSheet(workbook, sheet, filePath);
+    return toManifest(workbook, sheetName, { path: path.resolve(filePath), format: reader.name, sha256: hashFile(filePath) });
+}
+
+/**
+ * Reads every sheet of a manifest as a separate manifest. Sheets without a product table
+ * (e.g. notes or a cover sheet) are skipped with a warning.
+ *
+ * @param {string} filePath - A workbook, CSV/TSV or JSON manifest.
+ * @returns {object[]} One normalized manifest per sheet, see readManifest.
+ * @throws {ManifestReadError} If no sheet holds a product table.
+ */
+function readAllManifests(filePath) {
+    const reader = getReader(filePath);
+    const workbook = reader.read(filePath);
+    const source = { path: path.resolve(filePath), format: reader.name, sha256: hashFile(filePath) };
+    const manifests = [];
+    workbook.SheetNames.forEach(sheetName => {
+        try {
+            manifests.push(toManifest(workbook, sheetName, source));
+        } catch (error) {
+            logger.warn(`Skipping sheet "${sheetName}": ${error.message}`);
+        }
+    });
+    if (manifests.length === 0) throw new ManifestReadError(`No sheet in ${path.basename(filePath)} holds a product table`, filePath);
+    return manifests;
+}
+
+/**
+ * Replaces the rows of a manifest with the rows as edited in the confirmation window. Each edited
+ * row names the index of the row it came from (null for a row added in the window), so the
+ * annotated workbook still marks the right sheet rows; added rows only appear in the reports.
+ *
+ * @param {object} manifest - A normalized manifest, see readManifest.
+ * @param {{source: number|null, values: object}[]} rows - The rows to transfer, excluded rows left out.
+ * @returns {object} The manifest with the edited rows.
+ * @throws {ManifestReadError} If a row names a source row the manifest does not have.
+ */
+function applyRowEdits(manifest, rows) {
+    const sheetRows = rows.map(({ source }) => {
+        if (source === null || source === undefined) return null;
+        if (!Number.isInteger(source) || source < 0 || source >= manifest.transferData.length) {
+            throw new ManifestReadError(`Edited row refers to row ${source}, which is not in the sheet`, manifest.source?.path);
+        }
+        return manifest.layout.sheetRows[source];
+    });
+    const transferData = rows.map(({ values }) => Object.fromEntries(
+        Object.entries(values).map(([header, value]) => [header, value === null || value === undefined ? '' : String(value).trim()])
+    ));
+    return { ...manifest, transferData, layout: { ...manifest.layout, sheetRows } };
+}
+
+module.exports = {
+    ManifestReadError,
+    WorkbookReader,
+    DelimitedReader,
+    JsonReader,
+    registerReader,
+    getSupportedExtensions,
+    loadWorkbook,
+    listSheets,
+    readManifest,
+    readAllManifests,
+    applyRowEdits
+};
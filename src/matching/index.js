@@ -0,0 +1,187 @@
+// src/matching/index.js
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const stringSimilarity = require('string-similarity');
+const colors = require('ansi-colors');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// How much each manifest column counts towards a search result's score.
+const SIGNAL_WEIGHTS = {
+    fullBarcode: 0.5,
+    externalCode: 0.3,
+    productName: 0.2
+};
+
+function normalize(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads the first non-empty value among the row columns configured for a signal
+ * (e.g. "Barcode", "Full Barcode" or "UPC" for fullBarcode), ignoring header case.
+ */
+function getRowValue(row, columnNames) {
+    const keys = Object.keys(row);
+    for (const name of columnNames || []) {
+        const key = keys.find(k => normalize(k) === normalize(name));
+        if (key && row[key] && row[key] !== 'N/A') return String(row[key]).trim();
+    }
+    return '';
+}
+
+/**
+ * Scores product search results against a manifest row and decides whether one of them is a
+ * confident match. Rows with only "Last 4 of Barcode" can only be matched when the search
+ * returns a single result; the full barcode, external code and product name columns, when the
+ * manifest has them, let the matcher tell several results apart.
+ */
+class ProductMatcher {
+    constructor(options = {}) {
+        const settings = config.get('productMatching') || {};
+        this.minConfidence = options.minConfidence ?? settings.minConfidence ?? 0.6;
+        this.ambiguityMargin = options.ambiguityMargin ?? settings.ambiguityMargin ?? 0.1;
+        this.columns = settings.columns || {};
+    }
+
+    /**
+     * Returns the signals the manifest row offers for telling results apart.
+     */
+    getSignals(row) {
+        const signals = {};
+        Object.keys(SIGNAL_WEIGHTS).forEach(signal => {
+            const value = getRowValue(row, this.columns[signal]);
+            if (value) signals[signal] = value;
+        });
+        return signals;
+    }
+
+    scoreResult(text, last4, signals) {
+        const normalizedText = normalize(text);
+        let weighted = 0;
+        let totalWeight = 0;
+        Object.entries(signals).forEach(([signal, value]) => {
+            const weight = SIGNAL_WEIGHTS[signal];
+            let score;
+            if (signal === 'productName') {
+                score = stringSimilarity.compareTwoStrings(normalize(value), normalizedText);
+            } else if (normalizedText.includes(normalize(value))) {
+                score = 1;
+            } else if (signal === 'fullBarcode' && last4 && normalizedText.includes(normalize(last4))) {
+                score = 0.3;
+            } else {
+                score = 0;
+            }
+            weighted += weight * score;
+            totalWeight += weight;
+        });
+        return totalWeight > 0 ? weighted / totalWeight : 0;
+    }
+
+    /**
+     * Picks the search result for a manifest row.
+     *
+     * @param {object} row - The manifest row.
+     * @param {string[]} results - Text of every search result, in list order.
+     * @returns {{status: string, index: number|null, score: number, reason: string|null, candidates: object[]}}
+     *          status is "matched", "ambiguous" or "not-found"; index is the result to click when matched.
+     */
+    match(row, results) {
+        const last4 = row['Last 4 of Barcode'];
+        if (results.length === 0) {
+            return { status: 'not-found', index: null, score: 0, reason: `No search results for "${last4}"`, candidates: [] };
+        }
+
+        const signals = this.getSignals(row);
+        if (Object.keys(signals).length === 0) {
+            const candidates = results.map((text, index) => ({ index, text, score: results.length === 1 ? 1 : 0 }));
+            if (results.length === 1) {
+                return { status: 'matched', index: 0, score: 1, reason: null, candidates };
+            }
+            return {
+                status: 'ambiguous',
+                index: null,
+                score: 0,
+                reason: `${results.length} results for "${last4}" and the manifest has no full barcode, external code or product name to choose between them`,
+                candidates
+            };
+        }
+
+        const candidates = results
+            .map((text, index) => ({ index, text, score: Number(this.scoreResult(text, last4, signals).toFixed(3)) }))
+            .sort((a, b) => b.score - a.score);
+        const [best, second] = candidates;
+
+        if (best.score < this.minConfidence) {
+            return {
+                status: 'ambiguous',
+                index: null,
+                score: best.score,
+                reason: `Best result scored ${best.score}, below the minimum confidence of ${this.minConfidence}`,
+                candidates
+            };
+        }
+        if (second && best.score - second.score < this.ambiguityMargin) {
+            return {
+                status: 'ambiguous',
+                index: null,
+                score: best.score,
+                reason: `Top results scored ${best.score} and ${second.score}, too close to choose`,
+                candidates
+            };
+        }
+        return { status: 'matched', index: best.index, score: best.score, reason: null, candidates };
+    }
+}
+
+/**
+ * Asks the operator to pick a search result for an ambiguous or unmatched row.
+ *
+ * @param {object} row - The manifest row.
+ * @param {object} decision - The matcher's decision with its scored candidates.
+ * @returns {Promise<number|null>} The chosen result index, or null to skip the row.
+ */
+async function promptForMatch(row, decision) {
+    const inquirer = require('inquirer').default;
+    const { choice } = await inquirer.prompt([{
+        type: 'list',
+        name: 'choice',
+        message: `Row #${row['#']} (${row['Last 4 of Barcode']}): ${decision.reason}. Which product should be added?`,
+        choices: [
+            ...decision.candidates.map(candidate => ({
+                name: `${candidate.text} (score ${candidate.score})`,
+                value: candidate.index
+            })),
+            { name: 'Skip this row (add it to the review list)', value: null }
+        ]
+    }]);
+    return choice;
+}
+
+/**
+ * Writes the rows that could not be matched with confidence to temp/ for manual review.
+ *
+ * @param {string} store - The store the transfer was for.
+ * @param {object[]} reviewList - Rows with their reason and scored candidates.
+ * @param {string} [rootDir=process.cwd()] - Directory whose temp/ folder receives the list.
+ * @returns {Promise<string|null>} Path of the written list, or null when there was nothing to review.
+ */
+async function writeReviewList(store, reviewList, rootDir = process.cwd()) {
+    if (reviewList.length === 0) return null;
+    const tempDir = path.join(rootDir, 'temp');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+    const reviewPath = path.join(tempDir, `product-review-${String(store).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    await fsPromises.writeFile(reviewPath, JSON.stringify({ store, createdAt: new Date().toISOString(), rows: reviewList }, null, 2), 'utf-8');
+
+    console.log('\n' + colors.bold(`=== Products Needing Review: ${store} ===`));
+    reviewList.forEach(item => console.log(colors.yellow(`  ⚠ Row #${item.row} ${item.barcode}: ${item.reason}`)));
+    logger.warn(`${reviewList.length} product rows for ${store} need manual review`, { reviewPath });
+    return reviewPath;
+}
+
+module.exports = {
+    ProductMatcher,
+    promptForMatch,
+    writeReviewList
+};
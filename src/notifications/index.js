@@ -0,0 +1,424 @@
+// src/notifications/index.js
+const os = require('os');
+const net = require('net');
+const tls = require('tls');
+const { exec } = require('child_process');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { registerSecret, redact } = require('../utils/redact');
+
+// Events a channel is sent when its "on" list is not set; "start" has to be asked for.
+const DEFAULT_EVENTS = ['success', 'partial', 'failure'];
+
+// The event each final run status is reported as. Dry runs send nothing.
+const STATUS_EVENTS = {
+    succeeded: 'success',
+    partial: 'partial',
+    aborted: 'failure',
+    failed: 'failure',
+    duplicate: 'failure',
+    'validation-failed': 'failure'
+};
+
+class NotificationError extends Error {
+    constructor(message, channel) {
+        super(message);
+        this.name = 'NotificationError';
+        this.channel = channel;
+    }
+}
+
+/**
+ * Builds the payload every channel sends: the run, its stores with their product counts, the
+ * errors and the path of the HTML run report.
+ *
+ * @param {string} event - "start", "success", "partial" or "failure".
+ * @param {object} record - The run record (see RunRecorder).
+ * @returns {object} The payload, with secrets masked.
+ */
+function buildPayload(event, record) {
+    const stores = record.stores.map(storeRun => ({
+        store: storeRun.store,
+        toStore: storeRun.toStore,
+        status: storeRun.status,
+        draftUrl: storeRun.draftUrl,
+        added: storeRun.stats?.added ?? storeRun.rows.filter(row => row.outcome === 'added').length,
+        skipped: storeRun.stats?.skipped ?? storeRun.rows.filter(row => row.outcome === 'skipped').length,
+        resumed: storeRun.stats?.resumed ?? storeRun.rows.filter(row => row.outcome === 'resumed').length,
+        needsReview: storeRun.stats?.needsReview ?? storeRun.rows.filter(row => row.outcome === 'needs-review').length,
+        reason: storeRun.reason
+    }));
+    const totals = {};
+    ['added', 'skipped', 'resumed', 'needsReview'].forEach(key => {
+        totals[key] = stores.reduce((sum, store) => sum + store[key], 0);
+    });
+
+    return redact({
+        event,
+        runId: record.runId,
+        status: record.status,
+        exitCode: record.exitCode,
+        store: stores.map(store => store.store).join(', ') || record.config.store || (record.config.multiStore ? 'all stores' : null),
+        stores,
+        totals,
+        error: record.error,
+        errors: record.errors.map(error => `${error.step}: ${error.error}`),
+        manifest: record.source?.path || null,
+        report: record.artifacts.htmlReport || null,
+        operator: record.operator,
+        host: record.host,
+        startedAt: record.startedAt,
+        finishedAt: record.finishedAt,
+        durationMs: record.durationMs ?? null
+    });
+}
+
+function formatSubject(payload) {
+    const what = payload.event === 'start' ? 'started' : payload.status;
+    return `[auto-manifest] Transfer ${what}: ${payload.store || '-'} (run ${payload.runId.slice(0, 8)})`;
+}
+
+function formatText(payload) {
+    const lines = [
+        `Run ${payload.runId} ${payload.event === 'start' ? 'started' : `ended as ${payload.status} (exit code ${payload.exitCode})`}`,
+        `Manifest: ${payload.manifest || '-'}`,
+        `Started: ${payload.startedAt} by ${payload.operator} on ${payload.host}`
+    ];
+    if (payload.error) lines.push(`Error: ${payload.error}`);
+    payload.stores.forEach(store => {
+        lines.push('', `${store.store} -> ${store.toStore || '-'}: ${store.status}`);
+        lines.push(`  ${store.added} added, ${store.skipped} skipped, ${store.resumed} resumed, ${store.needsReview} need review`);
+        if (store.draftUrl) lines.push(`  Draft: ${store.draftUrl}`);
+        if (store.reason) lines.push(`  Reason: ${store.reason}`);
+    });
+    if (payload.errors.length > 0) lines.push('', 'Errors:', ...payload.errors.map(error => `  ${error}`));
+    if (payload.report) lines.push('', `Report: ${payload.report}`);
+    return lines.join('\n');
+}
+
+/**
+ * POSTs the payload as JSON to a URL, e.g. a chat or monitoring webhook.
+ */
+class WebhookChannel {
+    /**
+     * @param {object} options
+     * @param {string} options.url - Where to POST.
+     * @param {object} [options.headers] - Extra request headers, e.g. an authorization token.
+     * @param {number} [options.timeout] - Defaults to notifications.timeout.
+     */
+    constructor({ url, headers = {}, timeout = config.get('notifications.timeout') }) {
+        if (!url) throw new NotificationError('A webhook channel needs a "url"', 'webhook');
+        // Webhook URLs often carry their token in the path.
+        registerSecret(url);
+        this.url = url;
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    get name() {
+        return 'webhook';
+    }
+
+    async send(payload) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        if (!response.ok) throw new NotificationError(`Webhook answered ${response.status} ${response.statusText}`, this.name);
+    }
+}
+
+/**
+ * A minimal SMTP conversation: reads multi-line replies and checks their codes.
+ */
+class SmtpSession {
+    constructor(socket) {
+        this.replies = [];
+        this.waiting = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        socket.setEncoding('utf-8');
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            this.parse();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new NotificationError('SMTP server closed the connection', 'email')));
+    }
+
+    parse() {
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+            // "250-..." continues a reply, "250 ..." ends it.
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({ code: Number(line.slice(0, 3)), lines: this.lines });
+                this.lines = [];
+            }
+        }
+        if (this.waiting && this.replies.length > 0) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(this.replies.shift());
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    async expect(codes, line = null, label = line && line.split(' ')[0]) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!codes.includes(reply.code)) {
+            throw new NotificationError(`SMTP ${label || 'greeting'} failed: ${reply.lines[reply.lines.length - 1]}`, 'email');
+        }
+        return reply;
+    }
+
+    // Hands the socket over to TLS after STARTTLS.
+    async upgrade(servername, rejectUnauthorized) {
+        this.socket.removeAllListeners('data');
+        this.socket.removeAllListeners('close');
+        const secure = tls.connect({ socket: this.socket, servername, rejectUnauthorized });
+        await new Promise((resolve, reject) => {
+            secure.once('secureConnect', resolve);
+            secure.once('error', reject);
+        });
+        this.attach(secure);
+    }
+}
+
+/**
+ * Sends a plain-text email over SMTP, with implicit TLS ("secure") or STARTTLS when the server
+ * offers it. The password is read from the environment variable named by "passwordEnv".
+ */
+class EmailChannel {
+    /**
+     * @param {object} options
+     * @param {string} options.host - SMTP server.
+     * @param {number} [options.port=587] - SMTP port (465 with secure).
+     * @param {boolean} [options.secure=false] - Connect with TLS from the start.
+     * @param {boolean} [options.rejectUnauthorized=true] - Check the server certificate.
+     * @param {string} options.from - Sender address.
+     * @param {string|string[]} options.to - Recipient addresses.
+     * @param {string} [options.username] - Login for AUTH PLAIN, if the server needs one.
+     * @param {string} [options.passwordEnv="SMTP_PASSWORD"] - Environment variable with the password.
+     * @param {number} [options.timeout] - Defaults to notifications.timeout.
+     */
+    constructor({ host, port = 587, secure = false, rejectUnauthorized = true, from, to, username, passwordEnv = 'SMTP_PASSWORD', timeout = config.get('notifications.timeout') }) {
+        const recipients = [].concat(to || []).filter(Boolean);
+        if (!host || !from || recipients.length === 0) {
+            throw new NotificationError('An email channel needs a "host", "from" and "to"', 'email');
+        }
+        this.host = host;
+        this.port = port;
+        this.secure = secure;
+        this.rejectUnauthorized = rejectUnauthorized;
+        this.from = from;
+        this.to = recipients;
+        this.username = username;
+        this.password = process.env[passwordEnv];
+        registerSecret(this.password);
+        this.timeout = timeout;
+    }
+
+    get name() {
+        return 'email';
+    }
+
+    formatMessage(payload) {
+        const body = formatText(payload)
+            .split('\n')
+            // A line that starts with a dot would otherwise end the message early.
+            .map(line => line.startsWith('.') ? `.${line}` : line)
+            .join('\r\n');
+        return [
+            `From: ${this.from}`,
+            `To: ${this.to.join(', ')}`,
+            `Subject: ${formatSubject(payload)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            body
+        ].join('\r\n');
+    }
+
+    async send(payload) {
+        const socket = this.secure
+            ? tls.connect({ host: this.host, port: this.port, servername: this.host, rejectUnauthorized: this.rejectUnauthorized })
+            : net.connect({ host: this.host, port: this.port });
+        socket.setTimeout(this.timeout, () => socket.destroy(new NotificationError(`SMTP server did not answer within ${this.timeout}ms`, this.name)));
+        const session = new SmtpSession(socket);
+
+        try {
+            await session.expect([220]);
+            let hello = await session.expect([250], `EHLO ${os.hostname()}`);
+            if (!this.secure && hello.lines.some(line => /^250[ -]STARTTLS/i.test(line))) {
+                await session.expect([220], 'STARTTLS');
+                await session.upgrade(this.host, this.rejectUnauthorized);
+                hello = await session.expect([250], `EHLO ${os.hostname()}`);
+            }
+            if (this.username) {
+                const token = Buffer.from(`\0${this.username}\0${this.password || ''}`).toString('base64');
+                await session.expect([235], `AUTH PLAIN ${token}`, 'AUTH');
+            }
+            await session.expect([250], `MAIL FROM:<${this.from}>`, 'MAIL FROM');
+            for (const recipient of this.to) {
+                await session.expect([250, 251], `RCPT TO:<${recipient}>`, 'RCPT TO');
+            }
+            await session.expect([354], 'DATA');
+            await session.expect([250], `${this.formatMessage(payload)}\r\n.`, 'message');
+            await session.expect([221], 'QUIT');
+        } finally {
+            session.socket.destroy();
+        }
+    }
+}
+
+/**
+ * Runs a local command with the payload as JSON on stdin and the event, status, run id and
+ * report path in AUTO_MANIFEST_* environment variables.
+ */
+class CommandChannel {
+    /**
+     * @param {object} options
+     * @param {string} options.command - The shell command.
+     * @param {number} [options.timeout] - Defaults to notifications.timeout.
+     */
+    constructor({ command, timeout = config.get('notifications.timeout') }) {
+        if (!command) throw new NotificationError('A command channel needs a "command"', 'command');
+        this.command = command;
+        this.timeout = timeout;
+    }
+
+    get name() {
+        return 'command';
+    }
+
+    async send(payload) {
+        const env = {
+            ...process.env,
+            AUTO_MANIFEST_EVENT: payload.event,
+            AUTO_MANIFEST_STATUS: payload.status,
+            AUTO_MANIFEST_RUN_ID: payload.runId,
+            AUTO_MANIFEST_STORE: payload.store || '',
+            AUTO_MANIFEST_REPORT: payload.report || ''
+        };
+        await new Promise((resolve, reject) => {
+            const child = exec(this.command, { timeout: this.timeout, env, windowsHide: true }, error => {
+                if (error) reject(new NotificationError(`Notification command failed (exit code ${error.code ?? error.signal})`, this.name));
+                else resolve();
+            });
+            // The command does not have to read the payload.
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(payload));
+        });
+    }
+}
+
+const CHANNELS = {
+    webhook: WebhookChannel,
+    email: EmailChannel,
+    command: CommandChannel
+};
+
+/**
+ * Sends run events to the channels in notifications.channels. Each channel entry has a "type"
+ * ("webhook", "email" or "command"), its own options and an optional "on" list of events
+ * ("start", "success", "partial", "failure"). A channel that is misconfigured or fails is logged
+ * and never fails the run.
+ */
+class Notifier {
+    /**
+     * Channels with an unknown type or a missing required option are logged and left out.
+     *
+     * @param {object} [options]
+     * @param {object[]} [options.channels] - Defaults to notifications.channels.
+     * @param {boolean} [options.enabled] - Defaults to notifications.enabled.
+     */
+    constructor({ channels = config.get('notifications.channels') || [], enabled = config.get('notifications.enabled') !== false } = {}) {
+        this.enabled = enabled;
+        this.channels = [];
+        channels.forEach(options => {
+            try {
+                const Channel = CHANNELS[options.type];
+                if (!Channel) {
+                    throw new NotificationError(`Unknown notification channel "${options.type}", expected one of: ${Object.keys(CHANNELS).join(', ')}`, options.type);
+                }
+                this.channels.push({ channel: new Channel(options), events: options.on || DEFAULT_EVENTS });
+            } catch (error) {
+                if (!(error instanceof NotificationError)) throw error;
+                logger.warn(`Skipping a notification channel: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Sends an event to every channel that asked for it.
+     *
+     * @param {string} event - "start", "success", "partial" or "failure".
+     * @param {object} record - The run record (see RunRecorder).
+     * @returns {Promise<{channel: string, sent: boolean, error?: string}[]>} The outcome per channel.
+     */
+    async notify(event, record) {
+        const targets = this.enabled ? this.channels.filter(({ events }) => events.includes(event)) : [];
+        if (targets.length === 0) return [];
+
+        const payload = buildPayload(event, record);
+        return Promise.all(targets.map(async ({ channel }) => {
+            try {
+                await channel.send(payload);
+                logger.info(`Sent the ${event} notification via ${channel.name}`);
+                return { channel: channel.name, sent: true };
+            } catch (error) {
+                logger.warn(`Could not send the ${event} notification via ${channel.name}: ${error.message}`);
+                return { channel: channel.name, sent: false, error: error.message };
+            }
+        }));
+    }
+
+    /**
+     * Sends the event matching a finished run's status; dry runs send nothing.
+     *
+     * @param {object} record - The run record, after end().
+     * @returns {Promise<object[]>} See notify().
+     */
+    async notifyFinished(record) {
+        const event = STATUS_EVENTS[record.status];
+        return event ? this.notify(event, record) : [];
+    }
+}
+
+module.exports = {
+    NotificationError,
+    WebhookChannel,
+    EmailChannel,
+    CommandChannel,
+    Notifier,
+    buildPayload
+};
@@ -0,0 +1,81 @@
+// src/pages/basePage.js
+const config = require('../config');
+const selectorMap = require('./selectorMap');
+const waits = require('../utils/waits');
+
+/**
+ * Common helpers for the SweedPos page objects. Each page object reads its selectors from one
+ * group of the selector map, so a UI change is fixed in src/config/selectors.json (or a local
+ * override) rather than in the automation code.
+ */
+class BasePage {
+    /**
+     * @param {object} page - The Playwright page.
+     * @param {string} group - The selector map group this page object uses.
+     */
+    constructor(page, group) {
+        this.page = page;
+        this.group = group;
+    }
+
+    /**
+     * Returns the locator for a selector of this page.
+     *
+     * @param {string} key - Selector name within the page's group.
+     * @param {object} [params={}] - Values for "{name}" placeholders in the selector.
+     * @param {string} [group=this.group] - Another group, for elements the next page shows.
+     * @returns {object} The Playwright locator.
+     */
+    locator(key, params = {}, group = this.group) {
+        return selectorMap.locator(this.page, group, key, params);
+    }
+
+    /**
+     * Waits until the first element matching a selector is visible.
+     *
+     * @param {string} key - Selector name within the page's group.
+     * @param {number} [timeout] - Milliseconds to wait, defaults to browser.timeout.element.
+     */
+    async waitFor(key, timeout = config.get('browser.timeout.element')) {
+        await this.locator(key).first().waitFor({ state: 'visible', timeout });
+    }
+
+    /**
+     * Clicks a selector, or the page coordinates when the selector map entry is a point.
+     */
+    async click(key, params = {}) {
+        const spec = selectorMap.get(this.group, key);
+        if (spec.point) {
+            await this.page.mouse.click(spec.point.x, spec.point.y);
+            return;
+        }
+        await this.locator(key, params).click();
+    }
+
+    /**
+     * Waits for a condition in place of a fixed animation delay (see waitUntil in src/utils/waits.js).
+     *
+     * @param {string} description - What is being waited for, for the log.
+     * @param {Function} condition - Async function receiving the timeout.
+     * @param {object} [options] - fixedDelay and timeout overrides.
+     */
+    async waitUntil(description, condition, options = {}) {
+        await waits.waitUntil(this.page, description, condition, options);
+    }
+
+    /**
+     * Waits until a locator reaches a state ("visible", "hidden", "attached" or "detached").
+     */
+    async waitForState(description, locator, state = 'visible', options = {}) {
+        await this.waitUntil(description, timeout => locator.waitFor({ state, timeout }), options);
+    }
+
+    /**
+     * Waits until an input holds the value just typed into it.
+     */
+    async waitForValue(description, locator, value) {
+        await this.waitUntil(description, timeout => waits.pollUntil(async () => await locator.inputValue() === value, timeout));
+    }
+}
+
+module.exports = BasePage;
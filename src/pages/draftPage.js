@@ -0,0 +1,48 @@
+// src/pages/draftPage.js
+const config = require('../config');
+const { runAndSettle } = require('../utils/waits');
+const BasePage = require('./basePage');
+
+/**
+ * A saved draft transfer: its product lines and the Apply, Split All and Update draft actions.
+ */
+class DraftPage extends BasePage {
+    constructor(page) {
+        super(page, 'draft');
+    }
+
+    async getLineCount() {
+        return this.locator('qtyInput').count();
+    }
+
+    /**
+     * Enters the quantity of the most recently added product line.
+     */
+    async setLastQuantity(qty) {
+        const qtyInput = this.locator('qtyInput').last();
+        await qtyInput.click();
+        await qtyInput.fill(qty);
+        await this.waitForValue('quantity value', qtyInput, qty);
+    }
+
+    async apply() {
+        await runAndSettle(this.page, 'Apply to settle', () => this.click('apply'));
+    }
+
+    /**
+     * Clicks "Split All" and waits for the requests it starts to finish. SweedPos gives no other
+     * sign that the split is done; waits.splitDelay is the fixed delay used as the fallback.
+     */
+    async splitAll() {
+        await runAndSettle(this.page, 'Split All requests to settle', () => this.click('splitAll'), {
+            fixedDelay: config.get('waits.splitDelay'),
+            timeout: config.get('waits.splitTimeout')
+        });
+    }
+
+    async updateDraft() {
+        await runAndSettle(this.page, 'Update draft to settle', () => this.click('updateDraft'));
+    }
+}
+
+module.exports = DraftPage;
@@ -0,0 +1,214 @@
+// src/pages/healthCheck.js
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const colors = require('ansi-colors');
+const logger = require('../utils/logger');
+const config = require('../config');
+const selectorMap = require('./selectorMap');
+const LoginPage = require('./loginPage');
+const TransfersPage = require('./transfersPage');
+const TransferFormPage = require('./transferFormPage');
+const ProductPickerPage = require('./productPickerPage');
+
+// Thrown inside a run when a selector needed to reach the next page does not resolve.
+class StopCheck extends Error {}
+
+/**
+ * Walks the SweedPos pages the automation uses (login, dashboard, the new transfer form and,
+ * when a draft URL is given, an existing draft) and reports which selectors of the selector map
+ * resolve on the page they belong to. Nothing is submitted: the form is left unsaved and the
+ * product dialog is closed again.
+ */
+class SelectorHealthCheck {
+    constructor(page) {
+        this.page = page;
+        this.results = [];
+        this.stopReason = null;
+    }
+
+    /**
+     * Checks selectors on the current page.
+     *
+     * @param {string} stage - Name of the page being checked, for the report.
+     * @param {string} group - Selector map group.
+     * @param {string[]} keys - Selectors to check.
+     * @param {{optional: boolean}} [options] - Optional selectors (e.g. prompts that are not always shown) do not fail the check.
+     * @returns {Promise<boolean>} Whether every required selector resolved.
+     */
+    async check(stage, group, keys, { optional = false } = {}) {
+        const timeout = config.get('browser.timeout.animation');
+        let allFound = true;
+        for (const key of keys) {
+            const spec = selectorMap.get(group, key);
+            let count;
+            if (spec.urlPattern) {
+                count = new RegExp(spec.urlPattern).test(this.page.url()) ? 1 : 0;
+            } else {
+                const locator = selectorMap.locator(this.page, group, key);
+                await locator.first().waitFor({ state: 'attached', timeout }).catch(() => {});
+                count = await locator.count();
+            }
+            this.results.push({
+                stage,
+                selector: `${group}.${key}`,
+                value: selectorMap.describe(group, key),
+                source: selectorMap.getSource(group, key),
+                url: this.page.url(),
+                count,
+                status: count > 0 ? 'ok' : optional ? 'not-shown' : 'missing'
+            });
+            if (count === 0 && !optional) allFound = false;
+        }
+        return allFound;
+    }
+
+    async require(stage, group, keys) {
+        if (!await this.check(stage, group, keys)) {
+            throw new StopCheck(`Selectors missing on ${stage}`);
+        }
+    }
+
+    /**
+     * Runs the walk and returns the report.
+     *
+     * @param {{username: string, password: string, draftUrl: string}} options - Credentials and an optional draft to inspect.
+     * @returns {Promise<object>} The report with one result per selector.
+     */
+    async run({ username, password, draftUrl = null }) {
+        const loginPage = new LoginPage(this.page);
+        const transfersPage = new TransfersPage(this.page);
+        const formPage = new TransferFormPage(this.page);
+        const pickerPage = new ProductPickerPage(this.page);
+        let stoppedAt = null;
+
+        try {
+            await loginPage.open();
+            await this.require('SweedPos login', 'login', ['microsoftButton']);
+            await loginPage.startMicrosoftLogin();
+            await this.require('SweedPos login', 'login', ['email', 'verify']);
+            await loginPage.submitEmail(username);
+
+            await loginPage.waitForMicrosoft().catch(() => {});
+            await this.require('Microsoft sign-in', 'login', ['microsoftUrl', 'username', 'next']);
+            await this.check('Microsoft sign-in', 'login', ['screenTitle'], { optional: true });
+            await loginPage.submitUsername(username);
+            await this.require('Microsoft sign-in', 'login', ['password', 'signIn']);
+            await loginPage.submitPassword(password);
+            if (await this.check('Microsoft sign-in', 'login', ['staySignedInPrompt', 'staySignedIn'], { optional: true })) {
+                await loginPage.confirmStaySignedIn().catch(() => {});
+            }
+
+            await transfersPage.waitForDashboard().catch(() => {});
+            await this.require('Dashboard', 'transfers', ['userAvatar']);
+            await this.check('Dashboard', 'transfers', ['inventoryMenu'], { optional: true });
+            await transfersPage.openInventoryMenu();
+            await this.require('Dashboard', 'transfers', ['transfersLink']);
+            await transfersPage.openTransfers();
+            await this.require('Transfers', 'transfers', ['newTransfer']);
+            // The list is empty until the account has transfers
+            await this.check('Transfers', 'transfers', ['transferRows'], { optional: true });
+            await transfersPage.startNewTransfer();
+
+            await this.require('New transfer form', 'transferForm', [
+                'field', 'bioTrackToggle', 'toStore', 'driver1', 'driver2', 'vehicle',
+                'departureDate', 'arrivalDate', 'route', 'createTransfer'
+            ]);
+            await formPage.openOptions('toStore');
+            await this.check('New transfer form', 'transferForm', ['options']);
+            await this.page.keyboard.press('Escape');
+            await formPage.click('departureDate');
+            await formPage.waitForState('departure date picker', formPage.locator('dateInput'));
+            await this.check('New transfer form', 'transferForm', ['dateInput', 'dateOk']);
+            await this.page.keyboard.press('Escape');
+
+            if (draftUrl) {
+                await this.page.goto(draftUrl);
+                await pickerPage.waitForDraft().catch(() => {});
+                await this.require('Draft transfer', 'productPicker', ['addProduct']);
+                await this.check('Draft transfer', 'draft', ['apply', 'splitAll', 'updateDraft']);
+                await this.check('Draft transfer', 'draft', ['qtyInput'], { optional: true });
+                await pickerPage.open();
+                await this.require('Product dialog', 'productPicker', ['search', 'apply']);
+                await pickerPage.fillSearch(this.locator('productPicker', 'search'), 'zzzz-selector-health-check');
+                await this.check('Product dialog', 'productPicker', ['noResults']);
+                await pickerPage.cancel();
+            }
+        } catch (error) {
+            stoppedAt = this.page.url();
+            if (!(error instanceof StopCheck)) {
+                logger.error('Selector health check stopped:', error);
+            }
+            this.stopReason = error.message;
+        }
+
+        return this.buildReport(stoppedAt);
+    }
+
+    locator(group, key) {
+        return selectorMap.locator(this.page, group, key);
+    }
+
+    buildReport(stoppedAt) {
+        const checked = new Set(this.results.map(result => result.selector));
+        const notChecked = [];
+        Object.entries(selectorMap.selectors).forEach(([group, entries]) => {
+            Object.entries(entries).forEach(([key, spec]) => {
+                if (!spec.point && !checked.has(`${group}.${key}`)) notChecked.push(`${group}.${key}`);
+            });
+        });
+        return {
+            checkedAt: new Date().toISOString(),
+            selectorMapVersion: selectorMap.version,
+            overrides: selectorMap.getOverriddenKeys(),
+            healthy: this.results.every(result => result.status !== 'missing'),
+            stoppedAt,
+            stopReason: this.stopReason || null,
+            results: this.results,
+            notChecked
+        };
+    }
+}
+
+/**
+ * Prints the health check report and writes it to temp/.
+ *
+ * @param {object} report - The report from SelectorHealthCheck.run.
+ * @param {string} [rootDir=process.cwd()] - Directory whose temp/ folder receives the report.
+ * @returns {Promise<string>} Path of the written report.
+ */
+async function writeHealthReport(report, rootDir = process.cwd()) {
+    const tempDir = path.join(rootDir, 'temp');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+    const reportPath = path.join(tempDir, 'selector-health.json');
+    await fsPromises.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+
+    console.log('\n' + colors.bold(`=== Selector Health Check (selector map v${report.selectorMapVersion}) ===`));
+    let stage = null;
+    report.results.forEach(result => {
+        if (result.stage !== stage) {
+            stage = result.stage;
+            console.log(colors.cyan(stage));
+        }
+        const source = result.source === 'override' ? ' (local override)' : '';
+        if (result.status === 'ok') {
+            console.log(colors.green(`  ✓ ${result.selector}${source}: ${result.count} found`));
+        } else if (result.status === 'not-shown') {
+            console.log(colors.yellow(`  ⚠ ${result.selector}${source}: not shown (optional)`));
+        } else {
+            console.log(colors.red(`  ✘ ${result.selector}${source}: no match for ${result.value} on ${result.url}`));
+        }
+    });
+    if (report.stopReason) console.log(colors.red(`Stopped: ${report.stopReason}`));
+    if (report.notChecked.length > 0) {
+        console.log(colors.yellow(`Not checked: ${report.notChecked.join(', ')}`));
+    }
+
+    logger.info('Selector health report written', { reportPath, healthy: report.healthy });
+    return reportPath;
+}
+
+module.exports = {
+    SelectorHealthCheck,
+    writeHealthReport
+};
@@ -0,0 +1,23 @@
+// src/pages/index.js
+const selectorMap = require('./selectorMap');
+const { SelectorError } = require('./selectorMap');
+const LoginPage = require('./loginPage');
+const { LoginError } = require('./loginPage');
+const TransfersPage = require('./transfersPage');
+const TransferFormPage = require('./transferFormPage');
+const ProductPickerPage = require('./productPickerPage');
+const DraftPage = require('./draftPage');
+const { SelectorHealthCheck, writeHealthReport } = require('./healthCheck');
+
+module.exports = {
+    selectorMap,
+    SelectorError,
+    LoginPage,
+    LoginError,
+    TransfersPage,
+    TransferFormPage,
+    ProductPickerPage,
+    DraftPage,
+    SelectorHealthCheck,
+    writeHealthReport
+};
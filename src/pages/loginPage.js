@@ -0,0 +1,244 @@
+// src/pages/loginPage.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const { pollUntil } = require('../utils/waits');
+const { generateTotp } = require('../utils/totp');
+const BasePage = require('./basePage');
+const selectorMap = require('./selectorMap');
+
+// Microsoft sign-in screens the login flow knows how to handle, with the selector that identifies
+// each. Checked in this order, since a later screen's marker may also be present on an earlier one.
+const SCREENS = [
+    ['pickAccount', 'pickAccount'],
+    ['totp', 'totpInput'],
+    ['pushApproval', 'pushApproval'],
+    ['password', 'password'],
+    ['username', 'username'],
+    ['staySignedIn', 'staySignedInPrompt']
+];
+
+/**
+ * A sign-in failure that retrying will not fix. `code` names the cause:
+ * INVALID_CREDENTIALS, MFA_SECRET_MISSING, MFA_CODE_REJECTED, MFA_APPROVAL_TIMEOUT,
+ * SIGN_IN_ERROR or UNRECOGNIZED_SCREEN.
+ */
+class LoginError extends Error {
+    constructor(code, message, { url = '', screen = null } = {}) {
+        super(`[${code}] ${message}`);
+        this.name = 'LoginError';
+        this.code = code;
+        this.url = url;
+        this.screen = screen;
+        this.transient = false;
+    }
+}
+
+/**
+ * The SweedPos login page and the Microsoft sign-in pages it hands off to.
+ */
+class LoginPage extends BasePage {
+    constructor(page) {
+        super(page, 'login');
+    }
+
+    async open(url = config.get('urls.login')) {
+        await this.page.goto(url);
+    }
+
+    async startMicrosoftLogin() {
+        await this.locator('microsoftButton').first().click();
+    }
+
+    /**
+     * Enters the account's email on the SweedPos login page, which hands off to Microsoft.
+     */
+    async submitEmail(email) {
+        await this.waitFor('email');
+        await this.locator('email').first().fill(email);
+        await this.locator('verify').first().click();
+    }
+
+    async waitForMicrosoft() {
+        const { urlPattern } = selectorMap.get(this.group, 'microsoftUrl');
+        await this.page.waitForURL(new RegExp(urlPattern), { timeout: config.get('browser.timeout.navigation') });
+    }
+
+    async submitUsername(username) {
+        await this.waitFor('username', config.get('browser.timeout.navigation'));
+        await this.locator('username').first().fill(username);
+        await this.locator('next').first().click();
+    }
+
+    async submitPassword(password) {
+        await this.waitFor('password', config.get('browser.timeout.navigation'));
+        await this.locator('password').first().fill(password);
+        await this.locator('signIn').first().click();
+    }
+
+    /**
+     * Works through the Microsoft sign-in screens until Microsoft asks "Stay signed in?" or hands
+     * back to SweedPos: picks the account, enters username and password, answers an
+     * authenticator code prompt from the TOTP secret and waits for a push approval.
+     *
+     * @param {object} options
+     * @param {string} options.username - The Microsoft account.
+     * @param {string} options.password - Its password.
+     * @param {string} [options.totpSecret] - Base32 secret of the account's authenticator app entry.
+     * @param {Function} [options.onScreen] - Called with (screen, details) for each screen handled,
+     *        e.g. to show the number to enter for a push approval.
+     * @returns {Promise<string>} "staySignedIn" or "signedIn".
+     * @throws {LoginError} If sign-in fails or a screen is not recognized.
+     */
+    async completeMicrosoftLogin({ username, password, totpSecret, onScreen = () => {} }) {
+        const visits = {};
+        for (;;) {
+            const screen = await this.detectScreen();
+            if (screen === 'signedIn' || screen === 'staySignedIn') return screen;
+            if (!screen) throw await this.unrecognizedScreen();
+
+            visits[screen] = (visits[screen] || 0) + 1;
+            if (visits[screen] > 3) {
+                throw new LoginError('SIGN_IN_ERROR', `Microsoft kept showing the ${screen} screen`, { url: this.page.url(), screen });
+            }
+            logger.info(`Microsoft sign-in screen: ${screen}`);
+
+            switch (screen) {
+                case 'pickAccount':
+                    onScreen(screen);
+                    await this.pickAccount(username);
+                    break;
+                case 'username':
+                    onScreen(screen);
+                    await this.afterSubmit('username', () => this.submitUsername(username));
+                    break;
+                case 'password':
+                    onScreen(screen);
+                    await this.afterSubmit('password', () => this.submitPassword(password));
+                    await this.throwOnSignInError('INVALID_CREDENTIALS', screen);
+                    break;
+                case 'totp':
+                    onScreen(screen);
+                    await this.submitTotp(totpSecret);
+                    break;
+                case 'pushApproval':
+                    await this.waitForPushApproval(onScreen);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Waits for the next sign-in screen.
+     *
+     * @returns {Promise<string|null>} A screen name from SCREENS, "signedIn" once the browser has
+     *          left Microsoft, or null if no known screen appeared within browser.timeout.navigation.
+     */
+    async detectScreen() {
+        const microsoftUrl = new RegExp(selectorMap.get(this.group, 'microsoftUrl').urlPattern);
+        let found = null;
+        try {
+            await pollUntil(async () => {
+                if (!microsoftUrl.test(this.page.url())) {
+                    found = 'signedIn';
+                    return true;
+                }
+                for (const [screen, key] of SCREENS) {
+                    if (await this.locator(key).first().isVisible().catch(() => false)) {
+                        found = screen;
+                        return true;
+                    }
+                }
+                return false;
+            }, config.get('browser.timeout.navigation'));
+        } catch {
+            return null;
+        }
+        return found;
+    }
+
+    /**
+     * Runs a submit action and waits until the screen's marker is gone or an error is shown.
+     */
+    async afterSubmit(key, submit) {
+        const marker = await this.locator(key).first().elementHandle();
+        await submit();
+        await this.waitUntil(`${key} screen to change`, timeout => pollUntil(
+            async () => !await marker.isVisible().catch(() => false) || await this.locator('signInError').first().isVisible(),
+            timeout
+        ), { timeout: config.get('browser.timeout.navigation') });
+    }
+
+    async throwOnSignInError(code, screen) {
+        const error = this.locator('signInError').first();
+        if (await error.isVisible().catch(() => false)) {
+            throw new LoginError(code, (await error.textContent()).trim() || 'Microsoft rejected the sign-in', { url: this.page.url(), screen });
+        }
+    }
+
+    /**
+     * Picks the tile of the account on "Pick an account", or "Use another account" when it is not listed.
+     */
+    async pickAccount(username) {
+        const tile = this.locator('accountTiles').filter({ hasText: username }).first();
+        if (await tile.count() > 0) {
+            await this.afterSubmit('pickAccount', () => tile.click());
+        } else {
+            logger.info(`Account ${username} is not listed, choosing another account`);
+            await this.afterSubmit('pickAccount', () => this.locator('otherAccount').first().click());
+        }
+    }
+
+    /**
+     * Answers the authenticator code prompt with a code generated from the TOTP secret.
+     */
+    async submitTotp(totpSecret) {
+        if (!totpSecret) {
+            throw new LoginError('MFA_SECRET_MISSING', 'Microsoft asked for an authenticator code but no TOTP secret is configured (MS_TOTP_SECRET)', {
+                url: this.page.url(),
+                screen: 'totp'
+            });
+        }
+        await this.afterSubmit('totpInput', async () => {
+            await this.locator('totpInput').first().fill(generateTotp(totpSecret));
+            await this.locator('totpSubmit').first().click();
+        });
+        await this.throwOnSignInError('MFA_CODE_REJECTED', 'totp');
+    }
+
+    /**
+     * Waits, up to login.mfaApprovalTimeout, for the sign-in to be approved on the phone.
+     */
+    async waitForPushApproval(onScreen) {
+        const timeout = config.get('login.mfaApprovalTimeout');
+        const numberLocator = this.locator('pushNumber').first();
+        const number = await numberLocator.isVisible().catch(() => false) ? (await numberLocator.textContent()).trim() : null;
+        onScreen('pushApproval', { number, timeout });
+        try {
+            await this.locator('pushApproval').first().waitFor({ state: 'hidden', timeout });
+        } catch {
+            throw new LoginError('MFA_APPROVAL_TIMEOUT', `The sign-in request was not approved within ${Math.round(timeout / 1000)}s`, {
+                url: this.page.url(),
+                screen: 'pushApproval'
+            });
+        }
+    }
+
+    async unrecognizedScreen() {
+        const title = this.locator('screenTitle').first();
+        const heading = await title.isVisible().catch(() => false) ? (await title.textContent()).trim() : await this.page.title();
+        return new LoginError('UNRECOGNIZED_SCREEN', `Unrecognized Microsoft sign-in screen "${heading}"`, { url: this.page.url() });
+    }
+
+    /**
+     * Answers "Stay signed in?" with yes.
+     *
+     * @throws {Error} If the prompt is not shown within browser.timeout.element.
+     */
+    async confirmStaySignedIn() {
+        await this.waitFor('staySignedIn');
+        await this.locator('staySignedIn').first().click();
+    }
+}
+
+module.exports = LoginPage;
+module.exports.LoginError = LoginError;
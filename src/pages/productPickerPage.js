@@ -0,0 +1,94 @@
+// src/pages/productPickerPage.js
+const config = require('../config');
+const { pollUntil } = require('../utils/waits');
+const BasePage = require('./basePage');
+
+/**
+ * The "Add product manually" dialog of a draft transfer.
+ */
+class ProductPickerPage extends BasePage {
+    constructor(page) {
+        super(page, 'productPicker');
+    }
+
+    /**
+     * Waits until the draft page offers "Add product manually".
+     */
+    async waitForDraft(timeout = config.get('browser.timeout.navigation')) {
+        await this.waitFor('addProduct', timeout);
+        await this.waitUntil('draft to finish loading', waitTimeout => this.page.waitForLoadState('networkidle', { timeout: waitTimeout }));
+    }
+
+    async open() {
+        await this.waitFor('addProduct');
+        await this.click('addProduct');
+        await this.waitForState('product dialog', this.locator('search'));
+    }
+
+    /**
+     * Searches for a product. A search that finds nothing is typed once more, as the
+     * search box sometimes misses the first input.
+     *
+     * @param {string} query - Text to search for, e.g. the last 4 digits of the barcode.
+     * @returns {Promise<string[]>} Text of every result, in list order; empty when nothing was found.
+     */
+    async search(query) {
+        const searchBox = this.locator('search');
+        await searchBox.click();
+        await this.waitUntil('search box focus', timeout => pollUntil(
+            () => searchBox.evaluate(element => element === document.activeElement),
+            timeout
+        ));
+        await this.fillSearch(searchBox, query);
+
+        if (await this.locator('noResults').isVisible()) {
+            await searchBox.fill('');
+            await this.waitForValue('search box to clear', searchBox, '');
+            await this.fillSearch(searchBox, query);
+        }
+
+        if (await this.locator('noResults').isVisible()) return [];
+        return this.locator('results').allTextContents();
+    }
+
+    /**
+     * Types a query and waits until the dialog shows either results or "No items found".
+     */
+    async fillSearch(searchBox, query) {
+        await searchBox.fill(query);
+        await this.waitUntil(`search results for "${query}"`, timeout => pollUntil(
+            async () => await this.locator('results').count() > 0 || await this.locator('noResults').isVisible(),
+            timeout
+        ));
+    }
+
+    /**
+     * Adds the search result at the given position to the draft and closes the dialog.
+     */
+    async pick(index) {
+        const qtyInputs = this.locator('qtyInput', {}, 'draft');
+        const linesBefore = await qtyInputs.count();
+        const applyButton = this.locator('apply');
+
+        await this.locator('results').nth(index).click();
+        await this.waitUntil('dialog Apply to be enabled', timeout => pollUntil(
+            async () => await applyButton.isVisible() && await applyButton.isEnabled(),
+            timeout
+        ));
+        await this.click('apply');
+        await this.waitForState('product dialog to close', this.locator('search'), 'hidden');
+        // Move focus off the dialog so the new product line's quantity input is ready.
+        await this.click('focusAway');
+        await this.waitUntil('new quantity input', timeout => pollUntil(
+            async () => await qtyInputs.count() > linesBefore,
+            timeout
+        ));
+    }
+
+    async cancel() {
+        await this.page.keyboard.press('Escape');
+        await this.waitForState('product dialog to close', this.locator('search'), 'hidden');
+    }
+}
+
+module.exports = ProductPickerPage;
@@ -0,0 +1,200 @@
+// src/pages/selectorMap.js
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Keys a selector object is built from; exactly one of them must be present.
+const BASE_KEYS = ['selector', 'role', 'placeholder', 'text', 'point', 'urlPattern'];
+
+class SelectorError extends Error {
+    constructor(message, key = null) {
+        super(message);
+        this.name = 'SelectorError';
+        this.key = key;
+    }
+}
+
+/**
+ * Replaces "{name}" placeholders with values from params, e.g. the option text to pick.
+ */
+function fillParams(value, params) {
+    return String(value).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Returns what is wrong with a selector entry, or null when it can be resolved.
+ */
+function checkSpec(spec) {
+    if (typeof spec === 'string') return spec.trim() ? null : 'is empty';
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return 'must be a selector string or an object';
+    const bases = BASE_KEYS.filter(key => spec[key] !== undefined);
+    if (bases.length !== 1) return `must have exactly one of: ${BASE_KEYS.join(', ')}`;
+    if (spec.point && (typeof spec.point.x !== 'number' || typeof spec.point.y !== 'number')) return '"point" needs numeric x and y';
+    if (spec.hasTextMatching) {
+        try {
+            new RegExp(spec.hasTextMatching);
+        } catch (error) {
+            return `"hasTextMatching" is not a valid pattern: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * SweedPos selectors used by the page objects, loaded from the versioned map in
+ * src/config/selectors.json. A local override file (src/config/selectors.local.json, or
+ * paths.selectorOverrides) can replace single entries without a code change:
+ *
+ *   { "version": 1, "selectors": { "transferForm": { "driver1": "input[name=\"driverOne\"]" } } }
+ *
+ * An entry is either a Playwright selector string or an object with one of
+ * - selector: a Playwright selector, optionally narrowed by hasText, hasTextMatching (a regular
+ *   expression), descendant (a selector inside each match) and nth (-1 for the last match);
+ * - role (+ name, exact), placeholder or text: the matching getBy* locator;
+ * - point: { x, y } page coordinates to click instead of an element;
+ * - urlPattern: a regular expression the page URL is waited for with.
+ * "{value}" style placeholders are filled in from the parameters the page object passes.
+ */
+class SelectorMap {
+    constructor() {
+        this.version = null;
+        this.selectors = {};
+        this.sources = {};
+        this.overridePath = null;
+        this.load();
+    }
+
+    load() {
+        const defaultPath = path.join(__dirname, '../config/selectors.json');
+        let defaults;
+        try {
+            defaults = JSON.parse(fs.readFileSync(defaultPath, 'utf-8'));
+        } catch (error) {
+            throw new SelectorError(`Failed to load selector map ${defaultPath}: ${error.message}`);
+        }
+        this.version = defaults.version;
+        this.selectors = {};
+        this.sources = {};
+        Object.entries(defaults.selectors).forEach(([group, entries]) => {
+            this.selectors[group] = { ...entries };
+            Object.keys(entries).forEach(key => { this.sources[`${group}.${key}`] = 'default'; });
+        });
+
+        const configuredPath = config.get('paths.selectorOverrides');
+        this.overridePath = configuredPath ? path.resolve(configuredPath) : path.join(__dirname, '../config/selectors.local.json');
+        if (fs.existsSync(this.overridePath)) this.applyOverrides(this.overridePath);
+
+        const problems = this.validate();
+        if (problems.length > 0) {
+            throw new SelectorError(`Invalid selector map:\n  ${problems.join('\n  ')}`);
+        }
+        logger.info('Selector map loaded', { version: this.version, overrides: this.getOverriddenKeys().length });
+    }
+
+    applyOverrides(filePath) {
+        let overrides;
+        try {
+            overrides = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch (error) {
+            throw new SelectorError(`Failed to load selector overrides ${filePath}: ${error.message}`);
+        }
+        if (overrides.version !== this.version) {
+            logger.warn(`Selector overrides in ${filePath} were written for selector map version ${overrides.version}, ` +
+                `the current map is version ${this.version}. Check the overridden selectors still apply.`);
+        }
+        Object.entries(overrides.selectors || {}).forEach(([group, entries]) => {
+            Object.entries(entries).forEach(([key, spec]) => {
+                if (!this.selectors[group] || this.selectors[group][key] === undefined) {
+                    throw new SelectorError(`Selector override "${group}.${key}" in ${filePath} does not match any selector in the map`, `${group}.${key}`);
+                }
+                this.selectors[group][key] = spec;
+                this.sources[`${group}.${key}`] = 'override';
+            });
+        });
+    }
+
+    /**
+     * Checks every entry and returns the problems found.
+     *
+     * @returns {string[]} Problems, empty when every entry can be resolved.
+     */
+    validate() {
+        const problems = [];
+        Object.entries(this.selectors).forEach(([group, entries]) => {
+            Object.entries(entries).forEach(([key, spec]) => {
+                const problem = checkSpec(spec);
+                if (problem) problems.push(`${group}.${key} ${problem}`);
+            });
+        });
+        return problems;
+    }
+
+    /**
+     * Returns the selector entry for a page object key.
+     *
+     * @param {string} group - Selector group, e.g. "transferForm".
+     * @param {string} key - Selector name within the group, e.g. "driver1".
+     * @returns {string|object} The selector entry.
+     * @throws {SelectorError} If the map has no such selector.
+     */
+    get(group, key) {
+        const spec = this.selectors[group] && this.selectors[group][key];
+        if (spec === undefined) throw new SelectorError(`No selector "${group}.${key}" in the selector map`, `${group}.${key}`);
+        return spec;
+    }
+
+    getSource(group, key) {
+        return this.sources[`${group}.${key}`] || null;
+    }
+
+    getOverriddenKeys() {
+        return Object.keys(this.sources).filter(key => this.sources[key] === 'override');
+    }
+
+    /**
+     * Builds a Playwright locator for a selector entry.
+     *
+     * @param {object} page - The Playwright page.
+     * @param {string} group - Selector group.
+     * @param {string} key - Selector name within the group.
+     * @param {object} [params={}] - Values for "{name}" placeholders.
+     * @returns {object} The Playwright locator.
+     * @throws {SelectorError} If the entry is a point or URL pattern rather than an element.
+     */
+    locator(page, group, key, params = {}) {
+        const spec = this.get(group, key);
+        if (typeof spec === 'string') return page.locator(fillParams(spec, params));
+        if (spec.point || spec.urlPattern) {
+            throw new SelectorError(`Selector "${group}.${key}" is not an element selector`, `${group}.${key}`);
+        }
+
+        let locator;
+        if (spec.role) {
+            const options = spec.name !== undefined ? { name: fillParams(spec.name, params), exact: spec.exact } : {};
+            locator = page.getByRole(spec.role, options);
+        } else if (spec.placeholder) {
+            locator = page.getByPlaceholder(fillParams(spec.placeholder, params), { exact: spec.exact });
+        } else if (spec.text) {
+            locator = page.getByText(fillParams(spec.text, params), { exact: spec.exact });
+        } else {
+            locator = page.locator(fillParams(spec.selector, params));
+        }
+        if (spec.hasText !== undefined) locator = locator.filter({ hasText: fillParams(spec.hasText, params) });
+        if (spec.hasTextMatching !== undefined) locator = locator.filter({ hasText: new RegExp(fillParams(spec.hasTextMatching, params)) });
+        if (spec.descendant) locator = locator.locator(fillParams(spec.descendant, params));
+        if (spec.nth !== undefined) locator = locator.nth(spec.nth);
+        return locator;
+    }
+
+    /**
+     * Returns a short human-readable form of a selector entry for logs and reports.
+     */
+    describe(group, key) {
+        const spec = this.get(group, key);
+        return typeof spec === 'string' ? spec : JSON.stringify(spec);
+    }
+}
+
+module.exports = new SelectorMap();
+module.exports.SelectorError = SelectorError;
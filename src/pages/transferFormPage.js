@@ -0,0 +1,130 @@
+// src/pages/transferFormPage.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const { pollUntil } = require('../utils/waits');
+const BasePage = require('./basePage');
+
+/**
+ * The "New transfer" form: BioTrack toggle, destination, drivers, vehicle, departure/arrival
+ * dates and planned route.
+ */
+class TransferFormPage extends BasePage {
+    constructor(page) {
+        super(page, 'transferForm');
+    }
+
+    /**
+     * Waits for the form and switches on every BioTrack toggle that is still off.
+     */
+    async enableBioTrack() {
+        await this.waitFor('field', config.get('browser.timeout.navigation'));
+        const toggles = this.locator('bioTrackToggle');
+        await toggles.evaluateAll(elements => {
+            for (const toggle of elements) {
+                if (!toggle.checked) toggle.click();
+            }
+        });
+        await this.waitUntil('BioTrack toggles to switch on', timeout => pollUntil(
+            () => toggles.evaluateAll(elements => elements.every(toggle => toggle.checked)),
+            timeout
+        ));
+    }
+
+    /**
+     * Opens a dropdown field and waits for its option list to render.
+     */
+    async openOptions(field) {
+        await this.click(field);
+        await this.waitForState(`${field} options`, this.locator('options').first());
+    }
+
+    /**
+     * Clicks an option and waits for the list to close.
+     */
+    async pickOption(option, field) {
+        await option.click();
+        await this.waitForState(`${field} options to close`, option, 'hidden');
+    }
+
+    async selectStore(toStore) {
+        await this.openOptions('toStore');
+        await this.pickOption(this.locator('option', { value: toStore }), 'toStore');
+    }
+
+    /**
+     * Opens a dropdown field and picks the option containing the given text.
+     *
+     * @param {string} field - Selector of the dropdown input, e.g. "driver1".
+     * @param {string} value - Text of the option to pick.
+     * @param {string} label - Field name used in log and error messages.
+     * @throws {Error} If no option contains the text.
+     */
+    async chooseOption(field, value, label) {
+        await this.openOptions(field);
+        const available = await this.locator('options').allTextContents();
+        const option = this.locator('option', { value });
+        if (await option.count() === 0) {
+            logger.error(`${label} "${value}" not found in options:`, available);
+            throw new Error(`${label} "${value}" not found`);
+        }
+        await this.pickOption(option.first(), field);
+    }
+
+    async selectDriver(field, driver) {
+        await this.chooseOption(field, driver, field === 'driver1' ? 'Driver 1' : 'Driver 2');
+    }
+
+    async selectVehicle(vehicle) {
+        if (vehicle) {
+            await this.chooseOption('vehicle', vehicle, 'Vehicle');
+            return;
+        }
+        await this.click('vehicle');
+        await this.waitForState('vehicle options', this.locator('options').first(), 'visible', {
+            fixedDelay: config.get('browser.timeout.animation') * 2
+        });
+        logger.info('No vehicle specified, skipping vehicle selection');
+    }
+
+    /**
+     * Sets a date field through its picker.
+     *
+     * @param {string} field - "departureDate" or "arrivalDate".
+     * @param {string} value - Date and time as "MM-DD-YYYY hh:mm A".
+     */
+    async setDate(field, value) {
+        const dateInput = this.locator('dateInput');
+        await this.click(field);
+        await this.waitForState(`${field} picker`, dateInput);
+        await dateInput.fill(value);
+        await this.waitForValue(`${field} value`, dateInput, value);
+        await this.click('dateOk');
+        await this.waitForState(`${field} picker to close`, dateInput, 'hidden');
+    }
+
+    async setRoute(route) {
+        const routeInput = this.locator('route');
+        await routeInput.click();
+        await routeInput.fill(route);
+        await this.waitForValue('route value', routeInput, route);
+    }
+
+    /**
+     * Submits the form, which creates the draft transfer and opens it.
+     */
+    async createTransfer() {
+        await this.waitFor('createTransfer');
+        const formUrl = this.page.url();
+        await this.click('createTransfer');
+        await this.waitUntil('draft transfer to open', async timeout => {
+            const deadline = Date.now() + timeout;
+            await this.page.waitForURL(url => url.href !== formUrl, { timeout });
+            await this.locator('addProduct', {}, 'productPicker').first().waitFor({ state: 'visible', timeout: Math.max(deadline - Date.now(), 1) });
+        }, {
+            fixedDelay: config.get('browser.timeout.animation') + config.get('browser.timeout.navigation'),
+            timeout: config.get('browser.timeout.navigation')
+        });
+    }
+}
+
+module.exports = TransferFormPage;
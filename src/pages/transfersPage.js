@@ -0,0 +1,78 @@
+// src/pages/transfersPage.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const { formatDateForInput } = require('../utils/transferPlan');
+const BasePage = require('./basePage');
+
+/**
+ * The signed-in SweedPos shell: the header, the Inventory menu and the transfers list.
+ */
+class TransfersPage extends BasePage {
+    constructor(page) {
+        super(page, 'transfers');
+    }
+
+    /**
+     * Opens the dashboard and reports whether the browser is still signed in, i.e. the page was
+     * not redirected to the login page and shows the user avatar.
+     *
+     * @param {string} [url] - Defaults to urls.dashboard.
+     * @returns {Promise<boolean>} Whether the session is valid.
+     */
+    async hasSession(url = config.get('urls.dashboard')) {
+        await this.page.goto(url);
+        if (!this.page.url().startsWith(url)) return false;
+        try {
+            await this.waitFor('userAvatar', config.get('browser.timeout.navigation'));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async waitForDashboard() {
+        await this.waitFor('userAvatar', config.get('browser.timeout.navigation'));
+        await this.waitUntil('dashboard to finish loading', timeout => this.page.waitForLoadState('networkidle', { timeout }));
+    }
+
+    /**
+     * Expands the Inventory menu. The menu may already be expanded, in which case it is not shown.
+     */
+    async openInventoryMenu() {
+        try {
+            await this.waitFor('inventoryMenu');
+            await this.locator('inventoryMenu').first().click();
+        } catch {
+            logger.info('Inventory menu might already be expanded');
+        }
+    }
+
+    async openTransfers() {
+        await this.waitFor('transfersLink', config.get('browser.timeout.navigation'));
+        await this.locator('transfersLink').first().click();
+        await this.waitForState('transfers list', this.locator('newTransfer').first(), 'visible', { timeout: config.get('browser.timeout.navigation') });
+    }
+
+    /**
+     * Reads the transfers list for drafts to a destination departing on a given day.
+     *
+     * @param {string} toStore - The SweedPos destination name.
+     * @param {Date|string} departureDate - The departure day.
+     * @returns {Promise<string[]>} The text of each matching row.
+     */
+    async findDrafts(toStore, departureDate) {
+        await this.waitUntil('transfers list to load', timeout => this.page.waitForLoadState('networkidle', { timeout }));
+        const day = formatDateForInput(departureDate, '').trim();
+        const rows = await this.locator('transferRows').allInnerTexts();
+        return rows
+            .map(text => text.replace(/\s+/g, ' ').trim())
+            .filter(text => text.includes(toStore) && text.includes(day) && /\bdraft\b/i.test(text));
+    }
+
+    async startNewTransfer() {
+        await this.click('newTransfer');
+        await this.waitForState('new transfer form', this.locator('field', {}, 'transferForm').first());
+    }
+}
+
+module.exports = TransfersPage;
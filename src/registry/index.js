@@ -0,0 +1,183 @@
+// src/registry/index.js
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const TIME_PATTERN = /^(0?[1-9]|1[0-2]):[0-5]\d (AM|PM)$/i;
+const STORE_FIELDS = ['label', 'toStore', 'drivers', 'vehicles', 'route', 'departureTime', 'arrivalTime'];
+
+class RegistryError extends Error {
+    constructor(message, storeNames = []) {
+        super(message);
+        this.name = 'RegistryError';
+        this.storeNames = storeNames;
+    }
+}
+
+function toMinutes(time) {
+    const [, hours, minutes, meridiem] = /^(\d{1,2}):(\d{2}) (AM|PM)$/i.exec(time);
+    return (parseInt(hours, 10) % 12 + (meridiem.toUpperCase() === 'PM' ? 12 : 0)) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Store master data (SweedPos destination, default drivers, vehicles, route and departure/arrival
+ * window) kept in an editable JSON file, keyed by the store name used in the manifest columns.
+ */
+class StoreRegistry {
+    constructor() {
+        this.filePath = null;
+        this.data = null;
+        this.load();
+    }
+
+    load() {
+        const configuredPath = config.get('paths.storeRegistry');
+        this.filePath = configuredPath ? path.resolve(configuredPath) : path.join(__dirname, '../config/stores.json');
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        } catch (error) {
+            throw new RegistryError(`Failed to load store registry ${this.filePath}: ${error.message}`);
+        }
+        if (!this.data.stores || typeof this.data.stores !== 'object') {
+            throw new RegistryError(`Store registry ${this.filePath} has no "stores" object`);
+        }
+        logger.info('Store registry loaded', { filePath: this.filePath, stores: Object.keys(this.data.stores).length });
+    }
+
+    save() {
+        fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2) + '\n', 'utf-8');
+        logger.info('Store registry saved', { filePath: this.filePath });
+    }
+
+    list() {
+        return Object.keys(this.data.stores);
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.data.stores, name);
+    }
+
+    get(name) {
+        return this.has(name) ? this.data.stores[name] : null;
+    }
+
+    /**
+     * Returns every store keyed by name, in the shape the confirmation window and automation use.
+     */
+    getAll() {
+        return { ...this.data.stores };
+    }
+
+    /**
+     * Adds a store. The entry is validated before it is saved.
+     *
+     * @param {string} name - Store name as it appears in "<Store> Units"/"<Store> Cases" columns.
+     * @param {object} entry - The store's fields.
+     * @throws {RegistryError} If the store exists or the entry is invalid.
+     */
+    add(name, entry) {
+        if (this.has(name)) {
+            throw new RegistryError(`Store "${name}" already exists in the registry, use update instead`, [name]);
+        }
+        this.assertValid(name, entry);
+        this.data.stores[name] = entry;
+        this.save();
+    }
+
+    /**
+     * Updates fields of an existing store. Driver fields are merged, everything else replaced.
+     *
+     * @param {string} name - Store name.
+     * @param {object} changes - Fields to change.
+     * @throws {RegistryError} If the store does not exist or the result is invalid.
+     */
+    update(name, changes) {
+        const current = this.get(name);
+        if (!current) {
+            throw new RegistryError(`Store "${name}" is not in the registry, use add instead`, [name]);
+        }
+        const updated = {
+            ...current,
+            ...changes,
+            drivers: changes.drivers ? { ...current.drivers, ...changes.drivers } : current.drivers
+        };
+        if (!updated.drivers) delete updated.drivers;
+        this.assertValid(name, updated);
+        this.data.stores[name] = updated;
+        this.save();
+    }
+
+    /**
+     * Checks one entry and returns the problems found.
+     *
+     * @param {string} name - Store name.
+     * @param {object} entry - The store's fields.
+     * @returns {string[]} Problems, empty when the entry is valid.
+     */
+    validateEntry(name, entry) {
+        const problems = [];
+        if (!entry || typeof entry !== 'object') return [`${name}: entry must be an object`];
+        Object.keys(entry).forEach(field => {
+            if (!STORE_FIELDS.includes(field)) problems.push(`${name}: unknown field "${field}"`);
+        });
+        if (!entry.toStore || typeof entry.toStore !== 'string') {
+            problems.push(`${name}: "toStore" (SweedPos destination name) is required`);
+        }
+        if (entry.drivers !== undefined && (typeof entry.drivers !== 'object' || Array.isArray(entry.drivers))) {
+            problems.push(`${name}: "drivers" must be an object with driver1/driver2`);
+        }
+        if (entry.vehicles !== undefined && (!Array.isArray(entry.vehicles) || entry.vehicles.some(v => typeof v !== 'string'))) {
+            problems.push(`${name}: "vehicles" must be a list of names`);
+        }
+        ['departureTime', 'arrivalTime'].forEach(field => {
+            if (entry[field] && !TIME_PATTERN.test(entry[field])) {
+                problems.push(`${name}: "${field}" must look like "07:00 AM", got "${entry[field]}"`);
+            }
+        });
+        if (!!entry.departureTime !== !!entry.arrivalTime) {
+            problems.push(`${name}: set both "departureTime" and "arrivalTime" or neither`);
+        } else if (TIME_PATTERN.test(entry.departureTime || '') && TIME_PATTERN.test(entry.arrivalTime || '') &&
+            toMinutes(entry.arrivalTime) <= toMinutes(entry.departureTime)) {
+            problems.push(`${name}: "arrivalTime" must be after "departureTime"`);
+        }
+        return problems;
+    }
+
+    assertValid(name, entry) {
+        const problems = this.validateEntry(name, entry);
+        if (problems.length > 0) {
+            throw new RegistryError(`Invalid store entry:\n  ${problems.join('\n  ')}`, [name]);
+        }
+    }
+
+    /**
+     * Validates every entry in the registry.
+     *
+     * @returns {string[]} Problems found across all stores.
+     */
+    validate() {
+        return Object.entries(this.data.stores).flatMap(([name, entry]) => this.validateEntry(name, entry));
+    }
+
+    /**
+     * Ensures every store found in a manifest has a registry entry.
+     *
+     * @param {string[]} storeNames - Stores discovered from "<Store> Units"/"<Store> Cases" columns.
+     * @throws {RegistryError} Naming each missing entry.
+     */
+    requireStores(storeNames) {
+        const missing = storeNames.filter(name => !this.has(name));
+        if (missing.length > 0) {
+            const list = missing.map(name => `"${name}"`).join(', ');
+            throw new RegistryError(
+                `The manifest has columns for ${list} but the store registry (${this.filePath}) has no entry for ${missing.length === 1 ? 'it' : 'them'}. ` +
+                `Add ${missing.length === 1 ? 'it' : 'each'} with: node auto.js stores add "<name>" --to-store "<SweedPos destination>"`,
+                missing
+            );
+        }
+    }
+}
+
+module.exports = new StoreRegistry();
+module.exports.RegistryError = RegistryError;
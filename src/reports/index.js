@@ -0,0 +1,239 @@
+// src/reports/index.js
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const XLSX = require('xlsx');
+const colors = require('ansi-colors');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { redact } = require('../utils/redact');
+const { loadWorkbook } = require('../manifest');
+
+const ROW_STATUS = {
+    added: () => 'added',
+    resumed: () => 'added (earlier run)',
+    skipped: row => `skipped: ${row.reason}`,
+    'needs-review': row => `needs review: ${row.reason}`
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Returns what happened to one manifest row in a store's transfer. Rows the run never reached
+ * are "failed" when the store failed and "not processed" otherwise.
+ *
+ * @param {object} storeRun - A store entry of the run record.
+ * @param {string} rowKey - The manifest row number ("#").
+ * @returns {string} The row status, with the reason for skipped and review rows.
+ */
+function getRowStatus(storeRun, rowKey) {
+    const row = storeRun.rows.find(entry => entry.row === String(rowKey));
+    if (row) return ROW_STATUS[row.outcome] ? ROW_STATUS[row.outcome](row) : row.outcome;
+    if (storeRun.status === 'failed') return 'failed';
+    if (storeRun.status === 'skipped') return `skipped: ${storeRun.reason}`;
+    return 'not processed';
+}
+
+/**
+ * Counts the row outcomes of every store and of the whole run.
+ *
+ * @param {object} record - The run record (see RunRecorder).
+ * @param {object[]} rows - The manifest rows.
+ * @returns {{stores: object[], totals: object}} Added, skipped, review and failed rows per store and in total.
+ */
+function summarizeRun(record, rows) {
+    const stores = record.stores.map(storeRun => {
+        const counts = { added: 0, skipped: 0, needsReview: 0, failed: 0, notProcessed: 0 };
+        rows.forEach(row => {
+            const status = getRowStatus(storeRun, row['#']);
+            if (status.startsWith('added')) counts.added++;
+            else if (status.startsWith('skipped')) counts.skipped++;
+            else if (status.startsWith('needs review')) counts.needsReview++;
+            else if (status === 'failed') counts.failed++;
+            else counts.notProcessed++;
+        });
+        return { store: storeRun.store, toStore: storeRun.toStore, status: storeRun.status, draftUrl: storeRun.draftUrl, verified: storeRun.stats?.verified, ...counts };
+    });
+    const totals = {};
+    ['added', 'skipped', 'needsReview', 'failed', 'notProcessed'].forEach(key => {
+        totals[key] = stores.reduce((sum, store) => sum + store[key], 0);
+    });
+    return { stores, totals };
+}
+
+function embedScreenshot(filePath) {
+    try {
+        return `<img src="data:image/png;base64,${fs.readFileSync(filePath).toString('base64')}" alt="${escapeHtml(path.basename(filePath))}">`;
+    } catch {
+        return `<p>Screenshot not found: ${escapeHtml(filePath)}</p>`;
+    }
+}
+
+function renderHtml(record, summary, rows) {
+    const statusClass = status => ['succeeded', 'created', 'added'].some(ok => String(status).startsWith(ok)) ? 'ok'
+        : ['failed', 'duplicate', 'validation-failed'].includes(status) ? 'bad' : 'warn';
+    const settings = Object.entries(record.config)
+        .filter(([, value]) => value !== undefined && value !== '' && typeof value !== 'object')
+        .map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+    const stores = record.stores.map((storeRun, index) => {
+        const counts = summary.stores[index];
+        const rowLines = rows.map(row => {
+            const status = getRowStatus(storeRun, row['#']);
+            const recorded = storeRun.rows.find(entry => entry.row === String(row['#'])) || {};
+            return `<tr class="${statusClass(status.split(':')[0])}"><td>${escapeHtml(row['#'])}</td><td>${escapeHtml(row['Last 4 of Barcode'])}</td>` +
+                `<td>${escapeHtml(recorded.qty ?? '')}</td><td>${escapeHtml(recorded.product ?? '')}</td><td>${escapeHtml(status)}</td></tr>`;
+        }).join('');
+        const screenshot = storeRun.artifacts.screenshot ? `<h4>Screenshot at failure</h4>${embedScreenshot(storeRun.artifacts.screenshot)}` : '';
+        const files = Object.entries(storeRun.artifacts)
+            .map(([name, filePath]) => `<li>${escapeHtml(name)}: <code>${escapeHtml(filePath)}</code></li>`).join('');
+        return `
+<section>
+  <h2>${escapeHtml(storeRun.store)} → ${escapeHtml(storeRun.toStore || '-')} <span class="${statusClass(storeRun.status)}">${escapeHtml(storeRun.status)}</span></h2>
+  ${storeRun.draftUrl ? `<p>Draft: <a href="${escapeHtml(storeRun.draftUrl)}">${escapeHtml(storeRun.draftUrl)}</a></p>` : ''}
+  ${storeRun.reason ? `<p class="bad">${escapeHtml(storeRun.reason)}</p>` : ''}
+  <p>${counts.added} added, ${counts.skipped} skipped, ${counts.needsReview} need review, ${counts.failed} failed, ${counts.notProcessed} not processed${counts.verified !== undefined ? `, ${counts.verified} verified on the draft` : ''} (${formatDuration(storeRun.durationMs)})</p>
+  <table><thead><tr><th>#</th><th>Barcode</th><th>Qty</th><th>Product</th><th>Status</th></tr></thead><tbody>${rowLines}</tbody></table>
+  ${screenshot}
+  ${files ? `<h4>Files</h4><ul>${files}</ul>` : ''}
+</section>`;
+    }).join('');
+
+    const timings = record.timings.map(timing => `<tr><td>${escapeHtml(timing.step)}</td><td>${escapeHtml(timing.status)}</td><td>${formatDuration(timing.durationMs)}</td></tr>`).join('');
+    const warnings = record.warnings.map(warning => `<li class="warn">${escapeHtml(warning.step)}: ${escapeHtml(warning.message)}</li>`).join('');
+    const errors = record.errors.map(error => `<li class="bad">${escapeHtml(error.step)}: ${escapeHtml(error.error)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Transfer run ${escapeHtml(record.runId)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 20px; color: #222; }
+  table { border-collapse: collapse; margin: 10px 0; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+  tr.ok td:last-child, .ok { color: #2e7d32; }
+  tr.warn td:last-child, .warn { color: #8a6d3b; }
+  tr.bad td:last-child, .bad { color: #c62828; }
+  img { max-width: 100%; border: 1px solid #ccc; }
+  section { margin-top: 30px; }
+</style>
+</head>
+<body>
+<h1>Transfer run <span class="${statusClass(record.status)}">${escapeHtml(record.status)}</span></h1>
+<table>
+  <tr><th>Run</th><td>${escapeHtml(record.runId)}</td></tr>
+  <tr><th>Started</th><td>${escapeHtml(new Date(record.startedAt).toLocaleString('en-US'))} by ${escapeHtml(record.operator)} on ${escapeHtml(record.host)}</td></tr>
+  <tr><th>Duration</th><td>${formatDuration(record.durationMs)}</td></tr>
+  <tr><th>Manifest</th><td>${escapeHtml(record.source?.path || '-')} (${escapeHtml(record.source?.sha256 || '')})</td></tr>
+  <tr><th>Rows</th><td>${summary.totals.added} added, ${summary.totals.skipped} skipped, ${summary.totals.needsReview} need review, ${summary.totals.failed} failed</td></tr>
+  ${record.error ? `<tr><th>Error</th><td class="bad">${escapeHtml(record.error)}</td></tr>` : ''}
+</table>
+<h3>Settings</h3>
+<table>${settings}</table>
+${stores}
+<h3>Steps</h3>
+<table><thead><tr><th>Step</th><th>Status</th><th>Duration</th></tr></thead><tbody>${timings}</tbody></table>
+${warnings ? `<h3>Warnings</h3><ul>${warnings}</ul>` : ''}
+${errors ? `<h3>Errors</h3><ul>${errors}</ul>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Copies the input manifest as a workbook, whatever its format, with a status column per store
+ * ("Status" for a single store, "<Store> Status" otherwise) next to the manifest's last column.
+ *
+ * @param {object} record - The run record.
+ * @param {object} manifest - Result of readTransferData, with its source and layout.
+ * @param {string} outputPath - Where to write the copy (always .xlsx).
+ */
+function writeAnnotatedWorkbook(record, manifest, outputPath) {
+    const workbook = loadWorkbook(manifest.source.path);
+    const sheet = workbook.Sheets[manifest.source.sheet];
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const firstColumn = range.e.c + 1;
+
+    record.stores.forEach((storeRun, index) => {
+        const column = firstColumn + index;
+        const header = record.stores.length === 1 ? 'Status' : `${storeRun.store} Status`;
+        sheet[XLSX.utils.encode_cell({ r: manifest.layout.headerRow, c: column })] = { t: 's', v: header };
+        manifest.transferData.forEach((row, rowIndex) => {
+            const sheetRow = manifest.layout.sheetRows[rowIndex];
+            // Rows added in the confirmation window have no row in the sheet
+            if (sheetRow === null || sheetRow === undefined) return;
+            sheet[XLSX.utils.encode_cell({ r: sheetRow, c: column })] = { t: 's', v: getRowStatus(storeRun, row['#']) };
+        });
+        range.e.c = Math.max(range.e.c, column);
+    });
+    sheet['!ref'] = XLSX.utils.encode_range(range);
+    XLSX.writeFile(workbook, outputPath, { bookType: 'xlsx' });
+}
+
+/**
+ * Writes the reports of a finished run to a folder of its own under paths.reports: a
+ * self-contained HTML page (error screenshots embedded), a JSON file with the same content and
+ * an annotated workbook copy of the manifest.
+ *
+ * @param {object} runRecord - The run record (see RunRecorder), after end().
+ * @param {object} manifest - Result of readTransferData.
+ * @param {string} [rootDir=process.cwd()] - Directory the reports folder is resolved against.
+ * @param {string} [reportsDir] - Folder for the run's report folder; defaults to paths.reports.
+ * @returns {Promise<{html: string, json: string, workbook: string|null}>} Paths of the written reports.
+ */
+async function writeRunReports(runRecord, manifest, rootDir = process.cwd(), reportsDir = config.get('paths.reports') || './reports') {
+    const record = redact(JSON.parse(JSON.stringify(runRecord)));
+    const timestamp = record.startedAt.replace(/[:.]/g, '-');
+    const reportDir = path.resolve(rootDir, reportsDir, `${timestamp}-${record.runId.slice(0, 8)}`);
+    fs.mkdirSync(reportDir, { recursive: true });
+
+    const rows = manifest.transferData || [];
+    const summary = summarizeRun(record, rows);
+    const htmlPath = path.join(reportDir, 'report.html');
+    const jsonPath = path.join(reportDir, 'report.json');
+    await fsPromises.writeFile(htmlPath, renderHtml(record, summary, rows), 'utf-8');
+
+    const rowStatuses = rows.map(row => ({
+        row: row['#'],
+        barcode: row['Last 4 of Barcode'],
+        stores: Object.fromEntries(record.stores.map(storeRun => [storeRun.store, getRowStatus(storeRun, row['#'])]))
+    }));
+    await fsPromises.writeFile(jsonPath, JSON.stringify({ generatedAt: new Date().toISOString(), summary, rows: rowStatuses, run: record }, null, 2), 'utf-8');
+
+    let workbookPath = null;
+    if (manifest.source && manifest.layout && fs.existsSync(manifest.source.path)) {
+        workbookPath = path.join(reportDir, `${path.parse(manifest.source.path).name}-annotated.xlsx`);
+        try {
+            writeAnnotatedWorkbook(record, manifest, workbookPath);
+        } catch (error) {
+            logger.warn(`Could not write the annotated workbook: ${error.message}`);
+            workbookPath = null;
+        }
+    }
+
+    console.log('\n' + colors.bold('=== Run Report ==='));
+    console.log(colors.cyan(`HTML: ${htmlPath}`));
+    console.log(colors.cyan(`JSON: ${jsonPath}`));
+    if (workbookPath) console.log(colors.cyan(`Annotated workbook: ${workbookPath}`));
+    logger.info('Run reports written', { htmlPath, jsonPath, workbookPath });
+    return { html: htmlPath, json: jsonPath, workbook: workbookPath };
+}
+
+module.exports = {
+    getRowStatus,
+    summarizeRun,
+    writeRunReports
+};
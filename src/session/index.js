@@ -0,0 +1,88 @@
+// src/session/index.js
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { encryptJson, decryptJson } = require('../utils/encryption');
+const { registerSecret } = require('../utils/redact');
+
+/**
+ * The Playwright storage state (cookies and local storage) of a signed-in SweedPos session, kept
+ * in a file encrypted with AES-256-GCM (see src/utils/encryption.js) so the next run can skip the
+ * Microsoft login. The key is derived from the SESSION_KEY environment variable; without it no
+ * session is saved or loaded.
+ */
+class SessionStore {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.filePath] - Defaults to session.file, relative to the working directory.
+     * @param {string} [options.secret] - Defaults to process.env.SESSION_KEY.
+     */
+    constructor({ filePath = config.get('session.file'), secret = process.env.SESSION_KEY } = {}) {
+        this.filePath = path.resolve(filePath);
+        this.secret = secret;
+        registerSecret(secret);
+    }
+
+    isEnabled() {
+        return config.get('session.enabled') !== false && Boolean(this.secret);
+    }
+
+    /**
+     * Returns the saved storage state, or null when there is none, it is older than
+     * session.maxAge, or it cannot be decrypted (e.g. SESSION_KEY changed). Unusable files are removed.
+     *
+     * @returns {object|null} The storage state to pass to browser.newContext.
+     */
+    load() {
+        if (!this.isEnabled()) {
+            if (config.get('session.enabled') !== false) logger.info('SESSION_KEY is not set, the login session is not reused');
+            return null;
+        }
+        if (!fs.existsSync(this.filePath)) return null;
+
+        try {
+            const file = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            const age = Date.now() - new Date(file.savedAt).getTime();
+            if (!(age < config.get('session.maxAge'))) {
+                logger.info('Saved session is too old, logging in again', { savedAt: file.savedAt });
+                this.clear();
+                return null;
+            }
+            const state = decryptJson(file, this.secret);
+            logger.info('Loaded saved session', { filePath: this.filePath, savedAt: file.savedAt });
+            return state;
+        } catch (error) {
+            logger.warn(`Saved session could not be read (${error.message}), logging in again`);
+            this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * Encrypts and writes the storage state of a signed-in browser context.
+     *
+     * @param {object} state - Result of context.storageState().
+     */
+    save(state) {
+        if (!this.isEnabled()) return;
+        const file = encryptJson(state, this.secret);
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(file), { encoding: 'utf-8', mode: 0o600 });
+        logger.info('Saved login session', { filePath: this.filePath });
+    }
+
+    /**
+     * Deletes the saved session.
+     *
+     * @returns {boolean} Whether there was a session file to delete.
+     */
+    clear() {
+        if (!fs.existsSync(this.filePath)) return false;
+        fs.unlinkSync(this.filePath);
+        logger.info('Cleared saved session', { filePath: this.filePath });
+        return true;
+    }
+}
+
+module.exports = { SessionStore };
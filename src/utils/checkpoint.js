@@ -0,0 +1,179 @@
+// src/utils/checkpoint.js
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('../config');
+
+class CheckpointError extends Error {
+    constructor(message, journals = []) {
+        super(message);
+        this.name = 'CheckpointError';
+        this.journals = journals;
+    }
+}
+
+/**
+ * Append-only journal of what has been done for one store transfer, so that an interrupted
+ * run can reopen its draft and continue after the last confirmed product row.
+ *
+ * Each line is a JSON entry:
+ * - { type: 'phase', phase: 'login' | 'details' | 'draft-created' | 'finalized', ... }
+ * - { type: 'product-started', row }
+ * - { type: 'product-confirmed', row, barcode, qty }
+ * - { type: 'product-missing', row, barcode, qty } - a confirmed row the reopened draft does not hold
+ */
+class CheckpointJournal {
+    constructor(filePath, entries = []) {
+        this.filePath = filePath;
+        this.entries = entries;
+    }
+
+    /**
+     * Identifies a transfer by store, departure date and manifest rows, so a journal is only
+     * resumed for the same sheet it was written for.
+     *
+     * @param {object} transferData - The confirmed config merged with the extracted rows.
+     * @returns {string} A short stable key.
+     */
+    static getTransferKey(transferData) {
+        const hash = crypto.createHash('sha1')
+            .update(JSON.stringify([transferData.store, transferData.departureDate, transferData.transferData]))
+            .digest('hex')
+            .slice(0, 12);
+        const store = String(transferData.store || 'store').replace(/[^A-Za-z0-9_-]/g, '_');
+        return `${store}-${hash}`;
+    }
+
+    /**
+     * Opens the journal for a transfer. Resuming loads the existing entries; otherwise the
+     * journal starts empty and any previous file for the same transfer is replaced.
+     *
+     * @param {object} transferData - The confirmed config merged with the extracted rows.
+     * @param {object} [options={}] - Options.
+     * @param {boolean} [options.resume=false] - Load the existing journal instead of starting over.
+     * @returns {CheckpointJournal} The journal.
+     * @throws {CheckpointError} When resuming and there is no journal for this store, date and rows,
+     *   e.g. because --date or the sheet changed; starting over would create a second draft.
+     */
+    static forTransfer(transferData, { resume = false } = {}) {
+        const dir = path.resolve(config.get('paths.temp'), 'checkpoints');
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        const filePath = path.join(dir, `${this.getTransferKey(transferData)}.jsonl`);
+
+        if (!resume) {
+            fs.writeFileSync(filePath, '', 'utf-8');
+            return new CheckpointJournal(filePath);
+        }
+        if (!fs.existsSync(filePath)) {
+            const journals = this.listJournals(dir);
+            const found = journals.length > 0
+                ? `Journals found: ${journals.map(journal => `${journal.key} (${journal.modifiedAt.toLocaleString('en-US')})`).join(', ')}.`
+                : `There are no journals in ${dir}.`;
+            throw new CheckpointError(
+                `No checkpoint journal to resume for ${transferData.store} departing ${new Date(transferData.departureDate).toLocaleDateString('en-US')} ` +
+                `with these rows (${path.basename(filePath, '.jsonl')}). ${found} Resume with the same sheet and --date as the interrupted run, or run without --resume.`,
+                journals
+            );
+        }
+
+        const entries = fs.readFileSync(filePath, 'utf-8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    // A crash mid-write can leave a truncated last line; ignore it.
+                    return null;
+                }
+            })
+            .filter(Boolean);
+        logger.info('Loaded checkpoint journal', { filePath, entries: entries.length });
+        return new CheckpointJournal(filePath, entries);
+    }
+
+    /**
+     * Lists the journals in the checkpoints folder, newest first.
+     *
+     * @param {string} dir - The checkpoints folder.
+     * @returns {{key: string, filePath: string, modifiedAt: Date}[]} The journals.
+     */
+    static listJournals(dir) {
+        return fs.readdirSync(dir)
+            .filter(name => name.endsWith('.jsonl'))
+            .map(name => {
+                const filePath = path.join(dir, name);
+                return { key: path.basename(name, '.jsonl'), filePath, modifiedAt: fs.statSync(filePath).mtime };
+            })
+            .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    append(entry) {
+        const record = { ...entry, timestamp: new Date().toISOString() };
+        this.entries.push(record);
+        // Written synchronously so the entry is on disk before the next browser action.
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', 'utf-8');
+    }
+
+    recordPhase(phase, details = {}) {
+        this.append({ type: 'phase', phase, ...details });
+    }
+
+    recordProductStarted(row) {
+        this.append({ type: 'product-started', row: String(row) });
+    }
+
+    recordProductConfirmed(row, details = {}) {
+        this.append({ type: 'product-confirmed', row: String(row), ...details });
+    }
+
+    /**
+     * Marks a confirmed row as not on the draft after all, so it is added again.
+     */
+    recordProductMissing(row, details = {}) {
+        this.append({ type: 'product-missing', row: String(row), ...details });
+    }
+
+    hasPhase(phase) {
+        return this.entries.some(entry => entry.type === 'phase' && entry.phase === phase);
+    }
+
+    /**
+     * Returns the URL of the draft created by the interrupted run, if it got that far.
+     */
+    getDraftUrl() {
+        const entry = this.entries.find(e => e.type === 'phase' && e.phase === 'draft-created');
+        return entry ? entry.url : null;
+    }
+
+    // The latest of the row's product-confirmed and product-missing entries decides
+    isProductConfirmed(row) {
+        const last = this.entries.filter(entry => ['product-confirmed', 'product-missing'].includes(entry.type) && entry.row === String(row)).pop();
+        return Boolean(last) && last.type === 'product-confirmed';
+    }
+
+    getConfirmedRows() {
+        return [...new Set(this.entries.filter(e => e.type === 'product-confirmed').map(e => e.row))]
+            .filter(row => this.isProductConfirmed(row));
+    }
+
+    getConfirmedCount() {
+        return this.getConfirmedRows().length;
+    }
+
+    /**
+     * Returns the row that was started but never confirmed, i.e. the row in flight when the
+     * previous run died. Its product line may or may not have reached the draft.
+     */
+    getPendingRow() {
+        const started = this.entries.filter(e => e.type === 'product-started').pop();
+        if (!started) return null;
+        const settled = this.entries.slice(this.entries.indexOf(started) + 1)
+            .some(e => e.row === started.row && e.type !== 'product-started');
+        return settled ? null : started.row;
+    }
+}
+
+module.exports = CheckpointJournal;
+module.exports.CheckpointError = CheckpointError;
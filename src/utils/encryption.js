@@ -0,0 +1,50 @@
+// src/utils/encryption.js
+const crypto = require('crypto');
+
+const FILE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Encrypts a JSON value with AES-256-GCM under a key derived from a passphrase (scrypt).
+ *
+ * @param {*} value - Any JSON-serializable value.
+ * @param {string} passphrase - The passphrase or secret.
+ * @returns {{version: number, savedAt: string, salt: string, iv: string, tag: string, data: string}}
+ *          The envelope to store, with the binary fields base64-encoded.
+ */
+function encryptJson(value, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, crypto.scryptSync(passphrase, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+    return {
+        version: FILE_VERSION,
+        savedAt: new Date().toISOString(),
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+/**
+ * Decrypts an envelope written by encryptJson.
+ *
+ * @param {object} envelope - The parsed envelope.
+ * @param {string} passphrase - The passphrase it was encrypted with.
+ * @returns {*} The original value.
+ * @throws {Error} If the version is unknown, or the passphrase is wrong or the data was altered.
+ */
+function decryptJson(envelope, passphrase) {
+    if (envelope.version !== FILE_VERSION) throw new Error(`unsupported version ${envelope.version}`);
+    const key = crypto.scryptSync(passphrase, Buffer.from(envelope.salt, 'base64'), 32);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf-8'));
+}
+
+module.exports = {
+    encryptJson,
+    decryptJson
+};
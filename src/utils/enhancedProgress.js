@@ -1,6 +1,8 @@
 const logger = require('./logger');
 const cliProgress = require('cli-progress');
 const colors = require('ansi-colors');
+const { setWaitPhase, summarizeWaits } = require('./waits');
+const runEvents = require('./runEvents');
 
 class EnhancedProgressTracker {
     constructor(totalSteps, name) {
@@ -70,6 +72,7 @@ class EnhancedProgressTracker {
             status,
             duration_formatted: this.formatDuration(stepDuration)
         });
+        runEvents.publish('step-progress', { process: this.name, step: currentStep?.name, percentage, status: colors.unstyle(status) });
     }
 
     addStep(stepName) {
@@ -79,6 +82,9 @@ class EnhancedProgressTracker {
             status: 'In Progress'
         };
         this.steps.push(step);
+        setWaitPhase(step);
+
+        runEvents.publish('step-started', { process: this.name, step: stepName });
 
         // Update progress bars
         this.updateMainProgress(`Processing: ${stepName}`);
@@ -96,6 +102,7 @@ class EnhancedProgressTracker {
         }
 
         this.currentStep++;
+        runEvents.publish('step-completed', { process: this.name, step: stepName });
         this.updateMainProgress(`Completed: ${stepName}`);
         this.updateStepProgress(100, 'Done');
 
@@ -108,6 +115,7 @@ class EnhancedProgressTracker {
             error: error.message,
             timestamp: new Date().toISOString()
         });
+        runEvents.publish('step-failed', { process: this.name, step: stepName, error: error.message });
         this.updateStepProgress(100, colors.red('Failed'));
         logger.error(`✘ ${stepName} failed:`, error);
     }
@@ -118,6 +126,7 @@ class EnhancedProgressTracker {
             message,
             timestamp: new Date().toISOString()
         });
+        runEvents.publish('warning', { step: stepName, message });
         logger.warn(`⚠ ${stepName}: ${message}`);
     }
 
@@ -137,7 +146,20 @@ class EnhancedProgressTracker {
             const durationStr = step.duration ? this.formatDuration(step.duration) : 'In Progress';
             console.log(colors.green(`• ${step.name}: ${step.status} | Duration: ${durationStr}`));
         });
-        
+
+        const waits = summarizeWaits(this.steps);
+        if (waits.length > 0) {
+            const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+            console.log(colors.cyan('\nWait Time (state-based waits vs. fixed delays):'));
+            waits.forEach(phase => {
+                const fallbacks = phase.fallbacks > 0 ? `, ${phase.fallbacks} fell back to the fixed delay` : '';
+                console.log(colors.cyan(`  • ${phase.phase}: ${phase.count} waits took ${seconds(phase.actual)} instead of ${seconds(phase.fixed)} | Saved: ${seconds(phase.saved)}${fallbacks}`));
+            });
+            const totalSaved = waits.reduce((sum, phase) => sum + phase.saved, 0);
+            console.log(colors.cyan(`  Total saved: ${seconds(totalSaved)}`));
+            logger.info('Wait time per phase', { waits });
+        }
+
         if (this.errors.length > 0) {
             console.log(colors.red('\nErrors:'));
             this.errors.forEach(error => {
@@ -2,6 +2,8 @@ const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
 const logger = require('./logger');
+const { redactString } = require('./redact');
+const runEvents = require('./runEvents');
 
 // Ensure screenshots directory exists
 const screenshotsDir = path.join(__dirname, '../../screenshots');
@@ -9,10 +11,40 @@ if (!fs.existsSync(screenshotsDir)) {
     fs.mkdirSync(screenshotsDir, { recursive: true });
 }
 
+// Failures matching these are usually the page being slow or flaky and are worth retrying.
+const TRANSIENT_ERROR_PATTERNS = [
+    /timeout/i,
+    /net::ERR_/,
+    /navigation failed/i,
+    /target (page, context or browser )?(has been )?closed/i,
+    /execution context was destroyed/i,
+    /element is not attached/i,
+    /element is (not visible|outside of the viewport)/i,
+    /intercepts pointer events/i
+];
+
+/**
+ * Error raised by withErrorHandler once the page state has been captured.
+ * Carries the step, the attempt number, the captured artifacts and whether a retry may help.
+ */
+class StepError extends Error {
+    constructor(message, { step, attempt = 1, url = '', screenshots = null, transient = false, cause = null } = {}) {
+        super(message);
+        this.name = 'StepError';
+        this.step = step;
+        this.attempt = attempt;
+        this.url = url;
+        this.screenshots = screenshots;
+        this.transient = transient;
+        this.cause = cause;
+    }
+}
+
 class ErrorHandler {
     /**
      * Captures the current state of the page when an error occurs.
      * It takes a screenshot, saves the HTML, and collects any pending console messages.
+     * Loaded credentials are masked in the HTML and console log, and password fields are blanked.
      *
      * @param {object} page - The Playwright page instance.
      * @param {Error} error - The error that occurred.
@@ -34,8 +66,12 @@ class ErrorHandler {
 
             // Capture HTML of the page
             const htmlPath = path.join(screenshotsDir, `${baseFileName}.html`);
-            const html = await page.evaluate(() => document.documentElement.outerHTML);
-            await fsPromises.writeFile(htmlPath, html);
+            const html = await page.evaluate(() => {
+                const root = document.documentElement.cloneNode(true);
+                root.querySelectorAll('input[type="password"]').forEach(input => input.removeAttribute('value'));
+                return root.outerHTML;
+            });
+            await fsPromises.writeFile(htmlPath, redactString(html));
 
             // Capture console logs:
             // Attach a temporary listener, wait briefly, then remove it.
@@ -45,7 +81,7 @@ class ErrorHandler {
             await new Promise(resolve => setTimeout(resolve, 100)); // Wait 100ms to catch any messages
             page.removeListener('console', consoleListener);
             const consolePath = path.join(screenshotsDir, `${baseFileName}-console.log`);
-            await fsPromises.writeFile(consolePath, consoleMessages.join('\n'));
+            await fsPromises.writeFile(consolePath, redactString(consoleMessages.join('\n')));
 
             logger.info('Error state captured', {
                 screenshot: screenshotPath,
@@ -53,6 +89,7 @@ class ErrorHandler {
                 console: consolePath,
                 error: error.message
             });
+            runEvents.publish('screenshot', { context, screenshot: screenshotPath, error: redactString(error.message) });
 
             return {
                 screenshot: screenshotPath,
@@ -96,7 +133,8 @@ class ErrorHandler {
                 context,
                 timestamp: new Date().toISOString(),
                 url: pageUrl,
-                stateCaptured: !!state
+                stateCaptured: !!state,
+                state
             };
         } catch (handleError) {
             logger.error('Error in handleError:', handleError);
@@ -112,20 +150,76 @@ class ErrorHandler {
 
     /**
      * Wraps an asynchronous function with error handling.
-     * If the function throws an error, handleError is invoked.
+     * If the function throws, the page state is captured and a StepError is thrown so that
+     * retry() wrappers and callers see the failure. Steps that may fail without harm can pass
+     * `optional: true` to get the structured error info back instead.
      *
      * @param {object} page - The Playwright page instance.
-     * @param {string} context - Additional context for the error.
+     * @param {string} context - The step name, used for artifacts and the StepError.
      * @param {Function} fn - The asynchronous function to execute.
-     * @returns {Promise<*>} The result of the function, or structured error info if it fails.
+     * @param {object} [options={}] - Options.
+     * @param {number} [options.attempt=1] - The current attempt, when called from retry().
+     * @param {boolean} [options.optional=false] - Swallow the failure and return the error info.
+     * @returns {Promise<*>} The result of the function, or structured error info for optional steps.
+     * @throws {StepError} If the function fails and the step is not optional.
      */
-    static async withErrorHandler(page, context, fn) {
+    static async withErrorHandler(page, context, fn, options = {}) {
+        const { attempt = 1, optional = false } = options;
         try {
             return await fn();
         } catch (error) {
-            return await this.handleError(page, error, context);
+            const info = await this.handleError(page, error, context);
+            if (optional) {
+                logger.warn(`Optional step ${context} failed, continuing`, { error: error.message });
+                return info;
+            }
+            throw new StepError(`${context} failed on attempt ${attempt}: ${error.message}`, {
+                step: context,
+                attempt,
+                url: info.url,
+                screenshots: info.state || null,
+                transient: this.isTransientError(error),
+                cause: error
+            });
         }
     }
+
+    /**
+     * Classifies an error as transient (timeouts, navigation and detached-element failures)
+     * or permanent (missing data, options not found, anything explicitly marked).
+     *
+     * @param {Error} error - The error to classify.
+     * @returns {boolean} True if retrying may succeed.
+     */
+    static isTransientError(error) {
+        if (!error) return false;
+        if (typeof error.transient === 'boolean') return error.transient;
+        if (error.name === 'TimeoutError') return true;
+        return TRANSIENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message || ''));
+    }
+
+    /**
+     * shouldRetry callback for retry(): only transient failures are retried, the rest abort at once.
+     *
+     * @param {Error} error - The error from the failed attempt.
+     * @returns {boolean} Whether to retry.
+     */
+    static shouldRetry(error) {
+        return ErrorHandler.isTransientError(error);
+    }
+
+    /**
+     * Returns the StepError behind an error, unwrapping a RetryError if needed.
+     *
+     * @param {Error} error - The error to inspect.
+     * @returns {StepError|null} The StepError, or null if the state was never captured.
+     */
+    static getStepError(error) {
+        if (error instanceof StepError) return error;
+        if (error && error.lastError instanceof StepError) return error.lastError;
+        return null;
+    }
 }
 
 module.exports = ErrorHandler;
+module.exports.StepError = StepError;
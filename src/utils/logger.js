@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { redact } = require('./redact');
 
 // Ensure logs directory exists
 const logsDir = path.join(__dirname, '../../logs');
@@ -42,28 +43,34 @@ const logger = winston.createLogger({
     ]
 });
 
-// Add convenience methods that maintain console.log compatibility
+// Add convenience methods that maintain console.log compatibility.
+// Messages and metadata are redacted first, so loaded credentials never reach the console or log files.
 const enhancedLogger = {
     info: (message, meta = {}) => {
+        message = redact(message);
         console.log(message); // Maintain existing console.log behavior
-        logger.info(message, meta);
+        logger.info(message, redact(meta));
     },
     error: (message, error = null, meta = {}) => {
+        message = redact(message);
         console.error(message); // Maintain existing console.error behavior
         if (error) {
-            console.error(error);
-            logger.error(message, { ...meta, error: error.message, stack: error.stack });
+            const redacted = redact(error);
+            console.error(error instanceof Error ? redacted.stack || redacted.message : redacted);
+            logger.error(message, { ...redact(meta), error: redacted?.message, stack: redacted?.stack });
         } else {
-            logger.error(message, meta);
+            logger.error(message, redact(meta));
         }
     },
     debug: (message, meta = {}) => {
+        message = redact(message);
         console.log(message); // Maintain existing console.log behavior
-        logger.debug(message, meta);
+        logger.debug(message, redact(meta));
     },
     warn: (message, meta = {}) => {
+        message = redact(message);
         console.warn(message); // Maintain existing console.warn behavior
-        logger.warn(message, meta);
+        logger.warn(message, redact(meta));
     }
 };
 
@@ -0,0 +1,202 @@
+// src/utils/manifestExtractor.js
+const stringSimilarity = require('string-similarity');
+const logger = require('./logger');
+const config = require('../config');
+const ExcelParser = require('./excelParser');
+
+// Canonical column names used by the confirmation window, the product loop and the dry-run plan.
+const CANONICAL_HEADERS = {
+    rowNumber: '#',
+    barcode: 'Last 4 of Barcode',
+    quantity: 'Total Unit Count'
+};
+
+// A barcode column under a "Last 4" header holds only the last digits. Any other barcode column
+// ("Barcode", "SKU", "UPC") holds the full code: it keeps its own header, for the product matcher,
+// and "Last 4 of Barcode" is derived from it.
+const LAST_DIGITS_HEADER = /\blast\s*\d+\b/i;
+const LAST_DIGITS = 4;
+
+// "<Store> Units" / "<Store> Cases" columns, tolerating singular forms and "Cs"/"Qty" spellings.
+const STORE_COLUMN_PATTERN = /^(.+?)\s*[-:]?\s+(units?|unit qty|cases?|cs)$/i;
+
+function normalizeHeader(value) {
+    return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Scores how well a header matches one synonym: 1 for an exact match, 0.9 when the synonym
+ * appears as a whole word or phrase, otherwise the fuzzy similarity if it clears the threshold.
+ */
+function scoreSynonym(header, synonym, threshold) {
+    const normalized = normalizeHeader(header);
+    const target = normalizeHeader(synonym);
+    if (normalized === target) return 1;
+    if (new RegExp(`(^|[^a-z0-9])${escapeRegExp(target)}([^a-z0-9]|$)`).test(normalized)) return 0.9;
+    const similarity = stringSimilarity.compareTwoStrings(normalized, target);
+    return similarity > threshold ? similarity * 0.8 : 0;
+}
+
+/**
+ * Maps raw header cells to canonical manifest columns using config.search.productPatterns.
+ * Store unit/case columns are recognised first so "FTP Units" is never taken for a quantity.
+ *
+ * @param {Array<{value: string, column: number}>} headers - Header cells of the product table.
+ * @returns {{fields: object, storeColumns: object[], score: number}} The column mapping and its total score.
+ */
+function mapHeaders(headers) {
+    const patterns = config.get('search.productPatterns') || {};
+    const threshold = config.get('excel.headerDetection.fuzzyMatchThreshold') || 0.6;
+    const storeColumns = [];
+    const candidates = [];
+
+    headers.forEach(header => {
+        const storeMatch = STORE_COLUMN_PATTERN.exec(header.value.trim());
+        if (storeMatch && !/^total\b/i.test(storeMatch[1])) {
+            const kind = /^c/i.test(storeMatch[2]) ? 'Cases' : 'Units';
+            storeColumns.push({ store: storeMatch[1].trim(), kind, header: header.value, column: header.column });
+            return;
+        }
+        Object.entries(patterns).forEach(([field, synonyms]) => {
+            synonyms.forEach((synonym, synonymIndex) => {
+                const score = scoreSynonym(header.value, synonym, threshold);
+                if (score > 0) candidates.push({ field, header: header.value, column: header.column, score, synonymIndex });
+            });
+        });
+    });
+
+    // Best match first; earlier synonyms in the config list win ties, then the leftmost column.
+    candidates.sort((a, b) => b.score - a.score || a.synonymIndex - b.synonymIndex || a.column - b.column);
+    const fields = {};
+    const usedColumns = new Set();
+    candidates.forEach(candidate => {
+        if (fields[candidate.field] || usedColumns.has(candidate.column)) return;
+        fields[candidate.field] = { header: candidate.header, column: candidate.column, score: candidate.score };
+        usedColumns.add(candidate.column);
+    });
+
+    const score = Object.values(fields).reduce((sum, field) => sum + field.score, 0) + storeColumns.length;
+    return { fields, storeColumns, score };
+}
+
+/**
+ * Returns the canonical header name for a column, or its own trimmed text when it is not mapped.
+ */
+function canonicalHeaderFor(column, rawValue, mapping) {
+    for (const [field, match] of Object.entries(mapping.fields)) {
+        if (match.column === column && CANONICAL_HEADERS[field]) return CANONICAL_HEADERS[field];
+    }
+    const storeColumn = mapping.storeColumns.find(entry => entry.column === column);
+    if (storeColumn) return `${storeColumn.store} ${storeColumn.kind}`;
+    return rawValue;
+}
+
+/**
+ * Returns the last digits of a full barcode; short values and placeholders such as "N/A" are kept.
+ */
+function toLastDigits(value) {
+    return value.length > LAST_DIGITS && /^[A-Za-z0-9]+$/.test(value) ? value.slice(-LAST_DIGITS) : value;
+}
+
+/**
+ * Picks the table that looks most like a product manifest out of the ones ExcelParser found.
+ */
+function selectProductTable(tables) {
+    let best = null;
+    tables.forEach(table => {
+        const mapping = mapHeaders(table.headers);
+        if (!mapping.fields.barcode) return;
+        if (!best || mapping.score > best.mapping.score) best = { table, mapping };
+    });
+    return best;
+}
+
+/**
+ * Extracts product rows from a manifest worksheet, wherever the product table starts and in
+ * whatever order its columns come. Columns are renamed to the canonical names the rest of the
+ * tool uses ("#", "Last 4 of Barcode", "Total Unit Count", "<Store> Units", "<Store> Cases");
+ * unmapped columns keep their own header text. A full barcode column keeps its header too, with
+ * "Last 4 of Barcode" added after it.
+ *
+ * @param {object} worksheet - The worksheet object from XLSX.
+ * @returns {{data: object[], stores: string[], headers: string[], confidence: object, sheetRows: number[]}}
+ *          Rows keyed by header, the stores found, the canonical headers, a confidence report and
+ *          the zero-based worksheet row of each extracted row.
+ * @throws {Error} If no table with a barcode column can be found.
+ */
+function extractTransferData(worksheet) {
+    const parser = new ExcelParser(worksheet);
+    const tables = parser.findTableStructures();
+    const selected = selectProductTable(tables);
+    if (!selected) {
+        const searched = config.get('search.productPatterns.barcode').join('", "');
+        throw new Error(`Could not find a product table in the manifest: no column matches any of "${searched}"`);
+    }
+
+    const { table, mapping } = selected;
+    const headerCells = table.headers.slice().sort((a, b) => a.column - b.column);
+    const barcodeColumn = mapping.fields.barcode.column;
+    const fullBarcodeHeader = LAST_DIGITS_HEADER.test(mapping.fields.barcode.header) ? null : mapping.fields.barcode.header.trim();
+    const columnHeaders = headerCells.map(header => (header.column === barcodeColumn && fullBarcodeHeader
+        ? fullBarcodeHeader
+        : canonicalHeaderFor(header.column, header.value.trim(), mapping)));
+    const headers = [...columnHeaders];
+    if (fullBarcodeHeader) headers.splice(columnHeaders.indexOf(fullBarcodeHeader) + 1, 0, CANONICAL_HEADERS.barcode);
+    const rowNumberColumn = mapping.fields.rowNumber ? mapping.fields.rowNumber.column : null;
+
+    const data = [];
+    const sheetRows = [];
+    for (let row = table.startRow + 1; row <= table.endRow; row++) {
+        const rowData = {};
+        headerCells.forEach((header, index) => {
+            const value = parser.getCellValue(row, header.column);
+            rowData[columnHeaders[index]] = value != null ? value.toString().trim() : '';
+        });
+
+        const barcode = rowData[fullBarcodeHeader || CANONICAL_HEADERS.barcode];
+        // Merged tables repeat their header row; skip it along with blank separator rows.
+        if (normalizeHeader(barcode) === normalizeHeader(mapping.fields.barcode.header)) continue;
+        if (fullBarcodeHeader) rowData[CANONICAL_HEADERS.barcode] = toLastDigits(barcode);
+        const rowNumber = rowNumberColumn !== null ? rowData[CANONICAL_HEADERS.rowNumber] : '';
+        if (!rowNumber && !barcode) continue;
+        if (rowNumberColumn === null) rowData[CANONICAL_HEADERS.rowNumber] = String(data.length + 1);
+        data.push(rowData);
+        sheetRows.push(row);
+    }
+    if (rowNumberColumn === null) headers.unshift(CANONICAL_HEADERS.rowNumber);
+
+    const stores = [...new Set(mapping.storeColumns.map(entry => entry.store))];
+    const fieldScores = Object.values(mapping.fields).map(field => field.score);
+    const warnings = [];
+    if (stores.length === 0) warnings.push('No "<Store> Units" or "<Store> Cases" columns found');
+    if (!mapping.fields.quantity) warnings.push('No total quantity column found');
+    if (rowNumberColumn === null) warnings.push('No row number column found, rows were numbered in sheet order');
+    if (tables.length > 1) warnings.push(`${tables.length} tables found, using the one starting at row ${table.startRow + 1}`);
+
+    const confidence = {
+        headerRow: table.startRow + 1,
+        tablesFound: tables.length,
+        rows: data.length,
+        columns: Object.fromEntries(Object.entries(mapping.fields).map(([field, match]) => [
+            field,
+            { header: match.header, column: match.column, score: Number(match.score.toFixed(2)) }
+        ])),
+        lastDigitsFrom: fullBarcodeHeader,
+        storeColumns: mapping.storeColumns.map(entry => ({ store: entry.store, kind: entry.kind, header: entry.header })),
+        overall: fieldScores.length > 0 ? Number(Math.min(...fieldScores).toFixed(2)) : 0,
+        warnings
+    };
+    logger.info('Manifest extracted', { confidence });
+
+    return { data, stores, headers, confidence, sheetRows };
+}
+
+module.exports = {
+    CANONICAL_HEADERS,
+    mapHeaders,
+    extractTransferData
+};
@@ -0,0 +1,58 @@
+// src/utils/redact.js
+
+const MASK = '[REDACTED]';
+// Object keys whose values are always masked, whatever they contain.
+const SECRET_KEY_PATTERN = /^(password|passwd|passphrase|secret|totpSecret|token|cookie|cookies|storageState)$/i;
+
+// Credentials loaded during this run; never written to logs or page snapshots.
+const secrets = new Set();
+
+/**
+ * Registers a value (e.g. the Microsoft username or password) to be masked wherever it appears
+ * in log output or captured pages, as typed and URL-encoded.
+ *
+ * @param {string} value - The secret. Values shorter than 3 characters are ignored.
+ */
+function registerSecret(value) {
+    if (typeof value !== 'string' || value.length < 3) return;
+    secrets.add(value);
+    secrets.add(encodeURIComponent(value));
+}
+
+function redactString(text) {
+    if (typeof text !== 'string' || secrets.size === 0) return text;
+    // Longest first, so a secret containing another one is masked whole.
+    return Array.from(secrets)
+        .sort((a, b) => b.length - a.length)
+        .reduce((result, secret) => result.split(secret).join(MASK), text);
+}
+
+/**
+ * Returns a copy of a log message or metadata with registered secrets and secret-named fields masked.
+ *
+ * @param {*} value - A string, error, array or plain object.
+ * @returns {*} The redacted copy; other values are returned unchanged.
+ */
+function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) {
+        return { name: value.name, message: redactString(value.message), stack: redactString(value.stack) };
+    }
+    if (!value || typeof value !== 'object' || seen.has(value)) return value;
+    seen.add(value);
+    if (Array.isArray(value)) return value.map(item => redact(item, seen));
+    if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SECRET_KEY_PATTERN.test(key) && item ? MASK : redact(item, seen);
+    }
+    return copy;
+}
+
+module.exports = {
+    MASK,
+    registerSecret,
+    redactString,
+    redact
+};
@@ -12,7 +12,7 @@ class RetryError extends Error {
 /**
  * Retries an asynchronous operation with configurable options.
  *
- * @param {Function} fn - The asynchronous function to execute.
+ * @param {Function} fn - The asynchronous function to execute. It receives the current attempt number.
  * @param {Object} [options={}] - Configuration options.
  * @param {number} [options.retries=3] - Number of retry attempts.
  * @param {number} [options.delay=1000] - Initial delay in milliseconds before retrying.
@@ -41,7 +41,7 @@ async function retry(fn, options = {}) {
     
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            return await fn();
+            return await fn(attempt);
         } catch (error) {
             lastError = error;
 
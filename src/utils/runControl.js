@@ -0,0 +1,89 @@
+// src/utils/runControl.js
+const logger = require('./logger');
+const runEvents = require('./runEvents');
+
+class RunAbortedError extends Error {
+    constructor(message = 'The run was aborted by the user') {
+        super(message);
+        this.name = 'RunAbortedError';
+    }
+}
+
+/**
+ * Pause and abort requests for the current run, e.g. from the desktop app's run view. They take
+ * effect at the next checkpoint: between two products, or before the next store or transfer.
+ * Nothing already sent to SweedPos is undone; the checkpoint journal still lets --resume
+ * continue an aborted draft.
+ */
+class RunControl {
+    constructor() {
+        this.state = 'running';
+        this.waiting = [];
+    }
+
+    setState(state) {
+        this.state = state;
+        runEvents.publish('control', { state });
+    }
+
+    pause() {
+        if (this.state !== 'running') return;
+        logger.info('Pause requested, the run stops after the current product');
+        this.setState('pausing');
+    }
+
+    resume() {
+        if (this.state !== 'pausing' && this.state !== 'paused') return;
+        logger.info('Run resumed');
+        this.setState('running');
+        this.waiting.splice(0).forEach(resolve => resolve());
+    }
+
+    abort() {
+        if (this.state === 'aborting') return;
+        logger.warn('Abort requested, the run stops after the current product');
+        this.setState('aborting');
+        this.waiting.splice(0).forEach(resolve => resolve());
+    }
+
+    get aborted() {
+        return this.state === 'aborting';
+    }
+
+    /**
+     * Waits while the run is paused.
+     *
+     * @returns {Promise<boolean>} False when the run was aborted and should stop here.
+     */
+    async proceed() {
+        if (this.state === 'pausing') {
+            this.setState('paused');
+            logger.info('Run paused');
+        }
+        while (this.state === 'paused') {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        return !this.aborted;
+    }
+
+    /**
+     * @throws {RunAbortedError} If the run was aborted.
+     */
+    throwIfAborted() {
+        if (this.aborted) throw new RunAbortedError();
+    }
+
+    /**
+     * Waits while the run is paused, then stops it if it was aborted.
+     *
+     * @throws {RunAbortedError} If the run was aborted.
+     */
+    async checkpoint() {
+        await this.proceed();
+        this.throwIfAborted();
+    }
+}
+
+module.exports = new RunControl();
+module.exports.RunControl = RunControl;
+module.exports.RunAbortedError = RunAbortedError;
@@ -0,0 +1,25 @@
+// src/utils/runEvents.js
+const { EventEmitter } = require('events');
+
+/**
+ * What is happening in the current run, for live views such as the desktop app's run view.
+ * Every event is emitted as "event" with a type, the time and its details:
+ * - step-started, step-progress, step-completed, step-failed: { process, step, percentage, status, error }
+ * - warning: { step, message }
+ * - store-started, store-finished: { store, toStore, status, reason, draftUrl }
+ * - row: { store, row, outcome, barcode, qty, product, reason }
+ * - screenshot: { context, screenshot, error }
+ * - control: { state } ("running", "pausing", "paused" or "aborting")
+ * - run-finished: { runId, status, exitCode, error, report }
+ */
+class RunEvents extends EventEmitter {
+    /**
+     * @param {string} type - The event type.
+     * @param {object} [details] - Its fields.
+     */
+    publish(type, details = {}) {
+        this.emit('event', { type, at: new Date().toISOString(), ...details });
+    }
+}
+
+module.exports = new RunEvents();
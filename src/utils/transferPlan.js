@@ -0,0 +1,129 @@
+// src/utils/transferPlan.js
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const colors = require('ansi-colors');
+const logger = require('./logger');
+const config = require('../config');
+
+/**
+ * Formats a date and a time string the way the SweedPos date picker expects ("MM-DD-YYYY hh:mm A").
+ *
+ * @param {Date|string} dateInput - The departure date.
+ * @param {string} time - The time portion, e.g. "07:00 AM".
+ * @returns {string} The formatted date/time string.
+ */
+function formatDateForInput(dateInput, time) {
+    let date = dateInput instanceof Date ? dateInput : new Date(dateInput);
+    const pad = n => n.toString().padStart(2, '0');
+    const month = pad(date.getMonth() + 1);
+    const day = pad(date.getDate());
+    const year = date.getFullYear();
+    return `${month}-${day}-${year} ${time}`;
+}
+
+/**
+ * Determines the quantity the product loop would enter for a row and whether the row is skipped.
+ * Units take precedence over cases, matching the order the product loop reads them in.
+ *
+ * @param {object} row - A manifest row keyed by header.
+ * @param {string} store - The store whose "<Store> Units"/"<Store> Cases" columns are used.
+ * @returns {{barcode: string, qty: string, skipReason: string|null}} The row's planned action.
+ */
+function planProductRow(row, store) {
+    const barcode = row['Last 4 of Barcode'];
+    const qty = row[`${store} Units`] || row[`${store} Cases`] || '0'; // Default to 0 if no units or cases
+    let skipReason = null;
+    if (!barcode || barcode === 'N/A') {
+        skipReason = 'Missing barcode';
+    } else if (qty === '0') {
+        skipReason = 'Zero quantity';
+    }
+    return { barcode, qty, skipReason };
+}
+
+/**
+ * Builds the plan of what createStoreTransfer would enter for one store, without touching the browser.
+ *
+ * @param {object} transferData - The confirmed config merged with the extracted rows and headers.
+ * @returns {object} The plan: transfer details plus one entry per product row.
+ */
+function buildTransferPlan(transferData) {
+    const rows = transferData.transferData || [];
+    const maxProducts = config.get('processing.maxProducts') || rows.length;
+    const hasStoreColumns = transferData.headers.includes(`${transferData.store} Units`) ||
+        transferData.headers.includes(`${transferData.store} Cases`);
+
+    const products = rows.map((row, index) => {
+        const { barcode, qty, skipReason } = planProductRow(row, transferData.store);
+        let reason = skipReason;
+        if (!hasStoreColumns) reason = `No "${transferData.store}" columns in the sheet`;
+        else if (index >= maxProducts) reason = `Beyond processing.maxProducts (${maxProducts})`;
+        return {
+            row: row['#'] || String(index + 1),
+            barcode: barcode || '',
+            totalUnitCount: row['Total Unit Count'] || '',
+            qty,
+            action: reason ? 'skip' : 'add',
+            skipReason: reason
+        };
+    });
+
+    return {
+        store: transferData.store,
+        toStore: transferData.toStore,
+        driver1: transferData.driver1,
+        driver2: transferData.driver2 || '',
+        vehicle: transferData.vehicle || '',
+        route: transferData.route || 'Default Route',
+        departure: formatDateForInput(transferData.departureDate, transferData.departureTime),
+        arrival: formatDateForInput(transferData.departureDate, transferData.arrivalTime),
+        split: !!transferData.split,
+        summary: {
+            toAdd: products.filter(product => product.action === 'add').length,
+            skipped: products.filter(product => product.action === 'skip').length
+        },
+        products
+    };
+}
+
+/**
+ * Writes a dry-run plan to temp/ and prints a readable version to the console.
+ *
+ * @param {object[]} plans - One plan per store, as built by buildTransferPlan.
+ * @param {string} [rootDir=process.cwd()] - Directory whose temp/ folder receives the plan file.
+ * @returns {Promise<string>} Path of the written plan file.
+ */
+async function writeTransferPlan(plans, rootDir = process.cwd()) {
+    const tempDir = path.join(rootDir, 'temp');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const planPath = path.join(tempDir, `transfer-plan-${timestamp}.json`);
+    await fsPromises.writeFile(planPath, JSON.stringify({ createdAt: new Date().toISOString(), plans }, null, 2), 'utf-8');
+
+    plans.forEach(plan => {
+        console.log('\n' + colors.bold(`=== Dry Run Plan: ${plan.store} ===`));
+        console.log(colors.cyan(`Destination: ${plan.toStore}`));
+        console.log(colors.cyan(`Drivers: ${[plan.driver1, plan.driver2].filter(Boolean).join(', ')}`));
+        console.log(colors.cyan(`Vehicle: ${plan.vehicle || '(none)'} | Route: ${plan.route}`));
+        console.log(colors.cyan(`Departure: ${plan.departure} | Arrival: ${plan.arrival} | Split: ${plan.split ? 'yes' : 'no'}`));
+        plan.products.forEach(product => {
+            if (product.action === 'add') {
+                console.log(colors.green(`  • #${product.row} ${product.barcode}: qty ${product.qty}`));
+            } else {
+                console.log(colors.yellow(`  • #${product.row} ${product.barcode || '(no barcode)'}: skipped (${product.skipReason})`));
+            }
+        });
+        console.log(colors.cyan(`Products to add: ${plan.summary.toAdd} | Rows skipped: ${plan.summary.skipped}`));
+    });
+
+    logger.info('Dry run plan written', { planPath });
+    return planPath;
+}
+
+module.exports = {
+    formatDateForInput,
+    planProductRow,
+    buildTransferPlan,
+    writeTransferPlan
+};
@@ -0,0 +1,139 @@
+// src/utils/waits.js
+const logger = require('./logger');
+const config = require('../config');
+
+// The progress step waits are currently attributed to; set by EnhancedProgressTracker.addStep.
+let currentStep = null;
+
+function setWaitPhase(step) {
+    currentStep = step;
+}
+
+function recordWait(fixedDelay, elapsed, fellBack) {
+    if (!currentStep) return;
+    const waits = currentStep.waits || (currentStep.waits = { count: 0, fixed: 0, actual: 0, fallbacks: 0 });
+    waits.count++;
+    waits.fixed += fixedDelay;
+    waits.actual += elapsed;
+    if (fellBack) waits.fallbacks++;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls a check until it returns true.
+ *
+ * @param {Function} check - Async function returning a boolean.
+ * @param {number} timeout - Milliseconds before giving up.
+ * @throws {Error} If the check is still false after the timeout.
+ */
+async function pollUntil(check, timeout) {
+    const interval = config.get('waits.pollInterval') || 100;
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        if (await check()) return;
+        if (Date.now() >= deadline) throw new Error(`Condition not met within ${timeout}ms`);
+        await sleep(interval);
+    }
+}
+
+/**
+ * Waits for a condition on the page instead of sleeping a fixed delay. With
+ * waits.strategy "fixed" the old delay is slept instead. If the condition is not met in time,
+ * the wait falls back to the fixed delay (counting the time already spent) and the step
+ * carries on, so a slow or changed page behaves as it did before.
+ *
+ * @param {object} page - The Playwright page.
+ * @param {string} description - What is being waited for, for the log.
+ * @param {Function} condition - Async function receiving the timeout; resolves once the condition holds.
+ * @param {object} [options]
+ * @param {number} [options.fixedDelay] - The delay this wait replaces, defaults to browser.timeout.animation.
+ * @param {number} [options.timeout] - Milliseconds to wait for the condition, defaults to browser.timeout.element.
+ */
+async function waitUntil(page, description, condition, options = {}) {
+    const fixedDelay = options.fixedDelay ?? config.get('browser.timeout.animation');
+    const timeout = options.timeout ?? config.get('browser.timeout.element');
+    const start = Date.now();
+    let fellBack = false;
+
+    if (config.get('waits.strategy') === 'fixed') {
+        await page.waitForTimeout(fixedDelay);
+    } else {
+        try {
+            await condition(timeout);
+        } catch (error) {
+            fellBack = true;
+            const remaining = Math.max(0, fixedDelay - (Date.now() - start));
+            logger.warn(`Waiting for ${description} failed (${error.message.split('\n')[0]}), falling back to the fixed delay`);
+            await page.waitForTimeout(remaining);
+        }
+    }
+    recordWait(fixedDelay, Date.now() - start, fellBack);
+}
+
+/**
+ * Runs an action and waits until the requests it started have finished and the page has made
+ * no new request for waits.networkIdleTime. Unlike waitForLoadState('networkidle'), this also
+ * works for requests made long after the page loaded, e.g. by "Split All".
+ *
+ * @param {object} page - The Playwright page.
+ * @param {string} description - What is being waited for, for the log.
+ * @param {Function} action - Async function that triggers the requests.
+ * @param {object} [options] - fixedDelay and timeout, as for waitUntil.
+ */
+async function runAndSettle(page, description, action, options = {}) {
+    const idleTime = config.get('waits.networkIdleTime') || 500;
+    const inFlight = new Set();
+    let lastActivity = Date.now();
+    const onStart = request => {
+        inFlight.add(request);
+        lastActivity = Date.now();
+    };
+    const onEnd = request => {
+        inFlight.delete(request);
+        lastActivity = Date.now();
+    };
+    page.on('request', onStart);
+    page.on('requestfinished', onEnd);
+    page.on('requestfailed', onEnd);
+    try {
+        await action();
+        await waitUntil(page, description, timeout => pollUntil(
+            async () => inFlight.size === 0 && Date.now() - lastActivity >= idleTime,
+            timeout
+        ), options);
+    } finally {
+        page.off('request', onStart);
+        page.off('requestfinished', onEnd);
+        page.off('requestfailed', onEnd);
+    }
+}
+
+/**
+ * Sums the waits recorded on progress steps, grouped by step name.
+ *
+ * @param {object[]} steps - Steps of an EnhancedProgressTracker.
+ * @returns {Array<{phase: string, count: number, fixed: number, actual: number, saved: number, fallbacks: number}>} One entry per phase.
+ */
+function summarizeWaits(steps) {
+    const phases = new Map();
+    steps.filter(step => step.waits).forEach(step => {
+        const phase = phases.get(step.name) || { phase: step.name, count: 0, fixed: 0, actual: 0, fallbacks: 0 };
+        phase.count += step.waits.count;
+        phase.fixed += step.waits.fixed;
+        phase.actual += step.waits.actual;
+        phase.fallbacks += step.waits.fallbacks;
+        phases.set(step.name, phase);
+    });
+    return Array.from(phases.values()).map(phase => ({ ...phase, saved: phase.fixed - phase.actual }));
+}
+
+module.exports = {
+    setWaitPhase,
+    pollUntil,
+    waitUntil,
+    runAndSettle,
+    summarizeWaits
+};
@@ -0,0 +1,239 @@
+// src/validation/index.js
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const colors = require('ansi-colors');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { planProductRow } = require('../utils/transferPlan');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// validation.requiredFields names mapped to the transfer config values that satisfy them.
+const REQUIRED_FIELD_VALUES = {
+    store: data => data.store && data.toStore,
+    driver1: data => data.driver1,
+    driver2: data => data.driver2,
+    vehicle: data => data.vehicle,
+    route: data => data.route,
+    departureDate: data => data.departureDate && data.departureTime,
+    arrivalDate: data => data.departureDate && data.arrivalTime
+};
+
+/**
+ * Combines a date ("3/13/2025") and a time ("07:00 AM") into a Date, or null if either is invalid.
+ */
+function parseDateTime(dateInput, time) {
+    const date = dateInput instanceof Date ? new Date(dateInput) : new Date(dateInput);
+    const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec(String(time || '').trim());
+    if (isNaN(date.getTime()) || !match) return null;
+    let hours = parseInt(match[1], 10) % 12;
+    if (match[3].toUpperCase() === 'PM') hours += 12;
+    date.setHours(hours, parseInt(match[2], 10), 0, 0);
+    return date;
+}
+
+function toMinutes(hhmm) {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isNumeric(value) {
+    return value !== '' && value != null && !isNaN(Number(value));
+}
+
+/**
+ * Checks a confirmed transfer against config.validation and per-row manifest rules before any
+ * browser is launched. Errors block the run; warnings are reported but do not.
+ */
+class TransferValidator {
+    constructor(transferData, { now = new Date() } = {}) {
+        this.transferData = transferData;
+        this.now = now;
+        this.rules = config.get('validation') || {};
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    addError(rule, message, details = {}) {
+        this.errors.push({ rule, message, ...details });
+    }
+
+    addWarning(rule, message, details = {}) {
+        this.warnings.push({ rule, message, ...details });
+    }
+
+    /**
+     * Runs every rule and returns the report.
+     *
+     * @returns {{store: string, valid: boolean, errors: object[], warnings: object[]}} The validation report.
+     */
+    validate() {
+        this.checkRequiredFields();
+        this.checkDateRules();
+        this.checkProductRows();
+        return {
+            store: this.transferData.store,
+            valid: this.errors.length === 0,
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    checkRequiredFields() {
+        (this.rules.requiredFields || []).forEach(field => {
+            const getValue = REQUIRED_FIELD_VALUES[field] || (data => data[field]);
+            if (!getValue(this.transferData)) {
+                this.addError('requiredFields', `Missing required field: ${field}`, { field });
+            }
+        });
+    }
+
+    checkDateRules() {
+        const dateRules = this.rules.dateRules || {};
+        const { departureDate, departureTime, arrivalTime } = this.transferData;
+        const departure = parseDateTime(departureDate, departureTime);
+        const arrival = parseDateTime(departureDate, arrivalTime);
+        if (!departure || !arrival) {
+            this.addError('dateRules', `Invalid departure/arrival: "${departureDate} ${departureTime}" to "${arrivalTime}"`);
+            return;
+        }
+
+        if (dateRules.minAdvanceTime != null && departure.getTime() - this.now.getTime() < dateRules.minAdvanceTime) {
+            const minutes = Math.round(dateRules.minAdvanceTime / 60000);
+            this.addError('dateRules.minAdvanceTime', `Departure ${departure.toLocaleString('en-US')} is less than ${minutes} minutes from now`);
+        }
+        if (arrival <= departure) {
+            this.addError('dateRules.maxTripDuration', `Arrival time ${arrivalTime} is not after departure time ${departureTime}`);
+        } else if (dateRules.maxTripDuration != null && arrival - departure > dateRules.maxTripDuration) {
+            const hours = Math.round(dateRules.maxTripDuration / 3600000);
+            this.addError('dateRules.maxTripDuration', `Trip duration exceeds ${hours} hours`);
+        }
+        if (Array.isArray(dateRules.allowedDays) && !dateRules.allowedDays.includes(DAY_NAMES[departure.getDay()])) {
+            this.addError('dateRules.allowedDays', `Departure on ${DAY_NAMES[departure.getDay()]} is not allowed (allowed: ${dateRules.allowedDays.join(', ')})`);
+        }
+        if (dateRules.allowedHours) {
+            const start = toMinutes(dateRules.allowedHours.start);
+            const end = toMinutes(dateRules.allowedHours.end);
+            [['departure', departure], ['arrival', arrival]].forEach(([label, date]) => {
+                const minutes = date.getHours() * 60 + date.getMinutes();
+                if (minutes < start || minutes > end) {
+                    this.addError('dateRules.allowedHours', `The ${label} time ${label === 'departure' ? departureTime : arrivalTime} is outside ${dateRules.allowedHours.start}-${dateRules.allowedHours.end}`);
+                }
+            });
+        }
+    }
+
+    checkProductRows() {
+        const { store, headers = [] } = this.transferData;
+        const rows = this.transferData.transferData || [];
+        const unitColumns = headers.filter(header => / Units$/.test(header));
+        const quantityColumns = headers.filter(header => / (Units|Cases)$/.test(header));
+        const seenBarcodes = new Map();
+        let productCount = 0;
+
+        rows.forEach((row, index) => {
+            const rowLabel = row['#'] || String(index + 1);
+            const { barcode, qty, skipReason } = planProductRow(row, store);
+
+            quantityColumns.forEach(column => {
+                const value = row[column];
+                if (value === '' || value == null) return;
+                if (!isNumeric(value)) {
+                    this.addError('row.numericQuantity', `Row ${rowLabel}: "${column}" is not a number ("${value}")`, { row: rowLabel, field: column });
+                } else if (Number(value) < 0) {
+                    this.addError('row.numericQuantity', `Row ${rowLabel}: "${column}" is negative (${value})`, { row: rowLabel, field: column });
+                }
+            });
+
+            const total = row['Total Unit Count'];
+            if (total !== undefined && total !== '') {
+                if (!isNumeric(total)) {
+                    this.addError('row.numericQuantity', `Row ${rowLabel}: "Total Unit Count" is not a number ("${total}")`, { row: rowLabel, field: 'Total Unit Count' });
+                } else if (unitColumns.length > 0 && unitColumns.every(column => isNumeric(row[column]) || !row[column])) {
+                    const unitSum = unitColumns.reduce((sum, column) => sum + (Number(row[column]) || 0), 0);
+                    if (unitSum !== Number(total)) {
+                        this.addWarning('row.totalUnitCount', `Row ${rowLabel}: store units add up to ${unitSum} but Total Unit Count is ${total}`, { row: rowLabel });
+                    }
+                }
+            }
+
+            if (barcode === 'N/A' && qty !== '0') {
+                this.addWarning('row.naBarcode', `Row ${rowLabel}: barcode is "N/A" so ${qty} units for ${store} will not be transferred`, { row: rowLabel });
+            }
+
+            if (!skipReason) {
+                productCount++;
+                if (seenBarcodes.has(barcode)) {
+                    this.addWarning('row.duplicateBarcode', `Row ${rowLabel}: barcode ${barcode} already used on row ${seenBarcodes.get(barcode)}`, { row: rowLabel });
+                } else {
+                    seenBarcodes.set(barcode, rowLabel);
+                }
+            }
+        });
+
+        const maxProducts = config.get('excel.dataValidation.maxProducts');
+        if (maxProducts && productCount > maxProducts) {
+            this.addError('excel.dataValidation.maxProducts', `${productCount} products to add for ${store}, more than the maximum of ${maxProducts}`);
+        }
+        if (productCount === 0) {
+            this.addWarning('row.noProducts', `No product rows with a quantity for ${store}`);
+        }
+    }
+}
+
+/**
+ * Validates one store transfer.
+ *
+ * @param {object} transferData - The confirmed config merged with the extracted rows and headers.
+ * @returns {object} The validation report.
+ */
+function validateTransfer(transferData) {
+    return new TransferValidator(transferData).validate();
+}
+
+/**
+ * Runs only the per-row rules, e.g. while rows are edited in the confirmation window, where the
+ * departure and drivers may not be final yet.
+ *
+ * @param {object} transferData - The store, headers and rows (transferData) to check.
+ * @returns {{errors: object[], warnings: object[]}} The row issues, with the row number and field where known.
+ */
+function validateRows(transferData) {
+    const validator = new TransferValidator(transferData);
+    validator.checkProductRows();
+    return { errors: validator.errors, warnings: validator.warnings };
+}
+
+/**
+ * Prints the reports and writes them to temp/ for later reference.
+ *
+ * @param {object[]} reports - One report per store.
+ * @param {string} [rootDir=process.cwd()] - Directory whose temp/ folder receives the report file.
+ * @returns {Promise<string>} Path of the written report.
+ */
+async function writeValidationReport(reports, rootDir = process.cwd()) {
+    const tempDir = path.join(rootDir, 'temp');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+    const reportPath = path.join(tempDir, 'validation-report.json');
+    await fsPromises.writeFile(reportPath, JSON.stringify({ createdAt: new Date().toISOString(), reports }, null, 2), 'utf-8');
+
+    console.log('\n' + colors.bold('=== Manifest Validation ==='));
+    reports.forEach(report => {
+        const status = report.valid ? colors.green('passed') : colors.red('failed');
+        console.log(colors.cyan(`${report.store}: `) + status + colors.cyan(` (${report.errors.length} errors, ${report.warnings.length} warnings)`));
+        report.errors.forEach(error => console.log(colors.red(`  ✘ ${error.message}`)));
+        report.warnings.forEach(warning => console.log(colors.yellow(`  ⚠ ${warning.message}`)));
+    });
+
+    logger.info('Validation report written', { reportPath, valid: reports.every(report => report.valid) });
+    return reportPath;
+}
+
+module.exports = {
+    TransferValidator,
+    parseDateTime,
+    validateTransfer,
+    validateRows,
+    writeValidationReport
+};
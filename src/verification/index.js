@@ -0,0 +1,175 @@
+// src/verification/index.js
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const colors = require('ansi-colors');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class VerificationError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'VerificationError';
+        this.report = report;
+    }
+}
+
+/**
+ * Returns the product codes (barcodes, package tags) shown on a draft line: the words of its text
+ * that match verification.barcodePattern. Quantities, prices and names do not match it.
+ *
+ * @param {string} text - The line's visible text.
+ * @returns {string[]} The codes, upper-cased.
+ */
+function getLineCodes(text) {
+    const pattern = new RegExp(config.get('verification.barcodePattern'), 'i');
+    return String(text || '').split(/[\s|,;]+/).filter(word => pattern.test(word)).map(word => word.toUpperCase());
+}
+
+/**
+ * Tells whether a line holds the row's product: one of its codes ends with the row's barcode,
+ * which is usually the last 4 digits of the full code.
+ *
+ * @param {{text: string, codes?: string[]}} line - A scraped draft line.
+ * @param {string} barcode - The row's barcode.
+ * @returns {boolean} Whether the line is for that barcode.
+ */
+function lineHasBarcode(line, barcode) {
+    const wanted = String(barcode || '').trim().toUpperCase();
+    if (!wanted) return false;
+    return (line.codes || getLineCodes(line.text)).some(code => code.endsWith(wanted));
+}
+
+/**
+ * Reads the product lines of the saved draft. Each line is the row element holding a quantity
+ * input: its visible text (product name, barcode), the product codes in it and the quantity value.
+ *
+ * @param {object} page - The Playwright page showing the draft transfer.
+ * @returns {Promise<Array<{text: string, codes: string[], qty: string}>>} The draft's product lines.
+ */
+async function scrapeDraftLines(page) {
+    const { qtySelector, lineSelector } = config.get('verification');
+    return page.evaluate(({ qtySelector, lineSelector }) => {
+        return Array.from(document.querySelectorAll(qtySelector)).map(input => {
+            const line = input.closest(lineSelector) || input.parentElement;
+            return {
+                text: (line ? line.innerText || line.textContent : '').replace(/\s+/g, ' ').trim(),
+                qty: input.value
+            };
+        });
+    }, { qtySelector, lineSelector }).then(lines => lines.map(line => ({ ...line, codes: getLineCodes(line.text) })));
+}
+
+function sameQuantity(a, b) {
+    const left = Number(String(a).replace(/,/g, ''));
+    const right = Number(String(b).replace(/,/g, ''));
+    return !isNaN(left) && !isNaN(right) ? left === right : String(a).trim() === String(b).trim();
+}
+
+/**
+ * Compares the rows that were meant to be added with the lines found on the draft.
+ * A line matches a row when one of its product codes ends with the row's barcode (see
+ * lineHasBarcode); each line matches at most once.
+ *
+ * @param {Array<{row: string, barcode: string, qty: string}>} expected - Rows the product loop added.
+ * @param {Array<{text: string, qty: string}>} lines - Lines scraped from the draft.
+ * @returns {{matches: boolean, matched: number, missing: object[], extra: object[], quantityMismatches: object[]}} The diff.
+ */
+function diffDraft(expected, lines) {
+    const remaining = lines.map((line, index) => ({ ...line, index }));
+    const missing = [];
+    const quantityMismatches = [];
+    let matched = 0;
+
+    // Prefer a line with the right quantity so duplicate barcodes pair up correctly.
+    expected.forEach(row => {
+        const candidates = remaining.filter(line => lineHasBarcode(line, row.barcode));
+        const line = candidates.find(candidate => sameQuantity(candidate.qty, row.qty)) || candidates[0];
+        if (!line) {
+            missing.push({ row: row.row, barcode: row.barcode, qty: row.qty });
+            return;
+        }
+        remaining.splice(remaining.indexOf(line), 1);
+        matched++;
+        if (!sameQuantity(line.qty, row.qty)) {
+            quantityMismatches.push({ row: row.row, barcode: row.barcode, expected: row.qty, actual: line.qty, line: line.text });
+        }
+    });
+
+    const extra = remaining.map(line => ({ line: line.text, qty: line.qty }));
+    return {
+        matches: missing.length === 0 && extra.length === 0 && quantityMismatches.length === 0,
+        expected: expected.length,
+        found: lines.length,
+        matched,
+        missing,
+        extra,
+        quantityMismatches
+    };
+}
+
+/**
+ * Reloads the saved draft, reads its product lines back and diffs them against the manifest rows.
+ *
+ * @param {object} page - The Playwright page showing the draft transfer.
+ * @param {object[]} expected - Rows the product loop added (store, row, barcode, qty).
+ * @param {string} store - The store the draft was created for.
+ * @returns {Promise<object>} The verification report, also written to temp/.
+ * @throws {VerificationError} If the draft does not match the manifest.
+ */
+async function verifyDraft(page, expected, store) {
+    await page.reload();
+    await page.waitForLoadState('networkidle');
+    if (expected.length > 0) {
+        await page.waitForSelector(config.get('verification.qtySelector'), { timeout: config.get('browser.timeout.navigation') });
+    }
+    const lines = await scrapeDraftLines(page);
+    const report = { store, url: page.url(), checkedAt: new Date().toISOString(), ...diffDraft(expected, lines) };
+    await writeVerificationReport(report);
+    if (!report.matches) {
+        throw new VerificationError(
+            `Draft for ${store} does not match the manifest: ${report.missing.length} missing, ` +
+            `${report.extra.length} extra, ${report.quantityMismatches.length} quantity mismatches`,
+            report
+        );
+    }
+    return report;
+}
+
+/**
+ * Returns where the verification report of a store is written.
+ *
+ * @param {string} store - The store the draft is for.
+ * @param {string} [rootDir=process.cwd()] - Directory whose temp/ folder receives the report.
+ * @returns {string} The report path.
+ */
+function getVerificationReportPath(store, rootDir = process.cwd()) {
+    return path.join(rootDir, 'temp', `verification-${String(store).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+}
+
+async function writeVerificationReport(report, rootDir = process.cwd()) {
+    const tempDir = path.join(rootDir, 'temp');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+    const reportPath = getVerificationReportPath(report.store, rootDir);
+    await fsPromises.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+
+    const status = report.matches ? colors.green('matches the manifest') : colors.red('does NOT match the manifest');
+    console.log('\n' + colors.bold(`=== Draft Verification: ${report.store} ===`));
+    console.log(colors.cyan(`Draft ${status} (${report.matched}/${report.expected} rows matched, ${report.found} lines on draft)`));
+    report.missing.forEach(row => console.log(colors.red(`  ✘ Missing: row #${row.row} ${row.barcode} qty ${row.qty}`)));
+    report.extra.forEach(line => console.log(colors.red(`  ✘ Extra: "${line.line}" qty ${line.qty}`)));
+    report.quantityMismatches.forEach(row => console.log(colors.red(`  ✘ Quantity: row #${row.row} ${row.barcode} expected ${row.expected}, draft has ${row.actual}`)));
+
+    logger.info('Draft verification report written', { reportPath, matches: report.matches });
+    return reportPath;
+}
+
+module.exports = {
+    VerificationError,
+    getLineCodes,
+    lineHasBarcode,
+    scrapeDraftLines,
+    diffDraft,
+    verifyDraft,
+    getVerificationReportPath
+};
@@ -0,0 +1,278 @@
+// src/watch/index.js
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getSupportedExtensions } = require('../manifest');
+
+// Sub-folders of the inbox; files directly in the inbox are the ones waiting to be picked up.
+const FOLDERS = {
+    processing: 'processing',
+    done: 'done',
+    failed: 'failed',
+    locks: '.locks'
+};
+
+function timestamp(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Watches an inbox folder for dropped manifests and processes them one at a time.
+ *
+ * A file is picked up once its size and modification time have not changed for settleTime, so
+ * a manifest still being copied is left alone. Picking it up takes a lock in .locks/ (created
+ * exclusively, so two watchers on the same share cannot both take it) and moves the file into
+ * processing/<job>/. There it is parsed and queued; the run's reports are written next to it.
+ * When the run ends, the job folder moves to done/ or failed/ with a result.json, and the lock
+ * is released. Locks left by a watcher on this host that is no longer running are cleared at
+ * start, and their job folders moved to failed/.
+ */
+class InboxWatcher {
+    /**
+     * @param {object} options
+     * @param {string} [options.inbox] - Folder to watch; defaults to paths.data.
+     * @param {Function} [options.parseFile] - (filePath) => data; throws when the manifest cannot be read.
+     * @param {Function} options.processFile - async (job) => exit code, where job has filePath, jobDir and data.
+     * @param {number} [options.pollInterval] - Defaults to watch.pollInterval.
+     * @param {number} [options.settleTime] - Defaults to watch.settleTime.
+     */
+    constructor({
+        inbox = config.get('paths.data'),
+        parseFile = () => null,
+        processFile,
+        pollInterval = config.get('watch.pollInterval'),
+        settleTime = config.get('watch.settleTime')
+    }) {
+        this.inbox = path.resolve(inbox);
+        this.parseFile = parseFile;
+        this.processFile = processFile;
+        this.pollInterval = pollInterval;
+        this.settleTime = settleTime;
+        // Size and modification time of each waiting file, and since when they are unchanged
+        this.seen = new Map();
+        this.queue = [];
+        this.results = [];
+        this.stopping = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    folder(name) {
+        return path.join(this.inbox, FOLDERS[name]);
+    }
+
+    lockPath(fileName) {
+        return path.join(this.folder('locks'), `${fileName}.lock`);
+    }
+
+    readLock(lockPath) {
+        try {
+            return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+        } catch {
+            return null;
+        }
+    }
+
+    // A lock can only be known to be abandoned when it was taken on this host.
+    isStale(lock) {
+        return Boolean(lock) && lock.host === os.hostname() && !isProcessAlive(lock.pid);
+    }
+
+    acquireLock(fileName, jobDir) {
+        const lock = { pid: process.pid, host: os.hostname(), lockedAt: new Date().toISOString(), jobDir };
+        try {
+            fs.writeFileSync(this.lockPath(fileName), JSON.stringify(lock), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') return false;
+            throw error;
+        }
+    }
+
+    releaseLock(fileName) {
+        fs.rmSync(this.lockPath(fileName), { force: true });
+    }
+
+    recoverStaleLocks() {
+        fs.readdirSync(this.folder('locks')).filter(name => name.endsWith('.lock')).forEach(name => {
+            const lockPath = path.join(this.folder('locks'), name);
+            const lock = this.readLock(lockPath);
+            if (!this.isStale(lock)) return;
+            logger.warn(`Clearing the lock on ${name.replace(/\.lock$/, '')} left by process ${lock.pid}`);
+            if (lock.jobDir && fs.existsSync(lock.jobDir)) {
+                this.moveJob({ id: path.basename(lock.jobDir), jobDir: lock.jobDir }, 'failed', { status: 'interrupted', error: `Watcher process ${lock.pid} stopped while processing` });
+            }
+            fs.rmSync(lockPath, { force: true });
+        });
+    }
+
+    /**
+     * Lists the manifests waiting in the inbox that have stopped changing.
+     *
+     * @param {boolean} [settled=false] - Take every waiting file, without waiting for settleTime.
+     * @returns {string[]} File names.
+     */
+    scan(settled = false) {
+        const extensions = getSupportedExtensions();
+        const now = Date.now();
+        const names = fs.readdirSync(this.inbox, { withFileTypes: true })
+            // "~$" files are the lock files Excel keeps next to an open workbook.
+            .filter(entry => entry.isFile() && !/^(~\$|\.)/.test(entry.name) && extensions.includes(path.extname(entry.name).toLowerCase()))
+            .map(entry => entry.name);
+        [...this.seen.keys()].filter(name => !names.includes(name)).forEach(name => this.seen.delete(name));
+
+        return names.filter(name => {
+            let stats;
+            try {
+                stats = fs.statSync(path.join(this.inbox, name));
+            } catch {
+                return false;
+            }
+            const previous = this.seen.get(name);
+            if (!previous || previous.size !== stats.size || previous.mtimeMs !== stats.mtimeMs) {
+                this.seen.set(name, { size: stats.size, mtimeMs: stats.mtimeMs, since: now });
+                return settled || this.settleTime <= 0;
+            }
+            return settled || now - previous.since >= this.settleTime;
+        });
+    }
+
+    /**
+     * Locks a waiting manifest, moves it into its job folder, parses it and queues it. A file
+     * that cannot be parsed goes straight to failed/.
+     *
+     * @param {string} fileName - A file in the inbox.
+     * @returns {object|null} The queued job, or null when the file was taken by another watcher.
+     */
+    claim(fileName) {
+        const id = `${timestamp()}-${path.parse(fileName).name}`;
+        const jobDir = path.join(this.folder('processing'), id);
+        if (!this.acquireLock(fileName, jobDir)) return null;
+
+        const source = path.join(this.inbox, fileName);
+        const job = { id, fileName, jobDir, filePath: path.join(jobDir, fileName), queuedAt: new Date().toISOString() };
+        try {
+            fs.mkdirSync(jobDir, { recursive: true });
+            fs.renameSync(source, job.filePath);
+        } catch (error) {
+            // Gone (another watcher finished it) or still held open by whoever is copying it
+            fs.rmSync(jobDir, { recursive: true, force: true });
+            this.releaseLock(fileName);
+            if (error.code !== 'ENOENT') logger.warn(`Could not pick up ${fileName}, will try again: ${error.message}`);
+            return null;
+        }
+        this.seen.delete(fileName);
+
+        try {
+            job.data = this.parseFile(job.filePath);
+        } catch (error) {
+            logger.error(`${fileName} could not be read: ${error.message}`);
+            this.finishJob(job, { error });
+            return null;
+        }
+        this.queue.push(job);
+        logger.info(`Queued ${fileName}`, { jobDir });
+        return job;
+    }
+
+    moveJob(job, outcome, result) {
+        const target = path.join(this.folder(outcome), job.id);
+        fs.writeFileSync(path.join(job.jobDir, 'result.json'), JSON.stringify({ ...result, folder: target }, null, 2), 'utf-8');
+        fs.renameSync(job.jobDir, target);
+        return target;
+    }
+
+    finishJob(job, { exitCode = null, error = null, startedAt = null }) {
+        const outcome = exitCode === 0 && !error ? 'done' : 'failed';
+        const target = this.moveJob(job, outcome, {
+            file: job.fileName,
+            status: outcome,
+            exitCode: error?.exitCode ?? exitCode,
+            error: error ? error.message : null,
+            queuedAt: job.queuedAt,
+            startedAt,
+            finishedAt: new Date().toISOString()
+        });
+        this.releaseLock(job.fileName);
+        const result = { file: job.fileName, status: outcome, exitCode: error?.exitCode ?? exitCode, folder: target };
+        this.results.push(result);
+        (outcome === 'done' ? logger.info : logger.error)(`${job.fileName} moved to ${target}`);
+        return result;
+    }
+
+    async runJob(job) {
+        const startedAt = new Date().toISOString();
+        logger.info(`Processing ${job.fileName}`);
+        try {
+            const exitCode = await this.processFile(job);
+            return this.finishJob(job, { exitCode, startedAt });
+        } catch (error) {
+            logger.error(`Processing ${job.fileName} failed:`, error);
+            return this.finishJob(job, { error, startedAt });
+        }
+    }
+
+    // Puts queued manifests that were not started back into the inbox for the next watcher.
+    returnQueued() {
+        this.queue.splice(0).forEach(job => {
+            fs.renameSync(job.filePath, path.join(this.inbox, job.fileName));
+            fs.rmSync(job.jobDir, { recursive: true, force: true });
+            this.releaseLock(job.fileName);
+        });
+    }
+
+    sleep() {
+        return new Promise(resolve => {
+            this.wake = resolve;
+            this.timer = setTimeout(resolve, this.pollInterval);
+        });
+    }
+
+    /**
+     * Watches the inbox until stop() is called, or only processes what is already there.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.once=false] - Process the waiting manifests, then return.
+     * @returns {Promise<object[]>} Per processed file: file, status ("done" or "failed"), exit code and folder.
+     */
+    async start({ once = false } = {}) {
+        Object.keys(FOLDERS).forEach(name => fs.mkdirSync(this.folder(name), { recursive: true }));
+        this.recoverStaleLocks();
+        logger.info(`Watching ${this.inbox} for ${getSupportedExtensions().join(', ')} manifests`);
+
+        while (!this.stopping) {
+            this.scan(once).forEach(name => this.claim(name));
+            while (this.queue.length > 0 && !this.stopping) {
+                await this.runJob(this.queue.shift());
+            }
+            if (once) break;
+            await this.sleep();
+        }
+        this.returnQueued();
+        return this.results;
+    }
+
+    /**
+     * Stops watching once the manifest being processed is finished.
+     */
+    stop() {
+        this.stopping = true;
+        clearTimeout(this.timer);
+        if (this.wake) this.wake();
+    }
+}
+
+module.exports = {
+    InboxWatcher
+};
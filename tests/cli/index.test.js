@@ -0,0 +1,144 @@
+// tests/cli/index.test.js
+// West of Greenwich, where an ISO date read as UTC midnight falls on the day before
+process.env.TZ = 'America/New_York';
+
+const { parseCommandLine, parseDateOption, checkTransferOptions, buildTransferConfig, UsageError, EXIT_CODES } = require('../../src/cli');
+
+const HEADERS = ['#', 'Last 4 of Barcode', 'FTP Units', 'Ocala Cases', 'Total Unit Count'];
+
+const STORE_CONFIGS = {
+    FTP: {
+        toStore: 'Ft Pierce Warehouse Hub',
+        drivers: { driver1: 'Ange', driver2: 'James Roberts' },
+        vehicles: ['Nissan NV200 - 1234', 'Ford Transit - 5678'],
+        route: 'I-95 North',
+        departureTime: '07:00 AM',
+        arrivalTime: '12:00 PM'
+    },
+    Ocala: {
+        toStore: 'Ocala Warehouse Hub',
+        drivers: { driver1: 'Sergio Hervis' },
+        vehicles: ['Ford Transit - 5678']
+    }
+};
+
+function run(...args) {
+    return parseCommandLine(['run', '--excel', 'week.xlsx', ...args]);
+}
+
+describe('command line', () => {
+    test('parses the run options', () => {
+        expect(parseCommandLine([])).toEqual({ command: 'interactive', options: {} });
+        expect(run('--help').command).toBe('help');
+
+        const { command, options } = run('-s', 'FTP', '--date', '3/16/2026', '--departure-time', '8:30 am', '--split', '--dry-run');
+        expect(command).toBe('run');
+        expect(options).toMatchObject({ excel: 'week.xlsx', store: 'FTP', allStores: false, date: '3/16/2026', departureTime: '8:30 am', split: true, dryRun: true, resume: false });
+
+        expect(() => parseCommandLine(['run', '--store', 'FTP'])).toThrow('Missing required option --excel');
+        expect(() => run('--store', 'FTP', '--colour')).toThrow(UsageError);
+        expect(() => parseCommandLine(['send'])).toThrow('Unknown command "send"');
+    });
+
+    test('checks the store, sheet, time and date options', () => {
+        expect(() => checkTransferOptions({})).toThrow('Specify a store with --store or use --all-stores');
+        expect(() => checkTransferOptions({ store: 'FTP', 'all-stores': true })).toThrow('--store and --all-stores cannot be combined');
+        expect(() => checkTransferOptions({ store: 'FTP', sheet: 'Monday', 'all-sheets': true })).toThrow('--sheet and --all-sheets cannot be combined');
+        expect(() => checkTransferOptions({ store: 'FTP', 'arrival-time': '13:00' })).toThrow('Invalid --arrival-time "13:00"');
+        expect(() => checkTransferOptions({ 'all-stores': true, date: '03/16/2026', 'departure-time': '07:00 AM' })).not.toThrow();
+
+        ['2026-03-16', '16/03/2026', '2/30/2026', 'March 16'].forEach(date => {
+            expect(() => checkTransferOptions({ store: 'FTP', date })).toThrow(`Invalid --date "${date}", expected MM/DD/YYYY`);
+        });
+        expect(() => run('--store', 'FTP', '--date', '2026-03-16')).toThrow(UsageError);
+    });
+
+    test('reads --date as a local day', () => {
+        const date = parseDateOption('03/16/2026');
+        expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2026, 2, 16, 0]);
+        expect(parseDateOption('2026-03-16')).toBeNull();
+        expect(buildTransferConfig(run('--store', 'FTP', '--date', '03/16/2026').options, STORE_CONFIGS, HEADERS).departureDate).toBe('3/16/2026');
+        expect(buildTransferConfig(run('--store', 'FTP').options, STORE_CONFIGS, HEADERS).departureDate).toBe(new Date().toLocaleDateString('en-US'));
+    });
+
+    test('fills the transfer config from the store defaults unless given on the command line', () => {
+        const defaults = buildTransferConfig(run('--store', 'FTP', '--date', '3/16/2026').options, STORE_CONFIGS, HEADERS);
+        expect(defaults).toMatchObject({
+            store: 'FTP',
+            toStore: 'Ft Pierce Warehouse Hub',
+            driver1: 'Ange',
+            driver2: 'James Roberts',
+            vehicle: 'Nissan NV200 - 1234',
+            route: 'I-95 North',
+            departureTime: '07:00 AM',
+            arrivalTime: '12:00 PM',
+            headers: HEADERS
+        });
+
+        const given = buildTransferConfig(
+            run('--store', 'FTP', '--driver1', 'Courtney Bruce', '--vehicle', 'Ford Transit - 5678', '--arrival-time', '01:00 PM').options,
+            STORE_CONFIGS,
+            HEADERS
+        );
+        expect(given).toMatchObject({ driver1: 'Courtney Bruce', driver2: 'James Roberts', vehicle: 'Ford Transit - 5678', arrivalTime: '01:00 PM' });
+
+        // Ocala has no default times
+        expect(() => buildTransferConfig(run('--store', 'Ocala').options, STORE_CONFIGS, HEADERS))
+            .toThrow('The store registry entry for "Ocala" has no default for: departureTime, arrivalTime. Pass them on the command line or set them with: node auto.js stores update "Ocala"');
+        const noVehicles = { ...STORE_CONFIGS, FTP: { ...STORE_CONFIGS.FTP, vehicles: [] } };
+        expect(() => buildTransferConfig(run('--store', 'FTP').options, noVehicles, HEADERS))
+            .toThrow('The store registry entry for "FTP" has no default for: vehicle.');
+        expect(buildTransferConfig(run('--store', 'FTP', '--vehicle', 'Van 2').options, noVehicles, HEADERS).vehicle).toBe('Van 2');
+    });
+
+    test('rejects stores outside the registry or the sheet', () => {
+        expect(() => buildTransferConfig(run('--store', 'Tampa').options, STORE_CONFIGS, HEADERS))
+            .toThrow('Store "Tampa" is not in the store registry. Known stores: FTP, Ocala');
+
+        const error = (() => {
+            try {
+                return buildTransferConfig(run('--store', 'FTP').options, STORE_CONFIGS, ['#', 'Last 4 of Barcode', 'Ocala Units']);
+            } catch (caught) {
+                return caught;
+            }
+        })();
+        expect(error).toBeInstanceOf(UsageError);
+        expect(error.exitCode).toBe(EXIT_CODES.INPUT_ERROR);
+    });
+
+    test('leaves the store defaults of --all-stores to each store', () => {
+        const config = buildTransferConfig(run('--all-stores', '--driver1', 'Ange', '--vehicle', 'Ford Transit - 5678', '--date', '3/16/2026').options, STORE_CONFIGS, HEADERS);
+        expect(config).toEqual({
+            vehicle: 'Ford Transit - 5678',
+            route: '',
+            departureDate: '3/16/2026',
+            split: false,
+            dryRun: false,
+            resume: false,
+            interactiveMatch: false,
+            allowDuplicate: false,
+            headers: HEADERS,
+            multiStore: true,
+            overrides: { driver1: 'Ange' }
+        });
+    });
+
+    test('requires a vehicle for every store --all-stores will run', () => {
+        const storeConfigs = {
+            ...STORE_CONFIGS,
+            Homestead: { toStore: 'Homestead Processing Hub', drivers: { driver1: 'Ange' }, departureTime: '07:00 AM', arrivalTime: '12:00 PM' },
+            'Mt. Dora': { toStore: 'Mt. Dora Processing Hub' }
+        };
+        const headers = [...HEADERS, 'Homestead Units', 'Mt. Dora Units'];
+
+        // Ocala and Mt. Dora have no driver or times and are skipped, so only Homestead needs a vehicle
+        expect(() => buildTransferConfig(run('--all-stores').options, storeConfigs, headers))
+            .toThrow('The store registry entries for "Homestead" have no vehicle. Pass --vehicle or add one with: node auto.js stores update "<name>" --vehicle "<vehicle>"');
+        expect(() => buildTransferConfig(run('--all-stores', '--departure-time', '08:00 AM', '--arrival-time', '01:00 PM').options, storeConfigs, headers))
+            .toThrow('The store registry entries for "Homestead" have no vehicle.');
+        expect(() => buildTransferConfig(run('--all-stores', '--driver1', 'Ange', '--departure-time', '08:00 AM', '--arrival-time', '01:00 PM').options, storeConfigs, headers))
+            .toThrow('The store registry entries for "Homestead", "Mt. Dora" have no vehicle.');
+        expect(buildTransferConfig(run('--all-stores', '--vehicle', 'Van 2').options, storeConfigs, headers).vehicle).toBe('Van 2');
+        expect(buildTransferConfig(run('--all-stores').options, STORE_CONFIGS, HEADERS).multiStore).toBe(true);
+    });
+});
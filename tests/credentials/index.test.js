@@ -0,0 +1,67 @@
+// tests/credentials/index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    CredentialError,
+    EncryptedFileCredentialProvider,
+    CommandCredentialProvider,
+    createCredentialProvider,
+    loadCredentials
+} = require('../../src/credentials');
+const { redactString } = require('../../src/utils/redact');
+
+const ACCOUNT = { username: 'ops@example.com', password: 'correct horse battery', totpSecret: 'JBSWY3DPEHPK3PXP' };
+
+// Builds a shell command that runs a small Node script, quoted for the platform's shell.
+function nodeCommand(script) {
+    return `"${process.execPath}" -e ${JSON.stringify(script)}`;
+}
+
+describe('credential providers', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-credentials-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('the encrypted file round-trips with the right passphrase only', async () => {
+        const filePath = path.join(dir, 'credentials.enc');
+        await new EncryptedFileCredentialProvider({ filePath, passphrase: 'file-passphrase' }).save(ACCOUNT);
+
+        expect(fs.readFileSync(filePath, 'utf-8')).not.toContain(ACCOUNT.password);
+        await expect(new EncryptedFileCredentialProvider({ filePath, passphrase: 'file-passphrase' }).getCredentials())
+            .resolves.toEqual(ACCOUNT);
+        await expect(new EncryptedFileCredentialProvider({ filePath, passphrase: 'wrong-passphrase' }).getCredentials())
+            .rejects.toThrow(CredentialError);
+    });
+
+    test('the command provider reads JSON or username and password lines', async () => {
+        const json = new CommandCredentialProvider({ command: nodeCommand(`console.log(JSON.stringify(${JSON.stringify(ACCOUNT)}))`), timeout: 10000 });
+        await expect(json.getCredentials()).resolves.toEqual(ACCOUNT);
+
+        const lines = new CommandCredentialProvider({ command: nodeCommand('console.log("ops@example.com\\nline-password")'), timeout: 10000 });
+        await expect(lines.getCredentials()).resolves.toMatchObject({ username: 'ops@example.com', password: 'line-password' });
+    });
+
+    test('a failing command is reported without its output', async () => {
+        const provider = new CommandCredentialProvider({ command: nodeCommand('console.error("leaked-secret"); process.exit(3)'), timeout: 10000 });
+        const error = await provider.getCredentials().catch(caught => caught);
+        expect(error).toBeInstanceOf(CredentialError);
+        expect(error.message).toBe('Credentials command failed (exit code 3)');
+    });
+
+    test('loaded credentials are redacted and must include a password', async () => {
+        const provider = { name: 'test', getCredentials: async () => ({ username: 'redact.me@example.com', password: 'redact-this-password' }) };
+        await loadCredentials(provider);
+        expect(redactString('login redact.me%40example.com with redact-this-password')).toBe('login [REDACTED] with [REDACTED]');
+
+        await expect(loadCredentials({ name: 'test', getCredentials: async () => ({ username: 'someone' }) }))
+            .rejects.toThrow('gave no username or password');
+        expect(() => createCredentialProvider('keychain')).toThrow('Unknown credentials provider "keychain"');
+    });
+});
@@ -0,0 +1,36 @@
+// tests/e2e/helpers.js
+const fs = require('fs');
+const { chromium } = require('@playwright/test');
+const config = require('../../src/config');
+
+const executablePath = process.env.CHROMIUM_EXECUTABLE_PATH || chromium.executablePath();
+
+// Without a browser (run `npx playwright install chromium`) the suites are skipped rather than failed.
+const describeE2E = fs.existsSync(executablePath) ? describe : describe.skip;
+
+/**
+ * Points the automation at a running mock: its login and dashboard URLs, a headless browser,
+ * short timeouts and the mock's credentials. Session reuse is off so every run logs in.
+ *
+ * @param {object} mock - A started MockSweedPosServer.
+ */
+function useMock(mock) {
+    config.set('urls.login', `${mock.url}/logout`);
+    config.set('urls.dashboard', `${mock.url}/dashboard`);
+    config.set('browser.channel', '');
+    config.set('browser.executablePath', executablePath);
+    config.set('browser.headless', true);
+    config.set('browser.timeout.animation', 50);
+    config.set('browser.timeout.element', 5000);
+    config.set('browser.timeout.navigation', 3000);
+    config.set('retry.attempts', 1);
+    config.set('session.enabled', false);
+    process.env.MS_USERNAME = mock.options.credentials.username;
+    process.env.MS_PASSWORD = mock.options.credentials.password;
+}
+
+module.exports = {
+    executablePath,
+    describeE2E,
+    useMock
+};
@@ -0,0 +1,79 @@
+// tests/e2e/login.test.js
+// Drives the login step through the account picker and MFA screens of the mock Microsoft sign-in.
+const MockSweedPosServer = require('../mock-sweedpos/server');
+const { describeE2E, useMock } = require('./helpers');
+const config = require('../../src/config');
+const EnhancedProgressTracker = require('../../src/utils/enhancedProgress');
+const ErrorHandler = require('../../src/utils/errorHandler');
+const { TransfersPage } = require('../../src/pages');
+const { launchBrowser, loginToSweedPos } = require('../../auto');
+
+describeE2E('Microsoft sign-in screens against the mock SweedPos', () => {
+    const mock = new MockSweedPosServer();
+
+    // Logs in and reports whether the browser ended up signed in to SweedPos.
+    async function login() {
+        const { browser, page } = await launchBrowser();
+        const progress = new EnhancedProgressTracker(2, 'Login');
+        try {
+            await loginToSweedPos(page, progress);
+            return await new TransfersPage(page).hasSession();
+        } finally {
+            progress.multibar.stop();
+            await browser.close();
+        }
+    }
+
+    beforeAll(async () => {
+        await mock.start();
+        useMock(mock);
+    });
+
+    afterAll(async () => {
+        delete process.env.MS_TOTP_SECRET;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        process.env.MS_TOTP_SECRET = mock.options.signIn.totpSecret;
+        config.set('login.mfaApprovalTimeout', 5000);
+    });
+
+    test('picks the account and answers the authenticator code prompt', async () => {
+        mock.configureSignIn({ accountPicker: true, mfa: 'totp' });
+
+        await expect(login()).resolves.toBe(true);
+        expect(mock.state.loginAttempts).toEqual([expect.objectContaining({ username: 'transfers@example.com', success: true, mfa: 'totp' })]);
+    });
+
+    test('fails with a named error when a code is asked for but no secret is configured', async () => {
+        mock.configureSignIn({ mfa: 'totp' });
+        delete process.env.MS_TOTP_SECRET;
+
+        await expect(login()).rejects.toThrow('[MFA_SECRET_MISSING]');
+    });
+
+    test('waits for a push approval', async () => {
+        mock.configureSignIn({ mfa: 'push', pushDelay: 1000 });
+
+        await expect(login()).resolves.toBe(true);
+    });
+
+    test('gives up when the push approval does not come in time', async () => {
+        mock.configureSignIn({ mfa: 'push', pushApproval: 'ignore' });
+        config.set('login.mfaApprovalTimeout', 500);
+
+        await expect(login()).rejects.toThrow('[MFA_APPROVAL_TIMEOUT]');
+    });
+
+    test('stops on an unknown screen with its name and a captured page state', async () => {
+        mock.configureSignIn({ mfa: 'unknown' });
+
+        const error = await login().catch(caught => caught);
+        expect(error.message).toContain('[UNRECOGNIZED_SCREEN] Unrecognized Microsoft sign-in screen "Verify your phone number"');
+        // Not worth retrying: the first attempt is the only one.
+        expect(error.message).toMatch(/^Aborted login process on attempt 1/);
+        expect(ErrorHandler.getStepError(error).screenshots).toMatchObject({ screenshot: expect.stringMatching(/\.png$/) });
+    });
+});
@@ -0,0 +1,82 @@
+// tests/e2e/selectors.test.js
+// Runs the selector health check against the local mock SweedPos server.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const { selectorMap, SelectorError } = require('../../src/pages');
+const { EXIT_CODES } = require('../../src/cli');
+const MockSweedPosServer = require('../mock-sweedpos/server');
+const { describeE2E, useMock } = require('./helpers');
+const { runSelectorCheck } = require('../../auto');
+
+describeE2E('selector health check against the mock SweedPos', () => {
+    const mock = new MockSweedPosServer();
+    const originalCwd = process.cwd();
+    let workDir;
+    let draftUrl;
+
+    function readReport() {
+        return JSON.parse(fs.readFileSync(path.join(workDir, 'temp', 'selector-health.json'), 'utf-8'));
+    }
+
+    function useOverrides(overrides) {
+        const overridePath = path.join(workDir, 'selectors.local.json');
+        fs.writeFileSync(overridePath, JSON.stringify(overrides), 'utf-8');
+        config.set('paths.selectorOverrides', overridePath);
+        selectorMap.load();
+    }
+
+    beforeAll(async () => {
+        await mock.start();
+        useMock(mock);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-selectors-'));
+        process.chdir(workDir);
+        const transfer = mock.addTransfer({ toStore: 'Ocala Warehouse Hub', driver1: 'Sergio Hervis' });
+        draftUrl = `${mock.url}/transfers/${transfer.id}/draft`;
+    });
+
+    afterAll(async () => {
+        process.chdir(originalCwd);
+        await mock.stop();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        config.set('paths.selectorOverrides', undefined);
+        selectorMap.load();
+    });
+
+    test('reports every selector as resolving on the pages it belongs to', async () => {
+        await expect(runSelectorCheck({ draftUrl })).resolves.toBe(EXIT_CODES.SUCCESS);
+
+        const report = readReport();
+        expect(report.healthy).toBe(true);
+        expect(report.stopReason).toBeNull();
+        expect(report.results.filter(result => result.status === 'missing')).toEqual([]);
+        // Option entries and search results depend on what is typed or opened, and the account picker,
+        // MFA prompts and sign-in errors only appear for some accounts, so they are not walked.
+        expect(report.notChecked).toEqual([
+            'login.signInError', 'login.pickAccount', 'login.accountTiles', 'login.otherAccount',
+            'login.totpInput', 'login.totpSubmit', 'login.pushApproval', 'login.pushNumber',
+            'transferForm.option', 'productPicker.results'
+        ]);
+    });
+
+    test('reports a locally overridden selector that no longer resolves', async () => {
+        useOverrides({ version: 1, selectors: { transfers: { transfersLink: 'a[data-id="portal:renamed-transfers-link"]' } } });
+
+        await expect(runSelectorCheck({})).resolves.toBe(EXIT_CODES.SELECTOR_CHECK_FAILED);
+
+        const report = readReport();
+        expect(report.overrides).toEqual(['transfers.transfersLink']);
+        expect(report.results.find(result => result.selector === 'transfers.transfersLink'))
+            .toMatchObject({ status: 'missing', source: 'override' });
+        expect(report.stopReason).toBe('Selectors missing on Dashboard');
+        expect(report.notChecked).toContain('transferForm.driver1');
+    });
+
+    test('rejects an override for a selector the map does not have', () => {
+        expect(() => useOverrides({ version: 1, selectors: { transfers: { transferLink: 'a' } } })).toThrow(SelectorError);
+    });
+});
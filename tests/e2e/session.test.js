@@ -0,0 +1,87 @@
+// tests/e2e/session.test.js
+// Saves the login session after the first run and reuses it on the next, against the mock SweedPos.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockSweedPosServer = require('../mock-sweedpos/server');
+const { describeE2E, useMock } = require('./helpers');
+const config = require('../../src/config');
+const { SessionStore } = require('../../src/session');
+const { createTransferProcess } = require('../../auto');
+
+describeE2E('login session reuse against the mock SweedPos', () => {
+    const mock = new MockSweedPosServer();
+    const originalCwd = process.cwd();
+    const originalKey = process.env.SESSION_KEY;
+    let workDir;
+    let sessionFile;
+
+    const transferData = {
+        store: 'FTP',
+        toStore: 'Ft Pierce Warehouse Hub',
+        driver1: 'Ange',
+        vehicle: 'Nissan NV200 - 1234',
+        departureDate: new Date(2026, 2, 16),
+        departureTime: '07:00 AM',
+        arrivalTime: '12:00 PM',
+        headers: ['#', 'Last 4 of Barcode', 'FTP Units', 'Total Unit Count'],
+        transferData: [{ '#': '1', 'Last 4 of Barcode': '1001', 'FTP Units': '5', 'Total Unit Count': '5' }]
+    };
+
+    beforeAll(async () => {
+        await mock.start();
+        useMock(mock);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-session-'));
+        process.chdir(workDir);
+        sessionFile = path.join(workDir, 'session', 'storage-state.enc');
+        config.set('session.enabled', true);
+        config.set('session.file', sessionFile);
+        process.env.SESSION_KEY = 'test-session-key';
+    });
+
+    afterAll(async () => {
+        config.set('session.enabled', false);
+        if (originalKey === undefined) delete process.env.SESSION_KEY;
+        else process.env.SESSION_KEY = originalKey;
+        process.chdir(originalCwd);
+        await mock.stop();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        new SessionStore().clear();
+    });
+
+    test('logs in once and reuses the encrypted session on the next run', async () => {
+        await createTransferProcess(transferData);
+        expect(mock.state.loginAttempts).toHaveLength(1);
+        const saved = fs.readFileSync(sessionFile, 'utf-8');
+        expect(saved).not.toContain('mock_session');
+
+        await createTransferProcess(transferData);
+        expect(mock.state.loginAttempts).toHaveLength(1);
+        expect(mock.state.transfers).toHaveLength(2);
+    });
+
+    test('falls back to the full login when the saved session has expired', async () => {
+        await createTransferProcess(transferData);
+        // Forget the server-side sessions, as SweedPos does when a session times out.
+        mock.reset();
+
+        await createTransferProcess(transferData);
+        expect(mock.state.loginAttempts).toEqual([expect.objectContaining({ success: true })]);
+        expect(mock.state.transfers).toHaveLength(1);
+    });
+
+    test('ignores a session saved with another key and clears it on request', async () => {
+        await createTransferProcess(transferData);
+        expect(new SessionStore({ secret: 'another-key' }).load()).toBeNull();
+        expect(fs.existsSync(sessionFile)).toBe(false);
+
+        await createTransferProcess(transferData);
+        const sessionStore = new SessionStore();
+        expect(sessionStore.clear()).toBe(true);
+        expect(sessionStore.load()).toBeNull();
+    });
+});
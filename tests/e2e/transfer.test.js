@@ -0,0 +1,213 @@
+// tests/e2e/transfer.test.js
+// Runs the full automation headlessly against the local mock SweedPos server.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const MockSweedPosServer = require('../mock-sweedpos/server');
+const { describeE2E, useMock } = require('./helpers');
+const { readTransferData, createTransferProcess, createMultiStoreTransferProcess } = require('../../auto');
+const { RunHistory, RunRecorder, DuplicateSubmissionError } = require('../../src/history');
+const { DraftPage } = require('../../src/pages');
+const { CheckpointError } = require('../../src/utils/checkpoint');
+const config = require('../../src/config');
+
+const MANIFEST_ROWS = [
+    ['#', 'Last 4 of Barcode', 'FTP Units', 'Ocala Units', 'Total Unit Count'],
+    ['1', '1001', '5', '2', '7'],
+    ['2', '2002', '0', '3', '3'],
+    ['3', '3003', '4', '0', '4'],
+    ['4', '9999', '1', '0', '1'],
+    ['5', 'N/A', '2', '0', '2']
+];
+
+function writeManifest(dir) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(MANIFEST_ROWS), 'Manifest');
+    const manifestPath = path.join(dir, 'manifest.xlsx');
+    XLSX.writeFile(workbook, manifestPath);
+    return manifestPath;
+}
+
+describeE2E('transfer automation against the mock SweedPos', () => {
+    const mock = new MockSweedPosServer();
+    const originalCwd = process.cwd();
+    const departureDate = new Date(2026, 2, 16);
+    let workDir;
+    let manifest;
+
+    beforeAll(async () => {
+        await mock.start();
+        useMock(mock);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-e2e-'));
+        // Checkpoints, review lists and verification reports go to the working directory's temp/.
+        process.chdir(workDir);
+
+        manifest = readTransferData(writeManifest(workDir));
+    });
+
+    afterAll(async () => {
+        process.chdir(originalCwd);
+        await mock.stop();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        process.env.MS_PASSWORD = mock.options.credentials.password;
+    });
+
+    test('creates, splits and saves a draft for one store', async () => {
+        const userConfig = {
+            store: 'FTP',
+            toStore: 'Ft Pierce Warehouse Hub',
+            driver1: 'Ange',
+            driver2: 'James Roberts',
+            vehicle: 'Nissan NV200 - 1234',
+            route: 'I-95 North',
+            departureDate,
+            departureTime: '07:00 AM',
+            arrivalTime: '12:00 PM',
+            split: true
+        };
+        const history = new RunHistory({ filePath: path.join(workDir, 'history', 'runs.jsonl') });
+        const run = new RunRecorder({ userConfig, transferData: manifest, history });
+        const stats = await createTransferProcess({ ...userConfig, ...manifest }, run);
+        run.finish('succeeded', 0);
+
+        expect(stats).toMatchObject({ added: 2, skipped: 2, needsReview: 1, verified: 2 });
+        expect(mock.state.transfers).toHaveLength(1);
+        const [transfer] = mock.state.transfers;
+        expect(transfer).toMatchObject({
+            toStore: 'Ft Pierce Warehouse Hub',
+            biotrack: true,
+            driver1: 'Ange',
+            driver2: 'James Roberts',
+            vehicle: 'Nissan NV200 - 1234',
+            departure: '03-16-2026 07:00 AM',
+            arrival: '03-16-2026 12:00 PM',
+            route: 'I-95 North',
+            split: true,
+            applied: true
+        });
+        expect(transfer.lines.map(line => [line.barcode.slice(-4), line.qty])).toEqual([['1001', '5'], ['3003', '4']]);
+
+        const review = JSON.parse(fs.readFileSync(path.join(workDir, 'temp', 'product-review-FTP.json'), 'utf-8'));
+        expect(review.rows).toEqual([expect.objectContaining({ row: '4', barcode: '9999', status: 'not-found' })]);
+
+        const [recorded] = history.search({ store: 'ft pierce warehouse hub', text: '3003' });
+        expect(recorded).toMatchObject({ runId: run.runId, status: 'succeeded', source: { sha256: manifest.source.sha256 } });
+        expect(recorded.stores[0]).toMatchObject({ status: 'created', draftId: transfer.id, stats: { added: 2, verified: 2 } });
+        expect(recorded.stores[0].rows.map(row => [row.row, row.outcome])).toEqual([
+            ['1', 'added'], ['2', 'skipped'], ['3', 'added'], ['4', 'needs-review'], ['5', 'skipped']
+        ]);
+        expect(recorded.stores[0].artifacts.review).toBe(path.join(workDir, 'temp', 'product-review-FTP.json'));
+        expect(recorded.timings.map(timing => timing.step)).toContain('Finalization');
+    });
+
+    test('creates one draft per store column in a single session', async () => {
+        const results = await createMultiStoreTransferProcess({
+            vehicle: 'Ford Transit - 5678',
+            route: 'Turnpike',
+            departureDate,
+            split: false
+        }, manifest);
+
+        expect(results.map(result => [result.store, result.status])).toEqual([['FTP', 'created'], ['Ocala', 'created']]);
+        expect(mock.state.loginAttempts).toHaveLength(1);
+        const drafts = Object.fromEntries(mock.state.transfers.map(transfer => [
+            transfer.toStore,
+            transfer.lines.map(line => [line.barcode.slice(-4), line.qty])
+        ]));
+        expect(drafts).toEqual({
+            'Ft Pierce Warehouse Hub': [['1001', '5'], ['3003', '4']],
+            'Ocala Warehouse Hub': [['1001', '2'], ['2002', '3']]
+        });
+        expect(mock.state.transfers.find(transfer => transfer.toStore === 'Ocala Warehouse Hub')).toMatchObject({
+            driver1: 'Sergio Hervis',
+            departure: '03-16-2026 12:00 PM',
+            arrival: '03-16-2026 07:00 PM',
+            split: false
+        });
+    });
+
+    test('refuses to create a second draft when SweedPos lists one for the same store and day', async () => {
+        mock.addTransfer({ toStore: 'Ft Pierce Warehouse Hub', driver1: 'Ange', vehicle: 'Nissan NV200 - 1234', departure: '03-16-2026 07:00 AM', arrival: '03-16-2026 12:00 PM' });
+        config.set('duplicates.checkSweedPos', true);
+        try {
+            await expect(createTransferProcess({
+                store: 'FTP',
+                toStore: 'Ft Pierce Warehouse Hub',
+                driver1: 'Ange',
+                vehicle: 'Nissan NV200 - 1234',
+                departureDate,
+                departureTime: '07:00 AM',
+                arrivalTime: '12:00 PM',
+                ...manifest
+            })).rejects.toThrow(DuplicateSubmissionError);
+        } finally {
+            config.set('duplicates.checkSweedPos', false);
+        }
+
+        expect(mock.state.transfers).toHaveLength(1);
+    });
+
+    test('resumes a run whose browser died mid-loop and adds the rows the draft never saved', async () => {
+        const transferData = {
+            store: 'FTP',
+            toStore: 'Ft Pierce Warehouse Hub',
+            driver1: 'Ange',
+            vehicle: 'Nissan NV200 - 1234',
+            departureDate,
+            departureTime: '07:00 AM',
+            arrivalTime: '12:00 PM',
+            ...manifest
+        };
+        // The browser is killed while the second product's quantity is entered: row 1 is journaled
+        // as confirmed and row 3 as started, but "Update draft" never ran.
+        const setLastQuantity = DraftPage.prototype.setLastQuantity;
+        let calls = 0;
+        const spy = jest.spyOn(DraftPage.prototype, 'setLastQuantity').mockImplementation(async function (qty) {
+            if (++calls === 2) await this.page.context().browser().close();
+            return setLastQuantity.call(this, qty);
+        });
+        try {
+            await expect(createTransferProcess(transferData)).rejects.toThrow();
+        } finally {
+            spy.mockRestore();
+        }
+        expect(mock.state.transfers).toHaveLength(1);
+        expect(mock.state.transfers[0].lines).toEqual([]);
+
+        const stats = await createTransferProcess({ ...transferData, resume: true });
+
+        expect(stats).toMatchObject({ added: 2, resumed: 0, verified: 2 });
+        expect(mock.state.transfers).toHaveLength(1);
+        expect(mock.state.transfers[0].lines.map(line => [line.barcode.slice(-4), line.qty])).toEqual([['1001', '5'], ['3003', '4']]);
+
+        // Another departure day has no journal: resuming it fails instead of starting a second draft
+        const error = await createTransferProcess({ ...transferData, departureDate: new Date(2026, 2, 17), resume: true }).catch(caught => caught);
+        expect(error).toBeInstanceOf(CheckpointError);
+        expect(error.message).toContain('No checkpoint journal to resume for FTP departing 3/17/2026');
+        expect(error.journals.map(journal => journal.key)).toContainEqual(expect.stringMatching(/^FTP-/));
+        expect(mock.state.transfers).toHaveLength(1);
+    });
+
+    test('fails without creating a draft when the password is rejected', async () => {
+        process.env.MS_PASSWORD = 'wrong-password';
+
+        await expect(createTransferProcess({
+            store: 'FTP',
+            toStore: 'Ft Pierce Warehouse Hub',
+            driver1: 'Ange',
+            vehicle: 'Nissan NV200 - 1234',
+            departureDate,
+            departureTime: '07:00 AM',
+            arrivalTime: '12:00 PM',
+            ...manifest
+        })).rejects.toThrow('[INVALID_CREDENTIALS]');
+
+        expect(mock.state.loginAttempts[0]).toMatchObject({ success: false });
+        expect(mock.state.transfers).toHaveLength(0);
+    });
+});
@@ -0,0 +1,95 @@
+// tests/history/index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunHistory, RunRecorder, parseDay, fingerprintTransfer, findDuplicateSubmissions } = require('../../src/history');
+const { parseHistoryArgs, UsageError } = require('../../src/cli');
+
+describe('run history', () => {
+    let dir;
+    let history;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-history-'));
+        history = new RunHistory({ filePath: path.join(dir, 'runs.jsonl') });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function recordRun(store, rows, status = 'succeeded') {
+        const run = RunRecorder.start({ userConfig: { store, vehicle: 'Van 2', headers: ['#'] }, transferData: { source: { path: '/in/manifest.xlsx', sha256: 'abc123' } }, history });
+        const storeRun = run.startStore({ store, toStore: `${store} Warehouse Hub` });
+        storeRun.recordDraft('https://sweedpos.test/transfers/42/draft');
+        rows.forEach(([row, barcode, qty]) => storeRun.recordRow(row, 'added', { barcode, qty }));
+        storeRun.complete({ added: rows.length, skipped: 0, resumed: 0, needsReview: 0 });
+        run.finish(status, 0);
+        return run;
+    }
+
+    test('keeps the last entry of each run and searches by store, text and status', () => {
+        const ocala = recordRun('Ocala', [['1', '1001', '2'], ['2', '2002', '3']]);
+        recordRun('FTP', [['1', '1001', '5']], 'failed');
+
+        const runs = history.readAll();
+        expect(runs).toHaveLength(2);
+        expect(fs.readFileSync(history.filePath, 'utf-8').trim().split('\n')).toHaveLength(4);
+        expect(runs[0]).toMatchObject({ runId: ocala.runId, status: 'succeeded', config: { store: 'Ocala', vehicle: 'Van 2' } });
+        expect(runs[0].config.headers).toBeUndefined();
+        expect(runs[0].stores[0]).toMatchObject({ draftId: '42', status: 'created' });
+
+        expect(history.search({ store: 'ocala warehouse hub' }).map(run => run.runId)).toEqual([ocala.runId]);
+        expect(history.search({ text: '1001' })).toHaveLength(2);
+        expect(history.search({ text: '2002', status: 'failed' })).toHaveLength(0);
+        expect(history.search({ until: new Date(Date.now() - 86400000) })).toHaveLength(0);
+        expect(history.find(ocala.runId.slice(0, 8))).toMatchObject({ runId: ocala.runId });
+    });
+
+    test('fingerprints the products, store and day and finds earlier submissions', () => {
+        const rows = [
+            { '#': '1', 'Last 4 of Barcode': '1001', 'Ocala Units': '2' },
+            { '#': '2', 'Last 4 of Barcode': '2002', 'Ocala Units': '3' },
+            { '#': '3', 'Last 4 of Barcode': '3003', 'Ocala Units': '0' }
+        ];
+        const storeData = { store: 'Ocala', toStore: 'Ocala Warehouse Hub', departureDate: '10/13/2026', transferData: rows };
+        const fingerprint = fingerprintTransfer(storeData);
+
+        expect(fingerprintTransfer({ ...storeData, departureDate: new Date(2026, 9, 13), transferData: [rows[1], rows[0]], vehicle: 'Van 2' })).toBe(fingerprint);
+        expect(fingerprintTransfer({ ...storeData, departureDate: '10/14/2026' })).not.toBe(fingerprint);
+        expect(fingerprintTransfer({ ...storeData, transferData: [rows[0], { ...rows[1], 'Ocala Units': '4' }] })).not.toBe(fingerprint);
+
+        expect(findDuplicateSubmissions([storeData], history)).toEqual([]);
+        const run = RunRecorder.start({ userConfig: { store: 'Ocala' }, transferData: {}, history });
+        const storeRun = run.startStore(storeData);
+        storeRun.recordDraft('https://sweedpos.test/transfers/T0007/draft');
+        storeRun.fail(new Error('Update draft failed'));
+        run.finish('failed', 1);
+
+        expect(findDuplicateSubmissions([storeData], history)).toEqual([{
+            store: 'Ocala',
+            fingerprint,
+            submissions: [expect.objectContaining({ runId: run.runId, status: 'failed', draftUrl: 'https://sweedpos.test/transfers/T0007/draft' })]
+        }]);
+    });
+
+    test('parses days for the history filters', () => {
+        // Monday, 19 October 2026
+        const now = new Date(2026, 9, 19, 15, 30);
+        expect(parseDay('last tuesday', now)).toEqual({ start: new Date(2026, 9, 13), end: new Date(2026, 9, 14) });
+        expect(parseDay('monday', now).start).toEqual(new Date(2026, 9, 12));
+        expect(parseDay('yesterday', now).start).toEqual(new Date(2026, 9, 18));
+        expect(parseDay('10/01/2026', now).start).toEqual(new Date(2026, 9, 1));
+        expect(parseDay('2026-10-01', now).start).toEqual(new Date(2026, 9, 1));
+        expect(parseDay('someday', now)).toBeNull();
+
+        expect(parseHistoryArgs(['search', '--store', 'Ocala', '--on', 'last tuesday'], now)).toEqual({
+            action: 'search',
+            runId: undefined,
+            filters: { store: 'Ocala', since: new Date(2026, 9, 13), until: new Date(2026, 9, 14), status: undefined, text: undefined },
+            limit: 20
+        });
+        expect(() => parseHistoryArgs(['show'])).toThrow(UsageError);
+        expect(() => parseHistoryArgs(['list', '--since', 'soon'])).toThrow(UsageError);
+    });
+});
@@ -0,0 +1,81 @@
+// tests/ipc/index.test.js
+const { WindowChannel, connectToParent, ChannelError } = require('../../src/ipc');
+
+const IPC_MODULE = JSON.stringify(require.resolve('../../src/ipc'));
+
+// A Node child that connects back like the desktop app does; `body` sees `channel`.
+function childScript(body) {
+    return `require(${IPC_MODULE}).connectToParent().then(async channel => { ${body} await channel.close(); });`;
+}
+
+// Opens a Node child the way runInteractive opens the app: waits for its result, then for its exit.
+async function runScript(script, { input, expect = ['approved', 'cancelled'] } = {}) {
+    const channel = await WindowChannel.open(process.execPath, ['-e', script], { input });
+    try {
+        return await channel.waitForResult(expect);
+    } finally {
+        await channel.exited;
+    }
+}
+
+function runChild(body, options) {
+    return runScript(childScript(body), options);
+}
+
+describe('window channel', () => {
+    test('passes the input to the child and returns its typed result', async () => {
+        const result = await runChild(
+            "await channel.send('approved', { config: { store: channel.input.store, dryRun: true } });",
+            { input: { store: 'Ocala' }, expect: ['approved', 'cancelled'] }
+        );
+        expect(result).toEqual({ type: 'approved', config: { store: 'Ocala', dryRun: true } });
+
+        // Only the first result counts.
+        await expect(runChild("await channel.send('cancelled'); await channel.send('approved', { config: {} });"))
+            .resolves.toEqual({ type: 'cancelled' });
+    });
+
+    test('reports errors, unexpected results and exits without a result as failures', async () => {
+        await expect(runChild("await channel.send('error', { message: 'Cannot read week.xlsx' }); process.exit(1);"))
+            .rejects.toThrow('failed: Cannot read week.xlsx');
+        await expect(runChild("await channel.send('approved', { filePath: 'week.xlsx', config: {} });", { expect: ['cancelled'] }))
+            .rejects.toThrow('sent an unexpected "approved" result');
+
+        const error = await runChild('process.exit(3);').catch(caught => caught);
+        expect(error).toBeInstanceOf(ChannelError);
+        expect(error.message).toContain('exited with code 3 without a result');
+        expect(error.exitCode).toBe(3);
+    });
+
+    test('keeps the channel open after the result for messages both ways', async () => {
+        // The child echoes every "run-event" back as "pause" and stops at "finished", like the run view's buttons.
+        const body = `
+            await channel.send('approved', { filePath: 'week.xlsx', config: {} });
+            await new Promise(resolve => channel.on('message', message => {
+                if (message.type === 'finished') resolve();
+                else channel.send('pause', { seen: message.event.type });
+            }));
+        `;
+        const channel = await WindowChannel.open(process.execPath, ['-e', childScript(body)]);
+        await expect(channel.waitForResult(['approved', 'cancelled'])).resolves.toMatchObject({ type: 'approved', filePath: 'week.xlsx' });
+
+        const commands = [];
+        channel.on('message', message => commands.push(message));
+        channel.send('run-event', { event: { type: 'step-started' } });
+        channel.send('run-event', { event: { type: 'row' } });
+        channel.send('finished', { exitCode: 0 });
+        await expect(channel.exited).resolves.toBe(0);
+        expect(commands).toEqual([{ type: 'pause', seen: 'step-started' }, { type: 'pause', seen: 'row' }]);
+    });
+
+    test('ignores connections without the run token', async () => {
+        const script = `
+            const net = require('net');
+            const intruder = net.connect(process.env.AUTO_MANIFEST_IPC, () => intruder.write(JSON.stringify({ type: 'approved', config: { store: 'FTP' } }) + '\\n'));
+            intruder.on('close', () => require(${IPC_MODULE}).connectToParent().then(channel => channel.send('cancelled').then(() => channel.close())));
+        `;
+        await expect(runScript(script)).resolves.toEqual({ type: 'cancelled' });
+
+        await expect(connectToParent()).rejects.toThrow('AUTO_MANIFEST_IPC is not set');
+    });
+});
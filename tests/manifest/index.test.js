@@ -0,0 +1,103 @@
+// tests/manifest/index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { readManifest, readAllManifests, listSheets, applyRowEdits, ManifestReadError } = require('../../src/manifest');
+const { validateRows } = require('../../src/validation');
+const { parseCommandLine, UsageError } = require('../../src/cli');
+
+const HEADER = ['#', 'Last 4 of Barcode', 'FTP Units', 'Ocala Units', 'Total Unit Count'];
+const ROWS = [
+    ['1', '0101', '5', '2', '7'],
+    ['2', '2002', '0', '3', '3']
+];
+
+describe('manifest readers', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-readers-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function write(name, content) {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content, 'utf-8');
+        return filePath;
+    }
+
+    test('reads CSV, TSV and JSON into the same manifest as a workbook', () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([HEADER, ...ROWS]), 'Manifest');
+        const xlsxPath = path.join(dir, 'manifest.xlsx');
+        XLSX.writeFile(workbook, xlsxPath);
+        const expected = readManifest(xlsxPath);
+
+        const csv = readManifest(write('export.csv', '\uFEFF' + [HEADER, ...ROWS].map(row => row.join(';')).join('\r\n')));
+        const tsv = readManifest(write('export.tsv', [HEADER, ...ROWS].map(row => row.join('\t')).join('\n')));
+        const json = readManifest(write('export.json', JSON.stringify(ROWS.map(row => Object.fromEntries(HEADER.map((header, index) => [header, row[index]]))))));
+
+        [csv, tsv, json].forEach(manifest => {
+            expect(manifest.transferData).toEqual(expected.transferData);
+            expect(manifest.stores).toEqual(['FTP', 'Ocala']);
+            expect(manifest.headers).toEqual(expected.headers);
+            expect(manifest.layout).toEqual({ headerRow: 0, sheetRows: [1, 2] });
+        });
+        // CSV cells stay text, so the barcode keeps its leading zero.
+        expect(csv.transferData[0]['Last 4 of Barcode']).toBe('0101');
+        expect(csv.source).toMatchObject({ path: path.join(dir, 'export.csv'), sheet: 'export', format: 'delimited' });
+        expect(json.source.format).toBe('json');
+        expect(expected.source).toMatchObject({ sheet: 'Manifest', format: 'workbook' });
+    });
+
+    test('selects a sheet by name or number, or reads every sheet with a product table', () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes'], ['Deliver before noon']]), 'Notes');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([HEADER, ROWS[0]]), 'Monday');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([HEADER, ROWS[1]]), 'Tuesday');
+        const xlsmPath = path.join(dir, 'week.xlsm');
+        XLSX.writeFile(workbook, xlsmPath, { bookType: 'xlsm' });
+
+        expect(listSheets(xlsmPath)).toEqual(['Notes', 'Monday', 'Tuesday']);
+        expect(readManifest(xlsmPath, { sheet: 'tuesday' }).transferData[0]['#']).toBe('2');
+        expect(readManifest(xlsmPath, { sheet: '2' }).source.sheet).toBe('Monday');
+        expect(() => readManifest(xlsmPath, { sheet: 'Friday' })).toThrow('No sheet "Friday" in week.xlsm, it has: Notes, Monday, Tuesday');
+        expect(readAllManifests(xlsmPath).map(manifest => manifest.source.sheet)).toEqual(['Monday', 'Tuesday']);
+
+        const json = write('week.json', JSON.stringify({ sheets: { Monday: [HEADER, ROWS[0]], Tuesday: [HEADER, ROWS[1]] } }));
+        expect(readAllManifests(json).map(manifest => manifest.transferData.length)).toEqual([1, 1]);
+
+        expect(() => readManifest(write('manifest.txt', ''))).toThrow(ManifestReadError);
+        expect(() => readManifest(write('broken.json', '{ "rows": '))).toThrow('broken.json is not valid JSON');
+    });
+
+    test('applies the rows edited in the confirmation window and validates them', () => {
+        const manifest = readManifest(write('export.csv', [HEADER, ...ROWS, ['3', '3003', '1', '1', '2']].map(row => row.join(',')).join('\n')));
+
+        // Row 1 edited, row 2 excluded, row 3 kept and a new row 4 added
+        const edited = applyRowEdits(manifest, [
+            { source: 0, values: { ...manifest.transferData[0], 'FTP Units': ' 6 ', 'Total Unit Count': 8 } },
+            { source: 2, values: manifest.transferData[2] },
+            { source: null, values: { '#': '4', 'Last 4 of Barcode': '4004', 'FTP Units': '-1', 'Ocala Units': '', 'Total Unit Count': '' } }
+        ]);
+        expect(edited.transferData.map(row => row['#'])).toEqual(['1', '3', '4']);
+        expect(edited.transferData[0]).toMatchObject({ 'FTP Units': '6', 'Total Unit Count': '8' });
+        expect(edited.layout.sheetRows).toEqual([manifest.layout.sheetRows[0], manifest.layout.sheetRows[2], null]);
+        expect(edited.headers).toEqual(manifest.headers);
+        expect(() => applyRowEdits(manifest, [{ source: 7, values: {} }])).toThrow(ManifestReadError);
+
+        const { errors, warnings } = validateRows({ store: 'FTP', headers: edited.headers, transferData: edited.transferData });
+        expect(errors).toEqual([expect.objectContaining({ rule: 'row.numericQuantity', row: '4', field: 'FTP Units' })]);
+        expect(warnings).toEqual([]);
+    });
+
+    test('parses the sheet options of the run command', () => {
+        expect(parseCommandLine(['run', '--excel', 'week.xlsx', '--store', 'FTP', '--all-sheets']).options).toMatchObject({ allSheets: true, sheet: undefined });
+        expect(parseCommandLine(['run', '--excel', 'week.xlsx', '--store', 'FTP', '--sheet', 'Monday']).options.sheet).toBe('Monday');
+        expect(() => parseCommandLine(['run', '--excel', 'week.xlsx', '--store', 'FTP', '--sheet', 'Monday', '--all-sheets'])).toThrow(UsageError);
+    });
+});
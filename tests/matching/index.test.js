@@ -0,0 +1,63 @@
+// tests/matching/index.test.js
+const { ProductMatcher } = require('../../src/matching');
+
+// Search results as the product picker lists them: name | barcode | external code
+const GELATO = 'Gelato 1g Vape Cartridge | 1A4000000000000000002002 | GL-1V';
+const GELATO_2G = 'Gelato 2g Vape Cartridge | 1A4000000000000000012002 | GL-2V';
+const WEDDING_CAKE = 'Wedding Cake 10mg Gummies | 1A4000000000000000092002 | WC-10G';
+
+describe('product matcher', () => {
+    test('reads the configured columns, ignoring header case and N/A', () => {
+        const matcher = new ProductMatcher();
+        expect(matcher.getSignals({ '#': '1', 'Last 4 of Barcode': '2002', upc: '1A4000000000000000002002', 'External ID': 'N/A', Product: ' Gelato ' }))
+            .toEqual({ fullBarcode: '1A4000000000000000002002', productName: 'Gelato' });
+        expect(matcher.getSignals({ '#': '1', 'Last 4 of Barcode': '2002' })).toEqual({});
+    });
+
+    test('weighs the full barcode, external code and product name', () => {
+        const matcher = new ProductMatcher();
+        expect(matcher.scoreResult(GELATO, '2002', { fullBarcode: '1A4000000000000000002002' })).toBe(1);
+        // Only the last 4 digits of the full barcode appear in the result
+        expect(matcher.scoreResult(GELATO_2G, '2002', { fullBarcode: '1A4000000000000000002002' })).toBeCloseTo(0.3);
+        expect(matcher.scoreResult(GELATO_2G, '2002', { fullBarcode: '1A4000000000000000002002', externalCode: 'GL-2V' })).toBeCloseTo((0.5 * 0.3 + 0.3) / 0.8);
+        expect(matcher.scoreResult(GELATO, '2002', { externalCode: 'GL-9V', productName: 'Gelato 1g Vape Cartridge' })).toBeGreaterThan(0);
+        expect(matcher.scoreResult(GELATO, '2002', { externalCode: 'GL-9V', productName: 'Gelato 1g Vape Cartridge' })).toBeLessThan(0.2 / 0.5);
+    });
+
+    test('matches the result the full barcode points to among several', () => {
+        const row = { '#': '2', 'Last 4 of Barcode': '2002', Barcode: '1A4000000000000000012002', 'External Code': 'GL-2V' };
+        const decision = new ProductMatcher().match(row, [GELATO, GELATO_2G, WEDDING_CAKE]);
+
+        expect(decision).toMatchObject({ status: 'matched', index: 1, score: 1, reason: null });
+        expect(decision.candidates.map(candidate => candidate.index)).toEqual([1, 0, 2]);
+    });
+
+    test('reports rows without results, without a confident result and with results too close to choose', () => {
+        const matcher = new ProductMatcher();
+        const row = { '#': '3', 'Last 4 of Barcode': '2002', Barcode: '1A4000000000000000072002' };
+
+        expect(matcher.match(row, [])).toEqual({ status: 'not-found', index: null, score: 0, reason: 'No search results for "2002"', candidates: [] });
+
+        // Every result only shares the last 4 digits: 0.3 is below minConfidence (0.6)
+        const weak = matcher.match(row, [GELATO, WEDDING_CAKE]);
+        expect(weak).toMatchObject({ status: 'ambiguous', index: null, score: 0.3 });
+        expect(weak.reason).toBe('Best result scored 0.3, below the minimum confidence of 0.6');
+        expect(new ProductMatcher({ minConfidence: 0.2 }).match(row, [GELATO]).status).toBe('matched');
+
+        // Both results clear minConfidence but lie within ambiguityMargin (0.1) of each other
+        const close = matcher.match({ ...row, Barcode: '1A4000000000000000002002', 'Product Name': 'Vape Cartridge' }, [GELATO, GELATO]);
+        expect(close).toMatchObject({ status: 'ambiguous', index: null });
+        expect(close.reason).toMatch(/^Top results scored [\d.]+ and [\d.]+, too close to choose$/);
+        expect(new ProductMatcher({ ambiguityMargin: 0 }).match({ ...row, Barcode: '1A4000000000000000002002' }, [GELATO, GELATO]).status).toBe('matched');
+    });
+
+    test('only trusts a single result when the row has nothing but the last 4 digits', () => {
+        const matcher = new ProductMatcher();
+        const row = { '#': '4', 'Last 4 of Barcode': '2002' };
+
+        expect(matcher.match(row, [GELATO])).toMatchObject({ status: 'matched', index: 0, score: 1 });
+        const decision = matcher.match(row, [GELATO, GELATO_2G]);
+        expect(decision).toMatchObject({ status: 'ambiguous', index: null, score: 0 });
+        expect(decision.reason).toBe('2 results for "2002" and the manifest has no full barcode, external code or product name to choose between them');
+    });
+});
@@ -0,0 +1,44 @@
+// tests/mock-sweedpos/fixtures.js
+
+// Default master data served by the mock. Store, driver and vehicle names match src/config/stores.json
+// so registry-driven runs find every option they look for.
+module.exports = {
+    credentials: {
+        username: 'transfers@example.com',
+        password: 'mock-password'
+    },
+    // Extra Microsoft sign-in screens, off by default: an account picker before the username page
+    // and an MFA step ('totp', 'push', or 'unknown' for a screen the bot does not know) after the password.
+    signIn: {
+        accountPicker: false,
+        otherAccounts: ['someone.else@example.com'],
+        mfa: null,
+        totpSecret: 'JBSWY3DPEHPK3PXP',
+        pushApproval: 'approve',
+        pushDelay: 300,
+        pushNumber: '42'
+    },
+    stores: [
+        'Ft Pierce Warehouse Hub',
+        'Ocala Warehouse Hub',
+        'Homestead Processing Hub',
+        'Mt. Dora Processing Hub'
+    ],
+    drivers: [
+        'Ange',
+        'James Roberts',
+        'Sergio Hervis',
+        'Courtney Bruce'
+    ],
+    vehicles: [
+        'Nissan NV200 - 1234',
+        'Ford Transit - 5678'
+    ],
+    products: [
+        { id: 'p-1001', name: 'Blue Dream 3.5g Flower', barcode: '1A4000000000000000001001', externalCode: 'BD-35' },
+        { id: 'p-1002', name: 'Gelato 1g Vape Cartridge', barcode: '1A4000000000000000002002', externalCode: 'GL-1V' },
+        { id: 'p-1003', name: 'Sour Diesel 7g Flower', barcode: '1A4000000000000000003003', externalCode: 'SD-7' },
+        { id: 'p-1004', name: 'Wedding Cake 10mg Gummies', barcode: '1A4000000000000000004004', externalCode: 'WC-10G' },
+        { id: 'p-1005', name: 'OG Kush 0.5g Pre-Roll', barcode: '1A4000000000000000005005', externalCode: 'OG-PR' }
+    ]
+};
@@ -0,0 +1,628 @@
+// tests/mock-sweedpos/server.js
+const http = require('http');
+const crypto = require('crypto');
+const fixtures = require('./fixtures');
+const { generateTotp } = require('../../src/utils/totp');
+
+const SESSION_COOKIE = 'mock_session';
+const DATE_PATTERN = /^\d{2}-\d{2}-\d{4} \d{2}:\d{2} (AM|PM)$/;
+// The Microsoft pages live under a path containing the real host name so the bot's
+// waitForURL(/login\.microsoftonline\.com/) matches without DNS tricks.
+const MICROSOFT_PATH = '/login.microsoftonline.com/common/oauth2/authorize';
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Header and side menu shown on every signed-in page, so the bot can reach Transfers from anywhere.
+const APP_SHELL = `
+<header><div class="rac-header__user-avatar" title="Account">TR</div></header>
+<nav>
+  <div title="Inventory" id="inventory">Inventory</div>
+  <div id="inventory-menu" class="hidden">
+    <a data-id="portal:dashboards:main_link_inventory-transfers" href="/transfers">Transfers</a>
+  </div>
+</nav>`;
+
+const APP_SHELL_SCRIPT = `
+document.getElementById('inventory').addEventListener('click', () => {
+  document.getElementById('inventory-menu').classList.toggle('hidden');
+});`;
+
+function layout(title, body, script = '') {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 0; }
+.hidden { display: none !important; }
+.rac-options { position: absolute; background: #fff; border: 1px solid #999; list-style: none; margin: 0; padding: 0; z-index: 10; }
+.rac-options li, .results li { padding: 4px 8px; cursor: pointer; }
+.rac-field { margin: 8px 0; }
+.rac-field__self { min-height: 24px; border: 1px solid #ccc; padding: 2px; cursor: pointer; }
+[role="dialog"] { position: fixed; top: 60px; left: 60px; width: 480px; background: #fff; border: 1px solid #333; padding: 12px; z-index: 20; }
+.results li.selected { background: #def; }
+.error { color: #b00; }
+</style>
+</head>
+<body>
+${body}
+<script>${script}</script>
+</body>
+</html>`;
+}
+
+/**
+ * A local stand-in for the Curaleaf SweedPos site and its Microsoft login, reproducing the
+ * selectors auto.js relies on. Drafts the bot creates are recorded in `state.transfers` (also
+ * served at GET /__mock/state) so tests can assert on what was submitted.
+ */
+class MockSweedPosServer {
+    /**
+     * @param {object} [options] - Overrides for the fixtures (credentials, stores, drivers, vehicles, products).
+     */
+    constructor(options = {}) {
+        this.options = { ...fixtures, ...options };
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => this.send(res, 500, { error: error.message }));
+        });
+        this.url = null;
+        this.reset();
+    }
+
+    /**
+     * Clears sessions, login attempts and recorded transfers, and restores the default sign-in screens.
+     */
+    reset() {
+        this.sessions = new Set();
+        this.challenges = new Map();
+        this.signIn = { ...this.options.signIn };
+        this.state = { loginAttempts: [], transfers: [] };
+    }
+
+    /**
+     * Changes the Microsoft sign-in screens until the next reset, e.g. { mfa: 'totp' }.
+     *
+     * @param {object} overrides - Fields of the signIn fixture to change.
+     */
+    configureSignIn(overrides) {
+        this.signIn = { ...this.signIn, ...overrides };
+    }
+
+    /**
+     * Starts listening on localhost.
+     *
+     * @param {number} [port=0] - Port to listen on; 0 picks a free one.
+     * @returns {Promise<string>} The base URL of the mock, e.g. "http://127.0.0.1:41234".
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (typeof this.server.closeAllConnections === 'function') this.server.closeAllConnections();
+            this.server.close(() => resolve());
+        });
+    }
+
+    getTransfer(id) {
+        return this.state.transfers.find(transfer => transfer.id === id) || null;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${url.pathname}`;
+        const session = this.getSession(req);
+
+        if (route === 'GET /__mock/state') return this.send(res, 200, this.state);
+        if (route === 'POST /__mock/reset') {
+            this.reset();
+            return this.send(res, 200, { ok: true });
+        }
+        if (route === 'GET /') return this.redirect(res, '/logout');
+        if (route === 'GET /logout') {
+            if (session) this.sessions.delete(session);
+            return this.html(res, this.renderSweedLogin(), { 'Set-Cookie': `${SESSION_COOKIE}=; Path=/; Max-Age=0` });
+        }
+        if (route === `GET ${MICROSOFT_PATH}`) return this.html(res, this.renderMicrosoftLogin(url.searchParams.get('login_hint')));
+        if (route === 'POST /login.microsoftonline.com/api/login') return this.login(req, res);
+        if (route === 'POST /login.microsoftonline.com/api/otc') return this.verifyCode(req, res);
+        if (route === 'GET /login.microsoftonline.com/api/push') return this.pushStatus(url.searchParams.get('challenge'), res);
+
+        if (!session) {
+            return url.pathname.startsWith('/api/') ? this.send(res, 401, { error: 'Not signed in' }) : this.redirect(res, '/logout');
+        }
+        if (route === 'GET /dashboard') return this.html(res, this.renderDashboard());
+        if (route === 'GET /transfers') return this.html(res, this.renderTransfers());
+        if (route === 'POST /api/transfers') return this.createTransfer(req, res);
+
+        const draftPage = /^\/transfers\/([^/]+)\/draft$/.exec(url.pathname);
+        if (req.method === 'GET' && draftPage) {
+            const transfer = this.getTransfer(draftPage[1]);
+            return transfer ? this.html(res, this.renderDraft(transfer)) : this.send(res, 404, { error: 'Transfer not found' });
+        }
+        const draftApi = /^\/api\/transfers\/([^/]+)\/(split|draft)$/.exec(url.pathname);
+        if (req.method === 'POST' && draftApi) {
+            const transfer = this.getTransfer(draftApi[1]);
+            if (!transfer) return this.send(res, 404, { error: 'Transfer not found' });
+            return draftApi[2] === 'split' ? this.splitTransfer(transfer, res) : this.updateDraft(transfer, req, res);
+        }
+        return this.send(res, 404, { error: `No mock route for ${route}` });
+    }
+
+    getSession(req) {
+        const cookie = (req.headers.cookie || '').split(';').map(part => part.trim())
+            .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+        const id = cookie ? cookie.slice(SESSION_COOKIE.length + 1) : '';
+        return id && this.sessions.has(id) ? id : null;
+    }
+
+    async readJson(req) {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        return body ? JSON.parse(body) : {};
+    }
+
+    send(res, status, payload, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+    }
+
+    html(res, body, headers = {}) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+        res.end(body);
+    }
+
+    redirect(res, location) {
+        res.writeHead(302, { Location: location });
+        res.end();
+    }
+
+    async login(req, res) {
+        const { username, password } = await this.readJson(req);
+        const success = username === this.options.credentials.username && password === this.options.credentials.password;
+        const { mfa } = this.signIn;
+        this.state.loginAttempts.push({ username, success, mfa, at: new Date().toISOString() });
+        if (!success) return this.send(res, 401, { error: 'Your account or password is incorrect.' });
+        if (!mfa) return this.startSession(res);
+
+        const challenge = crypto.randomBytes(8).toString('hex');
+        this.challenges.set(challenge, { mfa, createdAt: Date.now() });
+        return this.send(res, 200, { mfa, challenge, number: this.signIn.pushNumber });
+    }
+
+    startSession(res) {
+        const id = crypto.randomBytes(16).toString('hex');
+        this.sessions.add(id);
+        return this.send(res, 200, { ok: true }, { 'Set-Cookie': `${SESSION_COOKIE}=${id}; Path=/; HttpOnly` });
+    }
+
+    // Accepts the current authenticator code for the signIn.totpSecret, or the one just before it.
+    async verifyCode(req, res) {
+        const { challenge, code } = await this.readJson(req);
+        if (!this.challenges.has(challenge)) return this.send(res, 401, { error: 'Sign-in session expired.' });
+        const now = Date.now();
+        const valid = [now, now - 30000].map(time => generateTotp(this.signIn.totpSecret, { time }));
+        if (!valid.includes(code)) return this.send(res, 401, { error: 'You didn\'t enter the expected verification code.' });
+        this.challenges.delete(challenge);
+        return this.startSession(res);
+    }
+
+    // Polled by the approval screen: approved once signIn.pushDelay has passed, unless signIn.pushApproval is 'ignore' or 'deny'.
+    pushStatus(challenge, res) {
+        const pending = this.challenges.get(challenge);
+        if (!pending) return this.send(res, 401, { error: 'Sign-in session expired.' });
+        if (this.signIn.pushApproval === 'deny') return this.send(res, 200, { denied: true });
+        if (this.signIn.pushApproval !== 'approve' || Date.now() - pending.createdAt < this.signIn.pushDelay) {
+            return this.send(res, 200, { pending: true });
+        }
+        this.challenges.delete(challenge);
+        return this.startSession(res);
+    }
+
+    async createTransfer(req, res) {
+        const form = await this.readJson(req);
+        const errors = [];
+        if (!form.biotrack) errors.push('BioTrack must be enabled');
+        if (!this.options.stores.includes(form.toStore)) errors.push('To store is required');
+        if (!this.options.drivers.includes(form.driver1)) errors.push('Driver 1 is required');
+        if (form.driver2 && !this.options.drivers.includes(form.driver2)) errors.push('Driver 2 is unknown');
+        if (!this.options.vehicles.includes(form.vehicle)) errors.push('Vehicle is required');
+        if (!DATE_PATTERN.test(form.departure || '')) errors.push('Approximate departure date is required');
+        if (!DATE_PATTERN.test(form.arrival || '')) errors.push('Approximate arrival date is required');
+        if (errors.length > 0) return this.send(res, 400, { errors });
+
+        const transfer = this.addTransfer(form);
+        return this.send(res, 201, { id: transfer.id, url: `/transfers/${transfer.id}/draft` });
+    }
+
+    /**
+     * Records a new draft transfer, as submitting the "New transfer" form does. Tests can call it
+     * directly to start from an existing draft.
+     *
+     * @param {object} fields - toStore, driver1, driver2, vehicle, departure, arrival and route.
+     * @returns {object} The recorded transfer.
+     */
+    addTransfer(fields) {
+        const transfer = {
+            id: `T${String(this.state.transfers.length + 1).padStart(4, '0')}`,
+            status: 'draft',
+            toStore: fields.toStore,
+            biotrack: true,
+            driver1: fields.driver1,
+            driver2: fields.driver2 || '',
+            vehicle: fields.vehicle,
+            departure: fields.departure,
+            arrival: fields.arrival,
+            route: fields.route || '',
+            lines: [],
+            split: false,
+            applied: false,
+            draftUpdates: 0,
+            createdAt: new Date().toISOString()
+        };
+        this.state.transfers.push(transfer);
+        return transfer;
+    }
+
+    splitTransfer(transfer, res) {
+        transfer.split = true;
+        return this.send(res, 200, { ok: true });
+    }
+
+    async updateDraft(transfer, req, res) {
+        const { lines = [], applied = false } = await this.readJson(req);
+        const products = new Map(this.options.products.map(product => [product.id, product]));
+        transfer.lines = lines.filter(line => products.has(line.productId)).map(line => ({
+            productId: line.productId,
+            name: products.get(line.productId).name,
+            barcode: products.get(line.productId).barcode,
+            qty: String(line.qty)
+        }));
+        transfer.applied = transfer.applied || applied;
+        transfer.draftUpdates++;
+        return this.send(res, 200, { ok: true, lines: transfer.lines.length });
+    }
+
+    renderSweedLogin() {
+        const body = `
+<main>
+  <h1>SweedPos</h1>
+  <button type="button" id="microsoft">Log in with Microsoft</button>
+  <div id="email-step" class="hidden">
+    <input type="email" placeholder="Email">
+    <button type="button" id="verify">Verify</button>
+  </div>
+</main>`;
+        const script = `
+document.getElementById('microsoft').addEventListener('click', () => {
+  document.getElementById('email-step').classList.remove('hidden');
+});
+document.getElementById('verify').addEventListener('click', () => {
+  const email = document.querySelector('input[placeholder="Email"]').value;
+  setTimeout(() => { location.href = ${JSON.stringify(MICROSOFT_PATH)} + '?login_hint=' + encodeURIComponent(email); }, 50);
+});`;
+        return layout('SweedPos - Log in', body, script);
+    }
+
+    renderMicrosoftLogin(loginHint) {
+        // Each step replaces the previous one, so there is only ever one #idSIButton9 on the page,
+        // as on the real sign-in pages.
+        const body = `<main id="step"></main>`;
+        const accounts = [...this.signIn.otherAccounts, loginHint].filter(Boolean);
+        const settings = JSON.stringify({ accountPicker: this.signIn.accountPicker, accounts }).replace(/</g, '\\u003c');
+        const script = `
+const SIGN_IN = ${settings};
+const step = document.getElementById('step');
+function render(html, onSubmit, buttonId = 'idSIButton9') {
+  step.innerHTML = html;
+  const button = document.getElementById(buttonId);
+  if (button) button.addEventListener('click', () => { button.remove(); onSubmit(); });
+}
+async function postJson(path, payload) {
+  const response = await fetch('/login.microsoftonline.com/api/' + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  return { ok: response.ok, data: await response.json() };
+}
+function accountStep() {
+  step.innerHTML = '<h1 id="loginHeader">Pick an account</h1><div id="tilesHolder"></div><div id="otherTile" role="button">Use another account</div>';
+  SIGN_IN.accounts.forEach(account => {
+    const tile = document.createElement('div');
+    tile.setAttribute('data-test-id', account);
+    tile.setAttribute('role', 'button');
+    tile.textContent = account;
+    tile.addEventListener('click', () => { window.username = account; passwordStep(); });
+    document.getElementById('tilesHolder').appendChild(tile);
+  });
+  document.getElementById('otherTile').addEventListener('click', emailStep);
+}
+function emailStep() {
+  render('<h1>Sign in</h1><input type="email" name="loginfmt" value="${escapeHtml(loginHint)}"><input type="submit" id="idSIButton9" value="Next">', passwordStep);
+}
+function passwordStep(message) {
+  const username = document.querySelector('input[name="loginfmt"]') ? document.querySelector('input[name="loginfmt"]').value : window.username;
+  window.username = username;
+  render('<h1>Enter password</h1>' + (message ? '<div class="error" id="passwordError">' + message + '</div>' : '') +
+    '<input type="password" name="passwd"><input type="submit" id="idSIButton9" value="Sign in">', async () => {
+    const password = document.querySelector('input[type="password"]').value;
+    const { ok, data } = await postJson('login', { username: window.username, password });
+    if (!ok) return passwordStep(data.error);
+    if (data.mfa === 'totp') return codeStep(data.challenge);
+    if (data.mfa === 'push') return approvalStep(data);
+    if (data.mfa === 'unknown') return render('<h1 id="loginHeader">Verify your phone number</h1><input type="tel" name="phone">');
+    staySignedInStep();
+  });
+}
+function codeStep(challenge, message) {
+  render('<h1 id="loginHeader">Enter code</h1>' + (message ? '<div class="error" id="idSpan_SAOTCC_Error_OTC">' + message + '</div>' : '') +
+    '<input type="tel" name="otc"><input type="submit" id="idSubmit_SAOTCC_Continue" value="Verify">', async () => {
+    const { ok, data } = await postJson('otc', { challenge, code: document.querySelector('input[name="otc"]').value });
+    if (!ok) return codeStep(challenge, data.error);
+    staySignedInStep();
+  }, 'idSubmit_SAOTCC_Continue');
+}
+function approvalStep({ challenge, number }) {
+  render('<div id="idDiv_SAOTCAS_Title" role="heading">Approve sign in request</div><div id="idRichContext_DisplaySign">' + number + '</div>');
+  const timer = setInterval(async () => {
+    const response = await fetch('/login.microsoftonline.com/api/push?challenge=' + challenge);
+    const data = await response.json();
+    if (data.pending) return;
+    clearInterval(timer);
+    if (data.denied) return render('<h1 id="loginHeader">Request denied</h1>');
+    staySignedInStep();
+  }, 200);
+}
+function staySignedInStep() {
+  render('<h1>Stay signed in?</h1><label><input type="checkbox" id="KmsiCheckboxField"> Don\\'t show this again</label>' +
+    '<input type="button" id="idBtn_Back" value="No"><input type="submit" id="idSIButton9" value="Yes">', () => {
+    location.href = '/dashboard';
+  });
+  document.getElementById('idBtn_Back').addEventListener('click', () => { location.href = '/dashboard'; });
+}
+if (SIGN_IN.accountPicker) accountStep();
+else emailStep();`;
+        return layout('Sign in to your account', body, script);
+    }
+
+    renderDashboard() {
+        return layout('SweedPos - Dashboard', `${APP_SHELL}\n<main><h1>Dashboard</h1></main>`, APP_SHELL_SCRIPT);
+    }
+
+    renderTransfers() {
+        const { stores, drivers, vehicles } = this.options;
+        const rows = this.state.transfers.map(transfer => `
+    <tr><td>${escapeHtml(transfer.id)}</td><td>${escapeHtml(transfer.toStore)}</td><td>${escapeHtml(transfer.departure)}</td><td>${transfer.status === 'draft' ? 'Draft' : escapeHtml(transfer.status)}</td></tr>`).join('');
+        // Labels and value holders are separate divs so `div` filtered by /^To store\*$/ resolves to
+        // the field wrapper, whose second div is the clickable value, as in SweedPos.
+        const selectField = (label, name) => `
+    <div class="rac-field"><div class="rac-field__label">${label}</div><div class="rac-field__self" data-field="${name}"><input type="text" readonly data-value="${name}"></div></div>`;
+        const body = `${APP_SHELL}
+<main>
+  <h1>Transfers</h1>
+  <button type="button" id="new-transfer">New transfer</button>
+  <form id="transfer-form" class="hidden" onsubmit="return false">
+    <div class="rac-field"><label><input type="checkbox" name="biotrack"> BioTrack</label></div>
+    ${selectField('To store*', 'toStore')}
+    <div class="rac-field"><div class="rac-field__label">Driver 1*</div><div class="rac-field__self"><input type="text" readonly name="$$biotrackFl$biotrackDriver1" data-options="drivers"></div></div>
+    <div class="rac-field"><div class="rac-field__label">Driver 2</div><div class="rac-field__self"><input type="text" readonly name="$$biotrackFl$biotrackDriver2" data-options="drivers"></div></div>
+    <div class="rac-field"><div class="rac-field__label">Vehicle*</div><div class="rac-field__self"><input type="text" readonly name="$$biotrackFl$biotrackVehicle" data-options="vehicles"></div></div>
+    ${selectField('Approximate departure date*', 'departure')}
+    ${selectField('Approximate arrival date*', 'arrival')}
+    <div class="rac-field"><div class="rac-field__label">Planned route</div><div class="rac-field__self"><textarea name="$$biotrackFl$plannedRoad"></textarea></div></div>
+    <div class="error" id="form-errors"></div>
+    <button type="button" id="create-transfer">Create transfer</button>
+  </form>
+  <table id="transfers-list"><thead><tr><th>ID</th><th>To store</th><th>Departure</th><th>Status</th></tr></thead><tbody>${rows}
+  </tbody></table>
+</main>`;
+        const script = `${APP_SHELL_SCRIPT}
+const OPTIONS = ${JSON.stringify({ toStore: stores, drivers, vehicles })};
+let openList = null;
+function closeList() {
+  if (openList) openList.remove();
+  openList = null;
+}
+function showOptions(anchor, options, onPick) {
+  closeList();
+  const list = document.createElement('ul');
+  list.className = 'rac-options';
+  options.forEach(option => {
+    const item = document.createElement('li');
+    item.textContent = option;
+    item.addEventListener('click', event => {
+      event.stopPropagation();
+      onPick(option);
+      closeList();
+    });
+    list.appendChild(item);
+  });
+  const rect = anchor.getBoundingClientRect();
+  list.style.left = rect.left + 'px';
+  list.style.top = (rect.bottom + window.scrollY) + 'px';
+  document.body.appendChild(list);
+  openList = list;
+}
+function showPicker(target) {
+  closeList();
+  const picker = document.createElement('div');
+  picker.className = 'rac-options';
+  picker.innerHTML = '<input type="text" placeholder="MM-DD-YYYY hh:mm A"><button type="button">Ok</button>';
+  picker.addEventListener('click', event => event.stopPropagation());
+  picker.querySelector('button').addEventListener('click', () => {
+    target.value = picker.querySelector('input').value;
+    closeList();
+  });
+  document.body.appendChild(picker);
+  openList = picker;
+}
+document.addEventListener('click', closeList);
+document.getElementById('new-transfer').addEventListener('click', () => {
+  document.getElementById('transfer-form').classList.remove('hidden');
+});
+document.querySelectorAll('[data-field]').forEach(field => {
+  field.addEventListener('click', event => {
+    event.stopPropagation();
+    const input = field.querySelector('input');
+    if (field.dataset.field === 'toStore') showOptions(field, OPTIONS.toStore, value => { input.value = value; });
+    else showPicker(input);
+  });
+});
+document.querySelectorAll('input[data-options]').forEach(input => {
+  input.addEventListener('click', event => {
+    event.stopPropagation();
+    showOptions(input, OPTIONS[input.dataset.options], value => { input.value = value; });
+  });
+});
+document.getElementById('create-transfer').addEventListener('click', async () => {
+  const value = name => document.querySelector('[name="' + name + '"]').value;
+  const form = {
+    biotrack: document.querySelector('input[name="biotrack"]').checked,
+    toStore: document.querySelector('[data-value="toStore"]').value,
+    driver1: value('$$biotrackFl$biotrackDriver1'),
+    driver2: value('$$biotrackFl$biotrackDriver2'),
+    vehicle: value('$$biotrackFl$biotrackVehicle'),
+    departure: document.querySelector('[data-value="departure"]').value,
+    arrival: document.querySelector('[data-value="arrival"]').value,
+    route: value('$$biotrackFl$plannedRoad')
+  };
+  const response = await fetch('/api/transfers', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(form)
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    document.getElementById('form-errors').textContent = result.errors.join('; ');
+    return;
+  }
+  location.href = result.url;
+});`;
+        return layout('SweedPos - Transfers', body, script);
+    }
+
+    renderDraft(transfer) {
+        const rows = transfer.lines.map(line => `
+      <tr data-product-id="${escapeHtml(line.productId)}"><td>${escapeHtml(line.name)}</td><td>${escapeHtml(line.barcode)}</td><td><input type="text" name="qty" value="${escapeHtml(line.qty)}"></td></tr>`).join('');
+        const body = `${APP_SHELL}
+<main>
+  <h1>Draft transfer ${escapeHtml(transfer.id)} to ${escapeHtml(transfer.toStore)}</h1>
+  <button type="button" id="add-product">Add product manually</button>
+  <table id="lines"><thead><th>Product</th><th>Barcode</th><th>Quantity</th></thead><tbody>${rows}
+  </tbody></table>
+  <div id="page-actions">
+    <button type="button" id="apply-page">Apply</button>
+    <button type="button" id="split-all">Split All</button>
+    <button type="button" id="update-draft">Update draft</button>
+  </div>
+  <div id="status"></div>
+</main>
+<div role="dialog" aria-label="Add product" id="product-dialog" class="hidden">
+  <input type="text" aria-label="Search" placeholder="Search">
+  <ul class="results"></ul>
+  <div id="no-items" class="hidden">No items found</div>
+  <button type="button" id="apply-dialog">Apply</button>
+</div>`;
+        const script = `${APP_SHELL_SCRIPT}
+const PRODUCTS = ${JSON.stringify(this.options.products)};
+const TRANSFER_ID = ${JSON.stringify(transfer.id)};
+const dialog = document.getElementById('product-dialog');
+const search = dialog.querySelector('input');
+const results = dialog.querySelector('.results');
+const pageActions = document.getElementById('page-actions');
+let selected = null;
+let applied = false;
+function openDialog() {
+  selected = null;
+  search.value = '';
+  results.innerHTML = '';
+  document.getElementById('no-items').classList.add('hidden');
+  dialog.classList.remove('hidden');
+  // Only one Apply button is visible at a time, as in SweedPos.
+  pageActions.classList.add('hidden');
+}
+function closeDialog() {
+  dialog.classList.add('hidden');
+  pageActions.classList.remove('hidden');
+}
+function renderResults() {
+  const query = search.value.trim().toLowerCase();
+  results.innerHTML = '';
+  selected = null;
+  const matches = query ? PRODUCTS.filter(p => p.barcode.toLowerCase().includes(query) || p.name.toLowerCase().includes(query)) : [];
+  document.getElementById('no-items').classList.toggle('hidden', !query || matches.length > 0);
+  matches.forEach(product => {
+    const item = document.createElement('li');
+    item.textContent = product.name + ' | ' + product.barcode + ' | ' + product.externalCode;
+    item.addEventListener('click', () => {
+      results.querySelectorAll('li').forEach(li => li.classList.remove('selected'));
+      item.classList.add('selected');
+      selected = product;
+    });
+    results.appendChild(item);
+  });
+}
+function addLine(product) {
+  const row = document.createElement('tr');
+  row.dataset.productId = product.id;
+  row.innerHTML = '<td></td><td></td><td><input type="text" name="qty" value=""></td>';
+  row.cells[0].textContent = product.name;
+  row.cells[1].textContent = product.barcode;
+  document.querySelector('#lines tbody').appendChild(row);
+}
+async function post(path, payload) {
+  const response = await fetch('/api/transfers/' + TRANSFER_ID + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload || {})
+  });
+  document.getElementById('status').textContent = response.ok ? 'Saved' : 'Save failed';
+}
+document.getElementById('add-product').addEventListener('click', openDialog);
+search.addEventListener('input', renderResults);
+document.getElementById('apply-dialog').addEventListener('click', () => {
+  if (selected) addLine(selected);
+  closeDialog();
+});
+document.addEventListener('keydown', event => {
+  if (event.key === 'Escape') closeDialog();
+});
+document.getElementById('apply-page').addEventListener('click', () => { applied = true; });
+document.getElementById('split-all').addEventListener('click', () => post('/split'));
+document.getElementById('update-draft').addEventListener('click', () => {
+  const lines = Array.from(document.querySelectorAll('#lines tbody tr')).map(row => ({
+    productId: row.dataset.productId,
+    qty: row.querySelector('input[name="qty"]').value
+  }));
+  post('/draft', { lines, applied });
+});`;
+        return layout(`SweedPos - Draft ${transfer.id}`, body, script);
+    }
+}
+
+// `node tests/mock-sweedpos/server.js [port]` runs the mock on its own for manual debugging.
+if (require.main === module) {
+    const server = new MockSweedPosServer();
+    server.start(Number(process.argv[2]) || 4010).then(url => {
+        console.log(`Mock SweedPos listening on ${url}`);
+        console.log(`Log in at ${url}/logout as ${server.options.credentials.username} / ${server.options.credentials.password}`);
+    });
+}
+
+module.exports = MockSweedPosServer;
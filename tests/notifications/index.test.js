@@ -0,0 +1,183 @@
+// tests/notifications/index.test.js
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const { RunHistory, RunRecorder } = require('../../src/history');
+const { Notifier } = require('../../src/notifications');
+const logger = require('../../src/utils/logger');
+
+// Accepts one message per connection and keeps what the client sent.
+function startSmtpServer() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        const session = { commands: [], data: '' };
+        let inData = false;
+        let buffer = '';
+        socket.write('220 smtp.test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(session);
+                        socket.write('250 queued\r\n');
+                    } else {
+                        session.data += `${line}\n`;
+                    }
+                    continue;
+                }
+                session.commands.push(line);
+                if (line.startsWith('EHLO')) socket.write('250-smtp.test\r\n250 AUTH PLAIN\r\n');
+                else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+                else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') socket.end('221 bye\r\n');
+                else socket.write('250 ok\r\n');
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port })));
+}
+
+describe('notifications', () => {
+    let dir;
+    let webhook;
+    let smtp;
+    const requests = [];
+
+    beforeAll(async () => {
+        webhook = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                requests.push({ url: request.url, headers: request.headers, body: JSON.parse(body) });
+                response.writeHead(request.url === '/broken' ? 500 : 204).end();
+            });
+        });
+        await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+        smtp = await startSmtpServer();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => webhook.close(resolve));
+        await new Promise(resolve => smtp.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-notifications-'));
+        requests.length = 0;
+        smtp.messages.length = 0;
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        delete process.env.TEST_SMTP_PASSWORD;
+    });
+
+    function recordPartialRun() {
+        const run = RunRecorder.start({ userConfig: { multiStore: true }, transferData: { source: { path: '/in/manifest.xlsx' } }, history: new RunHistory({ filePath: path.join(dir, 'runs.jsonl') }) });
+        const ftp = run.startStore({ store: 'FTP', toStore: 'FTP Warehouse Hub' });
+        ftp.recordDraft('https://sweedpos.test/transfers/42/draft');
+        ftp.complete({ added: 3, skipped: 1, resumed: 0, needsReview: 0 });
+        const ocala = run.startStore({ store: 'Ocala', toStore: 'Ocala Warehouse Hub' });
+        ocala.fail(new Error('Update draft failed'));
+        run.addError('Ocala: Update draft failed');
+        run.addArtifact('htmlReport', '/reports/run/report.html');
+        run.end('partial', 4);
+        return run;
+    }
+
+    test('sends the events each channel asked for by webhook, email and command', async () => {
+        const webhookUrl = `http://127.0.0.1:${webhook.address().port}/hooks/secret-token`;
+        const commandOutput = path.join(dir, 'command.json');
+        process.env.TEST_SMTP_PASSWORD = 'smtp-pass';
+        const notifier = new Notifier({
+            channels: [
+                { type: 'webhook', url: webhookUrl, headers: { 'X-Team': 'warehouse' }, on: ['start', 'partial'] },
+                { type: 'email', host: '127.0.0.1', port: smtp.port, from: 'bot@example.com', to: ['ops@example.com', 'lead@example.com'], username: 'bot', passwordEnv: 'TEST_SMTP_PASSWORD', on: ['failure', 'partial'] },
+                { type: 'command', command: `node -e "process.stdin.pipe(require('fs').createWriteStream(process.argv[1]))" "${commandOutput}"` }
+            ]
+        });
+        const run = recordPartialRun();
+
+        expect(await notifier.notify('start', run.record)).toEqual([{ channel: 'webhook', sent: true }]);
+        expect(requests[0].body).toMatchObject({ event: 'start', runId: run.runId });
+
+        expect(await notifier.notifyFinished(run.record)).toEqual([
+            { channel: 'webhook', sent: true },
+            { channel: 'email', sent: true },
+            { channel: 'command', sent: true }
+        ]);
+        expect(requests[1].headers['x-team']).toBe('warehouse');
+        expect(requests[1].body).toMatchObject({
+            event: 'partial',
+            status: 'partial',
+            exitCode: 4,
+            store: 'FTP, Ocala',
+            totals: { added: 3, skipped: 1, resumed: 0, needsReview: 0 },
+            errors: ['Run: Ocala: Update draft failed'],
+            report: '/reports/run/report.html'
+        });
+        expect(requests[1].body.stores[1]).toMatchObject({ store: 'Ocala', status: 'failed', reason: 'Update draft failed' });
+
+        const [message] = smtp.messages;
+        expect(message.commands).toContain(`AUTH PLAIN ${Buffer.from('\0bot\0smtp-pass').toString('base64')}`);
+        expect(message.commands.filter(line => line.startsWith('RCPT TO'))).toEqual(['RCPT TO:<ops@example.com>', 'RCPT TO:<lead@example.com>']);
+        expect(message.data).toContain(`Subject: [auto-manifest] Transfer partial: FTP, Ocala (run ${run.runId.slice(0, 8)})`);
+        expect(message.data).toContain('Report: /reports/run/report.html');
+
+        expect(JSON.parse(fs.readFileSync(commandOutput, 'utf-8'))).toMatchObject({ event: 'partial', runId: run.runId });
+    });
+
+    test('logs a failing channel without failing the others', async () => {
+        const notifier = new Notifier({
+            channels: [
+                { type: 'webhook', url: `http://127.0.0.1:${webhook.address().port}/broken` },
+                { type: 'command', command: 'node -e "process.exit(3)"' },
+                { type: 'webhook', url: `http://127.0.0.1:${webhook.address().port}/ok` }
+            ]
+        });
+        const run = recordPartialRun();
+        run.end('dry-run', 0);
+        expect(await notifier.notifyFinished(run.record)).toEqual([]);
+
+        run.end('failed', 1, new Error('Login failed'));
+        expect(await notifier.notifyFinished(run.record)).toEqual([
+            { channel: 'webhook', sent: false, error: 'Webhook answered 500 Internal Server Error' },
+            { channel: 'command', sent: false, error: 'Notification command failed (exit code 3)' },
+            { channel: 'webhook', sent: true }
+        ]);
+        expect(requests.map(request => request.body.error)).toEqual(['Login failed', 'Login failed']);
+
+    });
+
+    test('leaves out misconfigured channels with a warning instead of throwing', async () => {
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        try {
+            const notifier = new Notifier({
+                channels: [
+                    { type: 'pager' },
+                    { type: 'email', host: 'smtp.test' },
+                    { type: 'webhook' },
+                    { type: 'webhook', url: `http://127.0.0.1:${webhook.address().port}/ok`, on: ['start'] }
+                ]
+            });
+            expect(notifier.channels).toHaveLength(1);
+            expect(warn.mock.calls.map(([message]) => message)).toEqual([
+                'Skipping a notification channel: Unknown notification channel "pager", expected one of: webhook, email, command',
+                'Skipping a notification channel: An email channel needs a "host", "from" and "to"',
+                'Skipping a notification channel: A webhook channel needs a "url"'
+            ]);
+            expect(await notifier.notify('start', recordPartialRun().record)).toEqual([{ channel: 'webhook', sent: true }]);
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,146 @@
+// tests/pages/selectorMap.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const logger = require('../../src/utils/logger');
+const selectorMap = require('../../src/pages/selectorMap');
+const { SelectorError } = require('../../src/pages/selectorMap');
+
+// Describes the locator chain a selector entry builds instead of resolving it in a browser
+function stubLocator(description) {
+    const format = value => (value instanceof RegExp ? String(value) : JSON.stringify(value));
+    return {
+        description,
+        filter: options => stubLocator(`${description}.filter(${format(options.hasText)})`),
+        locator: selector => stubLocator(`${description}.locator(${selector})`),
+        nth: index => stubLocator(`${description}.nth(${index})`)
+    };
+}
+
+const page = {
+    locator: selector => stubLocator(`locator(${selector})`),
+    getByRole: (role, options) => stubLocator(`getByRole(${role}, ${JSON.stringify(options)})`),
+    getByPlaceholder: (text, options) => stubLocator(`getByPlaceholder(${text}, ${JSON.stringify(options)})`),
+    getByText: (text, options) => stubLocator(`getByText(${text}, ${JSON.stringify(options)})`)
+};
+
+function errorOf(callback) {
+    try {
+        callback();
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('selector map', () => {
+    let dir;
+    let overridePath;
+    let previousPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-selectors-'));
+        overridePath = path.join(dir, 'selectors.local.json');
+        previousPath = config.get('paths.selectorOverrides');
+        config.set('paths.selectorOverrides', overridePath);
+    });
+
+    afterEach(() => {
+        config.set('paths.selectorOverrides', previousPath);
+        selectorMap.load();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function loadOverrides(selectors, version = selectorMap.version) {
+        fs.writeFileSync(overridePath, JSON.stringify({ version, selectors }));
+        selectorMap.load();
+    }
+
+    test('builds locators from strings, getBy* entries and narrowed selectors', () => {
+        selectorMap.load();
+
+        expect(selectorMap.locator(page, 'draft', 'qtyInput').description).toBe('locator(input[name="qty"])');
+        expect(selectorMap.locator(page, 'draft', 'updateDraft').description).toBe('getByRole(button, {"name":"Update draft"})');
+        expect(selectorMap.locator(page, 'productPicker', 'noResults').description).toBe('getByText(No items found, {})');
+        expect(selectorMap.locator(page, 'transferForm', 'dateInput').description).toBe('getByPlaceholder(MM-DD-YYYY hh:mm A, {})');
+        expect(selectorMap.locator(page, 'transferForm', 'toStore').description).toBe('locator(div).filter(/^To store\\*$/).locator(div).nth(1)');
+
+        expect(() => selectorMap.locator(page, 'productPicker', 'focusAway')).toThrow('Selector "productPicker.focusAway" is not an element selector');
+        expect(() => selectorMap.locator(page, 'login', 'microsoftUrl')).toThrow(SelectorError);
+        expect(() => selectorMap.get('draft', 'cancel')).toThrow('No selector "draft.cancel" in the selector map');
+    });
+
+    test('fills "{name}" placeholders from the parameters', () => {
+        selectorMap.load();
+        expect(selectorMap.locator(page, 'transferForm', 'option', { value: 'Van 2' }).description).toBe('locator(li).filter("Van 2")');
+        // Placeholders without a parameter are left as they are
+        expect(selectorMap.locator(page, 'transferForm', 'option').description).toBe('locator(li).filter("{value}")');
+
+        loadOverrides({ productPicker: { results: { role: 'listitem', name: '{barcode} {name}', exact: true } } });
+        expect(selectorMap.locator(page, 'productPicker', 'results', { barcode: 1001 }).description)
+            .toBe('getByRole(listitem, {"name":"1001 {name}","exact":true})');
+    });
+
+    test('replaces single entries from the override file', () => {
+        loadOverrides({ transferForm: { driver1: 'input[name="driverOne"]' } });
+
+        expect(selectorMap.overridePath).toBe(overridePath);
+        expect(selectorMap.get('transferForm', 'driver1')).toBe('input[name="driverOne"]');
+        expect(selectorMap.getSource('transferForm', 'driver1')).toBe('override');
+        expect(selectorMap.getSource('transferForm', 'driver2')).toBe('default');
+        expect(selectorMap.getOverriddenKeys()).toEqual(['transferForm.driver1']);
+    });
+
+    test('rejects an override for a key the map does not have', () => {
+        const error = errorOf(() => loadOverrides({ transferForm: { driver3: 'input[name="driverThree"]' } }));
+
+        expect(error).toBeInstanceOf(SelectorError);
+        expect(error.key).toBe('transferForm.driver3');
+        expect(error.message).toBe(`Selector override "transferForm.driver3" in ${overridePath} does not match any selector in the map`);
+        expect(() => loadOverrides({ checkout: { pay: 'button' } })).toThrow('Selector override "checkout.pay"');
+
+        fs.writeFileSync(overridePath, '{ "selectors":');
+        expect(() => selectorMap.load()).toThrow(`Failed to load selector overrides ${overridePath}`);
+    });
+
+    test('warns when the overrides were written for another map version', () => {
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        try {
+            loadOverrides({ draft: { qtyInput: 'input.qty' } }, selectorMap.version + 1);
+            expect(warn).toHaveBeenCalledWith(
+                `Selector overrides in ${overridePath} were written for selector map version ${selectorMap.version + 1}, ` +
+                `the current map is version ${selectorMap.version}. Check the overridden selectors still apply.`
+            );
+            expect(selectorMap.get('draft', 'qtyInput')).toBe('input.qty');
+
+            warn.mockClear();
+            loadOverrides({ draft: { qtyInput: 'input.qty' } });
+            expect(warn).not.toHaveBeenCalled();
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('validates every entry after the overrides are applied', () => {
+        const error = errorOf(() => loadOverrides({
+            draft: {
+                qtyInput: ' ',
+                apply: ['button'],
+                splitAll: { role: 'button', text: 'Split All' },
+                updateDraft: { selector: 'button', hasTextMatching: '(Update' }
+            },
+            productPicker: { focusAway: { point: { x: '1200', y: 600 } } }
+        }));
+
+        expect(error).toBeInstanceOf(SelectorError);
+        expect(error.message).toBe([
+            'Invalid selector map:',
+            '  productPicker.focusAway "point" needs numeric x and y',
+            '  draft.qtyInput is empty',
+            '  draft.apply must be a selector string or an object',
+            '  draft.splitAll must have exactly one of: selector, role, placeholder, text, point, urlPattern',
+            `  draft.updateDraft "hasTextMatching" is not a valid pattern: ${errorOf(() => new RegExp('(Update')).message}`
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,116 @@
+// tests/registry/index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const storeRegistry = require('../../src/registry');
+const { RegistryError } = require('../../src/registry');
+
+const FTP = {
+    label: 'Ft. Pierce (FTP)',
+    toStore: 'Ft Pierce Warehouse Hub',
+    drivers: { driver1: 'Ange', driver2: 'James Roberts' },
+    vehicles: ['Van 2'],
+    departureTime: '07:00 AM',
+    arrivalTime: '12:00 PM'
+};
+
+function errorOf(callback) {
+    try {
+        callback();
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('store registry', () => {
+    let dir;
+    let filePath;
+    let previousPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-registry-'));
+        filePath = path.join(dir, 'stores.json');
+        fs.writeFileSync(filePath, JSON.stringify({ version: 1, stores: { FTP } }));
+        previousPath = config.get('paths.storeRegistry');
+        config.set('paths.storeRegistry', filePath);
+        storeRegistry.load();
+    });
+
+    afterEach(() => {
+        config.set('paths.storeRegistry', previousPath);
+        storeRegistry.load();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function savedStores() {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8')).stores;
+    }
+
+    test('loads the file set by paths.storeRegistry', () => {
+        expect(storeRegistry.filePath).toBe(filePath);
+        expect(storeRegistry.list()).toEqual(['FTP']);
+        expect(storeRegistry.get('FTP')).toEqual(FTP);
+        expect(storeRegistry.get('Ocala')).toBeNull();
+
+        fs.writeFileSync(filePath, JSON.stringify({ version: 1 }));
+        expect(() => storeRegistry.load()).toThrow(`Store registry ${filePath} has no "stores" object`);
+        fs.writeFileSync(filePath, '{ "stores":');
+        expect(() => storeRegistry.load()).toThrow(RegistryError);
+    });
+
+    test('adds a store and saves it', () => {
+        storeRegistry.add('Tampa', { toStore: 'Tampa Warehouse Hub', drivers: { driver1: 'Jane Doe' }, departureTime: '08:00 AM', arrivalTime: '01:00 PM' });
+
+        expect(storeRegistry.list()).toEqual(['FTP', 'Tampa']);
+        expect(savedStores().Tampa).toEqual({ toStore: 'Tampa Warehouse Hub', drivers: { driver1: 'Jane Doe' }, departureTime: '08:00 AM', arrivalTime: '01:00 PM' });
+        expect(() => storeRegistry.add('FTP', FTP)).toThrow('Store "FTP" already exists in the registry, use update instead');
+        expect(() => storeRegistry.add('Ocala', { label: 'Ocala' })).toThrow('Ocala: "toStore" (SweedPos destination name) is required');
+        expect(storeRegistry.has('Ocala')).toBe(false);
+    });
+
+    test('updates a store, merging its drivers', () => {
+        storeRegistry.update('FTP', { drivers: { driver1: 'Courtney Bruce' }, vehicles: ['Van 3', 'Van 2'], route: 'I-95 North' });
+
+        expect(savedStores().FTP).toEqual({
+            ...FTP,
+            drivers: { driver1: 'Courtney Bruce', driver2: 'James Roberts' },
+            vehicles: ['Van 3', 'Van 2'],
+            route: 'I-95 North'
+        });
+        expect(() => storeRegistry.update('Ocala', { route: 'I-75' })).toThrow('Store "Ocala" is not in the registry, use add instead');
+        expect(() => storeRegistry.update('FTP', { arrivalTime: '06:00 AM' })).toThrow('FTP: "arrivalTime" must be after "departureTime"');
+        expect(savedStores().FTP.arrivalTime).toBe('12:00 PM');
+    });
+
+    test('validates every entry', () => {
+        expect(storeRegistry.validate()).toEqual([]);
+        expect(storeRegistry.validateEntry('Ocala', {
+            toStore: '',
+            driver: 'Sergio Hervis',
+            drivers: ['Sergio Hervis'],
+            vehicles: 'Van 2',
+            departureTime: '7am'
+        })).toEqual([
+            'Ocala: unknown field "driver"',
+            'Ocala: "toStore" (SweedPos destination name) is required',
+            'Ocala: "drivers" must be an object with driver1/driver2',
+            'Ocala: "vehicles" must be a list of names',
+            'Ocala: "departureTime" must look like "07:00 AM", got "7am"',
+            'Ocala: set both "departureTime" and "arrivalTime" or neither'
+        ]);
+    });
+
+    test('names the manifest store columns that have no entry', () => {
+        expect(() => storeRegistry.requireStores(['FTP'])).not.toThrow();
+
+        const error = errorOf(() => storeRegistry.requireStores(['FTP', 'Ocala', 'Tampa']));
+        expect(error).toBeInstanceOf(RegistryError);
+        expect(error.storeNames).toEqual(['Ocala', 'Tampa']);
+        expect(error.message).toBe(
+            `The manifest has columns for "Ocala", "Tampa" but the store registry (${filePath}) has no entry for them. ` +
+            'Add each with: node auto.js stores add "<name>" --to-store "<SweedPos destination>"'
+        );
+    });
+});
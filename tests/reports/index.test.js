@@ -0,0 +1,74 @@
+// tests/reports/index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { readTransferData } = require('../../auto');
+const { RunHistory, RunRecorder } = require('../../src/history');
+const { getRowStatus, writeRunReports } = require('../../src/reports');
+
+describe('run reports', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-reports-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeManifest() {
+        const rows = [
+            ['Manifest for week 42'],
+            [],
+            ['#', 'Last 4 of Barcode', 'FTP Units', 'Ocala Units', 'Total Unit Count'],
+            ['1', '1001', '5', '2', '7'],
+            ['2', '2002', '0', '3', '3'],
+            ['3', '3003', '4', '0', '4']
+        ];
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Manifest');
+        const manifestPath = path.join(dir, 'manifest.xlsx');
+        XLSX.writeFile(workbook, manifestPath);
+        return manifestPath;
+    }
+
+    test('writes the HTML, JSON and annotated workbook with a status per row and store', async () => {
+        const manifest = readTransferData(writeManifest());
+        const screenshot = path.join(dir, 'error.png');
+        fs.writeFileSync(screenshot, Buffer.from('fake png'));
+
+        const run = RunRecorder.start({ userConfig: { multiStore: true }, transferData: manifest, history: new RunHistory({ filePath: path.join(dir, 'runs.jsonl') }) });
+        const ftp = run.startStore({ store: 'FTP', toStore: 'FTP Warehouse Hub' });
+        ftp.recordRow('1', 'added', { barcode: '1001', qty: '5', product: 'Blue Dream <1g>' });
+        ftp.recordRow('2', 'skipped', { barcode: '2002', reason: 'quantity is 0' });
+        ftp.recordRow('3', 'added', { barcode: '3003', qty: '4' });
+        ftp.complete({ added: 2, skipped: 1, resumed: 0, needsReview: 0 });
+        const ocala = run.startStore({ store: 'Ocala', toStore: 'Ocala Warehouse Hub' });
+        ocala.recordRow('1', 'added', { barcode: '1001', qty: '2' });
+        ocala.fail(new Error('Update draft failed'), { screenshot });
+        run.end('partial', 4);
+
+        expect(getRowStatus(run.record.stores[0], '2')).toBe('skipped: quantity is 0');
+        expect(getRowStatus(run.record.stores[1], '2')).toBe('failed');
+
+        const reports = await writeRunReports(run.record, manifest, dir);
+        expect(path.dirname(reports.html)).toBe(path.join(dir, 'reports', `${run.record.startedAt.replace(/[:.]/g, '-')}-${run.runId.slice(0, 8)}`));
+
+        const html = fs.readFileSync(reports.html, 'utf-8');
+        expect(html).toContain('Blue Dream &lt;1g&gt;');
+        expect(html).toContain(`data:image/png;base64,${Buffer.from('fake png').toString('base64')}`);
+
+        const json = JSON.parse(fs.readFileSync(reports.json, 'utf-8'));
+        expect(json.summary.totals).toEqual({ added: 3, skipped: 1, needsReview: 0, failed: 2, notProcessed: 0 });
+        expect(json.rows[1]).toEqual({ row: '2', barcode: '2002', stores: { FTP: 'skipped: quantity is 0', Ocala: 'failed' } });
+
+        const sheet = XLSX.readFile(reports.workbook).Sheets.Manifest;
+        const annotated = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        expect(annotated[2].slice(5)).toEqual(['FTP Status', 'Ocala Status']);
+        expect(annotated[3].slice(5)).toEqual(['added', 'added']);
+        expect(annotated[4].slice(5)).toEqual(['skipped: quantity is 0', 'failed']);
+        expect(annotated[5].slice(5)).toEqual(['added', 'failed']);
+    });
+});
@@ -0,0 +1,116 @@
+// tests/utils/checkpoint.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const CheckpointJournal = require('../../src/utils/checkpoint');
+const { CheckpointError } = require('../../src/utils/checkpoint');
+
+const TRANSFER = {
+    store: 'Mt. Dora',
+    departureDate: '3/16/2026',
+    transferData: [{ '#': '1', 'Last 4 of Barcode': '1001' }, { '#': '2', 'Last 4 of Barcode': '2002' }]
+};
+
+describe('checkpoint journal', () => {
+    let dir;
+    let previousTemp;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-checkpoint-'));
+        previousTemp = config.get('paths.temp');
+        config.set('paths.temp', dir);
+    });
+
+    afterEach(() => {
+        config.set('paths.temp', previousTemp);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('appends JSON lines and reloads them on resume', () => {
+        const journal = CheckpointJournal.forTransfer(TRANSFER);
+        expect(path.dirname(journal.filePath)).toBe(path.join(dir, 'checkpoints'));
+        expect(path.basename(journal.filePath)).toMatch(/^Mt__Dora-[0-9a-f]{12}\.jsonl$/);
+
+        journal.recordPhase('draft-created', { url: 'https://sweedpos.test/transfers/42/draft' });
+        journal.recordProductStarted(1);
+        journal.recordProductConfirmed(1, { barcode: '1001', qty: '5' });
+
+        const lines = fs.readFileSync(journal.filePath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.type)).toEqual(['phase', 'product-started', 'product-confirmed']);
+        expect(lines[2]).toMatchObject({ row: '1', barcode: '1001', qty: '5', timestamp: expect.any(String) });
+
+        const resumed = CheckpointJournal.forTransfer(TRANSFER, { resume: true });
+        expect(resumed.entries).toEqual(journal.entries);
+        expect(resumed.hasPhase('draft-created')).toBe(true);
+        expect(resumed.getDraftUrl()).toBe('https://sweedpos.test/transfers/42/draft');
+        expect(resumed.getConfirmedRows()).toEqual(['1']);
+
+        // Starting over replaces the journal of the same transfer
+        expect(CheckpointJournal.forTransfer(TRANSFER).entries).toEqual([]);
+        expect(fs.readFileSync(journal.filePath, 'utf-8')).toBe('');
+    });
+
+    test('lets a later product-missing entry override a confirmation', () => {
+        const journal = CheckpointJournal.forTransfer(TRANSFER);
+        journal.recordProductConfirmed(1, { barcode: '1001', qty: '5' });
+        journal.recordProductConfirmed(2, { barcode: '2002', qty: '3' });
+        journal.recordProductMissing(1, { barcode: '1001', qty: '5' });
+
+        expect(journal.isProductConfirmed(1)).toBe(false);
+        expect(journal.isProductConfirmed('2')).toBe(true);
+        expect(journal.getConfirmedRows()).toEqual(['2']);
+
+        // Added again after the reconciliation
+        journal.recordProductConfirmed(1, { barcode: '1001', qty: '5' });
+        expect(journal.isProductConfirmed(1)).toBe(true);
+        expect(journal.getConfirmedCount()).toBe(2);
+    });
+
+    test('returns the row that was started but not settled', () => {
+        const journal = CheckpointJournal.forTransfer(TRANSFER);
+        expect(journal.getPendingRow()).toBeNull();
+
+        journal.recordProductStarted(1);
+        expect(journal.getPendingRow()).toBe('1');
+        journal.recordProductConfirmed(1);
+        expect(journal.getPendingRow()).toBeNull();
+
+        journal.recordProductStarted(2);
+        journal.recordProductConfirmed(1);
+        expect(journal.getPendingRow()).toBe('2');
+        journal.recordProductMissing(2);
+        expect(journal.getPendingRow()).toBeNull();
+    });
+
+    test('refuses to resume without a journal for the transfer', () => {
+        const other = CheckpointJournal.forTransfer({ ...TRANSFER, store: 'FTP' });
+
+        let error = null;
+        try {
+            CheckpointJournal.forTransfer({ ...TRANSFER, departureDate: '3/17/2026' }, { resume: true });
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(CheckpointError);
+        expect(error.message).toMatch(/^No checkpoint journal to resume for Mt\. Dora departing 3\/17\/2026 with these rows \(Mt__Dora-[0-9a-f]{12}\)\. Journals found: FTP-/);
+        expect(error.message).toContain('Resume with the same sheet and --date as the interrupted run, or run without --resume.');
+        expect(error.journals.map(journal => journal.filePath)).toEqual([other.filePath]);
+
+        fs.rmSync(other.filePath);
+        expect(() => CheckpointJournal.forTransfer(TRANSFER, { resume: true }))
+            .toThrow(`There are no journals in ${path.join(dir, 'checkpoints')}.`);
+    });
+
+    test('ignores a truncated last line', () => {
+        const journal = CheckpointJournal.forTransfer(TRANSFER);
+        journal.recordProductStarted(1);
+        journal.recordProductConfirmed(1, { barcode: '1001', qty: '5' });
+        fs.appendFileSync(journal.filePath, '{"type":"product-started","ro');
+
+        const resumed = CheckpointJournal.forTransfer(TRANSFER, { resume: true });
+        expect(resumed.entries.map(entry => entry.type)).toEqual(['product-started', 'product-confirmed']);
+        expect(resumed.getConfirmedRows()).toEqual(['1']);
+        expect(resumed.getPendingRow()).toBeNull();
+    });
+});
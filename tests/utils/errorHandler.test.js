@@ -0,0 +1,106 @@
+// tests/utils/errorHandler.test.js
+const ErrorHandler = require('../../src/utils/errorHandler');
+const { StepError } = require('../../src/utils/errorHandler');
+const { retry, RetryError } = require('../../src/utils/retry');
+
+// Only what handleError reads from the page; captureErrorState is stubbed so no files are written
+function stubPage(url = 'https://sweedpos.test/transfers/new') {
+    return { url: () => url };
+}
+
+function timeoutError(message = 'locator.click: Timeout 5000ms exceeded.') {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+describe('error handler', () => {
+    let capture;
+
+    beforeEach(() => {
+        capture = jest.spyOn(ErrorHandler, 'captureErrorState').mockResolvedValue({ screenshot: '/screenshots/error.png', html: '/screenshots/error.html', console: '/screenshots/error-console.log' });
+    });
+
+    afterEach(() => {
+        capture.mockRestore();
+    });
+
+    test('returns the result of a step that succeeds', async () => {
+        expect(await ErrorHandler.withErrorHandler(stubPage(), 'login', async () => 'done')).toBe('done');
+        expect(capture).not.toHaveBeenCalled();
+    });
+
+    test('captures the page and rethrows a StepError with the step and attempt', async () => {
+        const cause = timeoutError();
+        const error = await ErrorHandler.withErrorHandler(stubPage(), 'select-vehicle', async () => { throw cause; }, { attempt: 2 })
+            .catch(caught => caught);
+
+        expect(error).toBeInstanceOf(StepError);
+        expect(error).toMatchObject({
+            message: 'select-vehicle failed on attempt 2: locator.click: Timeout 5000ms exceeded.',
+            step: 'select-vehicle',
+            attempt: 2,
+            url: 'https://sweedpos.test/transfers/new',
+            screenshots: { screenshot: '/screenshots/error.png' },
+            transient: true,
+            cause
+        });
+        expect(capture).toHaveBeenCalledWith(expect.anything(), cause, 'select-vehicle');
+        expect(ErrorHandler.getStepError(error)).toBe(error);
+        expect(ErrorHandler.getStepError(new RetryError('Failed', error))).toBe(error);
+        expect(ErrorHandler.getStepError(cause)).toBeNull();
+    });
+
+    test('swallows the failure of an optional step', async () => {
+        const info = await ErrorHandler.withErrorHandler(stubPage(), 'close-popup', async () => { throw new Error('No popup'); }, { optional: true });
+
+        expect(info).toMatchObject({ message: 'No popup', context: 'close-popup', stateCaptured: true });
+    });
+
+    test('classifies timeouts, navigation and detached elements as transient', () => {
+        [
+            timeoutError(),
+            new Error('page.goto: net::ERR_CONNECTION_RESET at https://sweedpos.test'),
+            new Error('Navigation failed because page crashed'),
+            new Error('Target page, context or browser has been closed'),
+            new Error('Execution context was destroyed, most likely because of a navigation'),
+            new Error('Element is not attached to the DOM'),
+            new Error('<div class="overlay"> intercepts pointer events')
+        ].forEach(error => {
+            expect(ErrorHandler.isTransientError(error)).toBe(true);
+            expect(ErrorHandler.shouldRetry(error)).toBe(true);
+        });
+
+        [
+            new Error('Vehicle "Van 9" not found'),
+            new Error('No products with a quantity for this store'),
+            Object.assign(new Error('Timeout while waiting, but marked permanent'), { transient: false }),
+            null
+        ].forEach(error => {
+            expect(ErrorHandler.isTransientError(error)).toBe(false);
+            expect(ErrorHandler.shouldRetry(error)).toBe(false);
+        });
+    });
+
+    test('lets retry() try a transient step again and stop at a permanent one', async () => {
+        const attempts = [];
+        const result = await retry(attempt => ErrorHandler.withErrorHandler(stubPage(), 'search-product', async () => {
+            attempts.push(attempt);
+            if (attempt === 1) throw timeoutError();
+            return 'found';
+        }, { attempt }), { retries: 3, delay: 0, shouldRetry: ErrorHandler.shouldRetry, name: 'search-product' });
+        expect(result).toBe('found');
+        expect(attempts).toEqual([1, 2]);
+
+        const permanent = jest.fn(attempt => ErrorHandler.withErrorHandler(stubPage(), 'select-vehicle', async () => {
+            throw new Error('Vehicle "Van 9" not found');
+        }, { attempt }));
+        const error = await retry(permanent, { retries: 3, delay: 0, shouldRetry: ErrorHandler.shouldRetry, name: 'select-vehicle' })
+            .catch(caught => caught);
+
+        expect(permanent).toHaveBeenCalledTimes(1);
+        expect(error).toBeInstanceOf(RetryError);
+        expect(error.message).toBe('Aborted select-vehicle on attempt 1: select-vehicle failed on attempt 1: Vehicle "Van 9" not found');
+        expect(ErrorHandler.getStepError(error)).toMatchObject({ step: 'select-vehicle', attempt: 1, transient: false });
+    });
+});
@@ -0,0 +1,69 @@
+// tests/utils/manifestExtractor.test.js
+const XLSX = require('xlsx');
+const { extractTransferData } = require('../../src/utils/manifestExtractor');
+const { ProductMatcher } = require('../../src/matching');
+
+// The header row of the sample inventory export (transfer_data.xlsx.xlsx), with two of its rows
+const SAMPLE_HEADERS = [
+    'Facility Name', 'Product Name', 'Category', 'Subcategory', 'Brand', 'Product Type', 'Strain prevalence', 'Size',
+    'SKU', 'Barcode', 'External Code', 'QTY', 'Price', 'Wholesale Cost', 'CBD,%', 'THC,%', 'Shipt. ID', 'Internal No.',
+    'Reception Date', 'Location', 'Location Stock Type', 'Manufacturing Date', 'Manufacturing Age, days', 'Expiration Date',
+    'Age days', 'Reserved Qty', 'Reserved Transaction Type'
+];
+const SAMPLE_ROWS = [
+    ['Curaleaf South Miami Dade', 'Aerospaced 2.5" Black 4 pc Grinder Each', 'Non Cannabis', 'Paraphernalia', 'Aerospaced', null, null, 'Each',
+        'NC-Aerospaced 4-Piece Grinder Black 2.5" (GDR020) | 47378985', '00326', null, 3, 25, 14, null, null, '7', '1276',
+        '08/14/2024 18:32:35 PM', 'Intake', 'Reception', null, null, null, 164, 0],
+    ['Curaleaf South Miami Dade', 'B Noble Vanilla Frosting 2-Pack | 2g', 'Pre Rolls', 'Packs', 'B Noble', null, 'Indica', '1g',
+        'F(PRP)-Vanilla Frosting 2pk-2g-I | 300010653 : Indica : Vanilla Frosting', '7248818119932339', '1670203124285794', 12, 30.5, 2.69,
+        0.06, 20.45, '26', '2586', '09/16/2024 04:30:30 AM', 'Intake', 'Reception', null, null, null, 132, 12, 'Transfer']
+];
+
+function extract(rows) {
+    return extractTransferData(XLSX.utils.aoa_to_sheet(rows));
+}
+
+describe('manifest extractor', () => {
+    test('keeps a full barcode column under its own header and derives the last 4 digits from it', () => {
+        const { data, headers, confidence, sheetRows } = extract([SAMPLE_HEADERS, ...SAMPLE_ROWS]);
+
+        expect(headers.slice(9, 14)).toEqual(['SKU', 'Barcode', 'Last 4 of Barcode', 'External Code', 'Total Unit Count']);
+        expect(data.map(row => [row['#'], row.Barcode, row['Last 4 of Barcode'], row['Total Unit Count']])).toEqual([
+            ['1', '00326', '0326', '3'],
+            ['2', '7248818119932339', '2339', '12']
+        ]);
+        expect(confidence.lastDigitsFrom).toBe('Barcode');
+        expect(confidence.columns.barcode).toMatchObject({ header: 'Barcode', column: 9 });
+        expect(sheetRows).toEqual([1, 2]);
+
+        // The matcher's fullBarcode, externalCode and productName columns survive the extraction
+        expect(new ProductMatcher().getSignals(data[1])).toEqual({
+            fullBarcode: '7248818119932339',
+            externalCode: '1670203124285794',
+            productName: 'B Noble Vanilla Frosting 2-Pack | 2g'
+        });
+    });
+
+    test('does not take "Internal No." for the row number', () => {
+        const { data, headers, confidence } = extract([SAMPLE_HEADERS, ...SAMPLE_ROWS]);
+
+        // No column is a row number, so "#" is added in front and the rows are numbered in sheet order
+        expect(headers[0]).toBe('#');
+        expect(headers).toContain('Internal No.');
+        expect(data.map(row => [row['#'], row['Internal No.']])).toEqual([['1', '1276'], ['2', '2586']]);
+        expect(confidence.columns.rowNumber).toBeUndefined();
+        expect(confidence.warnings).toContain('No row number column found, rows were numbered in sheet order');
+    });
+
+    test('renames a "Last 4" column to the canonical header and keeps placeholders', () => {
+        const { data, headers, confidence } = extract([
+            ['Row', 'Last 4', 'FTP Units', 'Ocala Cs', 'Total Units'],
+            ['1', '1001', '5', '1', '7'],
+            ['2', 'N/A', '2', '', '2']
+        ]);
+
+        expect(headers).toEqual(['#', 'Last 4 of Barcode', 'FTP Units', 'Ocala Cases', 'Total Unit Count']);
+        expect(data.map(row => row['Last 4 of Barcode'])).toEqual(['1001', 'N/A']);
+        expect(confidence.lastDigitsFrom).toBeNull();
+    });
+});
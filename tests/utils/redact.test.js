@@ -0,0 +1,40 @@
+// tests/utils/redact.test.js
+const fs = require('fs');
+const { redact, registerSecret, MASK } = require('../../src/utils/redact');
+const ErrorHandler = require('../../src/utils/errorHandler');
+
+describe('redact', () => {
+    beforeAll(() => {
+        registerSecret('pilot@example.com');
+        registerSecret('hunter2-password');
+    });
+
+    test('masks registered values and secret-named fields in log metadata', () => {
+        const meta = {
+            url: 'https://login.example/authorize?login_hint=pilot%40example.com',
+            transfer: { store: 'FTP', password: 'anything', notes: ['typed hunter2-password by mistake'] }
+        };
+        expect(redact(meta)).toEqual({
+            url: `https://login.example/authorize?login_hint=${MASK}`,
+            transfer: { store: 'FTP', password: MASK, notes: [`typed ${MASK} by mistake`] }
+        });
+        expect(meta.transfer.password).toBe('anything');
+        expect(redact(new Error('Login failed for pilot@example.com')).message).toBe(`Login failed for ${MASK}`);
+    });
+
+    test('captured page snapshots do not contain credentials', async () => {
+        const page = {
+            screenshot: async () => {},
+            evaluate: async () => '<html><body><input name="loginfmt" value="pilot@example.com"><p>hunter2-password</p></body></html>',
+            on: () => {},
+            removeListener: () => {}
+        };
+        const state = await ErrorHandler.captureErrorState(page, new Error('test'), 'redaction-test');
+        const html = fs.readFileSync(state.html, 'utf-8');
+        [state.html, state.console].forEach(file => fs.rmSync(file, { force: true }));
+
+        expect(html).not.toContain('pilot@example.com');
+        expect(html).not.toContain('hunter2-password');
+        expect(html).toContain(`value="${MASK}"`);
+    });
+});
@@ -0,0 +1,62 @@
+// tests/utils/runControl.test.js
+const { RunControl, RunAbortedError } = require('../../src/utils/runControl');
+const runEvents = require('../../src/utils/runEvents');
+const EnhancedProgressTracker = require('../../src/utils/enhancedProgress');
+
+describe('run control', () => {
+    let events;
+    const record = event => events.push(event);
+
+    beforeEach(() => {
+        events = [];
+        runEvents.on('event', record);
+    });
+
+    afterEach(() => {
+        runEvents.off('event', record);
+    });
+
+    test('holds the run at the next checkpoint while paused and stops it when aborted', async () => {
+        const control = new RunControl();
+        await expect(control.proceed()).resolves.toBe(true);
+
+        control.pause();
+        let passed = false;
+        const waiting = control.proceed().then(result => {
+            passed = result;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(control.state).toBe('paused');
+        expect(passed).toBe(false);
+        control.resume();
+        await waiting;
+        expect(passed).toBe(true);
+
+        control.pause();
+        const aborted = control.checkpoint();
+        control.abort();
+        await expect(aborted).rejects.toThrow(RunAbortedError);
+        await expect(control.proceed()).resolves.toBe(false);
+        expect(events.filter(event => event.type === 'control').map(event => event.state))
+            .toEqual(['pausing', 'paused', 'running', 'pausing', 'paused', 'aborting']);
+    });
+
+    test('publishes the steps of a progress tracker', () => {
+        const progress = new EnhancedProgressTracker(2, 'Transfer Creation');
+        progress.addStep('Login');
+        progress.updateStepProgress(50, 'Entering credentials');
+        progress.completeStep('Login');
+        progress.addWarning('Ocala', 'No products with a quantity for this store');
+        progress.multibar.stop();
+
+        expect(events.map(({ type, step, percentage, status, message }) => ({ type, step, percentage, status, message }))).toEqual([
+            expect.objectContaining({ type: 'step-started', step: 'Login' }),
+            expect.objectContaining({ type: 'step-progress', step: 'Login', percentage: 0, status: 'Starting...' }),
+            expect.objectContaining({ type: 'step-progress', step: 'Login', percentage: 50, status: 'Entering credentials' }),
+            expect.objectContaining({ type: 'step-completed', step: 'Login' }),
+            expect.objectContaining({ type: 'step-progress', step: 'Login', percentage: 100, status: 'Done' }),
+            expect.objectContaining({ type: 'warning', step: 'Ocala', message: 'No products with a quantity for this store' })
+        ]);
+        expect(events[0]).toMatchObject({ process: 'Transfer Creation', at: expect.any(String) });
+    });
+});
@@ -0,0 +1,25 @@
+// tests/utils/totp.test.js
+const { generateTotp, decodeBase32 } = require('../../src/utils/totp');
+
+// RFC 6238 appendix B, SHA-1: the ASCII secret "12345678901234567890".
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateTotp', () => {
+    test.each([
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1234567890, '89005924'],
+        [20000000000, '65353130']
+    ])('matches the RFC 6238 code at %i seconds', (seconds, expected) => {
+        expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected);
+    });
+
+    test('returns six digits by default and ignores spacing in the secret', () => {
+        const time = 1111111109 * 1000;
+        expect(generateTotp('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', { time })).toBe('081804');
+    });
+
+    test('rejects a secret that is not base32', () => {
+        expect(() => decodeBase32('not-base32!')).toThrow('Invalid character');
+    });
+});
@@ -0,0 +1,130 @@
+// tests/utils/transferPlan.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const { formatDateForInput, planProductRow, buildTransferPlan } = require('../../src/utils/transferPlan');
+const { runTransfer } = require('../../auto');
+const { EXIT_CODES } = require('../../src/cli');
+const { RunHistory } = require('../../src/history');
+
+const HEADERS = ['#', 'Last 4 of Barcode', 'FTP Units', 'FTP Cases', 'Ocala Units', 'Total Unit Count'];
+
+function row(number, barcode, ftpUnits, ftpCases = '', ocala = '') {
+    return { '#': number, 'Last 4 of Barcode': barcode, 'FTP Units': ftpUnits, 'FTP Cases': ftpCases, 'Ocala Units': ocala, 'Total Unit Count': '' };
+}
+
+// A Monday at least a week ahead, so the default date rules accept it
+function nextMonday() {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + 7 + (8 - date.getDay()) % 7);
+    return date;
+}
+
+function transfer(overrides = {}) {
+    return {
+        store: 'FTP',
+        toStore: 'Ft Pierce Warehouse Hub',
+        driver1: 'Ange',
+        vehicle: 'Van 2',
+        departureDate: nextMonday().toLocaleDateString('en-US'),
+        departureTime: '07:00 AM',
+        arrivalTime: '12:00 PM',
+        headers: HEADERS,
+        transferData: [row('1', '1001', '5'), row('2', '', '3'), row('3', 'N/A', '2'), row('4', '4004', '', '2'), row('5', '5005', '0'), row('6', '6006', '')],
+        ...overrides
+    };
+}
+
+describe('transfer plan', () => {
+    test('formats the departure the way the SweedPos date picker expects', () => {
+        expect(formatDateForInput(new Date(2026, 2, 6), '07:00 AM')).toBe('03-06-2026 07:00 AM');
+        expect(formatDateForInput('3/16/2026', '12:00 PM')).toBe('03-16-2026 12:00 PM');
+        expect(formatDateForInput(new Date(2026, 11, 31, 23, 59), '08:30 PM')).toBe('12-31-2026 08:30 PM');
+    });
+
+    test('flags rows without a barcode or quantity and prefers units over cases', () => {
+        const rows = transfer().transferData;
+        expect(rows.map(product => planProductRow(product, 'FTP'))).toEqual([
+            { barcode: '1001', qty: '5', skipReason: null },
+            { barcode: '', qty: '3', skipReason: 'Missing barcode' },
+            { barcode: 'N/A', qty: '2', skipReason: 'Missing barcode' },
+            { barcode: '4004', qty: '2', skipReason: null },
+            { barcode: '5005', qty: '0', skipReason: 'Zero quantity' },
+            { barcode: '6006', qty: '0', skipReason: 'Zero quantity' }
+        ]);
+        expect(planProductRow(row('7', '7007', '4', '1'), 'FTP').qty).toBe('4');
+        expect(planProductRow(row('7', '7007', '4', '', '6'), 'Ocala').qty).toBe('6');
+    });
+
+    test('plans every row of a store and skips what the product loop would', () => {
+        const plan = buildTransferPlan({ ...transfer(), departureDate: new Date(2026, 2, 16) });
+
+        expect(plan).toMatchObject({
+            store: 'FTP',
+            toStore: 'Ft Pierce Warehouse Hub',
+            driver2: '',
+            route: 'Default Route',
+            departure: '03-16-2026 07:00 AM',
+            arrival: '03-16-2026 12:00 PM',
+            split: false,
+            summary: { toAdd: 2, skipped: 4 }
+        });
+        expect(plan.products.map(product => [product.row, product.action, product.skipReason])).toEqual([
+            ['1', 'add', null],
+            ['2', 'skip', 'Missing barcode'],
+            ['3', 'skip', 'Missing barcode'],
+            ['4', 'add', null],
+            ['5', 'skip', 'Zero quantity'],
+            ['6', 'skip', 'Zero quantity']
+        ]);
+
+        expect(buildTransferPlan({ ...transfer(), store: 'Tampa' }).products[0].skipReason).toBe('No "Tampa" columns in the sheet');
+        const previous = config.get('processing.maxProducts');
+        config.set('processing.maxProducts', 3);
+        try {
+            expect(buildTransferPlan(transfer()).products[3].skipReason).toBe('Beyond processing.maxProducts (3)');
+        } finally {
+            config.set('processing.maxProducts', previous);
+        }
+    });
+});
+
+describe('dry run', () => {
+    const originalCwd = process.cwd();
+    let workDir;
+
+    beforeEach(() => {
+        // The validation report, plan and run history go to the working directory
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-dry-run-'));
+        process.chdir(workDir);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    function planFiles() {
+        return fs.readdirSync(path.join(workDir, 'temp')).filter(name => name.startsWith('transfer-plan-'));
+    }
+
+    test('succeeds for a valid manifest without launching a browser', async () => {
+        const { transferData, ...userConfig } = transfer({ dryRun: true });
+
+        expect(await runTransfer(userConfig, { transferData })).toBe(EXIT_CODES.SUCCESS);
+        expect(planFiles()).toHaveLength(1);
+        expect(new RunHistory().readAll()).toEqual([expect.objectContaining({ status: 'dry-run', exitCode: 0, errors: [] })]);
+    });
+
+    test('still writes the plan but fails like the real run when validation fails', async () => {
+        const { transferData, ...userConfig } = transfer({ dryRun: true, vehicle: '' });
+
+        expect(await runTransfer(userConfig, { transferData })).toBe(EXIT_CODES.VALIDATION_FAILED);
+        expect(planFiles()).toHaveLength(1);
+        const [record] = new RunHistory().readAll();
+        expect(record).toMatchObject({ status: 'validation-failed', exitCode: EXIT_CODES.VALIDATION_FAILED, config: { dryRun: true } });
+        expect(record.errors).toEqual([expect.objectContaining({ step: 'Run', error: 'FTP: Missing required field: vehicle' })]);
+    });
+});
@@ -0,0 +1,125 @@
+// tests/utils/waits.test.js
+const { EventEmitter } = require('events');
+const config = require('../../src/config');
+const logger = require('../../src/utils/logger');
+const { setWaitPhase, pollUntil, waitUntil, runAndSettle, summarizeWaits } = require('../../src/utils/waits');
+
+// Only what the waits use of a Playwright page: its request events and waitForTimeout
+function stubPage() {
+    const page = new EventEmitter();
+    page.waitForTimeout = jest.fn(ms => new Promise(resolve => setTimeout(resolve, ms)));
+    return page;
+}
+
+function after(ms, callback = () => {}) {
+    return new Promise(resolve => setTimeout(() => resolve(callback()), ms));
+}
+
+describe('waits', () => {
+    let step;
+    let warn;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        step = { name: 'Add products' };
+        setWaitPhase(step);
+        warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        setWaitPhase(null);
+        warn.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('polls until the check passes or the timeout is reached', async () => {
+        const start = Date.now();
+        const checks = jest.fn(async () => Date.now() - start >= 250);
+        const passed = pollUntil(checks, 1000);
+        await jest.advanceTimersByTimeAsync(300);
+        await expect(passed).resolves.toBeUndefined();
+        // Checked at 0, 100, 200 and 300ms with the default waits.pollInterval
+        expect(checks).toHaveBeenCalledTimes(4);
+
+        const failed = pollUntil(async () => false, 1000).catch(error => error);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect((await failed).message).toBe('Condition not met within 1000ms');
+    });
+
+    test('records the time saved when the condition is met before the fixed delay', async () => {
+        const page = stubPage();
+        const done = waitUntil(page, 'the product list', () => after(400), { fixedDelay: 3000, timeout: 1000 });
+        await jest.advanceTimersByTimeAsync(400);
+        await done;
+
+        expect(page.waitForTimeout).not.toHaveBeenCalled();
+        expect(step.waits).toEqual({ count: 1, fixed: 3000, actual: 400, fallbacks: 0 });
+    });
+
+    test('falls back to the rest of the fixed delay when the condition times out', async () => {
+        const page = stubPage();
+        const done = waitUntil(page, 'the product list', timeout => pollUntil(async () => false, timeout), { fixedDelay: 3000, timeout: 1000 });
+        await jest.advanceTimersByTimeAsync(3000);
+        await done;
+
+        expect(page.waitForTimeout).toHaveBeenCalledWith(2000);
+        expect(warn).toHaveBeenCalledWith('Waiting for the product list failed (Condition not met within 1000ms), falling back to the fixed delay');
+        expect(step.waits).toEqual({ count: 1, fixed: 3000, actual: 3000, fallbacks: 1 });
+
+        // A timeout longer than the fixed delay leaves nothing to sleep, and the wait cost time
+        const slow = waitUntil(page, 'the draft', timeout => pollUntil(async () => false, timeout), { fixedDelay: 3000, timeout: 5000 });
+        // As in Node, the zero delay fires on the next millisecond
+        await jest.advanceTimersByTimeAsync(5001);
+        await slow;
+        expect(page.waitForTimeout).toHaveBeenLastCalledWith(0);
+        expect(step.waits).toEqual({ count: 2, fixed: 6000, actual: 8001, fallbacks: 2 });
+    });
+
+    test('sleeps the fixed delay with waits.strategy "fixed"', async () => {
+        const previous = config.get('waits.strategy');
+        config.set('waits.strategy', 'fixed');
+        try {
+            const page = stubPage();
+            const condition = jest.fn();
+            const done = waitUntil(page, 'the product list', condition, { fixedDelay: 3000 });
+            await jest.advanceTimersByTimeAsync(3000);
+            await done;
+
+            expect(condition).not.toHaveBeenCalled();
+            expect(page.waitForTimeout).toHaveBeenCalledWith(3000);
+            expect(step.waits).toEqual({ count: 1, fixed: 3000, actual: 3000, fallbacks: 0 });
+        } finally {
+            config.set('waits.strategy', previous);
+        }
+    });
+
+    test('settles once the requests an action started are done and the network is idle', async () => {
+        const page = stubPage();
+        const request = { url: 'https://sweedpos.test/api/split' };
+        const done = runAndSettle(page, 'Split All', async () => {
+            page.emit('request', request);
+            setTimeout(() => page.emit('requestfinished', request), 300);
+        }, { fixedDelay: 30000, timeout: 60000 });
+
+        await jest.advanceTimersByTimeAsync(700);
+        expect(step.waits).toBeUndefined();
+        // waits.networkIdleTime (500ms) after the request finished
+        await jest.advanceTimersByTimeAsync(100);
+        await done;
+
+        expect(step.waits).toEqual({ count: 1, fixed: 30000, actual: 800, fallbacks: 0 });
+        expect(page.listenerCount('request') + page.listenerCount('requestfinished') + page.listenerCount('requestfailed')).toBe(0);
+    });
+
+    test('sums the waits of each phase with the time saved', () => {
+        expect(summarizeWaits([
+            { name: 'Login', waits: { count: 2, fixed: 6000, actual: 1500, fallbacks: 0 } },
+            { name: 'Add products', waits: { count: 3, fixed: 9000, actual: 4000, fallbacks: 1 } },
+            { name: 'Add products', waits: { count: 1, fixed: 3000, actual: 3500, fallbacks: 1 } },
+            { name: 'Update draft' }
+        ])).toEqual([
+            { phase: 'Login', count: 2, fixed: 6000, actual: 1500, saved: 4500, fallbacks: 0 },
+            { phase: 'Add products', count: 4, fixed: 12000, actual: 7500, saved: 4500, fallbacks: 2 }
+        ]);
+    });
+});
@@ -0,0 +1,144 @@
+// tests/validation/index.test.js
+const { TransferValidator, validateRows } = require('../../src/validation');
+const config = require('../../src/config');
+
+const HEADERS = ['#', 'Last 4 of Barcode', 'FTP Units', 'Ocala Units', 'Total Unit Count'];
+
+// Monday 16 March 2026, 6:00 AM; the default rules allow Monday to Friday, 06:00 to 20:00
+const NOW = new Date(2026, 2, 16, 6, 0);
+
+function row(number, barcode, ftp, ocala, total) {
+    return { '#': number, 'Last 4 of Barcode': barcode, 'FTP Units': ftp, 'Ocala Units': ocala, 'Total Unit Count': total };
+}
+
+function transfer(overrides = {}) {
+    return {
+        store: 'FTP',
+        toStore: 'Ft Pierce Warehouse Hub',
+        driver1: 'Ange',
+        vehicle: 'Nissan NV200 - 1234',
+        departureDate: new Date(2026, 2, 16),
+        departureTime: '07:00 AM',
+        arrivalTime: '12:00 PM',
+        headers: HEADERS,
+        transferData: [row('1', '1001', '5', '2', '7'), row('2', '2002', '0', '3', '3')],
+        ...overrides
+    };
+}
+
+function validate(overrides) {
+    return new TransferValidator(transfer(overrides), { now: NOW }).validate();
+}
+
+function rulesOf(issues) {
+    return issues.map(issue => issue.rule);
+}
+
+// Changes one config value for the duration of a test
+function withConfig(key, value, callback) {
+    const previous = config.get(key);
+    config.set(key, value);
+    try {
+        return callback();
+    } finally {
+        config.set(key, previous);
+    }
+}
+
+describe('transfer validation', () => {
+    test('passes a complete transfer within the date rules', () => {
+        expect(validate()).toEqual({ store: 'FTP', valid: true, errors: [], warnings: [] });
+    });
+
+    test('requires the configured fields', () => {
+        const report = validate({ toStore: '', vehicle: undefined, arrivalTime: '' });
+
+        expect(report.valid).toBe(false);
+        expect(report.errors.filter(error => error.rule === 'requiredFields').map(error => error.field)).toEqual(['store', 'vehicle', 'arrivalDate']);
+        // driver2 and route are not in validation.requiredFields
+        expect(validate({ driver2: '', route: '' }).valid).toBe(true);
+    });
+
+    test('checks the departure against the advance time, days and hours', () => {
+        const soon = validate({ departureTime: '06:15 AM' });
+        expect(rulesOf(soon.errors)).toEqual(['dateRules.minAdvanceTime']);
+        expect(soon.errors[0].message).toContain('is less than 30 minutes from now');
+        expect(validate({ departureTime: '06:30 AM' }).valid).toBe(true);
+
+        const saturday = validate({ departureDate: new Date(2026, 2, 21) });
+        expect(saturday.errors).toEqual([expect.objectContaining({
+            rule: 'dateRules.allowedDays',
+            message: 'Departure on Saturday is not allowed (allowed: Monday, Tuesday, Wednesday, Thursday, Friday)'
+        })]);
+
+        const outsideHours = validate({ departureDate: new Date(2026, 2, 17), departureTime: '05:30 AM', arrivalTime: '09:00 PM' });
+        expect(outsideHours.errors.map(error => error.message)).toEqual([
+            'The departure time 05:30 AM is outside 06:00-20:00',
+            'The arrival time 09:00 PM is outside 06:00-20:00'
+        ]);
+
+        expect(validate({ departureTime: 'seven' }).errors).toEqual([expect.objectContaining({ rule: 'dateRules' })]);
+    });
+
+    test('requires the arrival after the departure and within the trip duration', () => {
+        const sameTime = validate({ arrivalTime: '07:00 AM' });
+        expect(sameTime.errors).toEqual([expect.objectContaining({
+            rule: 'dateRules.maxTripDuration',
+            message: 'Arrival time 07:00 AM is not after departure time 07:00 AM'
+        })]);
+        expect(rulesOf(validate({ arrivalTime: '06:45 AM' }).errors)).toEqual(['dateRules.maxTripDuration']);
+
+        withConfig('validation.dateRules.maxTripDuration', 4 * 3600000, () => {
+            expect(validate().errors).toEqual([expect.objectContaining({ rule: 'dateRules.maxTripDuration', message: 'Trip duration exceeds 4 hours' })]);
+        });
+    });
+
+    test('checks quantities, totals, duplicate and N/A barcodes per row', () => {
+        const { errors, warnings } = validateRows({
+            store: 'FTP',
+            headers: HEADERS,
+            transferData: [
+                row('1', '1001', '5', '2', '7'),
+                row('2', '2002', 'abc', '', ''),
+                row('3', '3003', '4', '-2', '2'),
+                row('4', '4004', '1', '0', 'x'),
+                row('5', '5005', '5', '2', '9'),
+                row('6', 'N/A', '3', '0', '3'),
+                row('7', '1001', '2', '0', '2')
+            ]
+        });
+
+        expect(errors.map(error => [error.rule, error.row, error.field])).toEqual([
+            ['row.numericQuantity', '2', 'FTP Units'],
+            ['row.numericQuantity', '3', 'Ocala Units'],
+            ['row.numericQuantity', '4', 'Total Unit Count']
+        ]);
+        expect(errors[1].message).toBe('Row 3: "Ocala Units" is negative (-2)');
+        expect(warnings.map(warning => [warning.rule, warning.row])).toEqual([
+            ['row.totalUnitCount', '5'],
+            ['row.naBarcode', '6'],
+            ['row.duplicateBarcode', '7']
+        ]);
+        expect(warnings[0].message).toBe('Row 5: store units add up to 7 but Total Unit Count is 9');
+        expect(warnings[2].message).toBe('Row 7: barcode 1001 already used on row 1');
+    });
+
+    test('limits the number of products and warns when a store has none', () => {
+        const rows = [row('1', '1001', '5', '2', '7'), row('2', '2002', '4', '0', '4'), row('3', '3003', '1', '0', '1')];
+        withConfig('excel.dataValidation.maxProducts', 2, () => {
+            expect(validateRows({ store: 'FTP', headers: HEADERS, transferData: rows }).errors).toEqual([expect.objectContaining({
+                rule: 'excel.dataValidation.maxProducts',
+                message: '3 products to add for FTP, more than the maximum of 2'
+            })]);
+        });
+
+        expect(rulesOf(validateRows({ store: 'Ocala', headers: HEADERS, transferData: rows.slice(1) }).warnings)).toEqual(['row.noProducts']);
+    });
+
+    test('validateRows leaves out the required fields and date rules', () => {
+        const { errors, warnings } = validateRows({ store: 'FTP', headers: HEADERS, transferData: transfer().transferData });
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual([]);
+        expect(validate({ driver1: '', departureTime: '' }).errors.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,52 @@
+// tests/verification/index.test.js
+const { diffDraft, getLineCodes, lineHasBarcode } = require('../../src/verification');
+
+// Lines as scrapeDraftLines reads them from the mock draft: name, full barcode, quantity input
+function line(name, barcode, qty) {
+    return { text: `${name} ${barcode}`, qty };
+}
+
+describe('draft verification', () => {
+    test('reads the product codes of a line, not its quantities or prices', () => {
+        expect(getLineCodes('Blue Dream 3.5g Flower | 1A4000000000000000001001 | BD-35 $21.00 1001')).toEqual(['1A4000000000000000001001']);
+        expect(lineHasBarcode(line('Gelato', '1A4000000000000000002002', '3'), '2002')).toBe(true);
+        expect(lineHasBarcode(line('Gelato', '1A4000000000000000002002', '3'), '0000')).toBe(false);
+        // The barcode must end the code, not appear somewhere inside it
+        expect(lineHasBarcode(line('Gelato', '1A4000000000000000020021', '3'), '2002')).toBe(false);
+        expect(lineHasBarcode({ text: 'Gelato 1g Vape Cartridge qty 1001', qty: '1001' }, '1001')).toBe(false);
+    });
+
+    test('does not pair a row with a line that only shares its digits', () => {
+        const expected = [
+            { row: '1', barcode: '1001', qty: '5' },
+            { row: '2', barcode: '2002', qty: '3' }
+        ];
+        // Line 1 has the quantity 1001 and a code with 2002 inside it; row 1's product is missing
+        const lines = [
+            line('Sour Diesel 7g Flower', '1A4000000000000000020023', '1001'),
+            line('Gelato 1g Vape Cartridge', '1A4000000000000000002002', '3')
+        ];
+
+        const report = diffDraft(expected, lines);
+        expect(report).toMatchObject({ matches: false, matched: 1, quantityMismatches: [] });
+        expect(report.missing).toEqual([{ row: '1', barcode: '1001', qty: '5' }]);
+        expect(report.extra).toEqual([{ line: lines[0].text, qty: '1001' }]);
+    });
+
+    test('matches every row once, preferring the line with the right quantity', () => {
+        const expected = [
+            { row: '1', barcode: '1001', qty: '5' },
+            { row: '3', barcode: '1001', qty: '2' },
+            { row: '4', barcode: '3003', qty: '4' }
+        ];
+        const lines = [
+            line('Blue Dream 3.5g Flower', '1A4000000000000000001001', '2'),
+            line('Blue Dream 3.5g Flower', '1A4000000000000000001001', '5'),
+            line('Sour Diesel 7g Flower', '1A4000000000000000003003', '4.0')
+        ];
+
+        expect(diffDraft(expected, lines)).toMatchObject({ matches: true, expected: 3, found: 3, matched: 3, missing: [], extra: [] });
+        expect(diffDraft([{ row: '4', barcode: '3003', qty: '6' }], lines.slice(2)).quantityMismatches)
+            .toEqual([expect.objectContaining({ row: '4', expected: '6', actual: '4.0' })]);
+    });
+});
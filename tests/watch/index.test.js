@@ -0,0 +1,99 @@
+// tests/watch/index.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InboxWatcher } = require('../../src/watch');
+const { parseCommandLine } = require('../../src/cli');
+
+describe('inbox watcher', () => {
+    let inbox;
+
+    beforeEach(() => {
+        inbox = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-manifest-inbox-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(inbox, { recursive: true, force: true });
+    });
+
+    function drop(name, content = '#,Last 4 of Barcode\n1,1001\n') {
+        fs.writeFileSync(path.join(inbox, name), content, 'utf-8');
+    }
+
+    function readResult(folder) {
+        return JSON.parse(fs.readFileSync(path.join(folder, 'result.json'), 'utf-8'));
+    }
+
+    test('moves each manifest with its reports to done/ or failed/ and skips locked files', async () => {
+        drop('monday.csv');
+        drop('tuesday.csv');
+        drop('broken.json', '{');
+        drop('locked.csv');
+        drop('notes.txt');
+        drop('~$monday.xlsx');
+        fs.mkdirSync(path.join(inbox, '.locks'));
+        // Held by a live process, as if another watcher had just picked the file up
+        fs.writeFileSync(path.join(inbox, '.locks', 'locked.csv.lock'), JSON.stringify({ pid: process.pid, host: os.hostname() }));
+
+        const processed = [];
+        const watcher = new InboxWatcher({
+            inbox,
+            parseFile: filePath => {
+                if (filePath.endsWith('.json')) throw Object.assign(new Error('broken.json is not valid JSON'), { exitCode: 3 });
+                return fs.readFileSync(filePath, 'utf-8');
+            },
+            processFile: async job => {
+                processed.push({ file: job.fileName, data: job.data, inProcessing: job.filePath.includes(`${path.sep}processing${path.sep}`) });
+                fs.writeFileSync(path.join(job.jobDir, 'report.html'), '<html></html>');
+                if (job.fileName === 'tuesday.csv') throw Object.assign(new Error('Update draft failed'), { exitCode: 1 });
+                return 0;
+            },
+            settleTime: 60000
+        });
+
+        const results = await watcher.start({ once: true });
+        expect(processed).toEqual([
+            { file: 'monday.csv', data: '#,Last 4 of Barcode\n1,1001\n', inProcessing: true },
+            { file: 'tuesday.csv', data: '#,Last 4 of Barcode\n1,1001\n', inProcessing: true }
+        ]);
+        expect(results.map(({ file, status, exitCode }) => ({ file, status, exitCode }))).toEqual([
+            { file: 'broken.json', status: 'failed', exitCode: 3 },
+            { file: 'monday.csv', status: 'done', exitCode: 0 },
+            { file: 'tuesday.csv', status: 'failed', exitCode: 1 }
+        ]);
+
+        const [monday, tuesday] = results.slice(1).map(result => result.folder);
+        expect(path.dirname(monday)).toBe(path.join(inbox, 'done'));
+        expect(fs.readdirSync(monday).sort()).toEqual(['monday.csv', 'report.html', 'result.json']);
+        expect(readResult(tuesday)).toMatchObject({ file: 'tuesday.csv', status: 'failed', exitCode: 1, error: 'Update draft failed' });
+        expect(readResult(results[0].folder).error).toBe('broken.json is not valid JSON');
+
+        expect(fs.readdirSync(inbox).sort()).toEqual(['.locks', 'done', 'failed', 'locked.csv', 'notes.txt', 'processing', '~$monday.xlsx']);
+        expect(fs.readdirSync(path.join(inbox, '.locks'))).toEqual(['locked.csv.lock']);
+        expect(fs.readdirSync(path.join(inbox, 'processing'))).toEqual([]);
+    });
+
+    test('waits for a file to settle and clears locks left by a stopped watcher', async () => {
+        const stalePid = 2 ** 22 + 1;
+        const jobDir = path.join(inbox, 'processing', '2026-10-19T07-00-00-000Z-friday');
+        fs.mkdirSync(jobDir, { recursive: true });
+        fs.writeFileSync(path.join(jobDir, 'friday.csv'), '#\n');
+        fs.mkdirSync(path.join(inbox, '.locks'));
+        fs.writeFileSync(path.join(inbox, '.locks', 'friday.csv.lock'), JSON.stringify({ pid: stalePid, host: os.hostname(), jobDir }));
+
+        const watcher = new InboxWatcher({ inbox, processFile: async () => 0, pollInterval: 10, settleTime: 30 });
+        drop('saturday.csv');
+        const running = watcher.start();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(fs.existsSync(path.join(inbox, 'saturday.csv'))).toBe(true);
+        while (watcher.results.length === 0) await new Promise(resolve => setTimeout(resolve, 10));
+        watcher.stop();
+        await running;
+
+        expect(watcher.results).toEqual([expect.objectContaining({ file: 'saturday.csv', status: 'done' })]);
+        expect(readResult(path.join(inbox, 'failed', path.basename(jobDir)))).toMatchObject({ status: 'interrupted' });
+        expect(fs.readdirSync(path.join(inbox, '.locks'))).toEqual([]);
+
+        expect(parseCommandLine(['watch', '--all-stores', '--inbox', inbox, '--once']).options).toMatchObject({ allStores: true, inbox, once: true, excel: undefined });
+    });
+});